@@ -0,0 +1,151 @@
+/**
+ * Offline outbox for food entries.
+ *
+ * When POST /api/log cannot reach the server the entry is stored in
+ * IndexedDB together with an Idempotency-Key and replayed later, either by
+ * the service worker's background sync or by an open page when the browser
+ * comes back online. The server ignores replays of a key it has already
+ * logged, so replaying the same entry twice is harmless.
+ *
+ * Loaded by the pages (partials/scripts.ejs) and by sw.js via importScripts.
+ */
+
+const OUTBOX_DB_NAME = 'calorie-diary-outbox';
+const OUTBOX_STORE = 'requests';
+const OUTBOX_SYNC_TAG = 'food-entry-sync';
+
+function openOutbox() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(OUTBOX_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(OUTBOX_STORE, { keyPath: 'idempotencyKey' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Run fn(store) in a transaction and resolve with the value of the request it returns
+async function withOutboxStore(mode, fn) {
+    const db = await openOutbox();
+    try {
+        return await new Promise((resolve, reject) => {
+            const transaction = db.transaction(OUTBOX_STORE, mode);
+            const request = fn(transaction.objectStore(OUTBOX_STORE));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+function createIdempotencyKey() {
+    if (self.crypto && self.crypto.randomUUID) {
+        return self.crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+function queueOutboxRequest(url, body, idempotencyKey) {
+    return withOutboxStore('readwrite', store => store.put({
+        idempotencyKey,
+        url,
+        body,
+        queuedAt: new Date().toISOString()
+    }));
+}
+
+// Queued requests, oldest first
+async function listOutbox() {
+    const requests = await withOutboxStore('readonly', store => store.getAll());
+    return (requests || []).sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+}
+
+function removeOutboxRequest(idempotencyKey) {
+    return withOutboxStore('readwrite', store => store.delete(idempotencyKey));
+}
+
+function sendOutboxRequest(url, body, idempotencyKey) {
+    return fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Idempotency-Key': idempotencyKey
+        },
+        body: JSON.stringify(body)
+    });
+}
+
+// Ask the service worker to replay the outbox once the connection is back (where Background Sync exists)
+async function requestOutboxSync() {
+    if (typeof navigator === 'undefined' || !('serviceWorker' in navigator) || !('SyncManager' in self)) {
+        return false;
+    }
+
+    try {
+        const registration = await navigator.serviceWorker.ready;
+        await registration.sync.register(OUTBOX_SYNC_TAG);
+        return true;
+    } catch (error) {
+        console.log('Background sync unavailable:', error.message);
+        return false;
+    }
+}
+
+/**
+ * POST a food entry, queueing it in the outbox when the network is unavailable.
+ *
+ * @returns {Promise<{queued: boolean, data?: object}>} data is the server's JSON response when it was reached
+ */
+async function postLogEntry(entry) {
+    const idempotencyKey = createIdempotencyKey();
+
+    try {
+        const response = await sendOutboxRequest('/api/log', entry, idempotencyKey);
+        return { queued: false, data: await response.json() };
+    } catch (error) {
+        // fetch only rejects on network failures; server errors come back as responses
+        await queueOutboxRequest('/api/log', entry, idempotencyKey);
+        await requestOutboxSync();
+        return { queued: true };
+    }
+}
+
+/**
+ * Replay queued requests in order. Stops at the first network failure,
+ * server error or 401 so the rest are retried later; requests the server rejects
+ * as invalid (4xx) are dropped and reported.
+ *
+ * @returns {Promise<{synced: number, rejected: Array, remaining: number}>}
+ */
+async function replayOutbox() {
+    const requests = await listOutbox();
+    const result = { synced: 0, rejected: [], remaining: requests.length };
+
+    for (const request of requests) {
+        let response;
+        try {
+            response = await sendOutboxRequest(request.url, request.body, request.idempotencyKey);
+        } catch (error) {
+            break; // Still offline
+        }
+
+        // Server trouble, or signed out: keep the entry until the next sync after signing in
+        if (response.status >= 500 || response.status === 401) {
+            break;
+        }
+
+        if (response.ok) {
+            result.synced++;
+        } else {
+            const data = await response.json().catch(() => ({}));
+            result.rejected.push({ ...request, error: data.error || `HTTP ${response.status}` });
+        }
+
+        await removeOutboxRequest(request.idempotencyKey);
+        result.remaining--;
+    }
+
+    return result;
+}
@@ -1,12 +1,16 @@
-const CACHE_NAME = 'calorie-diary-v1.0.1';
-const STATIC_CACHE = 'calorie-diary-static-v1.0.1';
-const DYNAMIC_CACHE = 'calorie-diary-dynamic-v1.0.1';
+// IndexedDB outbox shared with the pages (replayOutbox, OUTBOX_SYNC_TAG, ...)
+importScripts('/js/outbox.js');
+
+const CACHE_NAME = 'calorie-diary-v1.2.0';
+const STATIC_CACHE = 'calorie-diary-static-v1.2.0';
+const DYNAMIC_CACHE = 'calorie-diary-dynamic-v1.2.0';
 
 // Assets to cache on install (ONLY truly static assets)
 const STATIC_ASSETS = [
     // Remove dynamic pages from static cache - they need fresh data!
     // '/', '/log', '/summary', '/settings', - REMOVED
     '/css/style.css',
+    '/js/outbox.js',
     '/manifest.json',
     '/icons/icon-192x192.png',
     '/icons/icon-512x512.png',
@@ -21,6 +25,9 @@ const STATIC_ASSETS = [
 // Pages that need fresh data (network-first strategy)
 const DYNAMIC_PAGES = ['/', '/log', '/summary', '/settings'];
 
+// Pages whose last copy is kept for offline starts. The log form queues entries in the outbox while offline.
+const OFFLINE_PAGES = ['/log'];
+
 // Install event - cache static assets
 self.addEventListener('install', event => {
     console.log('Service Worker installing...');
@@ -86,7 +93,15 @@ self.addEventListener('fetch', event => {
             fetch(request)
                 .then(networkResponse => {
                     console.log('Network first - serving fresh:', request.url);
-                    // Don't cache dynamic pages to ensure fresh data
+                    // Don't cache dynamic pages to ensure fresh data, except the offline fallback copies
+                    // A redirect means we were sent to /login, which is not the page to keep offline
+                    if (networkResponse.ok && !networkResponse.redirected && OFFLINE_PAGES.includes(url.pathname)) {
+                        const responseClone = networkResponse.clone();
+                        caches.open(DYNAMIC_CACHE)
+                            .then(cache => {
+                                cache.put(request, responseClone);
+                            });
+                    }
                     return networkResponse;
                 })
                 .catch(error => {
@@ -145,12 +160,12 @@ self.addEventListener('fetch', event => {
 
 // Background sync for offline food entries
 self.addEventListener('sync', event => {
-    if (event.tag === 'food-entry-sync') {
+    if (event.tag === OUTBOX_SYNC_TAG) {
         event.waitUntil(syncFoodEntries());
     }
 });
 
-// Push notifications (future enhancement)
+// Push notifications: reminders and tests sent by the server (services/reminders.js)
 self.addEventListener('push', event => {
     if (!event.data) return;
 
@@ -160,6 +175,8 @@ self.addEventListener('push', event => {
         icon: '/icons/icon-192x192.png',
         badge: '/icons/icon-72x72.png',
         data: data.data,
+        // A newer reminder of the same kind replaces the old one instead of stacking up
+        tag: data.tag,
         actions: [
             {
                 action: 'view',
@@ -179,33 +196,24 @@ self.addEventListener('notificationclick', event => {
     event.notification.close();
 
     if (event.action === 'view' || !event.action) {
+        const url = (event.notification.data && event.notification.data.url) || '/';
         event.waitUntil(
-            clients.openWindow('/')
+            clients.openWindow(url)
         );
     }
 });
 
-// Sync offline food entries when back online
+// Replay the IndexedDB outbox and tell open pages what was synced
 async function syncFoodEntries() {
-    try {
-        const cache = await caches.open(DYNAMIC_CACHE);
-        const requests = await cache.keys();
+    const result = await replayOutbox();
+    console.log('Outbox sync:', result);
 
-        const offlineEntries = requests.filter(request =>
-            request.url.includes('/api/log') && request.method === 'POST'
-        );
+    const windowClients = await self.clients.matchAll({ type: 'window' });
+    windowClients.forEach(client => client.postMessage({ type: 'OUTBOX_SYNCED', ...result }));
 
-        for (const request of offlineEntries) {
-            try {
-                await fetch(request);
-                await cache.delete(request);
-                console.log('Synced offline entry:', request.url);
-            } catch (error) {
-                console.error('Failed to sync entry:', error);
-            }
-        }
-    } catch (error) {
-        console.error('Background sync failed:', error);
+    // Rejecting makes the browser retry the sync later
+    if (result.remaining > 0) {
+        throw new Error(`${result.remaining} food entries still waiting to sync`);
     }
 }
 
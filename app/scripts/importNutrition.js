@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+/**
+ * Load an Open Food Facts export into the barcode nutrition database.
+ *
+ *   npm run import-nutrition -- <file> [--country=en:germany] [--replace]
+ *
+ * <file> is the JSONL dump or the CSV export, optionally gzipped. The full
+ * dump holds millions of products; --country keeps the database (and the
+ * server's memory) to the products sold where you shop.
+ */
+const { NutritionDatabase } = require('../services/nutritionDatabase');
+
+async function main(args) {
+    const options = { country: null, replace: false };
+    const files = [];
+    args.forEach(arg => {
+        if (arg.startsWith('--country=')) {
+            options.country = arg.slice('--country='.length).toLowerCase();
+        } else if (arg === '--replace') {
+            options.replace = true;
+        } else {
+            files.push(arg);
+        }
+    });
+
+    if (files.length !== 1) {
+        console.error('Usage: npm run import-nutrition -- <file> [--country=en:germany] [--replace]');
+        process.exitCode = 1;
+        return;
+    }
+
+    const database = new NutritionDatabase();
+    const { imported, skipped, total } = await database.importOpenFoodFacts(files[0], options);
+    console.log(`Imported ${imported} product(s), skipped ${skipped}. ${database.dbFile} now holds ${total}.`);
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error('Import failed:', error.message);
+    process.exitCode = 1;
+});
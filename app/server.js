@@ -2,290 +2,1592 @@ const express = require('express');
 const bodyParser = require('body-parser');
 const cors = require('cors');
 const path = require('path');
-const GoogleSheetsService = require('./services/googleSheets');
+const { createStorageService } = require('./services');
+const { calculateGoal, FORMULAS } = require('./services/goalCalculator');
+const { HISTORY_LIMIT, searchFoods, frequentFoods } = require('./services/foodLibrary');
+const { NutritionDatabase, normalizeBarcode } = require('./services/nutritionDatabase');
+const { pickMeal, computeMealTotals, buildMealEntries } = require('./services/meals');
+const { parseQuickEntry } = require('./services/quickEntry');
+const { isValidIdempotencyKey, runOnce } = require('./services/idempotency');
+const { RANGE_QUERY, parseRangeQuery, isInRange, fetchAllPages } = require('./services/dateRange');
+const { DEFAULT_TIMEZONE, resolveTimeZone, toDateKey, todayKey, currentTime, daysInMonth } = require('./services/dateUtils');
+const { pickWeightEntry, withTrend, syncGoalWeight } = require('./services/weightLog');
+const { EXERCISE_TYPES, resolveExerciseEntry, filterExercise } = require('./services/exerciseLog');
+const { metricKey, findMetric, nextMetricValue, withDayValues, metricsByDate } = require('./services/dailyMetrics');
+const { parseReportQuery, buildReport } = require('./services/reports');
+const { validateReminders, ReminderScheduler } = require('./services/reminders');
+const { readVapidConfig, sendNotification, validateSubscription } = require('./services/webPush');
+const { GoogleApiError } = require('./services/resilience');
+const { ValidationError, validate } = require('./services/validation');
+const schemas = require('./services/requestSchemas');
+const {
+    IMPORT_PRESETS, collectExport, exportToCsv, parseImport, splitDuplicates, fetchExistingEntries, writeInBatches
+} = require('./services/diaryTransfer');
+const {
+    SESSION_COOKIE, LoginThrottle, createSessionToken, readSessionToken, parseCookies, resolveSessionSecret
+} = require('./services/auth');
+const { UserStore, toPublicUser } = require('./services/userStore');
+const StorageRegistry = require('./services/storageRegistry');
+const PushStore = require('./services/pushStore');
+const WebhookStore = require('./services/webhookStore');
+const { MAX_WEBHOOKS, WebhookDispatcher, checkWebhookUrl, createWebhook, toPublicWebhook } = require('./services/webhooks');
+const { MAX_TOKENS, ApiTokenStore, RateLimiter, readBearerToken, toPublicToken } = require('./services/apiTokens');
+const {
+    ApiError, toApiError, toApiEntry, toApiSummary, toApiToday, toApiExercise, toApiWeight
+} = require('./services/publicApi');
+const { buildOpenApiDocument } = require('./services/openapi');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Initialize Google Sheets service
-const sheetsService = new GoogleSheetsService();
+// "local" (default) requires signing in and gives every user their own storage,
+// "none" keeps the single shared diary without login
+const AUTH_MODE = (process.env.AUTH_MODE || 'local').toLowerCase();
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || 'sheets').toLowerCase();
+// Choices for the time zone setting
+const TIME_ZONES = Intl.supportedValuesOf('timeZone');
+const SESSION_TTL_MS = (parseFloat(process.env.SESSION_TTL_HOURS) || 24 * 7) * 60 * 60 * 1000;
+
+// Outbound webhooks (see services/webhooks.js); the day events come from each diary's summary calculation
+const webhookStore = new WebhookStore();
+const webhookDispatcher = new WebhookDispatcher({ store: webhookStore });
+const sendDayEvents = (storage, userId) => storage.on('calculated', result => {
+    webhookDispatcher.handleCalculation(userId, result).catch(error => console.error('Error sending day webhooks:', error.message));
+});
+
+// Initialize storage backend (Google Sheets or local file, see STORAGE_BACKEND)
+const sharedStorage = AUTH_MODE === 'none' ? createStorageService() : null;
+const userStore = new UserStore();
+const storageRegistry = new StorageRegistry(STORAGE_BACKEND, { onCreate: (service, user) => sendDayEvents(service, user.id) });
+const loginThrottle = new LoginThrottle();
+const sessionSecret = AUTH_MODE === 'none' ? null : resolveSessionSecret();
+
+// Web Push is on when VAPID keys are configured
+const vapid = readVapidConfig();
+const pushStore = new PushStore();
+// Barcode lookups, shared by all accounts
+const nutritionDatabase = new NutritionDatabase();
+// Personal access tokens for /api/v1, each with its own rate limit
+const apiTokenStore = new ApiTokenStore();
+const apiRateLimiter = new RateLimiter();
+// Owner of subscriptions, reminders and webhooks without sign-in
+const SHARED_USER_ID = 'shared';
+if (sharedStorage) {
+    sendDayEvents(sharedStorage, SHARED_USER_ID);
+}
+const reminderScheduler = new ReminderScheduler({
+    pushStore,
+    storageFor: async userId => {
+        if (AUTH_MODE === 'none') {
+            return sharedStorage;
+        }
+        const user = userStore.findById(userId);
+        return user ? storageRegistry.forUser(user) : null;
+    },
+    send: (subscription, payload) => sendNotification(subscription, payload, vapid)
+});
 
 // Middleware
-app.use(cors());
+// Cross-origin requests are only allowed from the comma-separated CORS_ORIGIN list
+const corsOrigins = (process.env.CORS_ORIGIN || '').split(',').map(origin => origin.trim()).filter(Boolean);
+app.use(cors({ origin: corsOrigins.length ? corsOrigins : false, credentials: true }));
+// CSV imports arrive as JSON and need more room than the default 100kb; the general parser then skips them
+app.use('/api/import', bodyParser.json({ limit: '5mb' }));
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 app.use(express.static('public'));
 
-// Set view engine
-app.set('view engine', 'ejs');
-app.set('views', path.join(__dirname, 'views'));
+// Set view engine
+app.set('view engine', 'ejs');
+app.set('views', path.join(__dirname, 'views'));
+
+// Respond to a failed API call. Google API failures carry their own status code and a message users can act on;
+// invalid input gets a 400 listing a message per field.
+function sendError(res, error) {
+    if (error instanceof ValidationError) {
+        return res.status(400).json({ error: error.message, kind: 'validation', fields: error.fields });
+    }
+    if (error instanceof GoogleApiError) {
+        if (error.retryAfterMs) {
+            res.set('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
+        }
+        return res.status(error.status).json({ error: error.message, kind: error.kind });
+    }
+
+    res.status(500).json({ error: error.message });
+}
+
+// Respond to a failed /api/v1 call with { error: { code, message, fields? } } (see services/publicApi.js)
+function sendApiError(res, error) {
+    const { status, body, retryAfterMs } = toApiError(error);
+    if (retryAfterMs) {
+        res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+    }
+    if (status >= 500) {
+        console.error('API error:', error.stack || error.message);
+    }
+    res.status(status).json(body);
+}
+
+/**
+ * Check req.params, req.query and req.body against the given schemas
+ * (services/requestSchemas.js) and replace them with the cleaned values.
+ * Throws one ValidationError listing the errors in all three.
+ */
+function checkRequest(req, { params, query, body }) {
+    const fields = {};
+    Object.entries({ params, query, body }).forEach(([part, schema]) => {
+        if (!schema) {
+            return;
+        }
+        try {
+            req[part] = validate(schema, req[part]);
+        } catch (error) {
+            if (!(error instanceof ValidationError)) throw error;
+            Object.assign(fields, error.fields);
+        }
+    });
+
+    if (Object.keys(fields).length) {
+        throw new ValidationError(fields);
+    }
+}
+
+// Middleware running checkRequest, for the routes below and for /api/v1
+const requestValidator = send => schemas => (req, res, next) => {
+    try {
+        checkRequest(req, schemas);
+    } catch (error) {
+        return send(res, error);
+    }
+    next();
+};
+const validateRequest = requestValidator(sendError);
+const validateApiRequest = requestValidator(sendApiError);
+
+// Idempotency keys only have to be unique per user, so in-flight dedupe is scoped to the user
+const userScopedKey = (req, key) => (key && req.user ? `${req.user.id}:${key}` : key);
+
+// from/to/cursor switch the log and summary endpoints from "latest N" to date-range paging
+const isRangeRequest = query => Boolean(query.from || query.to || query.cursor);
+
+// Middleware to disable caching for dynamic content
+// Source - https://stackoverflow.com/a/40277517
+// Posted by XCEPTION
+// Retrieved 2025-12-29, License - CC BY-SA 3.0
+const disableCache = (req, res, next) => {
+    res.header('Cache-Control', 'private, no-cache, no-store, must-revalidate');
+    res.header('Expires', '-1');
+    res.header('Pragma', 'no-cache');
+    next();
+};
+
+// Routes
+
+// PWA Routes
+app.get('/manifest.json', (req, res) => {
+    res.setHeader('Content-Type', 'application/manifest+json');
+    res.sendFile(path.join(__dirname, 'public', 'manifest.json'));
+});
+
+app.get('/sw.js', (req, res) => {
+    res.setHeader('Content-Type', 'application/javascript');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.sendFile(path.join(__dirname, 'public', 'sw.js'));
+});
+
+// Authentication
+
+// Reachable without signing in (static files are served before this)
+const PUBLIC_PATHS = ['/login', '/register', '/logout', '/health', '/manifest.json', '/sw.js'];
+
+// Only redirect back to paths on this site
+const safeNextPath = next => (typeof next === 'string' && next.startsWith('/') && !next.startsWith('//') ? next : '/');
+
+// Registration is open when ALLOW_REGISTRATION=true, and always for the first account
+const isRegistrationOpen = () => process.env.ALLOW_REGISTRATION === 'true' || userStore.count() === 0;
+
+function sessionUser(req) {
+    const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    const userId = readSessionToken(token, sessionSecret);
+    return userId ? userStore.findById(userId) : null;
+}
+
+// HttpOnly keeps the token away from scripts, SameSite=Lax keeps other sites from posting with it
+function startSession(res, user) {
+    res.cookie(SESSION_COOKIE, createSessionToken(user.id, sessionSecret, SESSION_TTL_MS), {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: process.env.NODE_ENV === 'production',
+        maxAge: SESSION_TTL_MS,
+        path: '/'
+    });
+}
+
+// Accepts a bare spreadsheet ID or a docs.google.com URL
+function parseSpreadsheetId(input) {
+    const value = (input || '').toString().trim();
+    const match = value.match(/\/spreadsheets\/d\/([A-Za-z0-9_-]+)/);
+    return match ? match[1] : value;
+}
+
+/**
+ * Pick the storage partition for a new account: the existing diary
+ * (SPREADSHEET_ID or LOCAL_DATA_FILE) goes to the first account, later
+ * accounts bring their own spreadsheet or get their own data file.
+ */
+function storageForNewUser(userId, spreadsheet) {
+    const firstUser = userStore.count() === 0;
+
+    if (STORAGE_BACKEND === 'local') {
+        const defaultFile = process.env.LOCAL_DATA_FILE || './data/calorie-diary.json';
+        const dataFile = firstUser ? defaultFile : path.join(path.dirname(defaultFile), 'users', `${userId}.json`);
+        return { storage: { dataFile: path.resolve(dataFile) } };
+    }
+
+    const spreadsheetId = parseSpreadsheetId(spreadsheet) || (firstUser ? process.env.SPREADSHEET_ID : '');
+    if (!spreadsheetId) {
+        return { error: 'Enter the ID or URL of your copy of the diary spreadsheet' };
+    }
+    // The service account can open every user's spreadsheet, so one spreadsheet must never back two accounts
+    if (userStore.users.some(user => user.storage.spreadsheetId === spreadsheetId)) {
+        return { error: 'That spreadsheet is already used by another account' };
+    }
+    return { storage: { spreadsheetId } };
+}
+
+async function registerUser({ username, password, confirmPassword, spreadsheet }) {
+    if (!isRegistrationOpen()) {
+        return { status: 403, error: 'Registration is closed. Ask the administrator for an account.' };
+    }
+
+    const invalid = userStore.validateNewUser(username, password) ||
+        (password !== confirmPassword ? 'Passwords do not match' : null);
+    if (invalid) {
+        return { status: 400, error: invalid };
+    }
+
+    const user = await userStore.buildUser(username, password, null);
+    const { storage, error } = storageForNewUser(user.id, spreadsheet);
+    if (error) {
+        return { status: 400, error };
+    }
+
+    try {
+        // Fails early when the spreadsheet isn't shared with the service account or lacks the diary sheets
+        const service = await storageRegistry.open(storage);
+        await service.getDashboardData();
+    } catch (openError) {
+        return { status: 502, error: `Could not open your diary: ${openError.message}` };
+    }
+
+    user.storage = storage;
+    await userStore.addUser(user);
+    console.log(`Registered user ${user.username}`);
+    return { user };
+}
+
+// One registration at a time, so two sign-ups can't claim the same name or the first user's diary
+let registrationQueue = Promise.resolve();
+
+function renderAuthPage(res, mode, { status = 200, error = null, username = '', next = '/' } = {}) {
+    res.status(status).render('login', {
+        mode,
+        error,
+        username,
+        next,
+        registrationOpen: isRegistrationOpen(),
+        needsSpreadsheet: STORAGE_BACKEND !== 'local'
+    });
+}
+
+app.get('/login', disableCache, (req, res) => {
+    const next = safeNextPath(req.query.next);
+    if (AUTH_MODE === 'none' || sessionUser(req)) {
+        return res.redirect(next);
+    }
+    renderAuthPage(res, 'login', { next });
+});
+
+app.post('/login', async (req, res) => {
+    const next = safeNextPath(req.body.next);
+    if (AUTH_MODE === 'none') {
+        return res.redirect(next);
+    }
+
+    let body;
+    try {
+        body = validate(schemas.LOGIN_BODY, req.body);
+    } catch (error) {
+        return renderAuthPage(res, 'login', { status: 400, error: error.message, next });
+    }
+    const username = (body.username || '').toLowerCase();
+
+    const lockedMs = loginThrottle.lockedFor(username);
+    if (lockedMs) {
+        return renderAuthPage(res, 'login', {
+            status: 429,
+            error: `Too many failed sign-ins. Try again in ${Math.ceil(lockedMs / 60000)} minutes.`,
+            username,
+            next
+        });
+    }
+
+    let user;
+    try {
+        user = await userStore.authenticate(username, body.password);
+    } catch (error) {
+        console.error('Error signing in:', error.message);
+        return renderAuthPage(res, 'login', { status: 500, error: 'Could not sign in, please try again', username, next });
+    }
+    if (!user) {
+        loginThrottle.recordFailure(username);
+        return renderAuthPage(res, 'login', { status: 401, error: 'Incorrect username or password', username, next });
+    }
+
+    loginThrottle.recordSuccess(username);
+    startSession(res, user);
+    res.redirect(next);
+});
+
+app.get('/register', disableCache, (req, res) => {
+    if (AUTH_MODE === 'none') {
+        return res.redirect('/');
+    }
+    renderAuthPage(res, 'register', { next: safeNextPath(req.query.next) });
+});
+
+app.post('/register', async (req, res) => {
+    const next = safeNextPath(req.body.next);
+    if (AUTH_MODE === 'none') {
+        return res.redirect(next);
+    }
+
+    let body;
+    try {
+        body = validate(schemas.REGISTER_BODY, req.body);
+    } catch (error) {
+        return renderAuthPage(res, 'register', { status: 400, error: error.message, next });
+    }
+
+    try {
+        registrationQueue = registrationQueue.catch(() => {}).then(() => registerUser(body));
+        const { user, status, error } = await registrationQueue;
+        if (error) {
+            return renderAuthPage(res, 'register', { status, error, username: body.username, next });
+        }
+
+        startSession(res, user);
+        res.redirect(next);
+    } catch (error) {
+        console.error('Error registering user:', error.message);
+        renderAuthPage(res, 'register', { status: 500, error: error.message, username: body.username, next });
+    }
+});
+
+app.post('/logout', (req, res) => {
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+    res.redirect('/login');
+});
+
+// Versioned public API for scripts and apps, authenticated with personal access tokens
+// instead of the session, so it's mounted before the session check below
+const apiV1 = express.Router();
+app.use('/api/v1', disableCache, apiV1);
+
+// The OpenAPI description is public, like the docs it stands in for
+apiV1.get('/openapi.json', (req, res) => {
+    res.json(buildOpenApiDocument());
+});
+
+// "Authorization: Bearer <token>": the token's owner becomes req.user and their diary req.storage
+apiV1.use(async (req, res, next) => {
+    try {
+        const token = await apiTokenStore.authenticate(readBearerToken(req.get('authorization')));
+        const user = token && AUTH_MODE !== 'none' ? userStore.findById(token.userId) : null;
+        if (!token || (AUTH_MODE === 'none' ? token.userId !== SHARED_USER_ID : !user)) {
+            throw new ApiError(401, 'unauthorized', 'Send a valid personal access token as "Authorization: Bearer <token>"');
+        }
+
+        const limit = apiRateLimiter.take(token.id);
+        res.set({
+            'RateLimit-Limit': String(limit.limit),
+            'RateLimit-Remaining': String(limit.remaining),
+            'RateLimit-Reset': String(Math.ceil(limit.resetMs / 1000))
+        });
+        if (!limit.allowed) {
+            throw new ApiError(429, 'rate_limited', `This token is limited to ${limit.limit} requests per window`, { retryAfterMs: limit.resetMs });
+        }
+
+        req.apiToken = token;
+        req.user = user;
+        req.storage = user ? await storageRegistry.forUser(user) : sharedStorage;
+        next();
+    } catch (error) {
+        sendApiError(res, error);
+    }
+});
+
+const requireScope = scope => (req, res, next) => {
+    if (!req.apiToken.scopes.includes(scope)) {
+        return sendApiError(res, new ApiError(403, 'forbidden', `This token needs the "${scope}" scope`));
+    }
+    next();
+};
+
+apiV1.get('/entries', requireScope('read'), validateApiRequest({ query: RANGE_QUERY }), async (req, res) => {
+    try {
+        const { entries, nextCursor } = await req.storage.queryLogEntries(parseRangeQuery(req.query));
+        res.json({ data: entries.map(toApiEntry), nextCursor });
+    } catch (error) {
+        sendApiError(res, error);
+    }
+});
+
+apiV1.post('/entries', requireScope('write'), validateApiRequest({ body: schemas.LOG_ENTRY_BODY }), withTimeZone, async (req, res) => {
+    try {
+        const { result, entry } = await addLogEntryFromRequest(req);
+        res.status(result.duplicate ? 200 : 201).json({ data: toApiEntry(entry) });
+    } catch (error) {
+        sendApiError(res, error);
+    }
+});
+
+apiV1.put('/entries/:id', requireScope('write'), validateApiRequest({ params: schemas.ID_PARAMS, body: schemas.LOG_ENTRY_BODY }), withTimeZone, async (req, res) => {
+    try {
+        const { date, time, mealType, description, calories, protein, carbs, fat } = req.body;
+        const dateKey = entryDateKey(date, req.timeZone);
+
+        const result = await req.storage.updateLogEntry(req.params.id, dateKey, time, mealType, description, calories, { protein, carbs, fat });
+        if (!result) {
+            throw new ApiError(404, 'not_found', 'Log entry not found');
+        }
+        res.json({ data: toApiEntry(result.entry || { id: result.id, date: dateKey, time, mealType, description, calories, protein, carbs, fat }) });
+    } catch (error) {
+        sendApiError(res, error);
+    }
+});
+
+apiV1.delete('/entries/:id', requireScope('write'), validateApiRequest({ params: schemas.ID_PARAMS }), async (req, res) => {
+    try {
+        if (!await req.storage.deleteLogEntry(req.params.id)) {
+            throw new ApiError(404, 'not_found', 'Log entry not found');
+        }
+        res.status(204).end();
+    } catch (error) {
+        sendApiError(res, error);
+    }
+});
+
+apiV1.get('/summaries', requireScope('read'), validateApiRequest({ query: RANGE_QUERY }), async (req, res) => {
+    try {
+        const { summaries, nextCursor } = await req.storage.querySummaries(parseRangeQuery(req.query, 30));
+        res.json({ data: summaries.map(toApiSummary), nextCursor });
+    } catch (error) {
+        sendApiError(res, error);
+    }
+});
+
+apiV1.get('/today', requireScope('read'), async (req, res) => {
+    try {
+        res.json({ data: toApiToday(await req.storage.getDashboardData()) });
+    } catch (error) {
+        sendApiError(res, error);
+    }
+});
+
+apiV1.get('/exercise', requireScope('read'), validateApiRequest({ query: RANGE_QUERY }), async (req, res) => {
+    try {
+        const entries = filterExercise(await req.storage.getExerciseEntries(), parseRangeQuery(req.query));
+        res.json({ data: entries.map(toApiExercise) });
+    } catch (error) {
+        sendApiError(res, error);
+    }
+});
+
+apiV1.post('/exercise', requireScope('write'), validateApiRequest({ body: schemas.EXERCISE_BODY }), withTimeZone, async (req, res) => {
+    try {
+        const result = await req.storage.addExerciseEntry(await exerciseFromRequest(req));
+        res.status(201).json({ data: toApiExercise(result.entry) });
+    } catch (error) {
+        sendApiError(res, error);
+    }
+});
+
+apiV1.get('/weight', requireScope('read'), validateApiRequest({ query: RANGE_QUERY }), async (req, res) => {
+    try {
+        const range = parseRangeQuery(req.query);
+        const entries = withTrend(await req.storage.getWeightEntries()).filter(entry => isInRange(entry.date, range));
+        res.json({ data: entries.map(toApiWeight) });
+    } catch (error) {
+        sendApiError(res, error);
+    }
+});
+
+apiV1.post('/weight', requireScope('write'), validateApiRequest({ body: schemas.WEIGHT_BODY }), withTimeZone, async (req, res) => {
+    try {
+        const result = await saveWeightFromRequest(req);
+        res.status(result.replaced ? 200 : 201).json({ data: toApiWeight(result.entry) });
+    } catch (error) {
+        sendApiError(res, error);
+    }
+});
+
+apiV1.use((req, res) => {
+    sendApiError(res, new ApiError(404, 'not_found', `No endpoint ${req.method} /api/v1${req.path}`));
+});
+
+// Every route below runs against the signed-in user's storage (req.storage)
+app.use(async (req, res, next) => {
+    if (AUTH_MODE === 'none') {
+        req.storage = sharedStorage;
+        return next();
+    }
+    if (PUBLIC_PATHS.includes(req.path)) {
+        return next();
+    }
+
+    const user = sessionUser(req);
+    if (!user) {
+        if (req.path.startsWith('/api/')) {
+            return res.status(401).json({ error: 'Please sign in again', kind: 'unauthenticated' });
+        }
+        return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+    }
+
+    try {
+        req.storage = await storageRegistry.forUser(user);
+    } catch (error) {
+        if (req.path.startsWith('/api/')) {
+            return sendError(res, error);
+        }
+        return res.status(502).render('error', { error: 'Could not open your diary', message: error.message });
+    }
+
+    req.user = user;
+    res.locals.user = toPublicUser(user);
+    next();
+});
+
+// The user's time zone from the settings, as req.timeZone and res.locals.timeZone for page scripts.
+// Routes that decide which day something falls on use it; a failed read falls back to DEFAULT_TIMEZONE.
+async function withTimeZone(req, res, next) {
+    try {
+        const { personal } = await req.storage.getDashboardData();
+        req.timeZone = resolveTimeZone(personal.timezone);
+    } catch (error) {
+        req.timeZone = resolveTimeZone();
+    }
+    res.locals.timeZone = req.timeZone;
+    next();
+}
+
+// Key for the user's push subscriptions, reminders and webhooks
+const pushUserId = req => (req.user ? req.user.id : SHARED_USER_ID);
+
+// What the settings page needs to manage notifications on this device
+const pushSettings = req => ({
+    enabled: Boolean(vapid),
+    publicKey: vapid ? vapid.publicKey : null,
+    devices: pushStore.subscriptionsFor(pushUserId(req)).length
+});
+
+// Timestamps sent as a date (e.g. "2025-01-15T17:30:00Z") are logged on the user's calendar day
+const entryDateKey = (date, timeZone) => toDateKey(date, timeZone) || date;
+
+// Home page - Dashboard view
+app.get('/', disableCache, withTimeZone, async (req, res) => {
+    try {
+        const [dashboard, recentEntries] = await Promise.all([
+            req.storage.getDashboardData(),
+            req.storage.getLogEntries(5)
+        ]);
+
+        res.render('dashboard', {
+            dashboard,
+            dashboardDate: toDateKey(dashboard.today.date),
+            recentEntries,
+            error: null
+        });
+    } catch (error) {
+        res.render('dashboard', {
+            dashboard: null,
+            recentEntries: [],
+            error: error.message
+        });
+    }
+});
+
+// Log entry form page
+app.get('/log', disableCache, withTimeZone, (req, res) => {
+    res.render('log', { error: null, success: null, exerciseTypes: Object.keys(EXERCISE_TYPES) });
+});
+
+/**
+ * Log the entry in req.body (LOG_ENTRY_BODY) for POST /api/log and POST /api/v1/entries.
+ * Returns the storage's result and the entry as logged.
+ */
+async function addLogEntryFromRequest(req) {
+    const { date, time, mealType, description, calories, protein, carbs, fat } = req.body;
+
+    // Offline replays send the same Idempotency-Key, so an entry is never logged twice
+    const requestId = req.get('Idempotency-Key');
+    if (requestId !== undefined && !isValidIdempotencyKey(requestId)) {
+        throw new ValidationError({ 'Idempotency-Key': 'must be 8-100 letters, digits, dashes or underscores' });
+    }
+
+    const dateKey = entryDateKey(date, req.timeZone);
+    const result = await runOnce(userScopedKey(req, requestId), async () => {
+        const added = await req.storage.addLogEntry(dateKey, time, mealType, description, calories, { protein, carbs, fat }, { requestId });
+        if (!added.duplicate) {
+            await webhookDispatcher.emit(pushUserId(req), 'entry.created', {
+                id: added.id, date: dateKey, time, mealType, description, calories, protein, carbs, fat
+            });
+        }
+        return added;
+    });
+    const entry = result.entry || { id: result.id, date: dateKey, time, mealType, description, calories, protein, carbs, fat };
+    return { result, entry };
+}
+
+// Add new log entry
+app.post('/api/log', validateRequest({ body: schemas.LOG_ENTRY_BODY }), withTimeZone, async (req, res) => {
+    try {
+        const { result } = await addLogEntryFromRequest(req);
+        res.json({ success: true, data: result });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Parse quick entry text into entries for the log page to preview; nothing is logged
+app.post('/api/log/parse', validateRequest({ body: schemas.QUICK_ENTRY_BODY }), withTimeZone, async (req, res) => {
+    try {
+        const [foods, entries] = await Promise.all([
+            req.storage.getFoods(),
+            req.storage.getLogEntries(HISTORY_LIMIT)
+        ]);
+        const parsed = parseQuickEntry(req.body.text, {
+            today: todayKey(req.timeZone),
+            time: currentTime(req.timeZone),
+            foods,
+            entries
+        });
+        res.json({ success: true, data: parsed });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Update an existing log entry
+app.put('/api/log/:id', validateRequest({ params: schemas.ID_PARAMS, body: schemas.LOG_ENTRY_BODY }), withTimeZone, async (req, res) => {
+    try {
+        const { date, time, mealType, description, calories, protein, carbs, fat } = req.body;
+
+        const result = await req.storage.updateLogEntry(req.params.id, entryDateKey(date, req.timeZone), time, mealType, description, calories, {
+            protein, carbs, fat
+        });
+        if (!result) {
+            return res.status(404).json({ error: 'Log entry not found' });
+        }
+
+        res.json({ success: true, data: result });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Delete a log entry
+app.delete('/api/log/:id', validateRequest({ params: schemas.ID_PARAMS }), async (req, res) => {
+    try {
+        const result = await req.storage.deleteLogEntry(req.params.id);
+        if (!result) {
+            return res.status(404).json({ error: 'Log entry not found' });
+        }
+
+        res.json({ success: true, data: result });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Get log entries: the most recently added ones, or with from/to/cursor a page of a date range
+app.get('/api/log', disableCache, validateRequest({ query: RANGE_QUERY }), async (req, res) => {
+    try {
+        if (!isRangeRequest(req.query)) {
+            const entries = await req.storage.getLogEntries(req.query.limit || 20);
+            return res.json({ success: true, data: entries });
+        }
+
+        const { entries, nextCursor } = await req.storage.queryLogEntries(parseRangeQuery(req.query));
+        res.json({ success: true, data: entries, nextCursor });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Food library page
+app.get('/foods', disableCache, withTimeZone, async (req, res) => {
+    try {
+        const [foods, meals] = await Promise.all([req.storage.getFoods(), req.storage.getMeals()]);
+        res.render('foods', {
+            foods,
+            meals: meals.map(meal => ({ ...meal, perServing: computeMealTotals(meal, 1) })),
+            error: null
+        });
+    } catch (error) {
+        res.render('foods', { foods: [], meals: [], error: error.message });
+    }
+});
+
+// Get saved foods
+app.get('/api/foods', disableCache, async (req, res) => {
+    try {
+        const foods = await req.storage.getFoods();
+        res.json({ success: true, data: foods });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Autocomplete: saved foods and past log descriptions matching ?q=
+app.get('/api/foods/search', disableCache, validateRequest({ query: schemas.FOOD_SEARCH_QUERY }), async (req, res) => {
+    try {
+        const limit = req.query.limit || 10;
+        const [foods, entries] = await Promise.all([
+            req.storage.getFoods(),
+            req.storage.getLogEntries(HISTORY_LIMIT)
+        ]);
+        res.json({ success: true, data: searchFoods(foods, entries, req.query.q || '', limit) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Most frequently logged foods, for the quick-add presets
+app.get('/api/foods/frequent', disableCache, validateRequest({ query: schemas.FREQUENT_FOODS_QUERY }), async (req, res) => {
+    try {
+        const limit = req.query.limit || 6;
+        const [foods, entries] = await Promise.all([
+            req.storage.getFoods(),
+            req.storage.getLogEntries(HISTORY_LIMIT)
+        ]);
+        res.json({ success: true, data: frequentFoods(foods, entries, limit) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Nutrition of a packaged food by barcode, for pre-filling the log form
+app.get('/api/foods/barcode/:code', validateRequest({ params: schemas.BARCODE_PARAMS }), async (req, res) => {
+    try {
+        if (!normalizeBarcode(req.params.code)) {
+            throw new ValidationError({ code: 'is not a valid barcode' });
+        }
+
+        const food = await nutritionDatabase.lookup(req.params.code);
+        if (!food) {
+            return res.status(404).json({ error: 'No food found for this barcode' });
+        }
+
+        res.json({ success: true, data: food });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Save a food to the library
+app.post('/api/foods', validateRequest({ body: schemas.FOOD_BODY }), async (req, res) => {
+    try {
+        const result = await req.storage.addFood(req.body);
+        res.json({ success: true, data: result });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Update a saved food
+app.put('/api/foods/:id', validateRequest({ params: schemas.ID_PARAMS, body: schemas.FOOD_BODY }), async (req, res) => {
+    try {
+        const result = await req.storage.updateFood(req.params.id, req.body);
+        if (!result) {
+            return res.status(404).json({ error: 'Food not found' });
+        }
+
+        res.json({ success: true, data: result });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Delete a saved food
+app.delete('/api/foods/:id', validateRequest({ params: schemas.ID_PARAMS }), async (req, res) => {
+    try {
+        const result = await req.storage.deleteFood(req.params.id);
+        if (!result) {
+            return res.status(404).json({ error: 'Food not found' });
+        }
+
+        res.json({ success: true, data: result });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Saved meals, each with its per-serving totals
+app.get('/api/meals', disableCache, async (req, res) => {
+    try {
+        const meals = await req.storage.getMeals();
+        res.json({
+            success: true,
+            data: meals.map(meal => ({ ...meal, perServing: computeMealTotals(meal, 1) }))
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Save a meal made of several foods
+app.post('/api/meals', validateRequest({ body: schemas.MEAL_BODY }), async (req, res) => {
+    try {
+        const meal = pickMeal(req.body);
+        if (meal.components.length === 0) {
+            throw new ValidationError({ components: 'must include at least one named food' });
+        }
+
+        const result = await req.storage.addMeal(meal);
+        res.json({ success: true, data: result });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Update a saved meal
+app.put('/api/meals/:id', validateRequest({ params: schemas.ID_PARAMS, body: schemas.MEAL_BODY }), async (req, res) => {
+    try {
+        const meal = pickMeal(req.body);
+        if (meal.components.length === 0) {
+            throw new ValidationError({ components: 'must include at least one named food' });
+        }
+
+        const result = await req.storage.updateMeal(req.params.id, meal);
+        if (!result) {
+            return res.status(404).json({ error: 'Meal not found' });
+        }
+
+        res.json({ success: true, data: result });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Delete a saved meal
+app.delete('/api/meals/:id', validateRequest({ params: schemas.ID_PARAMS }), async (req, res) => {
+    try {
+        const result = await req.storage.deleteMeal(req.params.id);
+        if (!result) {
+            return res.status(404).json({ error: 'Meal not found' });
+        }
+
+        res.json({ success: true, data: result });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Log a saved meal in one write: one entry per component, or a single combined entry with combine=true
+app.post('/api/meals/:id/log', validateRequest({ params: schemas.ID_PARAMS, body: schemas.MEAL_LOG_BODY }), withTimeZone, async (req, res) => {
+    try {
+        const { date, time, mealType, servings, combine } = req.body;
+
+        const meals = await req.storage.getMeals();
+        const meal = meals.find(item => item.id === req.params.id);
+        if (!meal) {
+            return res.status(404).json({ error: 'Meal not found' });
+        }
+
+        const entries = buildMealEntries(meal, {
+            date: entryDateKey(date, req.timeZone), time, mealType, servings, combine
+        });
+        const result = await req.storage.addLogEntries(entries);
+        res.json({ success: true, data: result });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Daily summary page
+app.get('/summary', disableCache, withTimeZone, async (req, res) => {
+    try {
+        const [summaries, weights] = await Promise.all([
+            req.storage.getDailySummary(30),
+            req.storage.getWeightEntries()
+        ]);
+        res.render('summary', {
+            // Sheet dates may come back formatted (e.g. 1/15/2025); the page shows YYYY-MM-DD days
+            summaries: summaries.map(summary => ({ ...summary, date: toDateKey(summary.date) || summary.date })),
+            weights: withTrend(weights),
+            error: null
+        });
+    } catch (error) {
+        res.render('summary', { summaries: [], weights: [], error: error.message });
+    }
+});
+
+// Weekly/monthly report page
+app.get('/reports', disableCache, withTimeZone, async (req, res) => {
+    try {
+        const query = parseReportQuery(req.query, todayKey(req.timeZone));
+        const report = await buildReport(req.storage, query);
+        res.render('reports', { report, error: null });
+    } catch (error) {
+        res.render('reports', { report: null, error: error.message });
+    }
+});
 
-// Middleware to disable caching for dynamic content
-// Source - https://stackoverflow.com/a/40277517
-// Posted by XCEPTION
-// Retrieved 2025-12-29, License - CC BY-SA 3.0
-const disableCache = (req, res, next) => {
-    res.header('Cache-Control', 'private, no-cache, no-store, must-revalidate');
-    res.header('Expires', '-1');
-    res.header('Pragma', 'no-cache');
-    next();
-};
+// Analytics for the week or month (30 days) ending on end (default today): average intake,
+// adherence, streaks, best/worst days, calories per meal type and changes from the period before
+app.get('/api/reports', disableCache, withTimeZone, async (req, res) => {
+    try {
+        const query = parseReportQuery(req.query, todayKey(req.timeZone));
+        const report = await buildReport(req.storage, query);
+        res.json({ success: true, data: report });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
 
-// Routes
+// Get daily summary data: the latest days, or with from/to/cursor a page of a date range
+app.get('/api/summary', disableCache, validateRequest({ query: RANGE_QUERY }), async (req, res) => {
+    try {
+        if (!isRangeRequest(req.query)) {
+            const summaries = await req.storage.getDailySummary(req.query.limit || 30);
+            return res.json({ success: true, data: summaries });
+        }
 
-// PWA Routes
-app.get('/manifest.json', (req, res) => {
-    res.setHeader('Content-Type', 'application/manifest+json');
-    res.sendFile(path.join(__dirname, 'public', 'manifest.json'));
+        const { summaries, nextCursor } = await req.storage.querySummaries(parseRangeQuery(req.query, 30));
+        res.json({ success: true, data: summaries, nextCursor });
+    } catch (error) {
+        sendError(res, error);
+    }
 });
+// Get calendar data for journal (monthly view, or the whole year without month)
+app.get('/api/journal/calendar', disableCache, validateRequest({ query: schemas.CALENDAR_QUERY }), withTimeZone, async (req, res) => {
+    try {
+        const year = req.query.year || parseInt(todayKey(req.timeZone));
+        const { month } = req.query; // 0-11
+        const hasMonth = month !== undefined;
 
-app.get('/sw.js', (req, res) => {
-    res.setHeader('Content-Type', 'application/javascript');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.sendFile(path.join(__dirname, 'public', 'sw.js'));
+        const pad = value => String(value).padStart(2, '0');
+        const range = hasMonth
+            ? { from: `${year}-${pad(month + 1)}-01`, to: `${year}-${pad(month + 1)}-${pad(daysInMonth(year, month))}` }
+            : { from: `${year}-01-01`, to: `${year}-12-31` };
+        const [summaries, definitions, metricValues] = await Promise.all([
+            fetchAllPages(page => req.storage.querySummaries(page), range, 'summaries'),
+            req.storage.getMetricDefinitions(),
+            req.storage.getMetricValues()
+        ]);
+
+        // Keyed by day of month for a month, by YYYY-MM-DD for a year
+        const calendarData = {};
+        const calendarKey = dateKey => (hasMonth ? parseInt(dateKey.slice(8)) : dateKey);
+        summaries.forEach(summary => {
+            const dateKey = toDateKey(summary.date);
+            calendarData[calendarKey(dateKey)] = {
+                totalCalories: summary.totalIn,
+                maxCalories: summary.maxLimit,
+                status: summary.status,
+                // Sheets returns numbers as text, which would compare as strings
+                isOver: parseFloat(summary.net) > parseFloat(summary.maxLimit)
+            };
+        });
+
+        // Daily metrics, also on days without food logged
+        Object.entries(metricsByDate(definitions, metricValues))
+            .filter(([dateKey]) => isInRange(dateKey, range))
+            .forEach(([dateKey, metrics]) => {
+                const key = calendarKey(dateKey);
+                calendarData[key] = { ...calendarData[key], metrics };
+            });
+
+        res.json({ success: true, data: calendarData });
+    } catch (error) {
+        sendError(res, error);
+    }
 });
 
-// Home page - Dashboard view
-app.get('/', disableCache, async (req, res) => {
+// Get detailed entries for a specific date
+app.get('/api/journal/date/:date', disableCache, validateRequest({ params: schemas.DATE_PARAMS }), async (req, res) => {
     try {
-        const dashboard = await sheetsService.getDashboardData();
-        const recentEntries = await sheetsService.getLogEntries(5);
+        const targetDate = req.params.date; // YYYY-MM-DD format
+        const range = { from: targetDate, to: targetDate };
 
-        res.render('dashboard', {
-            dashboard,
-            recentEntries,
-            error: null
+        const [dateEntries, dateSummaries, exercise] = await Promise.all([
+            fetchAllPages(page => req.storage.queryLogEntries(page), range, 'entries'),
+            req.storage.querySummaries({ ...range, limit: 1 }).then(page => page.summaries),
+            req.storage.getExerciseEntries().then(entries => filterExercise(entries, range))
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                entries: dateEntries,
+                summary: dateSummaries[0] || null,
+                exercise,
+                date: targetDate
+            }
         });
     } catch (error) {
-        res.render('dashboard', {
-            dashboard: null,
-            recentEntries: [],
-            error: error.message
-        });
+        sendError(res, error);
     }
 });
 
-// Log entry form page
-app.get('/log', disableCache, (req, res) => {
-    res.render('log', { error: null, success: null });
+// Export the diary: JSON with entries, summaries and personal metrics, or one of them as CSV
+app.get('/api/export', disableCache, validateRequest({ query: schemas.EXPORT_QUERY }), async (req, res) => {
+    try {
+        const { format, dataset } = req.query;
+        const range = parseRangeQuery(req.query);
+        const data = await collectExport(req.storage, range);
+        const fileName = ['calorie-diary', format === 'csv' ? dataset : null, range.from, range.to].filter(Boolean).join('-');
+        res.attachment(`${fileName}.${format}`);
+
+        if (format === 'csv') {
+            return res.send(exportToCsv(data, dataset));
+        }
+        res.send(JSON.stringify(data, null, 2));
+    } catch (error) {
+        sendError(res, error);
+    }
 });
 
-// Add new log entry
-app.post('/api/log', async (req, res) => {
+// Import log entries from CSV. Without commit it only previews; with commit it writes the valid, new rows.
+app.post('/api/import', validateRequest({ body: schemas.IMPORT_BODY }), async (req, res) => {
+    const { csv, preset, mapping, defaultMealType, commit, skipInvalid } = req.body;
+
+    let parsed;
+    try {
+        parsed = parseImport(csv, { preset, mapping, defaultMealType, entrySchema: schemas.LOG_ENTRY_BODY });
+    } catch (validationError) {
+        return res.status(400).json({ error: validationError.message, presets: Object.keys(IMPORT_PRESETS) });
+    }
+
     try {
-        const { date, time, mealType, description, calories } = req.body;
+        const existing = await fetchExistingEntries(req.storage, parsed.rows);
+        const { fresh, duplicates } = splitDuplicates(parsed.rows, existing);
+        const report = {
+            preset: parsed.preset,
+            mapping: parsed.mapping,
+            total: parsed.total,
+            valid: parsed.rows.length,
+            duplicates: duplicates.length,
+            errors: parsed.errors
+        };
 
-        // Validate required fields
-        if (!date || !mealType || !description || !calories) {
+        if (!commit) {
+            return res.json({ success: true, preview: true, data: { ...report, sample: fresh.slice(0, 20).map(item => item.entry) } });
+        }
+        if (parsed.errors.length && !skipInvalid) {
             return res.status(400).json({
-                error: 'Missing required fields: date, mealType, description, calories'
+                error: `${parsed.errors.length} rows are invalid. Fix them, or import with skipInvalid to leave them out.`,
+                data: report
             });
         }
 
-        const result = await sheetsService.addLogEntry(date, time, mealType, description, calories);
+        const imported = await writeInBatches(req.storage, fresh.map(item => item.entry));
+        res.json({ success: true, data: { ...report, imported } });
+    } catch (error) {
+        if (error.imported) {
+            // Importing the same file again skips the rows that made it, so a retry is safe
+            error.message = `Imported ${error.imported} rows before failing: ${error.message}. Import the same file again to add the rest.`;
+        }
+        sendError(res, error);
+    }
+});
+
+// Weigh-ins with their trend (exponential moving average), oldest first; from/to filter by date
+app.get('/api/weight', disableCache, validateRequest({ query: RANGE_QUERY }), async (req, res) => {
+    try {
+        const range = parseRangeQuery(req.query);
+        // The trend is computed over the whole history so it doesn't restart at the range start
+        const entries = withTrend(await req.storage.getWeightEntries())
+            .filter(entry => (!range.from || entry.date >= range.from) && (!range.to || entry.date <= range.to));
+        res.json({ success: true, data: entries });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Save the weigh-in in req.body (WEIGHT_BODY) and let the goal weight follow it
+async function saveWeightFromRequest(req) {
+    const entry = pickWeightEntry({ ...req.body, date: toDateKey(req.body.date, req.timeZone) });
+
+    const result = await req.storage.saveWeightEntry(entry);
+    const goalWeight = await syncGoalWeight(req.storage);
+    return { ...result, goalWeight };
+}
+
+// Log a weigh-in; a second one on the same date replaces the first
+app.post('/api/weight', validateRequest({ body: schemas.WEIGHT_BODY }), withTimeZone, async (req, res) => {
+    try {
+        const result = await saveWeightFromRequest(req);
         res.json({ success: true, data: result });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
+    }
+});
+
+app.delete('/api/weight/:id', validateRequest({ params: schemas.ID_PARAMS }), async (req, res) => {
+    try {
+        const result = await req.storage.deleteWeightEntry(req.params.id);
+        if (!result) {
+            return res.status(404).json({ error: 'Weigh-in not found' });
+        }
+
+        const goalWeight = await syncGoalWeight(req.storage);
+        res.json({ success: true, data: { ...result, goalWeight } });
+    } catch (error) {
+        sendError(res, error);
     }
 });
 
-// Get recent log entries
-app.get('/api/log', disableCache, async (req, res) => {
+// Exercise entries by date and time; from/to filter by date
+app.get('/api/exercise', disableCache, validateRequest({ query: RANGE_QUERY }), async (req, res) => {
     try {
-        const limit = parseInt(req.query.limit) || 20;
-        const entries = await sheetsService.getLogEntries(limit);
+        const entries = filterExercise(await req.storage.getExerciseEntries(), parseRangeQuery(req.query));
         res.json({ success: true, data: entries });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
     }
 });
 
-// Daily summary page
-app.get('/summary', disableCache, async (req, res) => {
+// Calories burned as entered, or estimated from the MET value and the weight in the settings
+async function exerciseFromRequest(req) {
+    const { personal } = await req.storage.getDashboardData();
+    return resolveExerciseEntry({ ...req.body, date: toDateKey(req.body.date, req.timeZone) }, personal.weight);
+}
+
+app.post('/api/exercise', validateRequest({ body: schemas.EXERCISE_BODY }), withTimeZone, async (req, res) => {
     try {
-        const summaries = await sheetsService.getDailySummary(30);
-        res.render('summary', { summaries, error: null });
+        const result = await req.storage.addExerciseEntry(await exerciseFromRequest(req));
+        res.json({ success: true, data: result });
     } catch (error) {
-        res.render('summary', { summaries: [], error: error.message });
+        sendError(res, error);
     }
 });
 
-// Get daily summary data
-app.get('/api/summary', disableCache, async (req, res) => {
+app.put('/api/exercise/:id', validateRequest({ params: schemas.ID_PARAMS, body: schemas.EXERCISE_BODY }), withTimeZone, async (req, res) => {
     try {
-        const limit = parseInt(req.query.limit) || 30;
-        const summaries = await sheetsService.getDailySummary(limit);
-        res.json({ success: true, data: summaries });
+        const result = await req.storage.updateExerciseEntry(req.params.id, await exerciseFromRequest(req));
+        if (!result) {
+            return res.status(404).json({ error: 'Exercise entry not found' });
+        }
+
+        res.json({ success: true, data: result });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
     }
 });
-// Get calendar data for journal (monthly view)
-app.get('/api/journal/calendar', disableCache, async (req, res) => {
+
+app.delete('/api/exercise/:id', validateRequest({ params: schemas.ID_PARAMS }), async (req, res) => {
     try {
-        const year = parseInt(req.query.year) || new Date().getFullYear();
-        const month = parseInt(req.query.month); // 0-11
+        const result = await req.storage.deleteExerciseEntry(req.params.id);
+        if (!result) {
+            return res.status(404).json({ error: 'Exercise entry not found' });
+        }
 
-        // Get daily summaries for the entire month
-        const summaries = await sheetsService.getDailySummary(365); // Get more data to cover the month
+        res.json({ success: true, data: result });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
 
-        // Filter and format for calendar
-        const calendarData = {};
-        summaries.forEach(summary => {
-            const date = new Date(summary.date);
-            if (month !== undefined) {
-                if (date.getFullYear() === year && date.getMonth() === month) {
-                    const day = date.getDate();
-                    calendarData[day] = {
-                        totalCalories: summary.totalIn,
-                        maxCalories: summary.maxLimit,
-                        status: summary.status,
-                        isOver: summary.totalIn > summary.maxLimit
-                    };
-                }
-            } else {
-                // Return all data if no month specified
-                const dateKey = date.toISOString().split('T')[0];
-                calendarData[dateKey] = {
-                    totalCalories: summary.totalIn,
-                    maxCalories: summary.maxLimit,
-                    status: summary.status,
-                    isOver: summary.totalIn > summary.maxLimit
-                };
-            }
-        });
+// Daily metric definitions with their value on date (default today)
+app.get('/api/metrics', disableCache, validateRequest({ query: schemas.METRICS_QUERY }), withTimeZone, async (req, res) => {
+    try {
+        const [definitions, values] = await Promise.all([req.storage.getMetricDefinitions(), req.storage.getMetricValues()]);
+        res.json({ success: true, data: withDayValues(definitions, values, req.query.date || todayKey(req.timeZone)) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
 
-        res.json({ success: true, data: calendarData });
+// Define a daily metric, or change the unit, target or quick-add amounts of one
+app.post('/api/metrics', validateRequest({ body: schemas.METRIC_BODY }), async (req, res) => {
+    try {
+        const result = await req.storage.saveMetricDefinition(req.body);
+        res.json({ success: true, data: result });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
     }
 });
 
-// Get detailed entries for a specific date
-app.get('/api/journal/date/:date', disableCache, async (req, res) => {
+app.delete('/api/metrics/:name', validateRequest({ params: schemas.METRIC_PARAMS }), async (req, res) => {
     try {
-        const targetDate = req.params.date; // YYYY-MM-DD format
+        const result = await req.storage.deleteMetricDefinition(req.params.name);
+        if (!result) {
+            return res.status(404).json({ error: 'Metric not found' });
+        }
+
+        res.json({ success: true, data: result });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
 
-        // Get all log entries
-        const allEntries = await sheetsService.getLogEntries(1000);
+// A metric's daily values, oldest first; from/to filter by date
+app.get('/api/metrics/:name', disableCache, validateRequest({ params: schemas.METRIC_PARAMS, query: RANGE_QUERY }), async (req, res) => {
+    try {
+        const [definitions, values] = await Promise.all([req.storage.getMetricDefinitions(), req.storage.getMetricValues()]);
+        const metric = findMetric(definitions, req.params.name);
+        if (!metric) {
+            return res.status(404).json({ error: 'Metric not found' });
+        }
 
-        // Filter entries for the specific date
-        const dateEntries = allEntries.filter(entry => {
-            const entryDate = new Date(entry.date);
-            const targetDateObj = new Date(targetDate);
-            return entryDate.toDateString() === targetDateObj.toDateString();
-        });
+        const range = parseRangeQuery(req.query);
+        const data = values.filter(entry => metricKey(entry.metric) === metricKey(metric.name) && isInRange(entry.date, range));
+        res.json({ success: true, metric, data });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
 
-        // Get daily summary for this date
-        const summaries = await sheetsService.getDailySummary(365);
-        const dateSummary = summaries.find(summary => {
-            const summaryDate = new Date(summary.date);
-            const targetDateObj = new Date(targetDate);
-            return summaryDate.toDateString() === targetDateObj.toDateString();
-        });
+// Add to a metric's value for a date (quick-add buttons), or set it
+app.post('/api/metrics/:name', validateRequest({ params: schemas.METRIC_PARAMS, body: schemas.METRIC_VALUE_BODY }), withTimeZone, async (req, res) => {
+    try {
+        const { add, value } = req.body;
+        if ((add === undefined) === (value === undefined)) {
+            throw new ValidationError({ add: 'or value is required, but not both' });
+        }
 
-        res.json({
-            success: true,
-            data: {
-                entries: dateEntries,
-                summary: dateSummary || null,
-                date: targetDate
-            }
-        });
+        const metric = findMetric(await req.storage.getMetricDefinitions(), req.params.name);
+        if (!metric) {
+            return res.status(404).json({ error: 'Metric not found' });
+        }
+
+        // Quick-add taps in quick succession each count: the storage applies increments one at a time
+        const date = toDateKey(req.body.date, req.timeZone);
+        const result = add !== undefined
+            ? await req.storage.incrementMetricValue(date, metric.name, add)
+            : await req.storage.saveMetricValue({ date, metric: metric.name, value: nextMetricValue(0, { value }) });
+        res.json({ success: true, data: result });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
     }
 });
+
 // Get dashboard data
 app.get('/api/dashboard', disableCache, async (req, res) => {
     try {
-        const dashboard = await sheetsService.getDashboardData();
+        const dashboard = await req.storage.getDashboardData();
         res.json({ success: true, data: dashboard });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
     }
 });
 
 // Settings page
-app.get('/settings', disableCache, async (req, res) => {
+app.get('/settings', disableCache, withTimeZone, async (req, res) => {
     try {
-        const dashboard = await sheetsService.getDashboardData();
+        const [dashboard, goalHistory] = await Promise.all([
+            req.storage.getDashboardData(),
+            req.storage.getGoalHistory()
+        ]);
         res.render('settings', {
             personal: dashboard.personal,
+            goalHistory,
+            reminders: pushStore.remindersFor(pushUserId(req)),
+            push: pushSettings(req),
+            formulas: FORMULAS,
+            timeZones: TIME_ZONES,
+            defaultTimeZone: DEFAULT_TIMEZONE,
             error: null,
             success: null
         });
     } catch (error) {
         res.render('settings', {
             personal: {},
+            goalHistory: [],
+            reminders: pushStore.remindersFor(pushUserId(req)),
+            push: pushSettings(req),
+            formulas: FORMULAS,
+            timeZones: TIME_ZONES,
+            defaultTimeZone: DEFAULT_TIMEZONE,
             error: error.message,
             success: null
         });
     }
 });
 // Journal page
-app.get('/journal', disableCache, async (req, res) => {
+app.get('/journal', disableCache, withTimeZone, (req, res) => {
+    // Open on the month it is for the user, not for the server
+    const [currentYear, month] = todayKey(req.timeZone).split('-').map(Number);
+
+    res.render('journal', {
+        currentMonth: month - 1,
+        currentYear,
+        error: null
+    });
+});
+// Update personal metrics
+app.post('/api/settings', validateRequest({ body: schemas.SETTINGS_BODY }), async (req, res) => {
+    try {
+        const result = await req.storage.updatePersonalMetrics(req.body);
+        const goal = calculateGoal(req.body);
+        await webhookDispatcher.emit(pushUserId(req), 'settings.updated', { ...req.body, dailyGoal: goal ? goal.dailyGoal : null });
+        res.json({ success: true, data: result });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Preview the daily goal for a set of metrics (used by the settings page)
+app.post('/api/goal/preview', validateRequest({ body: schemas.GOAL_PREVIEW_BODY }), (req, res) => {
     try {
-        const currentMonth = new Date().getMonth();
-        const currentYear = new Date().getFullYear();
+        const goal = calculateGoal(req.body);
+        res.json({ success: true, data: goal });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
 
-        res.render('journal', {
-            currentMonth,
-            currentYear,
-            error: null
-        });
+// Effective-dated goal versions, oldest first
+app.get('/api/goal/history', disableCache, async (req, res) => {
+    try {
+        const history = await req.storage.getGoalHistory();
+        res.json({ success: true, data: history });
     } catch (error) {
-        res.render('journal', {
-            currentMonth: new Date().getMonth(),
-            currentYear: new Date().getFullYear(),
-            error: error.message
-        });
+        sendError(res, error);
     }
 });
-// Update personal metrics
-app.post('/api/settings', async (req, res) => {
+
+// Reminder rules (see services/reminders.js)
+app.get('/api/reminders', disableCache, (req, res) => {
+    res.json({ success: true, data: pushStore.remindersFor(pushUserId(req)) });
+});
+
+// Replace the reminder rules
+app.put('/api/reminders', async (req, res) => {
+    try {
+        const reminders = validateReminders(req.body.reminders);
+        await pushStore.setReminders(pushUserId(req), reminders);
+        res.json({ success: true, data: reminders });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Whether push is available, the VAPID public key for pushManager.subscribe and the number of subscribed devices
+app.get('/api/push/config', disableCache, (req, res) => {
+    res.json({ success: true, data: pushSettings(req) });
+});
+
+// Store this device's PushSubscription so reminders reach it
+app.post('/api/push/subscribe', async (req, res) => {
+    try {
+        if (!vapid) {
+            return res.status(503).json({ error: 'Push notifications are not configured on this server' });
+        }
+        const subscription = req.body.subscription;
+        const invalid = validateSubscription(subscription);
+        if (invalid) {
+            throw new ValidationError(invalid);
+        }
+
+        await pushStore.addSubscription(pushUserId(req), subscription, req.get('user-agent') || '');
+        res.status(201).json({ success: true, data: pushSettings(req) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Forget a device (body: { endpoint })
+app.delete('/api/push/subscribe', validateRequest({ body: schemas.PUSH_UNSUBSCRIBE_BODY }), async (req, res) => {
+    try {
+        const removed = await pushStore.removeSubscription(req.body.endpoint, pushUserId(req));
+        res.json({ success: true, data: { removed, ...pushSettings(req) } });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Send a test notification to all of the user's devices
+app.post('/api/push/test', async (req, res) => {
     try {
-        const metrics = req.body;
-        const result = await sheetsService.updatePersonalMetrics(metrics);
+        if (!vapid) {
+            return res.status(503).json({ error: 'Push notifications are not configured on this server' });
+        }
+        if (pushStore.subscriptionsFor(pushUserId(req)).length === 0) {
+            return res.status(400).json({ error: 'No devices have notifications turned on' });
+        }
+
+        const result = await reminderScheduler.notifyUser(pushUserId(req), {
+            title: 'Calorie Diary',
+            body: 'Notifications are working.',
+            data: { url: '/settings' }
+        });
         res.json({ success: true, data: result });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
+    }
+});
+
+// The user's personal access tokens for /api/v1, without the tokens themselves
+app.get('/api/tokens', disableCache, (req, res) => {
+    res.json({ success: true, data: apiTokenStore.tokensFor(pushUserId(req)).map(toPublicToken) });
+});
+
+// Create a token; the response is the only time it's shown
+app.post('/api/tokens', validateRequest({ body: schemas.API_TOKEN_BODY }), async (req, res) => {
+    try {
+        const userId = pushUserId(req);
+        if (apiTokenStore.tokensFor(userId).length >= MAX_TOKENS) {
+            return res.status(400).json({ error: `At most ${MAX_TOKENS} tokens can be created; revoke one first` });
+        }
+
+        const { name, scopes, expiresInDays } = req.body;
+        const expiresAt = expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString() : null;
+        const { token, record } = await apiTokenStore.createToken(userId, { name, scopes, expiresAt });
+        res.status(201).json({ success: true, data: { ...toPublicToken(record), token } });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.delete('/api/tokens/:id', validateRequest({ params: schemas.ID_PARAMS }), async (req, res) => {
+    try {
+        const revoked = await apiTokenStore.revokeToken(pushUserId(req), req.params.id);
+        if (!revoked) {
+            return res.status(404).json({ error: 'Token not found' });
+        }
+        res.json({ success: true, data: { id: req.params.id } });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// The user's webhooks, without their secrets
+app.get('/api/webhooks', disableCache, (req, res) => {
+    res.json({ success: true, data: webhookStore.webhooksFor(pushUserId(req)).map(toPublicWebhook) });
+});
+
+// Add a webhook; the response is the only time its secret is shown
+app.post('/api/webhooks', validateRequest({ body: schemas.WEBHOOK_BODY }), async (req, res) => {
+    try {
+        const userId = pushUserId(req);
+        if (webhookStore.webhooksFor(userId).length >= MAX_WEBHOOKS) {
+            return res.status(400).json({ error: `At most ${MAX_WEBHOOKS} webhooks can be added` });
+        }
+        await checkWebhookUrl(req.body.url, webhookDispatcher.options);
+
+        const webhook = await webhookStore.addWebhook(createWebhook(userId, req.body));
+        res.status(201).json({ success: true, data: { ...toPublicWebhook(webhook), secret: webhook.secret } });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Change a webhook's URL, events, secret, description or enabled flag
+app.put('/api/webhooks/:id', validateRequest({ params: schemas.ID_PARAMS, body: schemas.WEBHOOK_UPDATE_BODY }), async (req, res) => {
+    try {
+        const changes = { ...req.body, updatedAt: new Date().toISOString() };
+        if (changes.events) {
+            changes.events = [...new Set(changes.events)];
+        }
+        if (changes.url) {
+            await checkWebhookUrl(changes.url, webhookDispatcher.options);
+        }
+
+        const webhook = await webhookStore.updateWebhook(pushUserId(req), req.params.id, changes);
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        res.json({ success: true, data: toPublicWebhook(webhook) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Remove a webhook and its delivery log
+app.delete('/api/webhooks/:id', validateRequest({ params: schemas.ID_PARAMS }), async (req, res) => {
+    try {
+        const removed = await webhookStore.removeWebhook(pushUserId(req), req.params.id);
+        if (!removed) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        res.json({ success: true, data: { id: req.params.id } });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// The webhook's recent deliveries, newest first
+app.get('/api/webhooks/:id/deliveries', disableCache, validateRequest({ params: schemas.ID_PARAMS }), (req, res) => {
+    const webhook = webhookStore.findWebhook(pushUserId(req), req.params.id);
+    if (!webhook) {
+        return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json({ success: true, data: webhookStore.deliveriesFor(webhook.id) });
+});
+
+// Send a "ping" event to the webhook, whatever it subscribes to
+app.post('/api/webhooks/:id/test', validateRequest({ params: schemas.ID_PARAMS }), async (req, res) => {
+    try {
+        const webhook = webhookStore.findWebhook(pushUserId(req), req.params.id);
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        const delivery = await webhookDispatcher.deliver(webhook, 'ping', { webhookId: webhook.id });
+        res.status(202).json({ success: true, data: delivery });
+    } catch (error) {
+        sendError(res, error);
     }
 });
 
 // Refresh calculations
 app.post('/api/refresh', async (req, res) => {
     try {
-        const result = await sheetsService.refreshCalculations();
+        const result = await req.storage.refreshCalculations();
         res.json({ success: true, data: result });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
     }
 });
 
 // Update dashboard to today's date
 app.post('/api/update-dashboard-date', async (req, res) => {
     try {
-        const result = await sheetsService.updateDashboardDate();
+        const result = await req.storage.updateDashboardDate();
         res.json({ success: true, data: result });
     } catch (error) {
         console.error('Error updating dashboard date:', error.message);
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
     }
 });
 
 // Health check
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
+    const cache = sharedStorage
+        ? (typeof sharedStorage.getCacheStats === 'function' ? sharedStorage.getCacheStats() : null)
+        : await storageRegistry.getCacheStats();
+
     res.json({
         status: 'healthy',
         timestamp: new Date().toISOString(),
+        storageBackend: STORAGE_BACKEND,
+        authMode: AUTH_MODE,
+        cache,
         spreadsheetId: process.env.SPREADSHEET_ID ? 'configured' : 'missing'
     });
 });
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+    // Errors before the /api/v1 router runs, such as a malformed JSON body
+    if (req.path.startsWith('/api/v1/')) {
+        return sendApiError(res, err);
+    }
     console.error(err.stack);
     res.status(500).json({ error: 'Something went wrong!' });
 });
@@ -298,10 +1600,40 @@ app.use((req, res) => {
     });
 });
 
+/**
+ * Load what the routes need: the accounts (or the shared diary without sign-in)
+ * and the push store. startServer runs this before listening; tests call it
+ * directly and serve app themselves.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.sheets] - Sheets API client for the shared diary instead of
+ *   authenticating with Google (the tests pass an in-memory fake)
+ */
+async function initialize({ sheets } = {}) {
+    if (AUTH_MODE === 'none') {
+        await sharedStorage.initialize({ sheets });
+    } else if (AUTH_MODE === 'local') {
+        await userStore.load();
+    } else {
+        throw new Error(`Unknown AUTH_MODE "${AUTH_MODE}". Use "local" or "none".`);
+    }
+
+    await pushStore.load();
+    await nutritionDatabase.load();
+    await webhookStore.load();
+    webhookDispatcher.resume();
+    await apiTokenStore.load();
+}
+
 // Start server
 async function startServer() {
     try {
-        await sheetsService.initialize();
+        await initialize();
+        if (vapid) {
+            reminderScheduler.start();
+        } else {
+            console.log('Push reminders are off: set VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY to turn them on');
+        }
 
         app.listen(PORT, () => {
             console.log(`🚀 Calorie Diary Web App running on port ${PORT}`);
@@ -316,4 +1648,9 @@ async function startServer() {
     }
 }
 
-startServer();
\ No newline at end of file
+// Only listen when run directly (node server.js), not when required by the tests
+if (require.main === module) {
+    startServer();
+}
+
+module.exports = { app, initialize, startServer };
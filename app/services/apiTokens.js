@@ -0,0 +1,181 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+require('dotenv').config();
+
+// read: GET endpoints of /api/v1, write: the ones that change the diary
+const TOKEN_SCOPES = ['read', 'write'];
+const TOKEN_PREFIX = 'cdt_';
+const MAX_TOKENS = 20;
+// How often lastUsedAt is written back, so busy tokens don't rewrite the file on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const generateToken = () => `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+// The bearer token of an "Authorization: Bearer <token>" header, or null
+function readBearerToken(header = '') {
+    const match = /^Bearer\s+(\S+)\s*$/i.exec(header);
+    return match ? match[1] : null;
+}
+
+// What the API shows of a token: everything but its hash
+function toPublicToken({ hash, ...token }) {
+    return token;
+}
+
+/**
+ * Personal access tokens for /api/v1 in a JSON file (API_TOKENS_FILE,
+ * default ./data/api-tokens.json). Only a SHA-256 hash of each token is
+ * kept, so the token itself is shown once, when it's created. Keys are user
+ * ids ("shared" without sign-in), like PushStore.
+ */
+class ApiTokenStore {
+    constructor(tokensFile = process.env.API_TOKENS_FILE || './data/api-tokens.json') {
+        this.tokensFile = path.resolve(tokensFile);
+        this.tokens = [];
+        this.writeQueue = Promise.resolve();
+    }
+
+    async load() {
+        if (fs.existsSync(this.tokensFile)) {
+            const content = await fs.promises.readFile(this.tokensFile, 'utf8');
+            this.tokens = JSON.parse(content).tokens || [];
+        }
+        console.log(`API token store loaded ${this.tokens.length} token(s) from ${this.tokensFile}`);
+    }
+
+    // Same serialized temp-file-and-rename writes as PushStore.save()
+    save() {
+        const snapshot = JSON.stringify({ tokens: this.tokens }, null, 2);
+        const tmpFile = `${this.tokensFile}.tmp`;
+
+        this.writeQueue = this.writeQueue.then(async () => {
+            await fs.promises.mkdir(path.dirname(this.tokensFile), { recursive: true });
+            await fs.promises.writeFile(tmpFile, snapshot, 'utf8');
+            await fs.promises.rename(tmpFile, this.tokensFile);
+        });
+
+        return this.writeQueue;
+    }
+
+    tokensFor(userId) {
+        return this.tokens.filter(token => token.userId === userId);
+    }
+
+    /**
+     * Create a token for the user. Returns the plain token, which can't be
+     * recovered later, and the stored record.
+     *
+     * @param {Object} options - { name, scopes, expiresAt } with expiresAt an ISO timestamp or null
+     * @returns {Promise<{token: string, record: Object}>}
+     */
+    async createToken(userId, { name, scopes, expiresAt = null }) {
+        const token = generateToken();
+        const record = {
+            id: crypto.randomUUID(),
+            userId,
+            name,
+            scopes: TOKEN_SCOPES.filter(scope => scopes.includes(scope)),
+            hash: hashToken(token),
+            hint: token.slice(0, TOKEN_PREFIX.length + 4),
+            createdAt: new Date().toISOString(),
+            expiresAt,
+            lastUsedAt: null
+        };
+        this.tokens.push(record);
+        await this.save();
+        return { token, record };
+    }
+
+    // Returns false when the user has no token with the id
+    async revokeToken(userId, id) {
+        const index = this.tokens.findIndex(token => token.userId === userId && token.id === id);
+        if (index === -1) {
+            return false;
+        }
+        this.tokens.splice(index, 1);
+        await this.save();
+        return true;
+    }
+
+    // The record of a valid, unexpired token, otherwise null. Records when it was last used.
+    async authenticate(token, now = Date.now()) {
+        if (!token || !token.startsWith(TOKEN_PREFIX)) {
+            return null;
+        }
+
+        const hash = hashToken(token);
+        const record = this.tokens.find(item => item.hash === hash);
+        if (!record || (record.expiresAt && new Date(record.expiresAt).getTime() <= now)) {
+            return null;
+        }
+
+        if (!record.lastUsedAt || now - new Date(record.lastUsedAt).getTime() >= LAST_USED_RESOLUTION_MS) {
+            record.lastUsedAt = new Date(now).toISOString();
+            await this.save();
+        }
+        return record;
+    }
+}
+
+/**
+ * Fixed-window request limits per key (a token id): at most limit requests
+ * per windowMs. Kept in memory like LoginThrottle, so a restart resets the
+ * windows.
+ */
+class RateLimiter {
+    constructor({
+        limit = parseInt(process.env.API_RATE_LIMIT) || 120,
+        windowMs = (parseFloat(process.env.API_RATE_WINDOW_SECONDS) || 60) * 1000
+    } = {}) {
+        this.limit = limit;
+        this.windowMs = windowMs;
+        this.windows = new Map();
+    }
+
+    /**
+     * Count a request for key.
+     * @returns {{allowed: boolean, limit: number, remaining: number, resetMs: number}}
+     *   resetMs is the time until the window starts over
+     */
+    take(key, now = Date.now()) {
+        let window = this.windows.get(key);
+        if (!window || now - window.start >= this.windowMs) {
+            window = { start: now, count: 0 };
+            this.windows.set(key, window);
+            this.prune(now);
+        }
+
+        const allowed = window.count < this.limit;
+        if (allowed) {
+            window.count++;
+        }
+        return {
+            allowed,
+            limit: this.limit,
+            remaining: this.limit - window.count,
+            resetMs: window.start + this.windowMs - now
+        };
+    }
+
+    // Drop windows that ended, so revoked tokens don't stay in memory
+    prune(now) {
+        this.windows.forEach((window, key) => {
+            if (now - window.start >= this.windowMs) {
+                this.windows.delete(key);
+            }
+        });
+    }
+}
+
+module.exports = {
+    TOKEN_SCOPES,
+    MAX_TOKENS,
+    generateToken,
+    hashToken,
+    readBearerToken,
+    toPublicToken,
+    ApiTokenStore,
+    RateLimiter
+};
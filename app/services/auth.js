@@ -0,0 +1,153 @@
+/**
+ * Password hashing and signed session cookies, built on node:crypto.
+ *
+ * Passwords are stored as "scrypt$<salt>$<hash>". A session is a cookie
+ * holding the user id and expiry, signed with SESSION_SECRET, so the server
+ * keeps no session state and sessions survive restarts when the secret is set.
+ */
+const crypto = require('crypto');
+require('dotenv').config();
+
+const SESSION_COOKIE = 'cd_session';
+const KEY_LENGTH = 64;
+
+// scrypt on the libuv thread pool, so hashing doesn't hold up other requests
+function scrypt(password, salt, keyLength) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, keyLength, (error, key) => (error ? reject(error) : resolve(key)));
+    });
+}
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('base64url');
+    const hash = (await scrypt(password, salt, KEY_LENGTH)).toString('base64url');
+    return `scrypt$${salt}$${hash}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = (stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+
+    const expected = Buffer.from(hash, 'base64url');
+    const actual = await scrypt(password, salt, expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+function sign(value, secret) {
+    return crypto.createHmac('sha256', secret).update(value).digest('base64url');
+}
+
+function createSessionToken(userId, secret, ttlMs) {
+    const payload = Buffer.from(JSON.stringify({ uid: userId, exp: Date.now() + ttlMs })).toString('base64url');
+    return `${payload}.${sign(payload, secret)}`;
+}
+
+// Returns the user id of a valid, unexpired token, otherwise null
+function readSessionToken(token, secret) {
+    const [payload, signature] = (token || '').split('.');
+    if (!payload || !signature) {
+        return null;
+    }
+
+    const expected = Buffer.from(sign(payload, secret));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        return null;
+    }
+
+    try {
+        const { uid, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        return uid && exp > Date.now() ? uid : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function parseCookies(header = '') {
+    const cookies = {};
+    header.split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index === -1) return;
+        const name = part.slice(0, index).trim();
+        try {
+            cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+        } catch (error) {
+            // Ignore malformed cookies
+        }
+    });
+    return cookies;
+}
+
+// SESSION_SECRET should be set in production; a random one logs everybody out on restart
+function resolveSessionSecret(env = process.env) {
+    if (env.SESSION_SECRET) {
+        return env.SESSION_SECRET;
+    }
+
+    console.warn('SESSION_SECRET is not set, using a random secret. Sessions will not survive a restart.');
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Locks a username after maxFailures failed logins, until lockMs after the first failure.
+ * Kept in memory: a restart clears it, which only matters to an attacker who can restart us.
+ * Expired windows are dropped at most every lockMs, so guessed usernames don't pile up.
+ */
+class LoginThrottle {
+    constructor({ maxFailures = 5, lockMs = 15 * 60 * 1000 } = {}) {
+        this.maxFailures = maxFailures;
+        this.lockMs = lockMs;
+        this.failures = new Map();
+        this.prunedAt = Date.now();
+    }
+
+    prune(now = Date.now()) {
+        this.failures.forEach((record, username) => {
+            if (now - record.since >= this.lockMs) {
+                this.failures.delete(username);
+            }
+        });
+        this.prunedAt = now;
+    }
+
+    // Milliseconds until the username may try again, 0 when it isn't locked
+    lockedFor(username) {
+        const record = this.failures.get(username);
+        if (!record) return 0;
+        if (Date.now() - record.since >= this.lockMs) {
+            this.failures.delete(username);
+            return 0;
+        }
+        return record.count >= this.maxFailures ? record.since + this.lockMs - Date.now() : 0;
+    }
+
+    recordFailure(username) {
+        if (Date.now() - this.prunedAt >= this.lockMs) {
+            this.prune();
+        }
+        this.lockedFor(username); // Drops an expired window
+        const record = this.failures.get(username);
+        if (record) {
+            record.count++;
+        } else {
+            this.failures.set(username, { count: 1, since: Date.now() });
+        }
+    }
+
+    recordSuccess(username) {
+        this.failures.delete(username);
+    }
+}
+
+module.exports = {
+    SESSION_COOKIE,
+    LoginThrottle,
+    hashPassword,
+    verifyPassword,
+    createSessionToken,
+    readSessionToken,
+    parseCookies,
+    resolveSessionSecret
+};
@@ -0,0 +1,205 @@
+const StorageService = require('./storageService');
+const TtlCache = require('./ttlCache');
+require('dotenv').config();
+
+// Cached data groups. TTLs come from CACHE_TTL_<GROUP>_SECONDS, falling back to CACHE_TTL_SECONDS.
+const GROUPS = ['log', 'summary', 'dashboard', 'foods', 'meals', 'weight', 'goals', 'exercise', 'metrics'];
+const DEFAULT_TTL_SECONDS = 30;
+
+// Groups whose cached reads are stale after each kind of write
+const LOG_WRITE = ['log', 'summary', 'dashboard'];
+const CALCULATION_WRITE = ['summary', 'dashboard'];
+const EXERCISE_WRITE = ['exercise', 'summary', 'dashboard'];
+
+function readTtls(env = process.env) {
+    const parseSeconds = value => (value === undefined || value === '' || isNaN(parseFloat(value)) ? null : parseFloat(value));
+    const fallback = parseSeconds(env.CACHE_TTL_SECONDS) ?? DEFAULT_TTL_SECONDS;
+
+    const ttls = {};
+    GROUPS.forEach(group => {
+        const seconds = parseSeconds(env[`CACHE_TTL_${group.toUpperCase()}_SECONDS`]) ?? fallback;
+        ttls[group] = Math.max(0, seconds) * 1000;
+    });
+    return ttls;
+}
+
+/**
+ * Read-through cache in front of another storage backend.
+ *
+ * Reads are cached per group and arguments; every write goes straight to the
+ * wrapped backend and then drops the groups it affects. Values are cloned on
+ * the way out so callers can't modify what is cached.
+ */
+class CachedStorageService extends StorageService {
+    constructor(inner, ttls = readTtls()) {
+        super();
+        this.inner = inner;
+        this.ttls = ttls;
+        this.cache = new TtlCache();
+        inner.on('calculated', result => this.emit('calculated', result));
+    }
+
+    async read(group, method, args) {
+        const key = `${group}:${method}:${JSON.stringify(args)}`;
+        const value = await this.cache.get(key, this.ttls[group], () => this.inner[method](...args));
+        return structuredClone(value);
+    }
+
+    // Invalidate even when the write fails, it may have been partly applied
+    async write(groups, method, args) {
+        try {
+            return await this.inner[method](...args);
+        } finally {
+            groups.forEach(group => this.cache.invalidate(`${group}:`));
+        }
+    }
+
+    getCacheStats() {
+        return {
+            ...this.cache.getStats(),
+            ttlSeconds: Object.fromEntries(GROUPS.map(group => [group, this.ttls[group] / 1000]))
+        };
+    }
+
+    initialize(...args) {
+        return this.inner.initialize(...args);
+    }
+
+    addLogEntry(...args) {
+        return this.write(LOG_WRITE, 'addLogEntry', args);
+    }
+
+    addLogEntries(...args) {
+        return this.write(LOG_WRITE, 'addLogEntries', args);
+    }
+
+    getLogEntries(...args) {
+        return this.read('log', 'getLogEntries', args);
+    }
+
+    queryLogEntries(...args) {
+        return this.read('log', 'queryLogEntries', args);
+    }
+
+    updateLogEntry(...args) {
+        return this.write(LOG_WRITE, 'updateLogEntry', args);
+    }
+
+    deleteLogEntry(...args) {
+        return this.write(LOG_WRITE, 'deleteLogEntry', args);
+    }
+
+    getDailySummary(...args) {
+        return this.read('summary', 'getDailySummary', args);
+    }
+
+    querySummaries(...args) {
+        return this.read('summary', 'querySummaries', args);
+    }
+
+    getDashboardData(...args) {
+        return this.read('dashboard', 'getDashboardData', args);
+    }
+
+    updatePersonalMetrics(...args) {
+        return this.write([...CALCULATION_WRITE, 'goals'], 'updatePersonalMetrics', args);
+    }
+
+    getGoalHistory(...args) {
+        return this.read('goals', 'getGoalHistory', args);
+    }
+
+    refreshCalculations(...args) {
+        return this.write(CALCULATION_WRITE, 'refreshCalculations', args);
+    }
+
+    updateDashboardDate(...args) {
+        return this.write(CALCULATION_WRITE, 'updateDashboardDate', args);
+    }
+
+    getFoods(...args) {
+        return this.read('foods', 'getFoods', args);
+    }
+
+    addFood(...args) {
+        return this.write(['foods'], 'addFood', args);
+    }
+
+    updateFood(...args) {
+        return this.write(['foods'], 'updateFood', args);
+    }
+
+    deleteFood(...args) {
+        return this.write(['foods'], 'deleteFood', args);
+    }
+
+    getMeals(...args) {
+        return this.read('meals', 'getMeals', args);
+    }
+
+    addMeal(...args) {
+        return this.write(['meals'], 'addMeal', args);
+    }
+
+    updateMeal(...args) {
+        return this.write(['meals'], 'updateMeal', args);
+    }
+
+    deleteMeal(...args) {
+        return this.write(['meals'], 'deleteMeal', args);
+    }
+
+    getWeightEntries(...args) {
+        return this.read('weight', 'getWeightEntries', args);
+    }
+
+    saveWeightEntry(...args) {
+        return this.write(['weight'], 'saveWeightEntry', args);
+    }
+
+    deleteWeightEntry(...args) {
+        return this.write(['weight'], 'deleteWeightEntry', args);
+    }
+
+    getExerciseEntries(...args) {
+        return this.read('exercise', 'getExerciseEntries', args);
+    }
+
+    addExerciseEntry(...args) {
+        return this.write(EXERCISE_WRITE, 'addExerciseEntry', args);
+    }
+
+    updateExerciseEntry(...args) {
+        return this.write(EXERCISE_WRITE, 'updateExerciseEntry', args);
+    }
+
+    deleteExerciseEntry(...args) {
+        return this.write(EXERCISE_WRITE, 'deleteExerciseEntry', args);
+    }
+
+    getMetricDefinitions(...args) {
+        return this.read('metrics', 'getMetricDefinitions', args);
+    }
+
+    saveMetricDefinition(...args) {
+        return this.write(['metrics'], 'saveMetricDefinition', args);
+    }
+
+    deleteMetricDefinition(...args) {
+        return this.write(['metrics'], 'deleteMetricDefinition', args);
+    }
+
+    getMetricValues(...args) {
+        return this.read('metrics', 'getMetricValues', args);
+    }
+
+    saveMetricValue(...args) {
+        return this.write(['metrics'], 'saveMetricValue', args);
+    }
+
+    incrementMetricValue(...args) {
+        return this.write(['metrics'], 'incrementMetricValue', args);
+    }
+}
+
+module.exports = { CachedStorageService, readTtls };
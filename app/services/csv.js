@@ -0,0 +1,82 @@
+/**
+ * Minimal RFC 4180 CSV reading and writing: quoted fields, doubled quotes,
+ * line breaks inside quotes, CRLF or LF line endings and a leading BOM.
+ */
+const { csvCell } = require('./formulaGuard');
+
+/**
+ * Parse CSV text into an array of records (arrays of strings).
+ * Blank lines are skipped.
+ */
+function parseCsv(text, delimiter = ',') {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+
+    const endField = () => {
+        record.push(field);
+        field = '';
+    };
+    const endRecord = () => {
+        endField();
+        if (record.length > 1 || record[0] !== '') records.push(record);
+        record = [];
+    };
+
+    for (; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            endField();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            endRecord();
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error('CSV has an unterminated quoted field');
+    }
+    if (field !== '' || record.length) {
+        endRecord();
+    }
+
+    return records;
+}
+
+function formatCsvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write objects as CSV. Values that would run as formulas in a spreadsheet
+ * app get a leading apostrophe.
+ *
+ * @param {Array<Object>} rows
+ * @param {Array<{header: string, key: string}>} columns
+ */
+function toCsv(rows, columns) {
+    const lines = [columns.map(column => formatCsvField(column.header)).join(',')];
+    rows.forEach(row => {
+        lines.push(columns.map(column => formatCsvField(csvCell(row[column.key]))).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = { parseCsv, toCsv };
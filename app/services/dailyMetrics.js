@@ -0,0 +1,102 @@
+// Metric names appear in URLs (/api/metrics/:name), so they're kept to letters, digits, spaces, - and _
+const METRIC_NAME = /^[A-Za-z0-9][A-Za-z0-9 _-]*$/;
+const MAX_INCREMENTS = 5;
+
+const round = (value, decimals) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+const parseNumber = value => {
+    const number = parseFloat(value);
+    return isNaN(number) ? '' : round(number, 2);
+};
+
+// Metric names match case-insensitively, so "Water" and "water" are one metric
+const metricKey = name => (name || '').toString().trim().toLowerCase();
+
+/**
+ * Normalize a metric definition from a request body or stored record.
+ * increments are the quick-add amounts offered on the dashboard, e.g. [250, 500]
+ * for water in ml; stored records may hold them as "250, 500".
+ */
+function pickMetricDefinition(source = {}) {
+    const increments = Array.isArray(source.increments) ? source.increments : (source.increments || '').toString().split(',');
+    return {
+        name: (source.name || '').toString().trim(),
+        unit: (source.unit || '').toString().trim(),
+        target: parseNumber(source.target),
+        increments: increments.map(parseNumber).filter(amount => amount !== '' && amount !== 0).slice(0, MAX_INCREMENTS)
+    };
+}
+
+// Normalize a day's value of a metric: { date, metric, value }
+function pickMetricValue(source = {}) {
+    return {
+        date: (source.date || '').toString().trim(),
+        metric: (source.metric || '').toString().trim(),
+        value: parseNumber(source.value)
+    };
+}
+
+function findMetric(definitions, name) {
+    return definitions.find(definition => metricKey(definition.name) === metricKey(name)) || null;
+}
+
+function findMetricValue(values, name, date) {
+    return values.find(entry => entry.date === date && metricKey(entry.metric) === metricKey(name)) || null;
+}
+
+/**
+ * The value a metric is recorded with: the current value plus add, or value as
+ * sent. Never below zero, so an undo can't take a day negative.
+ */
+function nextMetricValue(current, { add, value }) {
+    const next = add !== undefined ? (parseFloat(current) || 0) + add : value;
+    return Math.max(0, round(next, 2));
+}
+
+// Progress towards the target; null without one
+const percentOfTarget = (value, target) => (target ? Math.round((value / target) * 100) : null);
+
+// The definitions with their value on a date, for the dashboard
+function withDayValues(definitions, values, date) {
+    return definitions.map(definition => {
+        const entry = findMetricValue(values, definition.name, date);
+        const value = entry ? parseFloat(entry.value) || 0 : 0;
+        return { ...definition, date, value, percent: percentOfTarget(value, definition.target) };
+    });
+}
+
+/**
+ * Values of the defined metrics by date, for the journal calendar:
+ * { 'YYYY-MM-DD': { water: { name, value, unit, target, percent } } }, keyed by metric key.
+ * Values of deleted metrics are left out.
+ */
+function metricsByDate(definitions, values) {
+    const byDate = {};
+    values.forEach(entry => {
+        const definition = findMetric(definitions, entry.metric);
+        if (!definition || entry.value === '') return;
+
+        const value = parseFloat(entry.value);
+        byDate[entry.date] = byDate[entry.date] || {};
+        byDate[entry.date][metricKey(definition.name)] = {
+            name: definition.name,
+            value,
+            unit: definition.unit,
+            target: definition.target,
+            percent: percentOfTarget(value, definition.target)
+        };
+    });
+    return byDate;
+}
+
+module.exports = {
+    METRIC_NAME,
+    MAX_INCREMENTS,
+    metricKey,
+    pickMetricDefinition,
+    pickMetricValue,
+    findMetric,
+    findMetricValue,
+    nextMetricValue,
+    withDayValues,
+    metricsByDate
+};
@@ -0,0 +1,117 @@
+const { ValidationError, validate, date, number, string } = require('./validation');
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 1000;
+
+// Cursors are opaque to clients: base64url JSON holding the offset of the next page within the range
+function encodeCursor(offset) {
+    return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    if (!cursor) return 0;
+
+    try {
+        const { offset } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (Number.isInteger(offset) && offset >= 0) return offset;
+    } catch (error) {
+        // Fall through to the error below
+    }
+    throw new Error('Invalid cursor');
+}
+
+// A real calendar date in YYYY-MM-DD format (rejects 2024-13-01, 2024-02-30, ...)
+function isDateKey(value) {
+    if (!DATE_KEY_PATTERN.test(value || '')) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+}
+
+// Query string of the date-range endpoints
+const RANGE_QUERY = {
+    from: date(),
+    to: date(),
+    limit: number({ integer: true, min: 1, max: MAX_PAGE_SIZE }),
+    cursor: string({ max: 200 }),
+    order: string({ oneOf: ['asc', 'desc'] })
+};
+
+/**
+ * Parse from/to/limit/cursor/order from a request query.
+ * Throws a ValidationError when a value is malformed.
+ *
+ * @returns {{from: string|null, to: string|null, limit: number, cursor: string|null, order: 'asc'|'desc'}}
+ */
+function parseRangeQuery(query = {}, defaultLimit = DEFAULT_PAGE_SIZE) {
+    const valid = validate(RANGE_QUERY, query);
+    const range = {
+        from: valid.from || null,
+        to: valid.to || null,
+        limit: valid.limit || defaultLimit,
+        cursor: valid.cursor || null,
+        order: valid.order || 'desc'
+    };
+
+    if (range.from && range.to && range.from > range.to) {
+        throw new ValidationError({ from: 'must not be after to' });
+    }
+    try {
+        decodeCursor(range.cursor); // Validate early
+    } catch (error) {
+        throw new ValidationError({ cursor: 'is not valid' });
+    }
+
+    return range;
+}
+
+function isInRange(dateKey, { from, to }) {
+    if (!dateKey) return false;
+    return (!from || dateKey >= from) && (!to || dateKey <= to);
+}
+
+/**
+ * Select one page of dated items.
+ *
+ * @param {Array<{dateKey: string}>} items - in storage order; ties on dateKey keep that order
+ * @returns {{items: Array, nextCursor: string|null}} nextCursor is null on the last page
+ */
+function paginateByDate(items, { from, to, limit = DEFAULT_PAGE_SIZE, cursor, order = 'desc' }) {
+    const matching = items
+        .map((item, index) => ({ item, index }))
+        .filter(({ item }) => isInRange(item.dateKey, { from, to }))
+        .sort((a, b) => a.item.dateKey.localeCompare(b.item.dateKey) || a.index - b.index)
+        .map(({ item }) => item);
+
+    if (order === 'desc') matching.reverse();
+
+    const offset = decodeCursor(cursor);
+    const page = matching.slice(offset, offset + limit);
+    const nextOffset = offset + page.length;
+
+    return {
+        items: page,
+        nextCursor: nextOffset < matching.length ? encodeCursor(nextOffset) : null
+    };
+}
+
+/**
+ * Follow nextCursor until the whole range is read.
+ *
+ * @param {Function} queryPage - e.g. range => storageService.queryLogEntries(range)
+ * @param {string} field - result property holding the items, e.g. 'entries'
+ */
+async function fetchAllPages(queryPage, range, field) {
+    const items = [];
+    let cursor = null;
+
+    do {
+        const page = await queryPage({ ...range, limit: MAX_PAGE_SIZE, cursor });
+        items.push(...page[field]);
+        cursor = page.nextCursor;
+    } while (cursor);
+
+    return items;
+}
+
+module.exports = { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE, RANGE_QUERY, isDateKey, parseRangeQuery, isInRange, paginateByDate, fetchAllPages };
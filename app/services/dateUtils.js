@@ -0,0 +1,109 @@
+require('dotenv').config();
+
+// IANA zone for users who haven't picked one in the settings; the server's own zone by default
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// An ISO timestamp with an offset, e.g. "2025-01-15T17:30:00Z" or "2025-01-15T17:30+07:00"
+const ISO_INSTANT = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i;
+
+function isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') {
+        return false;
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// The given zone when valid, otherwise DEFAULT_TIMEZONE
+function resolveTimeZone(timeZone) {
+    return isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIMEZONE;
+}
+
+// Date and time fields of an instant in a time zone
+function zonedParts(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-CA', {
+        timeZone: resolveTimeZone(timeZone),
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date).forEach(part => {
+        parts[part.type] = part.value;
+    });
+    return parts;
+}
+
+// Calendar date of an instant in a time zone, as yyyy-MM-dd
+function zonedDateKey(date, timeZone) {
+    const parts = zonedParts(date, timeZone);
+    return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+/**
+ * Normalize a date value to yyyy-MM-dd (same key the Apps Script uses).
+ * Sheet values come back formatted (e.g. "2025-01-15" or "1/15/2025") and are
+ * calendar days, so they are never shifted. With a timeZone, instants (Date
+ * objects and ISO timestamps with an offset) become the day they fall on in
+ * that zone; without one, Dates use the server's zone as before.
+ */
+function toDateKey(value, timeZone) {
+    const isInstant = value instanceof Date || (typeof value === 'string' && ISO_INSTANT.test(value));
+
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) && !(timeZone && isInstant)) {
+        return value.substring(0, 10);
+    }
+
+    const date = value instanceof Date ? value : new Date(value);
+    if (!value || isNaN(date.getTime())) {
+        return null;
+    }
+
+    if (timeZone && isInstant) {
+        return zonedDateKey(date, timeZone);
+    }
+
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Today's yyyy-MM-dd in a time zone (DEFAULT_TIMEZONE when missing or invalid)
+function todayKey(timeZone, now = new Date()) {
+    return zonedDateKey(now, timeZone);
+}
+
+// The current HH:mm in a time zone (DEFAULT_TIMEZONE when missing or invalid)
+function currentTime(timeZone, now = new Date()) {
+    const parts = zonedParts(now, timeZone);
+    return `${parts.hour}:${parts.minute}`;
+}
+
+// The yyyy-MM-dd that is days after (or before, when negative) dateKey
+function addDays(dateKey, days) {
+    const date = new Date(`${dateKey}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+// Number of days in a month (0-11), independent of any time zone
+function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    isValidTimeZone,
+    resolveTimeZone,
+    toDateKey,
+    todayKey,
+    currentTime,
+    addDays,
+    daysInMonth
+};
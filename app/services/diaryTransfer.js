@@ -0,0 +1,325 @@
+const { parseCsv, toCsv } = require('./csv');
+const { isDateKey, fetchAllPages } = require('./dateRange');
+const { toDateKey } = require('./dateUtils');
+const { MACRO_KEYS } = require('./macros');
+const { fromCsvCell } = require('./formulaGuard');
+const { ValidationError, validate } = require('./validation');
+
+const MEAL_TYPES = ['Breakfast', 'Lunch', 'Dinner', 'Snack', 'Drink'];
+const IMPORT_MAX_ROWS = 10000;
+const IMPORT_BATCH_SIZE = 500;
+
+// CSV layouts of each exported dataset. The log layout is also the "calorie-diary" import preset.
+const EXPORT_COLUMNS = {
+    log: [
+        { header: 'Date', key: 'date' },
+        { header: 'Time', key: 'time' },
+        { header: 'Meal Type', key: 'mealType' },
+        { header: 'Description', key: 'description' },
+        { header: 'Calories', key: 'calories' },
+        { header: 'Protein', key: 'protein' },
+        { header: 'Carbs', key: 'carbs' },
+        { header: 'Fat', key: 'fat' }
+    ],
+    summary: [
+        { header: 'Date', key: 'date' },
+        { header: 'Total In', key: 'totalIn' },
+        { header: 'Max Limit', key: 'maxLimit' },
+        { header: 'Status', key: 'status' },
+        { header: 'Protein', key: 'protein' },
+        { header: 'Carbs', key: 'carbs' },
+        { header: 'Fat', key: 'fat' },
+        { header: 'Exercise', key: 'exercise' },
+        { header: 'Net', key: 'net' }
+    ],
+    personal: [
+        { header: 'Metric', key: 'metric' },
+        { header: 'Value', key: 'value' }
+    ]
+};
+
+/**
+ * Column layouts of known CSV exports: entry field -> CSV header.
+ * MyFitnessPal's nutrition export has one row per meal, so the meal name doubles as the description.
+ */
+const IMPORT_PRESETS = {
+    'calorie-diary': Object.fromEntries(EXPORT_COLUMNS.log.map(column => [column.key, column.header])),
+    myfitnesspal: {
+        date: 'Date',
+        mealType: 'Meal',
+        description: 'Meal',
+        calories: 'Calories',
+        protein: 'Protein (g)',
+        carbs: 'Carbohydrates (g)',
+        fat: 'Fat (g)'
+    },
+    cronometer: {
+        date: 'Day',
+        time: 'Time',
+        mealType: 'Group',
+        description: 'Food Name',
+        calories: 'Energy (kcal)',
+        protein: 'Protein (g)',
+        carbs: 'Carbs (g)',
+        fat: 'Fat (g)'
+    }
+};
+
+const REQUIRED_FIELDS = ['date', 'description', 'calories'];
+const MAPPABLE_FIELDS = ['date', 'time', 'mealType', 'description', 'calories', ...MACRO_KEYS];
+
+/**
+ * Read everything in a date range (both ends optional) for an export, oldest first.
+ */
+async function collectExport(storage, { from, to }) {
+    const range = { from, to, order: 'asc' };
+    const [entries, summaries, dashboard] = await Promise.all([
+        fetchAllPages(page => storage.queryLogEntries(page), range, 'entries'),
+        fetchAllPages(page => storage.querySummaries(page), range, 'summaries'),
+        storage.getDashboardData()
+    ]);
+
+    return {
+        exportedAt: new Date().toISOString(),
+        from: from || null,
+        to: to || null,
+        personal: dashboard.personal || {},
+        entries: entries.map(({ requestId, ...entry }) => ({ ...entry, date: toDateKey(entry.date) || entry.date })),
+        summaries
+    };
+}
+
+// One dataset of an export as CSV text
+function exportToCsv(data, dataset) {
+    const rows = {
+        log: data.entries,
+        summary: data.summaries,
+        personal: Object.entries(data.personal).map(([metric, value]) => ({ metric, value }))
+    }[dataset];
+    return toCsv(rows, EXPORT_COLUMNS[dataset]);
+}
+
+const normalizeHeader = header => (header || '').toString().trim().toLowerCase();
+
+// The first preset whose required columns are all present, or null
+function detectPreset(headers) {
+    const available = headers.map(normalizeHeader);
+    return Object.keys(IMPORT_PRESETS).find(name => {
+        const preset = IMPORT_PRESETS[name];
+        return REQUIRED_FIELDS.every(field => available.includes(normalizeHeader(preset[field])));
+    }) || null;
+}
+
+function normalizeMealType(value, fallback) {
+    const text = (value || '').trim();
+    if (!text) return fallback;
+    const known = MEAL_TYPES.find(type => [type.toLowerCase(), `${type.toLowerCase()}s`].includes(text.toLowerCase()));
+    return known || text;
+}
+
+// "7:05", "07:05:30" or "7:05 PM" -> "07:05"/"19:05"; null when unreadable
+function normalizeTime(value) {
+    const match = value.trim().match(/^(\d{1,2}):(\d{2})(?::\d{2})?\s*(?:([ap])\.?m\.?)?$/i);
+    if (!match) return null;
+
+    let hours = parseInt(match[1]);
+    const minutes = parseInt(match[2]);
+    if (match[3]) {
+        if (hours < 1 || hours > 12) return null;
+        hours = (hours % 12) + (match[3].toLowerCase() === 'p' ? 12 : 0);
+    }
+    if (hours > 23 || minutes > 59) return null;
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+// Dates are YYYY-MM-DD, or anything Date understands such as M/D/YYYY
+function normalizeDate(value) {
+    const text = value.trim();
+    const dateKey = isDateKey(text) ? text : toDateKey(text);
+    return dateKey && isDateKey(dateKey) ? dateKey : null;
+}
+
+function toEntry(get, defaultMealType) {
+    const errors = [];
+    const entry = {};
+
+    entry.date = normalizeDate(get('date'));
+    if (!entry.date) {
+        errors.push(get('date') ? `invalid date "${get('date')}"` : 'date is missing');
+    }
+
+    const time = get('time');
+    entry.time = time ? normalizeTime(time) : '';
+    if (entry.time === null) {
+        errors.push(`invalid time "${time}"`);
+    }
+
+    entry.mealType = normalizeMealType(get('mealType'), defaultMealType);
+    entry.description = get('description').trim();
+    if (!entry.description) {
+        errors.push('description is missing');
+    }
+
+    const calories = get('calories').trim();
+    entry.calories = Number(calories);
+    if (!calories || isNaN(entry.calories) || entry.calories < 0) {
+        errors.push(calories ? `invalid calories "${calories}"` : 'calories is missing');
+    }
+
+    MACRO_KEYS.forEach(key => {
+        const text = get(key).trim();
+        entry[key] = text === '' ? '' : Number(text);
+        if (text !== '' && (isNaN(entry[key]) || entry[key] < 0)) {
+            errors.push(`invalid ${key} "${text}"`);
+        }
+    });
+
+    return { entry, errors };
+}
+
+// The limits of entries logged one by one, e.g. descriptions of at most 500 characters
+function checkEntry(entry, schema) {
+    try {
+        validate(schema, entry);
+        return [];
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return [error.message];
+        }
+        throw error;
+    }
+}
+
+/**
+ * Parse and validate a CSV of log entries.
+ *
+ * @param {string} csvText
+ * @param {Object} [options]
+ * @param {string} [options.preset] - a key of IMPORT_PRESETS; detected from the headers when omitted
+ * @param {Object} [options.mapping] - entry field -> CSV header, overriding the preset
+ * @param {string} [options.defaultMealType] - for rows without a meal type
+ * @param {Object} [options.entrySchema] - a validation schema every entry must also pass (the log's LOG_ENTRY_BODY)
+ * @returns {{preset: string|null, mapping: Object, total: number, rows: Array<{row: number, entry: Object}>, errors: Array<{row: number, error: string}>}}
+ *   row is the 1-based record number in the file, counting the header
+ */
+function parseImport(csvText, { preset, mapping = {}, defaultMealType = 'Snack', entrySchema = null } = {}) {
+    const records = parseCsv(csvText || '');
+    if (records.length < 2) {
+        throw new Error('The CSV needs a header row and at least one entry');
+    }
+    if (records.length - 1 > IMPORT_MAX_ROWS) {
+        throw new Error(`Imports are limited to ${IMPORT_MAX_ROWS} rows at a time`);
+    }
+    if (preset && !IMPORT_PRESETS[preset]) {
+        throw new Error(`Unknown preset "${preset}". Available presets: ${Object.keys(IMPORT_PRESETS).join(', ')}`);
+    }
+
+    const headers = records[0].map(normalizeHeader);
+    const presetName = preset || detectPreset(records[0]);
+    const fieldMap = { ...(presetName ? IMPORT_PRESETS[presetName] : {}), ...mapping };
+
+    const columnIndex = {};
+    MAPPABLE_FIELDS.forEach(field => {
+        if (fieldMap[field]) {
+            const index = headers.indexOf(normalizeHeader(fieldMap[field]));
+            if (index !== -1) columnIndex[field] = index;
+        }
+    });
+
+    const missing = REQUIRED_FIELDS.filter(field => columnIndex[field] === undefined);
+    if (missing.length) {
+        throw new Error(`No column found for: ${missing.join(', ')}. Pick a preset or map these fields to CSV headers.`);
+    }
+
+    const rows = [];
+    const errors = [];
+    records.slice(1).forEach((record, index) => {
+        const row = index + 2;
+        // Exports escape formula-like text with an apostrophe; drop it so a re-import keeps the original text
+        const get = field => (columnIndex[field] === undefined ? '' : fromCsvCell(record[columnIndex[field]] || ''));
+        const result = toEntry(get, defaultMealType);
+        if (!result.errors.length && entrySchema) {
+            result.errors.push(...checkEntry(result.entry, entrySchema));
+        }
+
+        if (result.errors.length) {
+            errors.push({ row, error: result.errors.join(', ') });
+        } else {
+            rows.push({ row, entry: result.entry });
+        }
+    });
+
+    const usedMapping = Object.fromEntries(Object.keys(columnIndex).map(field => [field, records[0][columnIndex[field]]]));
+    return { preset: presetName, mapping: usedMapping, total: records.length - 1, rows, errors };
+}
+
+const entrySignature = entry => [
+    toDateKey(entry.date) || entry.date,
+    entry.time || '',
+    (entry.mealType || '').toLowerCase(),
+    (entry.description || '').trim().toLowerCase(),
+    parseFloat(entry.calories) || 0
+].join('|');
+
+/**
+ * Split parsed rows into new ones and ones already in the diary, so importing
+ * the same file twice (or again after a failed import) adds nothing twice.
+ * Identical rows are matched one to one, so a food eaten twice is kept twice.
+ */
+function splitDuplicates(rows, existingEntries) {
+    const remaining = new Map();
+    existingEntries.forEach(entry => {
+        const signature = entrySignature(entry);
+        remaining.set(signature, (remaining.get(signature) || 0) + 1);
+    });
+
+    const fresh = [];
+    const duplicates = [];
+    rows.forEach(item => {
+        const signature = entrySignature(item.entry);
+        if (remaining.get(signature) > 0) {
+            remaining.set(signature, remaining.get(signature) - 1);
+            duplicates.push(item);
+        } else {
+            fresh.push(item);
+        }
+    });
+    return { fresh, duplicates };
+}
+
+// The entries already stored over the dates an import touches
+function fetchExistingEntries(storage, rows) {
+    if (!rows.length) return Promise.resolve([]);
+    const dates = rows.map(item => item.entry.date).sort();
+    const range = { from: dates[0], to: dates[dates.length - 1], order: 'asc' };
+    return fetchAllPages(page => storage.queryLogEntries(page), range, 'entries');
+}
+
+// Write entries in batches; returns how many were written before any failure, which is rethrown with error.imported set
+async function writeInBatches(storage, entries, batchSize = IMPORT_BATCH_SIZE) {
+    let imported = 0;
+    try {
+        for (let start = 0; start < entries.length; start += batchSize) {
+            const batch = entries.slice(start, start + batchSize);
+            await storage.addLogEntries(batch);
+            imported += batch.length;
+        }
+        return imported;
+    } catch (error) {
+        error.imported = imported;
+        throw error;
+    }
+}
+
+module.exports = {
+    MEAL_TYPES,
+    IMPORT_PRESETS,
+    IMPORT_BATCH_SIZE,
+    EXPORT_COLUMNS,
+    collectExport,
+    exportToCsv,
+    parseImport,
+    splitDuplicates,
+    fetchExistingEntries,
+    writeInBatches
+};
@@ -0,0 +1,102 @@
+const { ValidationError } = require('./validation');
+
+/**
+ * MET values (energy per kg per hour, relative to sitting still) of common
+ * activities at a moderate effort, from the Compendium of Physical Activities.
+ * The log page offers these types; any other type needs calories or a MET value.
+ */
+const EXERCISE_TYPES = {
+    Walking: 3.5,
+    Running: 9.8,
+    Cycling: 7.5,
+    Swimming: 6,
+    Hiking: 6,
+    Rowing: 7,
+    'Strength training': 5,
+    HIIT: 8,
+    Yoga: 2.5,
+    Dancing: 5
+};
+
+const round = (value, decimals) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+const parseNumber = value => {
+    const number = parseFloat(value);
+    return isNaN(number) ? '' : number;
+};
+
+// Normalize an exercise entry from a request body or stored record. duration is in minutes.
+function pickExerciseEntry(source = {}) {
+    const duration = parseNumber(source.duration);
+    const calories = parseNumber(source.calories);
+    const met = parseNumber(source.met);
+    return {
+        date: (source.date || '').toString().trim(),
+        time: (source.time || '').toString().trim(),
+        type: (source.type || '').toString().trim(),
+        duration: duration === '' ? '' : round(duration, 1),
+        calories: calories === '' ? '' : Math.round(calories),
+        met: met === '' ? '' : round(met, 1)
+    };
+}
+
+// The MET value of a type from EXERCISE_TYPES, matched case-insensitively
+function metForType(type) {
+    const name = Object.keys(EXERCISE_TYPES).find(key => key.toLowerCase() === (type || '').trim().toLowerCase());
+    return name ? EXERCISE_TYPES[name] : null;
+}
+
+// kcal = MET × body weight in kg × hours
+function estimateCalories(met, durationMinutes, weightKg) {
+    return Math.round(met * weightKg * (durationMinutes / 60));
+}
+
+/**
+ * The entry to store: calories as entered, or estimated from the MET value
+ * (given, or that of the type) and the weight from the settings.
+ * Throws a ValidationError when calories can't be estimated.
+ *
+ * @param {Object} body - { date, time, type, duration, calories, met }
+ * @param {number|string} weight - kg, the personal metrics' weight (Dashboard H3)
+ */
+function resolveExerciseEntry(body, weight) {
+    const entry = pickExerciseEntry(body);
+    if (entry.calories !== '') {
+        return entry;
+    }
+
+    const met = entry.met !== '' ? entry.met : metForType(entry.type);
+    const weightKg = parseFloat(weight);
+    if (!met) {
+        throw new ValidationError({ calories: `is required for "${entry.type}"; enter the calories burned or a MET value` });
+    }
+    if (!(weightKg > 0)) {
+        throw new ValidationError({ calories: 'is required until your weight is set in the settings' });
+    }
+    return { ...entry, met, calories: estimateCalories(met, entry.duration, weightKg) };
+}
+
+// Calories burned per date (YYYY-MM-DD)
+function exerciseTotalsByDate(entries) {
+    const totals = {};
+    entries.forEach(entry => {
+        totals[entry.date] = (totals[entry.date] || 0) + (parseFloat(entry.calories) || 0);
+    });
+    return totals;
+}
+
+// Exercise entries within from/to (inclusive), by date and time
+function filterExercise(entries, { from, to }) {
+    return entries
+        .filter(entry => (!from || entry.date >= from) && (!to || entry.date <= to))
+        .sort((a, b) => a.date.localeCompare(b.date) || a.time.localeCompare(b.time));
+}
+
+module.exports = {
+    EXERCISE_TYPES,
+    pickExerciseEntry,
+    metForType,
+    estimateCalories,
+    resolveExerciseEntry,
+    exerciseTotalsByDate,
+    filterExercise
+};
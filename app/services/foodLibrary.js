@@ -0,0 +1,112 @@
+const { MACRO_KEYS, pickMacros } = require('./macros');
+
+// How many past log entries are scanned for autocomplete and frequent foods
+const HISTORY_LIMIT = 500;
+
+function normalizeName(name) {
+    return (name || '').toString().trim().toLowerCase();
+}
+
+// Normalize a food from a request body or sheet row
+function pickFood(source = {}) {
+    return {
+        name: (source.name || '').toString().trim(),
+        serving: (source.serving || '').toString().trim(),
+        calories: parseFloat(source.calories) || 0,
+        ...pickMacros(source)
+    };
+}
+
+function fromFood(food) {
+    const suggestion = {
+        name: food.name,
+        serving: food.serving || '',
+        calories: parseFloat(food.calories) || 0,
+        source: 'library',
+        foodId: food.id
+    };
+    MACRO_KEYS.forEach(key => { suggestion[key] = food[key] ?? ''; });
+    return suggestion;
+}
+
+function fromEntry(entry) {
+    const suggestion = {
+        name: entry.description,
+        serving: '',
+        calories: parseFloat(entry.calories) || 0,
+        source: 'history'
+    };
+    MACRO_KEYS.forEach(key => { suggestion[key] = entry[key] ?? ''; });
+    return suggestion;
+}
+
+/**
+ * Autocomplete suggestions for the description field: matching library foods first,
+ * then past log descriptions that are not already in the library.
+ *
+ * @param {Array} foods - food library
+ * @param {Array} entries - log entries, most recent first
+ */
+function searchFoods(foods, entries, query, limit = 10) {
+    const needle = normalizeName(query);
+    const seen = new Set();
+    const results = [];
+
+    foods.forEach(food => {
+        const key = normalizeName(food.name);
+        if (key.includes(needle) && !seen.has(key)) {
+            seen.add(key);
+            results.push(fromFood(food));
+        }
+    });
+
+    entries.forEach(entry => {
+        const key = normalizeName(entry.description);
+        if (key && key.includes(needle) && !seen.has(key)) {
+            seen.add(key);
+            results.push(fromEntry(entry));
+        }
+    });
+
+    // Prefix matches rank above matches in the middle of the name
+    return results
+        .map((result, index) => ({ result, index, prefix: normalizeName(result.name).startsWith(needle) ? 0 : 1 }))
+        .sort((a, b) => a.prefix - b.prefix || a.index - b.index)
+        .slice(0, limit)
+        .map(({ result }) => result);
+}
+
+/**
+ * Most frequently logged foods, used for the quick-add presets on the log page.
+ * Library values win over the last logged values; the list is topped up with
+ * library foods that have not been logged yet.
+ */
+function frequentFoods(foods, entries, limit = 6) {
+    const libraryByName = {};
+    foods.forEach(food => { libraryByName[normalizeName(food.name)] = food; });
+
+    const usage = {};
+    entries.forEach(entry => {
+        const key = normalizeName(entry.description);
+        if (!key) return;
+
+        if (!usage[key]) {
+            // Entries are most recent first, so the first one seen has the latest values
+            const food = libraryByName[key];
+            usage[key] = { ...(food ? fromFood(food) : fromEntry(entry)), count: 0 };
+        }
+        usage[key].count++;
+    });
+
+    const results = Object.values(usage).sort((a, b) => b.count - a.count);
+
+    foods.forEach(food => {
+        if (!usage[normalizeName(food.name)]) {
+            results.push({ ...fromFood(food), count: 0 });
+        }
+    });
+
+    return results.slice(0, limit);
+}
+
+module.exports = { HISTORY_LIMIT, pickFood, searchFoods, frequentFoods };
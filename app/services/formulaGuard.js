@@ -0,0 +1,37 @@
+/**
+ * Formula injection guards.
+ *
+ * Text starting with =, +, -, @ (or a tab or carriage return) runs as a
+ * formula when Sheets parses it (valueInputOption USER_ENTERED) or when a
+ * spreadsheet app opens an exported CSV. A leading apostrophe makes both
+ * treat it as text. Plain numbers such as "-500" are left alone so they stay
+ * numbers.
+ */
+const FORMULA_START = /^[=+\-@\t\r]/;
+const PLAIN_NUMBER = /^[+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?$/;
+
+const looksLikeFormula = value => typeof value === 'string' && FORMULA_START.test(value) && !PLAIN_NUMBER.test(value.trim());
+
+/**
+ * A cell value safe to write with USER_ENTERED. Sheets hides the apostrophe
+ * and reads the value back unchanged; text that already starts with one gets
+ * a second so the user's apostrophe survives too.
+ */
+function sheetCell(value) {
+    return looksLikeFormula(value) || (typeof value === 'string' && value.startsWith("'")) ? `'${value}` : value;
+}
+
+// sheetCell for every cell of a values array (rows of cells)
+const sheetRows = rows => rows.map(row => row.map(sheetCell));
+
+// A CSV field that spreadsheet apps won't run as a formula
+function csvCell(value) {
+    return looksLikeFormula(value) ? `'${value}` : value;
+}
+
+// Undo csvCell for a field read back from a CSV (e.g. re-importing an export)
+function fromCsvCell(value) {
+    return typeof value === 'string' && value.startsWith("'") && looksLikeFormula(value.slice(1)) ? value.slice(1) : value;
+}
+
+module.exports = { looksLikeFormula, sheetCell, sheetRows, csvCell, fromCsvCell };
@@ -0,0 +1,110 @@
+/**
+ * Daily calorie goal calculations.
+ *
+ * Single source of truth for BMR/TDEE on the server. Inputs use the same
+ * values the Dashboard sheet stores, e.g. activity "1.55 (Moderate)" and
+ * goal "-500 (Weight Loss)".
+ */
+
+const FORMULAS = {
+    'mifflin-st-jeor': {
+        label: 'Mifflin-St Jeor',
+        requiresBodyFat: false,
+        bmr: ({ isMale, weight, height, age }) => isMale
+            ? (10 * weight) + (6.25 * height) - (5 * age) + 5
+            : (10 * weight) + (6.25 * height) - (5 * age) - 161
+    },
+    // Revised Harris-Benedict (Roza & Shizgal, 1984)
+    'harris-benedict': {
+        label: 'Harris-Benedict (revised)',
+        requiresBodyFat: false,
+        bmr: ({ isMale, weight, height, age }) => isMale
+            ? 88.362 + (13.397 * weight) + (4.799 * height) - (5.677 * age)
+            : 447.593 + (9.247 * weight) + (3.098 * height) - (4.330 * age)
+    },
+    // Based on lean body mass, so it needs body fat % instead of gender/age
+    'katch-mcardle': {
+        label: 'Katch-McArdle',
+        requiresBodyFat: true,
+        bmr: ({ weight, bodyFat }) => 370 + (21.6 * weight * (1 - bodyFat / 100))
+    }
+};
+
+const DEFAULT_FORMULA = 'mifflin-st-jeor';
+
+// Extract the numeric part of dropdown values like "1.55 (Moderate)" or "-500 (Weight Loss)"
+function parseDropdownNumber(text) {
+    const value = (text === undefined || text === null ? '' : text).toString().trim();
+    if (value.includes('(')) {
+        return parseFloat(value.split(' ')[0]);
+    }
+    return parseFloat(value);
+}
+
+function isMaleGender(gender) {
+    const value = (gender || '').toString().trim().toLowerCase();
+    return value === 'male' || value === 'm';
+}
+
+function resolveFormula(formula) {
+    const key = (formula || '').toString().trim().toLowerCase();
+    return FORMULAS[key] ? key : DEFAULT_FORMULA;
+}
+
+/**
+ * Calculate BMR, TDEE and the daily calorie goal from personal metrics.
+ *
+ * @param {object} personal - gender, weight (kg), height (cm), age, activityLevel, goalOffset, formula, bodyFat (%)
+ * @returns {{formula: string, bmr: number, tdee: number, dailyGoal: number}|null} null when required metrics are missing
+ */
+function calculateGoal(personal = {}) {
+    const formula = resolveFormula(personal.formula);
+    const definition = FORMULAS[formula];
+
+    const inputs = {
+        isMale: isMaleGender(personal.gender),
+        weight: parseFloat(personal.weight),
+        height: parseFloat(personal.height),
+        age: parseFloat(personal.age),
+        bodyFat: parseFloat(personal.bodyFat)
+    };
+    const activityMultiplier = parseDropdownNumber(personal.activityLevel);
+    const goalOffset = parseDropdownNumber(personal.goalOffset) || 0;
+
+    if (!inputs.weight || !activityMultiplier) {
+        return null;
+    }
+    if (definition.requiresBodyFat) {
+        if (!(inputs.bodyFat > 0 && inputs.bodyFat < 100)) return null;
+    } else if (!inputs.height || !inputs.age) {
+        return null;
+    }
+
+    const bmr = definition.bmr(inputs);
+    const tdee = bmr * activityMultiplier;
+
+    return {
+        formula,
+        bmr: Math.round(bmr),
+        tdee: Math.round(tdee),
+        dailyGoal: Math.round(tdee + goalOffset)
+    };
+}
+
+// Status text in the format the Apps Script writes to the Daily Summary sheet
+function buildStatus(totalCalories, maxCalories) {
+    if (!maxCalories) {
+        return 'No Goal Set';
+    }
+
+    const remaining = maxCalories - totalCalories;
+    return remaining >= 0 ? `Under Goal (+${remaining})` : `Over Goal (${remaining})`;
+}
+
+module.exports = {
+    FORMULAS,
+    DEFAULT_FORMULA,
+    parseDropdownNumber,
+    calculateGoal,
+    buildStatus
+};
@@ -0,0 +1,93 @@
+const { calculateGoal } = require('./goalCalculator');
+
+/**
+ * Effective-dated goal versions, so each day in the Daily Summary keeps the
+ * calorie limit that applied on that day.
+ *
+ * A version is { effectiveFrom, dailyGoal, weight, activityLevel, goalOffset,
+ * formula, recordedAt }. It applies from effectiveFrom until the next one;
+ * days before the first version use the first version.
+ */
+
+const GOAL_VERSION_FIELDS = ['effectiveFrom', 'dailyGoal', 'weight', 'activityLevel', 'goalOffset', 'formula', 'recordedAt'];
+
+function buildGoalVersion(effectiveFrom, personal = {}) {
+    const goal = calculateGoal(personal);
+    return {
+        effectiveFrom,
+        dailyGoal: goal ? goal.dailyGoal : 0,
+        weight: personal.weight ?? '',
+        activityLevel: personal.activityLevel ?? '',
+        goalOffset: personal.goalOffset ?? '',
+        formula: goal ? goal.formula : (personal.formula || ''),
+        recordedAt: new Date().toISOString()
+    };
+}
+
+const byEffectiveDate = (a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom);
+
+// Equal apart from when it was recorded
+const isSameVersion = (a, b) => GOAL_VERSION_FIELDS
+    .filter(field => field !== 'recordedAt')
+    .every(field => String(a[field]) === String(b[field]));
+
+// The daily goal in effect on dateKey, or fallback when there is no history yet
+function goalForDate(history, dateKey, fallback = 0) {
+    if (!history.length) {
+        return fallback;
+    }
+
+    const sorted = [...history].sort(byEffectiveDate);
+    let version = sorted[0];
+    for (const candidate of sorted) {
+        if (candidate.effectiveFrom > dateKey) break;
+        version = candidate;
+    }
+    return parseFloat(version.dailyGoal) || 0;
+}
+
+/**
+ * Goal lookup for the Daily Summary: past days use the history, today and
+ * later use the goal from the current metrics (which the latest version
+ * normally matches, unless the metrics were edited in the sheet directly).
+ */
+function goalResolver(history, currentGoal, todayKey) {
+    return dateKey => (dateKey >= todayKey ? currentGoal : goalForDate(history, dateKey, currentGoal));
+}
+
+/**
+ * Work out the goal history after personal metrics change on todayKey.
+ *
+ * The first change also records the goal that applied until then, starting
+ * at the first diary date, so existing days keep their old limit. Several
+ * changes on one day keep only the last, and a change that leaves the goal
+ * as it was adds nothing.
+ *
+ * @param {Array} history - current versions
+ * @param {Object} previousPersonal - metrics before the change
+ * @param {Object} nextPersonal - metrics after the change
+ * @param {{todayKey: string, firstDiaryDate: string|null}} dates
+ * @returns {Array|null} the new history, or null when it is unchanged
+ */
+function recordGoalChange(history, previousPersonal, nextPersonal, { todayKey, firstDiaryDate }) {
+    const current = [...history].sort(byEffectiveDate);
+    const versions = [...current];
+
+    if (!versions.length) {
+        const baseline = buildGoalVersion(firstDiaryDate, previousPersonal);
+        if (baseline.dailyGoal && firstDiaryDate && firstDiaryDate < todayKey) {
+            versions.push(baseline);
+        }
+    }
+
+    const earlier = versions.filter(version => version.effectiveFrom < todayKey);
+    const next = buildGoalVersion(todayKey, nextPersonal);
+    const inEffectBefore = earlier.length ? parseFloat(earlier[earlier.length - 1].dailyGoal) : null;
+    const updated = next.dailyGoal === inEffectBefore ? earlier : [...earlier, next];
+
+    const unchanged = updated.length === current.length &&
+        updated.every((version, index) => isSameVersion(version, current[index]));
+    return unchanged ? null : updated;
+}
+
+module.exports = { GOAL_VERSION_FIELDS, buildGoalVersion, goalForDate, goalResolver, recordGoalChange };
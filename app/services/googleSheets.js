@@ -1,16 +1,117 @@
 const { google } = require('googleapis');
 const fs = require('fs');
+const crypto = require('crypto');
+const StorageService = require('./storageService');
+const { calculateGoal, buildStatus, DEFAULT_FORMULA } = require('./goalCalculator');
+const { toDateKey, todayKey } = require('./dateUtils');
+const { pickMacros, emptyMacroTotals, addMacros } = require('./macros');
+const { pickFood } = require('./foodLibrary');
+const { pickMeal, computeMealTotals } = require('./meals');
+const { pickWeightEntry } = require('./weightLog');
+const { pickExerciseEntry, exerciseTotalsByDate } = require('./exerciseLog');
+const { pickMetricDefinition, pickMetricValue, findMetricValue, nextMetricValue, metricKey } = require('./dailyMetrics');
+const { GOAL_VERSION_FIELDS, goalResolver, recordGoalChange } = require('./goalHistory');
+const { paginateByDate } = require('./dateRange');
+// Every USER_ENTERED write goes through sheetRows so user text can't become a formula; RAW writes store text as-is
+const { sheetRows } = require('./formulaGuard');
+const { createGoogleApiCaller, wrapSheetsClient } = require('./resilience');
 require('dotenv').config();
 
-class GoogleSheetsService {
-    constructor() {
-        this.spreadsheetId = process.env.SPREADSHEET_ID;
+// Log sheet columns: Date, Time, Meal Type, Description, Calories, ID, Protein, Carbs, Fat, Request ID
+const LOG_RANGE = 'A:J';
+const LOG_ID_COLUMN = 5; // Column F (0-based)
+const LOG_REQUEST_ID_COLUMN = 9; // Column J (0-based), Idempotency-Key of the request that added the row
+const LOG_LAST_COLUMN = 'J';
+
+// Daily Summary columns: Date, Total In, Max Limit, Status, Protein, Carbs, Fat, Exercise, Net.
+// Status compares Net (Total In minus calories burned) with Max Limit.
+const SUMMARY_RANGE = 'A:I';
+const SUMMARY_LAST_COLUMN = 'I';
+const SUMMARY_EXERCISE_HEADERS = ['Exercise', 'Net'];
+
+// Dashboard personal parameters: H2:H7 inputs, H8 daily goal, H9 BMR formula, H10 body fat %,
+// H11:H13 protein/carbs/fat targets (g), H14 IANA time zone. Today's macro totals live in J2:L2
+// and the calories burned today in M2.
+const PERSONAL_RANGE = 'H2:H14';
+const TIMEZONE_CELL = 'H14';
+const TODAY_MACROS_RANGE = 'J2:L2';
+const TODAY_EXERCISE_CELL = 'M2';
+
+// Foods sheet columns: ID, Name, Serving, Calories, Protein, Carbs, Fat. Created on first use.
+const FOODS_RANGE = 'A:G';
+const FOODS_HEADERS = ['ID', 'Name', 'Serving', 'Calories', 'Protein', 'Carbs', 'Fat'];
+
+// Meals sheet columns: ID, Name, Servings, Calories per serving, Components (JSON). Created on first use.
+const MEALS_RANGE = 'A:E';
+const MEALS_HEADERS = ['ID', 'Name', 'Servings', 'Calories per Serving', 'Components'];
+
+// Weight sheet columns: ID, Date, Weight (kg), Note. Created on first use.
+const WEIGHT_RANGE = 'A:D';
+const WEIGHT_HEADERS = ['ID', 'Date', 'Weight', 'Note'];
+
+// Exercise sheet columns: ID, Date, Time, Type, Duration (min), Calories Burned, MET. Created on first use.
+const EXERCISE_RANGE = 'A:G';
+const EXERCISE_HEADERS = ['ID', 'Date', 'Time', 'Type', 'Duration (min)', 'Calories Burned', 'MET'];
+
+// Metrics sheet columns: Name, Unit, Daily Target, Increments ("250, 500"). Metric Log sheet columns:
+// Date, Metric, Value, one row per date and metric. Both created on first use.
+const METRICS_RANGE = 'A:D';
+const METRICS_HEADERS = ['Name', 'Unit', 'Daily Target', 'Increments'];
+const METRIC_VALUES_RANGE = 'A:C';
+const METRIC_VALUES_HEADERS = ['Date', 'Metric', 'Value'];
+
+// Goals sheet: one effective-dated goal version per row, in GOAL_VERSION_FIELDS order. Created on first goal change.
+const GOALS_RANGE = 'A:G';
+const GOALS_HEADERS = ['Effective From', 'Daily Goal', 'Weight', 'Activity Level', 'Goal Offset', 'Formula', 'Recorded At'];
+
+// Unused cell written and cleared to nudge the spreadsheet into recalculating
+const REFRESH_CELL = 'Z1';
+
+class GoogleSheetsService extends StorageService {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.spreadsheetId] - defaults to SPREADSHEET_ID
+     * @param {string} [options.webAppUrl] - the Apps Script web app bound to that spreadsheet;
+     *   GOOGLE_SCRIPT_WEB_APP_URL is only used for the SPREADSHEET_ID spreadsheet
+     */
+    constructor({ spreadsheetId = process.env.SPREADSHEET_ID, webAppUrl } = {}) {
+        super();
+        this.spreadsheetId = spreadsheetId;
+        this.webAppUrl = webAppUrl ??
+            (spreadsheetId === process.env.SPREADSHEET_ID ? process.env.GOOGLE_SCRIPT_WEB_APP_URL : '');
         this.credentialsPath = process.env.GOOGLE_CREDENTIALS_PATH;
         this.sheets = null;
         this.auth = null;
+        this.sheetIds = {};
+        this.foodsSheetName = process.env.FOODS_SHEET_NAME || 'Foods';
+        this.mealsSheetName = process.env.MEALS_SHEET_NAME || 'Meals';
+        this.weightSheetName = process.env.WEIGHT_SHEET_NAME || 'Weight';
+        this.goalsSheetName = process.env.GOALS_SHEET_NAME || 'Goals';
+        this.exerciseSheetName = process.env.EXERCISE_SHEET_NAME || 'Exercise';
+        this.metricsSheetName = process.env.METRICS_SHEET_NAME || 'Metrics';
+        this.metricValuesSheetName = process.env.METRIC_VALUES_SHEET_NAME || 'Metric Log';
+        // Changes that find a row first (or check for one) run one at a time, so no row shifts under another
+        this.writes = Promise.resolve();
+        // Recalculations read the sheets they total, so they run one at a time too: the last one sees the last write
+        this.recalculations = Promise.resolve();
+        // "server" computes Max Limit/Status with goalCalculator, "apps-script" leaves it to the Apps Script
+        this.calculationEngine = (process.env.CALCULATION_ENGINE || 'server').toLowerCase();
+        // Retries, timeouts and a circuit breaker per remote service
+        this.callSheets = createGoogleApiCaller('Google Sheets');
+        this.callAppsScript = createGoogleApiCaller('Apps Script web app');
     }
 
-    async initialize() {
+    /**
+     * Authenticate and create the Sheets API client.
+     * @param {Object} [options]
+     * @param {Object} [options.sheets] - a ready client to use instead (e.g. the tests' in-memory fake)
+     */
+    async initialize({ sheets = null } = {}) {
+        if (sheets) {
+            this.sheets = wrapSheetsClient(sheets, this.callSheets);
+            return;
+        }
+
         try {
             // Check if we have local credentials file or should use default auth (Cloud Run)
             if (this.credentialsPath && fs.existsSync(this.credentialsPath)) {
@@ -34,7 +135,7 @@ class GoogleSheetsService {
                 });
             }
 
-            this.sheets = google.sheets({ version: 'v4', auth: this.auth });
+            this.sheets = wrapSheetsClient(google.sheets({ version: 'v4', auth: this.auth }), this.callSheets);
 
             console.log('Google Sheets API initialized successfully');
         } catch (error) {
@@ -43,16 +144,38 @@ class GoogleSheetsService {
         }
     }
 
-    async addLogEntry(date, time, mealType, description, calories) {
+    // Queue a change of the sheets behind the ones before it
+    queueWrite(write) {
+        const result = this.writes.then(write);
+        this.writes = result.catch(() => {});
+        return result;
+    }
+
+    async addLogEntry(date, time, mealType, description, calories, macros = {}, options = {}) {
         try {
-            const values = [[date, time, mealType, description, calories]];
+            const { requestId = '' } = options;
+            const id = crypto.randomUUID();
+            const response = await this.queueWrite(async () => {
+                if (requestId) {
+                    const existing = await this.findLogEntryByRequestId(requestId);
+                    if (existing) {
+                        console.log(`Log entry for request ${requestId} already exists, skipping`);
+                        return { duplicate: existing };
+                    }
+                }
 
-            const response = await this.sheets.spreadsheets.values.append({
-                spreadsheetId: this.spreadsheetId,
-                range: `${process.env.LOG_SHEET_NAME}!A:E`,
-                valueInputOption: 'USER_ENTERED',
-                resource: { values }
+                const { protein, carbs, fat } = pickMacros(macros);
+                const values = [[date, time, mealType, description, calories, id, protein, carbs, fat, requestId]];
+                return this.sheets.spreadsheets.values.append({
+                    spreadsheetId: this.spreadsheetId,
+                    range: `${process.env.LOG_SHEET_NAME}!${LOG_RANGE}`,
+                    valueInputOption: 'USER_ENTERED',
+                    resource: { values: sheetRows(values) }
+                });
             });
+            if (response.duplicate) {
+                return { updates: { updatedRows: 0 }, id: response.duplicate.id, duplicate: true };
+            }
 
             // Trigger calculation refresh after adding entry (API calls don't trigger onEdit)
             try {
@@ -62,7 +185,7 @@ class GoogleSheetsService {
                 console.log('Log entry added but calculation refresh failed:', refreshError.message);
             }
 
-            return response.data;
+            return { ...response.data, id };
         } catch (error) {
             console.error('Error adding log entry:', error.message);
             throw error;
@@ -73,7 +196,7 @@ class GoogleSheetsService {
         try {
             const response = await this.sheets.spreadsheets.values.get({
                 spreadsheetId: this.spreadsheetId,
-                range: `${process.env.LOG_SHEET_NAME}!A:E`,
+                range: `${process.env.LOG_SHEET_NAME}!${LOG_RANGE}`,
             });
 
             const rows = response.data.values;
@@ -81,14 +204,10 @@ class GoogleSheetsService {
                 return [];
             }
 
-            // Skip header row and return recent entries
-            const entries = rows.slice(1).slice(-limit).map(row => ({
-                date: row[0] || '',
-                time: row[1] || '',
-                mealType: row[2] || '',
-                description: row[3] || '',
-                calories: row[4] || '0'
-            }));
+            // Skip header row and return recent entries (row 1 is the header, data starts at row 2)
+            const entries = rows.slice(1)
+                .map((row, index) => this.parseLogRow(row, index + 2))
+                .slice(-limit);
 
             return entries.reverse(); // Most recent first
         } catch (error) {
@@ -97,6 +216,926 @@ class GoogleSheetsService {
         }
     }
 
+    async addLogEntries(entries) {
+        try {
+            const ids = entries.map(() => crypto.randomUUID());
+            const values = entries.map((entry, index) => {
+                const { protein, carbs, fat } = pickMacros(entry);
+                return [entry.date, entry.time || '', entry.mealType, entry.description, entry.calories, ids[index], protein, carbs, fat];
+            });
+
+            // One append for all rows instead of a values.append call per entry
+            const response = await this.queueWrite(() => this.sheets.spreadsheets.values.append({
+                spreadsheetId: this.spreadsheetId,
+                range: `${process.env.LOG_SHEET_NAME}!${LOG_RANGE}`,
+                valueInputOption: 'USER_ENTERED',
+                resource: { values: sheetRows(values) }
+            }));
+
+            try {
+                await this.refreshCalculations();
+                console.log(`${entries.length} log entries added and calculations refreshed successfully`);
+            } catch (refreshError) {
+                console.log('Log entries added but calculation refresh failed:', refreshError.message);
+            }
+
+            return { ...response.data, ids };
+        } catch (error) {
+            console.error('Error adding log entries:', error.message);
+            throw error;
+        }
+    }
+
+    async updateLogEntry(id, date, time, mealType, description, calories, macros = {}) {
+        try {
+            const updated = await this.queueWrite(async () => {
+                const match = await this.findLogRow(id);
+                if (!match) {
+                    return null;
+                }
+
+                // A row-N ID gives way to the ID findLogRow stored for the row
+                const { protein, carbs, fat } = pickMacros(macros);
+                const values = [[date, time, mealType, description, calories, match.id, protein, carbs, fat]];
+                const response = await this.sheets.spreadsheets.values.update({
+                    spreadsheetId: this.spreadsheetId,
+                    range: `${process.env.LOG_SHEET_NAME}!A${match.rowNumber}:I${match.rowNumber}`,
+                    valueInputOption: 'USER_ENTERED',
+                    resource: { values: sheetRows(values) }
+                });
+                return { ...response.data, id: match.id };
+            });
+            if (!updated) {
+                return null;
+            }
+
+            try {
+                await this.refreshCalculations();
+                console.log('Log entry updated and calculations refreshed successfully');
+            } catch (refreshError) {
+                console.log('Log entry updated but calculation refresh failed:', refreshError.message);
+            }
+
+            return updated;
+        } catch (error) {
+            console.error('Error updating log entry:', error.message);
+            throw error;
+        }
+    }
+
+    async deleteLogEntry(id) {
+        try {
+            const response = await this.queueWrite(async () => {
+                const match = await this.findLogRow(id);
+                return match && this.deleteSheetRow(process.env.LOG_SHEET_NAME, match.rowNumber);
+            });
+            if (!response) {
+                return null;
+            }
+
+            try {
+                await this.refreshCalculations();
+                console.log('Log entry deleted and calculations refreshed successfully');
+            } catch (refreshError) {
+                console.log('Log entry deleted but calculation refresh failed:', refreshError.message);
+            }
+
+            return { ...response.data, id };
+        } catch (error) {
+            console.error('Error deleting log entry:', error.message);
+            throw error;
+        }
+    }
+
+    // Rows without an ID (added by hand or before IDs existed) fall back to their row number
+    parseLogRow(row, rowNumber) {
+        return {
+            id: row[LOG_ID_COLUMN] || `row-${rowNumber}`,
+            date: row[0] || '',
+            time: row[1] || '',
+            mealType: row[2] || '',
+            description: row[3] || '',
+            calories: row[4] || '0',
+            protein: row[6] || '',
+            carbs: row[7] || '',
+            fat: row[8] || ''
+        };
+    }
+
+    parseSummaryRow(row) {
+        const totalIn = row[1] || 0;
+        return {
+            date: row[0] || '',
+            totalIn,
+            maxLimit: row[2] || 0,
+            status: row[3] || '',
+            protein: row[4] || 0,
+            carbs: row[5] || 0,
+            fat: row[6] || 0,
+            exercise: row[7] || 0,
+            // Rows written before exercise was tracked have no Net
+            net: row[8] === undefined || row[8] === '' ? totalIn : row[8]
+        };
+    }
+
+    // Map the Dashboard H2:H14 column to personal metrics
+    parsePersonal(values = []) {
+        const cell = index => values[index]?.[0];
+        return {
+            gender: cell(0) || '',
+            weight: cell(1) || '',
+            height: cell(2) || '',
+            age: cell(3) || '',
+            activityLevel: cell(4) || '',
+            goalOffset: cell(5) || '',
+            dailyGoal: cell(6) || 0,
+            formula: cell(7) || DEFAULT_FORMULA,
+            bodyFat: cell(8) || '',
+            proteinTarget: cell(9) || '',
+            carbsTarget: cell(10) || '',
+            fatTarget: cell(11) || '',
+            timezone: cell(12) || ''
+        };
+    }
+
+    /**
+     * The 1-based row number and stored ID of a log entry, for changes run
+     * through queueWrite. Rows without an ID (added by hand or before IDs
+     * existed) get one first: their row-N IDs change whenever a row above is
+     * deleted, so after this a stale row-N ID finds nothing instead of
+     * another entry.
+     * @returns {Promise<{ rowNumber: number, id: string }|null>}
+     */
+    async findLogRow(id) {
+        const response = await this.sheets.spreadsheets.values.get({
+            spreadsheetId: this.spreadsheetId,
+            range: `${process.env.LOG_SHEET_NAME}!${LOG_RANGE}`,
+        });
+
+        const rows = response.data.values || [];
+        let match = null;
+        const backfill = [];
+        for (let i = 1; i < rows.length; i++) {
+            const rowNumber = i + 1;
+            const storedId = rows[i][LOG_ID_COLUMN] ||
+                (rows[i].some(cell => cell !== '' && cell !== undefined) ? crypto.randomUUID() : '');
+            if (storedId && !rows[i][LOG_ID_COLUMN]) {
+                backfill.push({ range: `${process.env.LOG_SHEET_NAME}!F${rowNumber}`, values: [[storedId]] });
+            }
+            if (!match && this.parseLogRow(rows[i], rowNumber).id === id) {
+                match = { rowNumber, id: storedId || id };
+            }
+        }
+
+        if (backfill.length) {
+            await this.sheets.spreadsheets.values.batchUpdate({
+                spreadsheetId: this.spreadsheetId,
+                resource: { valueInputOption: 'RAW', data: backfill }
+            });
+            console.log(`Gave ${backfill.length} log row(s) without an ID their own`);
+        }
+        return match;
+    }
+
+    async loadSheetIds() {
+        const response = await this.sheets.spreadsheets.get({
+            spreadsheetId: this.spreadsheetId,
+            fields: 'sheets.properties(sheetId,title)'
+        });
+
+        response.data.sheets.forEach(sheet => {
+            this.sheetIds[sheet.properties.title] = sheet.properties.sheetId;
+        });
+    }
+
+    async findLogEntryByRequestId(requestId) {
+        const response = await this.sheets.spreadsheets.values.get({
+            spreadsheetId: this.spreadsheetId,
+            range: `${process.env.LOG_SHEET_NAME}!${LOG_RANGE}`,
+        });
+
+        const rows = response.data.values || [];
+        for (let i = 1; i < rows.length; i++) {
+            if (rows[i][LOG_REQUEST_ID_COLUMN] === requestId) {
+                return this.parseLogRow(rows[i], i + 1);
+            }
+        }
+
+        return null;
+    }
+
+    // Numeric sheet ID needed by batchUpdate requests such as deleteDimension
+    async getSheetId(title) {
+        if (this.sheetIds[title] === undefined) {
+            await this.loadSheetIds();
+
+            if (this.sheetIds[title] === undefined) {
+                throw new Error(`Sheet "${title}" not found`);
+            }
+        }
+
+        return this.sheetIds[title];
+    }
+
+    // Create a sheet with a header row unless it already exists
+    async ensureSheet(title, headers) {
+        if (this.sheetIds[title] !== undefined) {
+            return this.sheetIds[title];
+        }
+
+        await this.loadSheetIds();
+        if (this.sheetIds[title] === undefined) {
+            const response = await this.sheets.spreadsheets.batchUpdate({
+                spreadsheetId: this.spreadsheetId,
+                resource: {
+                    requests: [{ addSheet: { properties: { title } } }]
+                }
+            });
+            this.sheetIds[title] = response.data.replies[0].addSheet.properties.sheetId;
+
+            await this.sheets.spreadsheets.values.update({
+                spreadsheetId: this.spreadsheetId,
+                range: `${title}!A1`,
+                valueInputOption: 'RAW',
+                resource: { values: [headers] }
+            });
+            console.log(`Created sheet "${title}"`);
+        }
+
+        return this.sheetIds[title];
+    }
+
+    async deleteSheetRow(title, rowNumber) {
+        const sheetId = await this.getSheetId(title);
+        return this.sheets.spreadsheets.batchUpdate({
+            spreadsheetId: this.spreadsheetId,
+            resource: {
+                requests: [{
+                    deleteDimension: {
+                        range: {
+                            sheetId,
+                            dimension: 'ROWS',
+                            startIndex: rowNumber - 1, // 0-based, inclusive
+                            endIndex: rowNumber
+                        }
+                    }
+                }]
+            }
+        });
+    }
+
+    parseFoodRow(row) {
+        return {
+            id: row[0] || '',
+            ...pickFood({
+                name: row[1],
+                serving: row[2],
+                calories: row[3],
+                protein: row[4],
+                carbs: row[5],
+                fat: row[6]
+            })
+        };
+    }
+
+    foodRowValues(id, food) {
+        const { name, serving, calories, protein, carbs, fat } = pickFood(food);
+        return [id, name, serving, calories, protein, carbs, fat];
+    }
+
+    // Data rows of a sheet created on demand, with their 1-based row numbers
+    async getRecordRows(title, headers, range, parseRow) {
+        await this.ensureSheet(title, headers);
+
+        const response = await this.sheets.spreadsheets.values.get({
+            spreadsheetId: this.spreadsheetId,
+            range: `${title}!${range}`,
+        });
+
+        const rows = response.data.values || [];
+        return rows.slice(1).map((row, index) => ({ rowNumber: index + 2, record: parseRow(row) }));
+    }
+
+    async getFoodRows() {
+        return this.getRecordRows(this.foodsSheetName, FOODS_HEADERS, FOODS_RANGE, row => this.parseFoodRow(row));
+    }
+
+    async getFoods() {
+        try {
+            const rows = await this.getFoodRows();
+            return rows
+                .map(({ record }) => record)
+                .filter(food => food.id && food.name)
+                .sort((a, b) => a.name.localeCompare(b.name));
+        } catch (error) {
+            console.error('Error getting foods:', error.message);
+            throw error;
+        }
+    }
+
+    async addFood(food) {
+        try {
+            return await this.queueWrite(async () => {
+                await this.ensureSheet(this.foodsSheetName, FOODS_HEADERS);
+
+                const id = crypto.randomUUID();
+                const response = await this.sheets.spreadsheets.values.append({
+                    spreadsheetId: this.spreadsheetId,
+                    range: `${this.foodsSheetName}!${FOODS_RANGE}`,
+                    valueInputOption: 'RAW',
+                    resource: { values: [this.foodRowValues(id, food)] }
+                });
+
+                return { ...response.data, id, food: { id, ...pickFood(food) } };
+            });
+        } catch (error) {
+            console.error('Error adding food:', error.message);
+            throw error;
+        }
+    }
+
+    async updateFood(id, food) {
+        try {
+            return await this.queueWrite(async () => {
+                const rows = await this.getFoodRows();
+                const match = rows.find(row => row.record.id === id);
+                if (!match) {
+                    return null;
+                }
+
+                const response = await this.sheets.spreadsheets.values.update({
+                    spreadsheetId: this.spreadsheetId,
+                    range: `${this.foodsSheetName}!A${match.rowNumber}:G${match.rowNumber}`,
+                    valueInputOption: 'RAW',
+                    resource: { values: [this.foodRowValues(id, food)] }
+                });
+
+                return { ...response.data, id, food: { id, ...pickFood(food) } };
+            });
+        } catch (error) {
+            console.error('Error updating food:', error.message);
+            throw error;
+        }
+    }
+
+    async deleteFood(id) {
+        try {
+            return await this.queueWrite(async () => {
+                const rows = await this.getFoodRows();
+                const match = rows.find(row => row.record.id === id);
+                if (!match) {
+                    return null;
+                }
+
+                const response = await this.deleteSheetRow(this.foodsSheetName, match.rowNumber);
+                return { ...response.data, id };
+            });
+        } catch (error) {
+            console.error('Error deleting food:', error.message);
+            throw error;
+        }
+    }
+
+    parseMealRow(row) {
+        let components = [];
+        try {
+            components = JSON.parse(row[4] || '[]');
+        } catch (error) {
+            console.log(`Ignoring unreadable components for meal "${row[1]}":`, error.message);
+        }
+
+        return { id: row[0] || '', ...pickMeal({ name: row[1], servings: row[2], components }) };
+    }
+
+    mealRowValues(id, meal) {
+        const { name, servings, components } = pickMeal(meal);
+        const { calories } = computeMealTotals({ servings, components }, 1);
+        return [id, name, servings, calories, JSON.stringify(components)];
+    }
+
+    async getMealRows() {
+        return this.getRecordRows(this.mealsSheetName, MEALS_HEADERS, MEALS_RANGE, row => this.parseMealRow(row));
+    }
+
+    async getMeals() {
+        try {
+            const rows = await this.getMealRows();
+            return rows
+                .map(({ record }) => record)
+                .filter(meal => meal.id && meal.name)
+                .sort((a, b) => a.name.localeCompare(b.name));
+        } catch (error) {
+            console.error('Error getting meals:', error.message);
+            throw error;
+        }
+    }
+
+    async addMeal(meal) {
+        try {
+            return await this.queueWrite(async () => {
+                await this.ensureSheet(this.mealsSheetName, MEALS_HEADERS);
+
+                const id = crypto.randomUUID();
+                const response = await this.sheets.spreadsheets.values.append({
+                    spreadsheetId: this.spreadsheetId,
+                    range: `${this.mealsSheetName}!${MEALS_RANGE}`,
+                    valueInputOption: 'RAW',
+                    resource: { values: [this.mealRowValues(id, meal)] }
+                });
+
+                return { ...response.data, id, meal: { id, ...pickMeal(meal) } };
+            });
+        } catch (error) {
+            console.error('Error adding meal:', error.message);
+            throw error;
+        }
+    }
+
+    async updateMeal(id, meal) {
+        try {
+            return await this.queueWrite(async () => {
+                const rows = await this.getMealRows();
+                const match = rows.find(row => row.record.id === id);
+                if (!match) {
+                    return null;
+                }
+
+                const response = await this.sheets.spreadsheets.values.update({
+                    spreadsheetId: this.spreadsheetId,
+                    range: `${this.mealsSheetName}!A${match.rowNumber}:E${match.rowNumber}`,
+                    valueInputOption: 'RAW',
+                    resource: { values: [this.mealRowValues(id, meal)] }
+                });
+
+                return { ...response.data, id, meal: { id, ...pickMeal(meal) } };
+            });
+        } catch (error) {
+            console.error('Error updating meal:', error.message);
+            throw error;
+        }
+    }
+
+    async deleteMeal(id) {
+        try {
+            return await this.queueWrite(async () => {
+                const rows = await this.getMealRows();
+                const match = rows.find(row => row.record.id === id);
+                if (!match) {
+                    return null;
+                }
+
+                const response = await this.deleteSheetRow(this.mealsSheetName, match.rowNumber);
+                return { ...response.data, id };
+            });
+        } catch (error) {
+            console.error('Error deleting meal:', error.message);
+            throw error;
+        }
+    }
+
+    parseWeightRow(row) {
+        return { id: row[0] || '', ...pickWeightEntry({ date: toDateKey(row[1]) || row[1], weight: row[2], note: row[3] }) };
+    }
+
+    weightRowValues(id, entry) {
+        const { date, weight, note } = pickWeightEntry(entry);
+        return [id, date, weight, note];
+    }
+
+    async getWeightRows() {
+        return this.getRecordRows(this.weightSheetName, WEIGHT_HEADERS, WEIGHT_RANGE, row => this.parseWeightRow(row));
+    }
+
+    async getWeightEntries() {
+        try {
+            const rows = await this.getWeightRows();
+            return rows
+                .map(({ record }) => record)
+                .filter(entry => entry.id && entry.date && entry.weight !== '')
+                .sort((a, b) => a.date.localeCompare(b.date));
+        } catch (error) {
+            console.error('Error getting weight entries:', error.message);
+            throw error;
+        }
+    }
+
+    async saveWeightEntry(entry) {
+        try {
+            return await this.queueWrite(async () => {
+                const weighIn = pickWeightEntry(entry);
+                const rows = await this.getWeightRows();
+                const match = rows.find(row => row.record.date === weighIn.date);
+
+                if (match) {
+                    const id = match.record.id || crypto.randomUUID();
+                    const response = await this.sheets.spreadsheets.values.update({
+                        spreadsheetId: this.spreadsheetId,
+                        range: `${this.weightSheetName}!A${match.rowNumber}:D${match.rowNumber}`,
+                        valueInputOption: 'RAW',
+                        resource: { values: [this.weightRowValues(id, weighIn)] }
+                    });
+                    return { ...response.data, id, entry: { id, ...weighIn }, replaced: true };
+                }
+
+                const id = crypto.randomUUID();
+                const response = await this.sheets.spreadsheets.values.append({
+                    spreadsheetId: this.spreadsheetId,
+                    range: `${this.weightSheetName}!${WEIGHT_RANGE}`,
+                    valueInputOption: 'RAW',
+                    resource: { values: [this.weightRowValues(id, weighIn)] }
+                });
+                return { ...response.data, id, entry: { id, ...weighIn }, replaced: false };
+            });
+        } catch (error) {
+            console.error('Error saving weight entry:', error.message);
+            throw error;
+        }
+    }
+
+    async deleteWeightEntry(id) {
+        try {
+            return await this.queueWrite(async () => {
+                const rows = await this.getWeightRows();
+                const match = rows.find(row => row.record.id === id);
+                if (!match) {
+                    return null;
+                }
+
+                const response = await this.deleteSheetRow(this.weightSheetName, match.rowNumber);
+                return { ...response.data, id };
+            });
+        } catch (error) {
+            console.error('Error deleting weight entry:', error.message);
+            throw error;
+        }
+    }
+
+    parseMetricRow(row) {
+        return pickMetricDefinition({ name: row[0], unit: row[1], target: row[2], increments: row[3] });
+    }
+
+    metricRowValues(definition) {
+        const { name, unit, target, increments } = pickMetricDefinition(definition);
+        return [name, unit, target, increments.join(', ')];
+    }
+
+    async getMetricRows() {
+        return this.getRecordRows(this.metricsSheetName, METRICS_HEADERS, METRICS_RANGE, row => this.parseMetricRow(row));
+    }
+
+    async getMetricDefinitions() {
+        try {
+            const rows = await this.getMetricRows();
+            return rows.map(({ record }) => record).filter(definition => definition.name);
+        } catch (error) {
+            console.error('Error getting metric definitions:', error.message);
+            throw error;
+        }
+    }
+
+    async saveMetricDefinition(definition) {
+        try {
+            return await this.queueWrite(async () => {
+                const saved = pickMetricDefinition(definition);
+                const rows = await this.getMetricRows();
+                const match = rows.find(row => metricKey(row.record.name) === metricKey(saved.name));
+
+                if (match) {
+                    const response = await this.sheets.spreadsheets.values.update({
+                        spreadsheetId: this.spreadsheetId,
+                        range: `${this.metricsSheetName}!A${match.rowNumber}:D${match.rowNumber}`,
+                        valueInputOption: 'RAW',
+                        resource: { values: [this.metricRowValues(saved)] }
+                    });
+                    return { ...response.data, definition: saved, replaced: true };
+                }
+
+                const response = await this.sheets.spreadsheets.values.append({
+                    spreadsheetId: this.spreadsheetId,
+                    range: `${this.metricsSheetName}!${METRICS_RANGE}`,
+                    valueInputOption: 'RAW',
+                    resource: { values: [this.metricRowValues(saved)] }
+                });
+                return { ...response.data, definition: saved, replaced: false };
+            });
+        } catch (error) {
+            console.error('Error saving metric definition:', error.message);
+            throw error;
+        }
+    }
+
+    async deleteMetricDefinition(name) {
+        try {
+            return await this.queueWrite(async () => {
+                const rows = await this.getMetricRows();
+                const match = rows.find(row => metricKey(row.record.name) === metricKey(name));
+                if (!match) {
+                    return null;
+                }
+
+                const response = await this.deleteSheetRow(this.metricsSheetName, match.rowNumber);
+                return { ...response.data, name: match.record.name };
+            });
+        } catch (error) {
+            console.error('Error deleting metric definition:', error.message);
+            throw error;
+        }
+    }
+
+    parseMetricValueRow(row) {
+        return pickMetricValue({ date: toDateKey(row[0]) || row[0], metric: row[1], value: row[2] });
+    }
+
+    async getMetricValueRows() {
+        return this.getRecordRows(this.metricValuesSheetName, METRIC_VALUES_HEADERS, METRIC_VALUES_RANGE, row => this.parseMetricValueRow(row));
+    }
+
+    async getMetricValues() {
+        try {
+            const rows = await this.getMetricValueRows();
+            return rows
+                .map(({ record }) => record)
+                .filter(entry => entry.date && entry.metric)
+                .sort((a, b) => a.date.localeCompare(b.date));
+        } catch (error) {
+            console.error('Error getting metric values:', error.message);
+            throw error;
+        }
+    }
+
+    // Update the row of the same metric and date, or append one
+    async writeMetricValue(saved, rows) {
+        const match = rows.find(row => findMetricValue([row.record], saved.metric, saved.date));
+        const values = [[saved.date, saved.metric, saved.value]];
+
+        if (match) {
+            const response = await this.sheets.spreadsheets.values.update({
+                spreadsheetId: this.spreadsheetId,
+                range: `${this.metricValuesSheetName}!A${match.rowNumber}:C${match.rowNumber}`,
+                valueInputOption: 'RAW',
+                resource: { values }
+            });
+            return { ...response.data, entry: saved, replaced: true };
+        }
+
+        const response = await this.sheets.spreadsheets.values.append({
+            spreadsheetId: this.spreadsheetId,
+            range: `${this.metricValuesSheetName}!${METRIC_VALUES_RANGE}`,
+            valueInputOption: 'RAW',
+            resource: { values }
+        });
+        return { ...response.data, entry: saved, replaced: false };
+    }
+
+    async saveMetricValue(entry) {
+        try {
+            const saved = pickMetricValue(entry);
+            return await this.queueWrite(async () => this.writeMetricValue(saved, await this.getMetricValueRows()));
+        } catch (error) {
+            console.error('Error saving metric value:', error.message);
+            throw error;
+        }
+    }
+
+    async incrementMetricValue(date, metric, delta) {
+        try {
+            return await this.queueWrite(async () => {
+                const rows = await this.getMetricValueRows();
+                const current = findMetricValue(rows.map(row => row.record), metric, date);
+                const saved = pickMetricValue({ date, metric, value: nextMetricValue(current ? current.value : 0, { add: delta }) });
+                return this.writeMetricValue(saved, rows);
+            });
+        } catch (error) {
+            console.error('Error incrementing metric value:', error.message);
+            throw error;
+        }
+    }
+
+    parseGoalRow(row) {
+        const version = Object.fromEntries(GOAL_VERSION_FIELDS.map((field, index) => [field, row[index] ?? '']));
+        return { ...version, effectiveFrom: toDateKey(version.effectiveFrom) || version.effectiveFrom };
+    }
+
+    // Whether a sheet created on first use exists yet
+    async hasSheet(title) {
+        if (this.sheetIds[title] === undefined) {
+            await this.loadSheetIds();
+        }
+        return this.sheetIds[title] !== undefined;
+    }
+
+    // Goal versions oldest first; reading doesn't create the Goals sheet
+    async readGoalHistory() {
+        if (!(await this.hasSheet(this.goalsSheetName))) {
+            return [];
+        }
+
+        const response = await this.sheets.spreadsheets.values.get({
+            spreadsheetId: this.spreadsheetId,
+            range: `${this.goalsSheetName}!${GOALS_RANGE}`,
+        });
+        return (response.data.values || []).slice(1)
+            .map(row => this.parseGoalRow(row))
+            .filter(version => version.effectiveFrom)
+            .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+    }
+
+    async getGoalHistory() {
+        try {
+            return await this.readGoalHistory();
+        } catch (error) {
+            console.error('Error getting goal history:', error.message);
+            throw error;
+        }
+    }
+
+    // Write the versions first and clear the rows below them after, so a failed write keeps the old history
+    async writeGoalHistory(history) {
+        await this.ensureSheet(this.goalsSheetName, GOALS_HEADERS);
+        if (history.length) {
+            await this.sheets.spreadsheets.values.update({
+                spreadsheetId: this.spreadsheetId,
+                range: `${this.goalsSheetName}!A2:G${history.length + 1}`,
+                valueInputOption: 'RAW',
+                resource: { values: history.map(version => GOAL_VERSION_FIELDS.map(field => version[field])) }
+            });
+        }
+        await this.sheets.spreadsheets.values.clear({
+            spreadsheetId: this.spreadsheetId,
+            range: `${this.goalsSheetName}!A${history.length + 2}:G`
+        });
+    }
+
+    parseExerciseRow(row) {
+        return {
+            id: row[0] || '',
+            ...pickExerciseEntry({
+                date: toDateKey(row[1]) || row[1],
+                time: row[2],
+                type: row[3],
+                duration: row[4],
+                calories: row[5],
+                met: row[6]
+            })
+        };
+    }
+
+    exerciseRowValues(id, entry) {
+        const { date, time, type, duration, calories, met } = pickExerciseEntry(entry);
+        return [id, date, time, type, duration, calories, met];
+    }
+
+    // Reading doesn't create the Exercise sheet, the daily summary reads it on every recalculation
+    async getExerciseRows() {
+        if (!(await this.hasSheet(this.exerciseSheetName))) {
+            return [];
+        }
+        return this.getRecordRows(this.exerciseSheetName, EXERCISE_HEADERS, EXERCISE_RANGE, row => this.parseExerciseRow(row));
+    }
+
+    async getExerciseEntries() {
+        try {
+            const rows = await this.getExerciseRows();
+            return rows
+                .map(({ record }) => record)
+                .filter(entry => entry.id && entry.date)
+                .sort((a, b) => a.date.localeCompare(b.date) || a.time.localeCompare(b.time));
+        } catch (error) {
+            console.error('Error getting exercise entries:', error.message);
+            throw error;
+        }
+    }
+
+    // Like log entries, exercise changes the daily summary, so writes refresh the calculations
+    async refreshAfterExerciseChange() {
+        try {
+            await this.refreshCalculations();
+        } catch (refreshError) {
+            console.log('Exercise saved but calculation refresh failed:', refreshError.message);
+        }
+    }
+
+    async addExerciseEntry(entry) {
+        try {
+            const id = crypto.randomUUID();
+            const saved = { id, ...pickExerciseEntry(entry) };
+            const response = await this.queueWrite(async () => {
+                await this.ensureSheet(this.exerciseSheetName, EXERCISE_HEADERS);
+                return this.sheets.spreadsheets.values.append({
+                    spreadsheetId: this.spreadsheetId,
+                    range: `${this.exerciseSheetName}!${EXERCISE_RANGE}`,
+                    valueInputOption: 'RAW',
+                    resource: { values: [this.exerciseRowValues(id, saved)] }
+                });
+            });
+
+            await this.refreshAfterExerciseChange();
+            return { ...response.data, id, entry: saved };
+        } catch (error) {
+            console.error('Error adding exercise entry:', error.message);
+            throw error;
+        }
+    }
+
+    async updateExerciseEntry(id, entry) {
+        try {
+            const saved = { id, ...pickExerciseEntry(entry) };
+            const response = await this.queueWrite(async () => {
+                const rows = await this.getExerciseRows();
+                const match = rows.find(row => row.record.id === id);
+                return match && this.sheets.spreadsheets.values.update({
+                    spreadsheetId: this.spreadsheetId,
+                    range: `${this.exerciseSheetName}!A${match.rowNumber}:G${match.rowNumber}`,
+                    valueInputOption: 'RAW',
+                    resource: { values: [this.exerciseRowValues(id, saved)] }
+                });
+            });
+            if (!response) {
+                return null;
+            }
+
+            await this.refreshAfterExerciseChange();
+            return { ...response.data, id, entry: saved };
+        } catch (error) {
+            console.error('Error updating exercise entry:', error.message);
+            throw error;
+        }
+    }
+
+    async deleteExerciseEntry(id) {
+        try {
+            const response = await this.queueWrite(async () => {
+                const rows = await this.getExerciseRows();
+                const match = rows.find(row => row.record.id === id);
+                return match && this.deleteSheetRow(this.exerciseSheetName, match.rowNumber);
+            });
+            if (!response) {
+                return null;
+            }
+
+            await this.refreshAfterExerciseChange();
+            return { ...response.data, id };
+        } catch (error) {
+            console.error('Error deleting exercise entry:', error.message);
+            throw error;
+        }
+    }
+
+    async queryLogEntries(range) {
+        try {
+            const { rows, nextCursor } = await this.queryRowsByDate(process.env.LOG_SHEET_NAME, LOG_LAST_COLUMN, range);
+            return {
+                entries: rows.map(({ rowNumber, values }) => this.parseLogRow(values, rowNumber)),
+                nextCursor
+            };
+        } catch (error) {
+            console.error('Error querying log entries:', error.message);
+            throw error;
+        }
+    }
+
+    async querySummaries(range) {
+        try {
+            const { rows, nextCursor } = await this.queryRowsByDate(process.env.DAILY_SUMMARY_SHEET_NAME, SUMMARY_LAST_COLUMN, range);
+            return {
+                summaries: rows.map(({ values }) => this.parseSummaryRow(values)),
+                nextCursor
+            };
+        } catch (error) {
+            console.error('Error querying daily summary:', error.message);
+            throw error;
+        }
+    }
+
+    // Read only the Date column (A) to find the rows in range, then fetch just the rows of the requested page
+    async queryRowsByDate(sheetName, lastColumn, range) {
+        const dateResponse = await this.sheets.spreadsheets.values.get({
+            spreadsheetId: this.spreadsheetId,
+            range: `${sheetName}!A:A`,
+        });
+
+        const dated = (dateResponse.data.values || []).slice(1)
+            .map((row, index) => ({ dateKey: toDateKey(row[0]), rowNumber: index + 2 }));
+        const { items, nextCursor } = paginateByDate(dated, range);
+        if (items.length === 0) {
+            return { rows: [], nextCursor };
+        }
+
+        const rowNumbers = items.map(item => item.rowNumber);
+        const firstRow = Math.min(...rowNumbers);
+        const lastRow = Math.max(...rowNumbers);
+        const response = await this.sheets.spreadsheets.values.get({
+            spreadsheetId: this.spreadsheetId,
+            range: `${sheetName}!A${firstRow}:${lastColumn}${lastRow}`,
+        });
+
+        const values = response.data.values || [];
+        return {
+            rows: items.map(({ rowNumber }) => ({ rowNumber, values: values[rowNumber - firstRow] || [] })),
+            nextCursor
+        };
+    }
+
     async getDashboardData() {
         try {
             // Get dashboard data from specific cells
@@ -104,28 +1143,30 @@ class GoogleSheetsService {
                 spreadsheetId: this.spreadsheetId,
                 ranges: [
                     `${process.env.DASHBOARD_SHEET_NAME}!A2:D2`, // Today's tracking data
-                    `${process.env.DASHBOARD_SHEET_NAME}!H2:H8`  // Personal parameters
+                    `${process.env.DASHBOARD_SHEET_NAME}!${PERSONAL_RANGE}`, // Personal parameters
+                    `${process.env.DASHBOARD_SHEET_NAME}!${TODAY_MACROS_RANGE}`, // Today's macro totals
+                    `${process.env.DASHBOARD_SHEET_NAME}!${TODAY_EXERCISE_CELL}` // Calories burned today
                 ]
             });
 
-            const [todayData, personalData] = response.data.valueRanges;
+            const [todayData, personalData, macroData, exerciseData] = response.data.valueRanges;
+            const personal = this.parsePersonal(personalData.values);
+            const totalIn = todayData.values?.[0]?.[1] || 0;
+            const exercise = exerciseData.values?.[0]?.[0] || 0;
 
             const dashboard = {
                 today: {
-                    date: todayData.values?.[0]?.[0] || new Date().toISOString().split('T')[0],
-                    totalIn: todayData.values?.[0]?.[1] || 0,
+                    date: todayData.values?.[0]?.[0] || todayKey(personal.timezone),
+                    totalIn,
                     maxLimit: todayData.values?.[0]?.[2] || 0,
-                    status: todayData.values?.[0]?.[3] || 'No data'
+                    status: todayData.values?.[0]?.[3] || 'No data',
+                    protein: macroData.values?.[0]?.[0] || 0,
+                    carbs: macroData.values?.[0]?.[1] || 0,
+                    fat: macroData.values?.[0]?.[2] || 0,
+                    exercise,
+                    net: (parseFloat(totalIn) || 0) - (parseFloat(exercise) || 0)
                 },
-                personal: {
-                    gender: personalData.values?.[0]?.[0] || '',
-                    weight: personalData.values?.[1]?.[0] || '',
-                    height: personalData.values?.[2]?.[0] || '',
-                    age: personalData.values?.[3]?.[0] || '',
-                    activityLevel: personalData.values?.[4]?.[0] || '',
-                    goalOffset: personalData.values?.[5]?.[0] || '',
-                    dailyGoal: personalData.values?.[6]?.[0] || 0
-                }
+                personal
             };
 
             return dashboard;
@@ -139,7 +1180,7 @@ class GoogleSheetsService {
         try {
             const response = await this.sheets.spreadsheets.values.get({
                 spreadsheetId: this.spreadsheetId,
-                range: `${process.env.DAILY_SUMMARY_SHEET_NAME}!A:D`,
+                range: `${process.env.DAILY_SUMMARY_SHEET_NAME}!${SUMMARY_RANGE}`,
             });
 
             const rows = response.data.values;
@@ -148,12 +1189,7 @@ class GoogleSheetsService {
             }
 
             // Skip header row and return recent summaries
-            const summaries = rows.slice(1).slice(-limit).map(row => ({
-                date: row[0] || '',
-                totalIn: row[1] || 0,
-                maxLimit: row[2] || 0,
-                status: row[3] || ''
-            }));
+            const summaries = rows.slice(1).slice(-limit).map(row => this.parseSummaryRow(row));
 
             return summaries.reverse(); // Most recent first
         } catch (error) {
@@ -164,20 +1200,59 @@ class GoogleSheetsService {
 
     async updatePersonalMetrics(metrics) {
         try {
-            const values = [
-                [metrics.gender],
-                [metrics.weight],
-                [metrics.height],
-                [metrics.age],
-                [metrics.activityLevel],
-                [metrics.goalOffset]
-            ];
+            // The goal history is read and rewritten, so saves run one at a time
+            const response = await this.queueWrite(async () => {
+                const before = await this.sheets.spreadsheets.values.batchGet({
+                    spreadsheetId: this.spreadsheetId,
+                    ranges: [
+                        `${process.env.DASHBOARD_SHEET_NAME}!${PERSONAL_RANGE}`,
+                        `${process.env.DAILY_SUMMARY_SHEET_NAME}!A:A`
+                    ]
+                });
+                const [personalData, summaryDates] = before.data.valueRanges;
 
-            const response = await this.sheets.spreadsheets.values.update({
-                spreadsheetId: this.spreadsheetId,
-                range: `${process.env.DASHBOARD_SHEET_NAME}!H2:H7`,
-                valueInputOption: 'USER_ENTERED',
-                resource: { values }
+                const updated = await this.sheets.spreadsheets.values.batchUpdate({
+                    spreadsheetId: this.spreadsheetId,
+                    resource: {
+                        valueInputOption: 'USER_ENTERED',
+                        data: [
+                            {
+                                range: `${process.env.DASHBOARD_SHEET_NAME}!H2:H7`,
+                                values: sheetRows([
+                                    [metrics.gender],
+                                    [metrics.weight],
+                                    [metrics.height],
+                                    [metrics.age],
+                                    [metrics.activityLevel],
+                                    [metrics.goalOffset]
+                                ])
+                            },
+                            {
+                                range: `${process.env.DASHBOARD_SHEET_NAME}!H9:H14`,
+                                values: sheetRows([
+                                    [metrics.formula || DEFAULT_FORMULA],
+                                    [metrics.bodyFat || ''],
+                                    [metrics.proteinTarget || ''],
+                                    [metrics.carbsTarget || ''],
+                                    [metrics.fatTarget || ''],
+                                    [metrics.timezone || '']
+                                ])
+                            }
+                        ]
+                    }
+                });
+
+                const dates = (summaryDates.values || []).slice(1).map(row => toDateKey(row[0])).filter(Boolean).sort();
+                const goalHistory = recordGoalChange(
+                    await this.readGoalHistory(),
+                    this.parsePersonal(personalData.values),
+                    { ...metrics, formula: metrics.formula || DEFAULT_FORMULA },
+                    { todayKey: todayKey(metrics.timezone), firstDiaryDate: dates[0] || null }
+                );
+                if (goalHistory) {
+                    await this.writeGoalHistory(goalHistory);
+                }
+                return updated;
             });
 
             // Trigger calculation refresh after updating metrics (API calls don't trigger onEdit)
@@ -197,76 +1272,209 @@ class GoogleSheetsService {
 
     async refreshCalculations() {
         try {
-            // Call the deployed Google Apps Script web app to trigger refresh
-            const webAppUrl = process.env.GOOGLE_SCRIPT_WEB_APP_URL;
-
-            if (webAppUrl) {
-                // Use the web app URL to trigger refresh
-                console.log('Triggering calculations via Google Apps Script web app...');
-                const response = await fetch(`${webAppUrl}?action=refresh`);
-                const result = await response.json();
-
-                if (result.success) {
-                    console.log('Google Apps Script refresh triggered successfully via web app');
-                    return { success: true, message: 'Calculations refreshed via web app' };
-                } else {
-                    console.log('Google Apps Script refresh failed:', result.error);
-                    throw new Error(result.error);
-                }
-            } else {
-                // Fallback to dummy cell method if web app URL not configured
-                console.log('GOOGLE_SCRIPT_WEB_APP_URL not configured, using dummy cell fallback');
-                const timestamp = new Date().getTime();
-                await this.sheets.spreadsheets.values.update({
-                    spreadsheetId: this.spreadsheetId,
-                    range: `${process.env.LOG_SHEET_NAME}!F1`, // Use an unused cell
-                    valueInputOption: 'USER_ENTERED',
-                    resource: { values: [[`Refresh ${timestamp}`]] }
-                });
-
-                // Clear the dummy cell
-                await this.sheets.spreadsheets.values.clear({
-                    spreadsheetId: this.spreadsheetId,
-                    range: `${process.env.LOG_SHEET_NAME}!F1`
-                });
-
-                return { success: true, message: 'Manual refresh triggered via dummy cell' };
+            if (this.calculationEngine === 'apps-script') {
+                return await this.triggerAppsScriptRefresh();
             }
+
+            return await this.recalculateSummaries();
         } catch (error) {
             console.error('Error refreshing calculations:', error.message);
             throw error;
         }
     }
 
+    // Server-side equivalent of refreshCaloryDiary() in the Apps Script, queued behind the recalculations before it
+    recalculateSummaries() {
+        const result = this.recalculations.then(() => this.calculateSummaries());
+        this.recalculations = result.catch(() => {});
+        return result;
+    }
+
+    async calculateSummaries() {
+        const hasExercise = await this.hasSheet(this.exerciseSheetName);
+        const response = await this.sheets.spreadsheets.values.batchGet({
+            spreadsheetId: this.spreadsheetId,
+            ranges: [
+                `${process.env.LOG_SHEET_NAME}!${LOG_RANGE}`,
+                `${process.env.DASHBOARD_SHEET_NAME}!${PERSONAL_RANGE}`,
+                `${process.env.DAILY_SUMMARY_SHEET_NAME}!${SUMMARY_RANGE}`,
+                ...(hasExercise ? [`${this.exerciseSheetName}!${EXERCISE_RANGE}`] : [])
+            ]
+        });
+
+        const [logData, personalData, summaryData, exerciseData] = response.data.valueRanges;
+        const personal = this.parsePersonal(personalData.values);
+        const exerciseMap = exerciseTotalsByDate((exerciseData?.values || []).slice(1).map(row => this.parseExerciseRow(row)));
+        const goal = calculateGoal(personal);
+        const maxCalories = goal ? goal.dailyGoal : 0;
+        const currentDay = todayKey(personal.timezone);
+        const goalFor = goalResolver(await this.readGoalHistory(), maxCalories, currentDay);
+
+        // Daily calorie and macro totals from the Log sheet (skip header row)
+        const dailyTotalsMap = {};
+        const dailyMacrosMap = {};
+        (logData.values || []).slice(1).forEach((row, index) => {
+            const entry = this.parseLogRow(row, index + 2);
+            const dateKey = toDateKey(entry.date);
+            if (!dateKey || (!row[4] && row[4] !== 0)) return;
+            dailyTotalsMap[dateKey] = (dailyTotalsMap[dateKey] || 0) + (parseFloat(entry.calories) || 0);
+            dailyMacrosMap[dateKey] = addMacros(dailyMacrosMap[dateKey] || emptyMacroTotals(), entry);
+        });
+
+        // Update existing summary rows in place and append new dates, like upsertDailySummary()
+        const summaryRows = (summaryData.values || []).slice(1).map(row => [...row]);
+        const rowIndexByDate = {};
+        summaryRows.forEach((row, index) => {
+            const dateKey = toDateKey(row[0]);
+            if (dateKey) rowIndexByDate[dateKey] = index;
+        });
+
+        Object.keys(dailyTotalsMap).sort().forEach(dateKey => {
+            const total = dailyTotalsMap[dateKey];
+            const { protein, carbs, fat } = dailyMacrosMap[dateKey];
+            const index = rowIndexByDate[dateKey];
+            const rowDate = index === undefined ? dateKey : summaryRows[index][0];
+            const dayGoal = goalFor(dateKey);
+            const exercise = exerciseMap[dateKey] || 0;
+            const net = total - exercise;
+            const row = [rowDate, total, dayGoal, buildStatus(net, dayGoal), protein, carbs, fat, exercise, net];
+
+            if (index === undefined) {
+                summaryRows.push(row);
+            } else {
+                summaryRows[index] = row;
+            }
+        });
+
+        // Days whose last entry was deleted or moved to another date lose their row, as in LocalStoreService.
+        // The rows below the kept ones are blanked, since the sheet is written in place.
+        const storedRowCount = Math.max(0, (summaryData.values || []).length - 1);
+        const keptRows = summaryRows.filter(row => {
+            const dateKey = toDateKey(row[0]);
+            return !dateKey || dailyTotalsMap[dateKey] !== undefined;
+        });
+        const blankRows = Array.from({ length: Math.max(0, storedRowCount - keptRows.length) }, () => Array(9).fill(''));
+
+        const todayTotal = dailyTotalsMap[currentDay] || 0;
+        const todayMacros = dailyMacrosMap[currentDay] || emptyMacroTotals();
+        const todayExercise = exerciseMap[currentDay] || 0;
+        const data = [
+            {
+                range: `${process.env.DASHBOARD_SHEET_NAME}!A2:D2`,
+                values: [[currentDay, todayTotal, maxCalories, buildStatus(todayTotal - todayExercise, maxCalories)]]
+            },
+            {
+                range: `${process.env.DASHBOARD_SHEET_NAME}!${TODAY_MACROS_RANGE}`,
+                values: [[todayMacros.protein, todayMacros.carbs, todayMacros.fat]]
+            },
+            {
+                // Header and value, for spreadsheets set up before exercise was tracked
+                range: `${process.env.DASHBOARD_SHEET_NAME}!M1:M2`,
+                values: [['Exercise'], [todayExercise]]
+            },
+            {
+                range: `${process.env.DASHBOARD_SHEET_NAME}!H8`,
+                values: [[maxCalories]]
+            }
+        ];
+        if (keptRows.length + blankRows.length > 0) {
+            data.push({
+                range: `${process.env.DAILY_SUMMARY_SHEET_NAME}!H1:I1`,
+                values: [SUMMARY_EXERCISE_HEADERS]
+            }, {
+                range: `${process.env.DAILY_SUMMARY_SHEET_NAME}!A2:I${keptRows.length + blankRows.length + 1}`,
+                values: [...keptRows, ...blankRows]
+            });
+        }
+
+        await this.sheets.spreadsheets.values.batchUpdate({
+            spreadsheetId: this.spreadsheetId,
+            resource: {
+                valueInputOption: 'USER_ENTERED',
+                data: data.map(range => ({ ...range, values: sheetRows(range.values) }))
+            }
+        });
+
+        console.log(`Daily summary recalculated for ${Object.keys(dailyTotalsMap).length} dates (max ${maxCalories} kcal)`);
+        this.emit('calculated', {
+            currentDay,
+            summaries: keptRows.map(row => ({ ...this.parseSummaryRow(row), date: toDateKey(row[0]) }))
+        });
+        return { success: true, message: 'Calculations refreshed by server', maxCalories };
+    }
+
+    async triggerAppsScriptRefresh() {
+        // Call the deployed Google Apps Script web app to trigger refresh
+        const webAppUrl = this.webAppUrl;
+
+        if (webAppUrl) {
+            // Use the web app URL to trigger refresh
+            console.log('Triggering calculations via Google Apps Script web app...');
+            const result = await this.callAppsScript('refresh', async timeout => {
+                const response = await fetch(`${webAppUrl}?action=refresh`, { signal: AbortSignal.timeout(timeout) });
+                if (!response.ok) {
+                    const error = new Error(`Apps Script web app responded with HTTP ${response.status}`);
+                    error.response = { status: response.status, headers: response.headers };
+                    throw error;
+                }
+                return response.json();
+            });
+
+            if (result.success) {
+                console.log('Google Apps Script refresh triggered successfully via web app');
+                return { success: true, message: 'Calculations refreshed via web app' };
+            } else {
+                console.log('Google Apps Script refresh failed:', result.error);
+                throw new Error(result.error);
+            }
+        } else {
+            // Fallback to dummy cell method if web app URL not configured
+            console.log('GOOGLE_SCRIPT_WEB_APP_URL not configured, using dummy cell fallback');
+            await this.pokeRefreshCell();
+            return { success: true, message: 'Manual refresh triggered via dummy cell' };
+        }
+    }
+
+    async pokeRefreshCell() {
+        const timestamp = new Date().getTime();
+        await this.sheets.spreadsheets.values.update({
+            spreadsheetId: this.spreadsheetId,
+            range: `${process.env.LOG_SHEET_NAME}!${REFRESH_CELL}`, // Use an unused cell
+            valueInputOption: 'USER_ENTERED',
+            resource: { values: sheetRows([[`Refresh ${timestamp}`]]) }
+        });
+
+        // Clear the dummy cell
+        await this.sheets.spreadsheets.values.clear({
+            spreadsheetId: this.spreadsheetId,
+            range: `${process.env.LOG_SHEET_NAME}!${REFRESH_CELL}`
+        });
+    }
+
     async updateDashboardDate() {
         try {
-            // Update A2 in Dashboard sheet directly to today's date
-            const today = new Date();
-            const todayString = today.toISOString().split('T')[0]; // YYYY-MM-DD format
+            // Update A2 in Dashboard sheet directly to today's date in the user's time zone
+            const timeZoneCell = await this.sheets.spreadsheets.values.get({
+                spreadsheetId: this.spreadsheetId,
+                range: `${process.env.DASHBOARD_SHEET_NAME}!${TIMEZONE_CELL}`
+            });
+            const todayString = todayKey(timeZoneCell.data.values?.[0]?.[0]); // YYYY-MM-DD format
 
             await this.sheets.spreadsheets.values.update({
                 spreadsheetId: this.spreadsheetId,
                 range: `${process.env.DASHBOARD_SHEET_NAME}!A2`, // Today's date cell
                 valueInputOption: 'USER_ENTERED',
-                resource: { values: [[todayString]] }
+                resource: { values: sheetRows([[todayString]]) }
             });
 
             console.log(`Dashboard date updated to: ${todayString}`);
 
-            // Then trigger onEdit to refresh calculations
-            const timestamp = new Date().getTime();
-            await this.sheets.spreadsheets.values.update({
-                spreadsheetId: this.spreadsheetId,
-                range: `${process.env.LOG_SHEET_NAME}!F1`, // Use an unused cell
-                valueInputOption: 'USER_ENTERED',
-                resource: { values: [[`Refresh ${timestamp}`]] }
-            });
-
-            // Clear the dummy cell
-            await this.sheets.spreadsheets.values.clear({
-                spreadsheetId: this.spreadsheetId,
-                range: `${process.env.LOG_SHEET_NAME}!F1`
-            });
+            // Then refresh calculations so the today row matches the new date
+            if (this.calculationEngine === 'apps-script') {
+                await this.pokeRefreshCell();
+            } else {
+                await this.recalculateSummaries();
+            }
 
             return { success: true, message: `Dashboard date updated to ${todayString}` };
         } catch (error) {
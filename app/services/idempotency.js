@@ -0,0 +1,35 @@
+/**
+ * Idempotency-Key support for POST /api/log.
+ *
+ * The offline outbox in public/js/outbox.js replays queued entries with the
+ * key they were first sent with. The storage backends store the key with the
+ * entry, so a replay of a request that already reached the server is not
+ * logged twice. Replays of the same key that arrive at the same time (the
+ * service worker and an open page both syncing) share a single write.
+ */
+
+const KEY_PATTERN = /^[A-Za-z0-9_-]{8,100}$/;
+
+const inFlight = new Map();
+
+function isValidIdempotencyKey(key) {
+    return KEY_PATTERN.test(key || '');
+}
+
+// Run fn once per key at a time; concurrent callers with the same key get the same result
+function runOnce(key, fn) {
+    if (!key) {
+        return fn();
+    }
+
+    if (!inFlight.has(key)) {
+        const promise = Promise.resolve()
+            .then(fn)
+            .finally(() => inFlight.delete(key));
+        inFlight.set(key, promise);
+    }
+
+    return inFlight.get(key);
+}
+
+module.exports = { isValidIdempotencyKey, runOnce };
@@ -0,0 +1,30 @@
+const GoogleSheetsService = require('./googleSheets');
+const LocalStoreService = require('./localStore');
+const { CachedStorageService } = require('./cachedStorage');
+require('dotenv').config();
+
+const BACKENDS = {
+    sheets: GoogleSheetsService,
+    local: LocalStoreService
+};
+
+// Backends that are slow or rate limited to read, so their reads go through CachedStorageService
+const CACHED_BACKENDS = ['sheets'];
+
+/**
+ * Pick the storage backend from STORAGE_BACKEND (defaults to Google Sheets).
+ * options go to the backend constructor, e.g. a user's { spreadsheetId } or { dataFile }.
+ */
+function createStorageService(backend = process.env.STORAGE_BACKEND || 'sheets', options = {}) {
+    const name = backend.toLowerCase();
+    const Service = BACKENDS[name];
+
+    if (!Service) {
+        throw new Error(`Unknown STORAGE_BACKEND "${backend}". Available backends: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+
+    const service = new Service(options);
+    return CACHED_BACKENDS.includes(name) ? new CachedStorageService(service) : service;
+}
+
+module.exports = { createStorageService, BACKENDS };
@@ -0,0 +1,619 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const StorageService = require('./storageService');
+const { calculateGoal, buildStatus, DEFAULT_FORMULA } = require('./goalCalculator');
+const { toDateKey, todayKey } = require('./dateUtils');
+const { pickMacros, emptyMacroTotals, addMacros } = require('./macros');
+const { pickFood } = require('./foodLibrary');
+const { pickMeal } = require('./meals');
+const { pickWeightEntry } = require('./weightLog');
+const { pickExerciseEntry, exerciseTotalsByDate } = require('./exerciseLog');
+const { pickMetricDefinition, pickMetricValue, findMetric, findMetricValue, nextMetricValue } = require('./dailyMetrics');
+const { goalResolver, recordGoalChange } = require('./goalHistory');
+const { paginateByDate } = require('./dateRange');
+require('dotenv').config();
+
+const EMPTY_DATA = {
+    log: [],
+    dailySummary: [],
+    personal: {
+        gender: '',
+        weight: '',
+        height: '',
+        age: '',
+        activityLevel: '',
+        goalOffset: '',
+        formula: DEFAULT_FORMULA,
+        bodyFat: '',
+        proteinTarget: '',
+        carbsTarget: '',
+        fatTarget: '',
+        timezone: ''
+    },
+    today: null,
+    foods: [],
+    meals: [],
+    weights: [],
+    exercise: [],
+    metrics: [],
+    metricValues: [],
+    goalHistory: []
+};
+
+/**
+ * Storage backend that keeps the diary in a local JSON file.
+ *
+ * Unlike the Sheets backend there is no Apps Script behind it, so daily
+ * totals, the max calorie limit and the status text are computed here,
+ * following computeDailyTotalsFromLog/upsertDailySummary in
+ * CaloryDiaryAutomation_v2.gs.
+ */
+class LocalStoreService extends StorageService {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.dataFile] - defaults to LOCAL_DATA_FILE
+     */
+    constructor({ dataFile = process.env.LOCAL_DATA_FILE || './data/calorie-diary.json' } = {}) {
+        super();
+        this.dataFile = path.resolve(dataFile);
+        this.data = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    async initialize() {
+        try {
+            if (fs.existsSync(this.dataFile)) {
+                const content = await fs.promises.readFile(this.dataFile, 'utf8');
+                this.data = { ...JSON.parse(JSON.stringify(EMPTY_DATA)), ...JSON.parse(content) };
+
+                // Entries written before IDs existed get one now
+                this.data.log.forEach(entry => {
+                    if (!entry.id) entry.id = crypto.randomUUID();
+                });
+            } else {
+                this.data = JSON.parse(JSON.stringify(EMPTY_DATA));
+                await this.save();
+            }
+
+            console.log(`Local storage initialized at ${this.dataFile}`);
+        } catch (error) {
+            console.error('Error initializing local storage:', error.message);
+            throw error;
+        }
+    }
+
+    // Writes are serialized and go through a temp file so a crash never leaves half a JSON document
+    save() {
+        const snapshot = JSON.stringify(this.data, null, 2);
+        const tmpFile = `${this.dataFile}.tmp`;
+
+        this.writeQueue = this.writeQueue.then(async () => {
+            await fs.promises.mkdir(path.dirname(this.dataFile), { recursive: true });
+            await fs.promises.writeFile(tmpFile, snapshot, 'utf8');
+            await fs.promises.rename(tmpFile, this.dataFile);
+        });
+
+        return this.writeQueue;
+    }
+
+    async addLogEntry(date, time, mealType, description, calories, macros = {}, options = {}) {
+        try {
+            const { requestId } = options;
+            const existing = requestId && this.data.log.find(item => item.requestId === requestId);
+            if (existing) {
+                return { updates: { updatedRows: 0 }, id: existing.id, entry: { ...existing }, duplicate: true };
+            }
+
+            const entry = {
+                id: crypto.randomUUID(),
+                date: toDateKey(date) || date,
+                time: time || '',
+                mealType,
+                description,
+                calories: parseFloat(calories) || 0,
+                ...pickMacros(macros)
+            };
+            if (requestId) entry.requestId = requestId;
+
+            this.data.log.push(entry);
+            await this.refreshCalculations();
+
+            return { updates: { updatedRows: 1 }, id: entry.id, entry };
+        } catch (error) {
+            console.error('Error adding log entry:', error.message);
+            throw error;
+        }
+    }
+
+    async addLogEntries(entries) {
+        try {
+            const added = entries.map(entry => ({
+                id: crypto.randomUUID(),
+                date: toDateKey(entry.date) || entry.date,
+                time: entry.time || '',
+                mealType: entry.mealType,
+                description: entry.description,
+                calories: parseFloat(entry.calories) || 0,
+                ...pickMacros(entry)
+            }));
+
+            this.data.log.push(...added);
+            await this.refreshCalculations();
+
+            return { updates: { updatedRows: added.length }, ids: added.map(entry => entry.id), entries: added };
+        } catch (error) {
+            console.error('Error adding log entries:', error.message);
+            throw error;
+        }
+    }
+
+    async updateLogEntry(id, date, time, mealType, description, calories, macros = {}) {
+        try {
+            const entry = this.data.log.find(item => item.id === id);
+            if (!entry) {
+                return null;
+            }
+
+            Object.assign(entry, {
+                date: toDateKey(date) || date,
+                time: time || '',
+                mealType,
+                description,
+                calories: parseFloat(calories) || 0,
+                ...pickMacros(macros)
+            });
+            await this.refreshCalculations();
+
+            return { updatedRows: 1, id, entry: { ...entry } };
+        } catch (error) {
+            console.error('Error updating log entry:', error.message);
+            throw error;
+        }
+    }
+
+    async deleteLogEntry(id) {
+        try {
+            const index = this.data.log.findIndex(item => item.id === id);
+            if (index === -1) {
+                return null;
+            }
+
+            this.data.log.splice(index, 1);
+            await this.refreshCalculations();
+
+            return { deletedRows: 1, id };
+        } catch (error) {
+            console.error('Error deleting log entry:', error.message);
+            throw error;
+        }
+    }
+
+    async getLogEntries(limit = 50) {
+        return this.data.log.slice(-limit).map(entry => ({ ...entry })).reverse(); // Most recent first
+    }
+
+    async getDailySummary(limit = 30) {
+        return this.data.dailySummary.slice(-limit).map(summary => ({ ...summary })).reverse(); // Most recent first
+    }
+
+    async queryLogEntries(range) {
+        const { items, nextCursor } = paginateByDate(
+            this.data.log.map(entry => ({ dateKey: toDateKey(entry.date), entry })),
+            range
+        );
+        return { entries: items.map(({ entry }) => ({ ...entry })), nextCursor };
+    }
+
+    async querySummaries(range) {
+        const { items, nextCursor } = paginateByDate(
+            this.data.dailySummary.map(summary => ({ dateKey: summary.date, summary })),
+            range
+        );
+        return { summaries: items.map(({ summary }) => ({ ...summary })), nextCursor };
+    }
+
+    async getDashboardData() {
+        const maxCalories = this.computeMaxCalories();
+        const currentDay = this.currentDateKey();
+        const today = this.data.today && this.data.today.date === currentDay
+            ? this.data.today
+            : this.buildTodayView(currentDay, maxCalories);
+
+        return {
+            today: { ...today },
+            personal: {
+                ...this.data.personal,
+                dailyGoal: maxCalories || 0
+            }
+        };
+    }
+
+    async updatePersonalMetrics(metrics) {
+        try {
+            const previousPersonal = this.data.personal;
+            this.data.personal = {
+                gender: metrics.gender,
+                weight: metrics.weight,
+                height: metrics.height,
+                age: metrics.age,
+                activityLevel: metrics.activityLevel,
+                goalOffset: metrics.goalOffset,
+                formula: metrics.formula || DEFAULT_FORMULA,
+                bodyFat: metrics.bodyFat || '',
+                proteinTarget: metrics.proteinTarget || '',
+                carbsTarget: metrics.carbsTarget || '',
+                fatTarget: metrics.fatTarget || '',
+                timezone: metrics.timezone || ''
+            };
+
+            const dates = this.data.dailySummary.map(summary => summary.date).sort();
+            const goalHistory = recordGoalChange(this.data.goalHistory, previousPersonal, this.data.personal, {
+                todayKey: this.currentDateKey(),
+                firstDiaryDate: dates[0] || null
+            });
+            if (goalHistory) {
+                this.data.goalHistory = goalHistory;
+            }
+
+            await this.refreshCalculations();
+
+            return { updatedCells: 11 };
+        } catch (error) {
+            console.error('Error updating personal metrics:', error.message);
+            throw error;
+        }
+    }
+
+    async refreshCalculations() {
+        try {
+            const maxCalories = this.computeMaxCalories();
+            const currentDay = this.currentDateKey();
+            const goalFor = goalResolver(this.data.goalHistory, maxCalories, currentDay);
+            const dailyTotalsMap = this.computeDailyTotals();
+            const exerciseMap = exerciseTotalsByDate(this.data.exercise);
+
+            this.data.dailySummary = Object.keys(dailyTotalsMap).sort().map(dateKey => {
+                const { calories, ...macros } = dailyTotalsMap[dateKey];
+                return this.buildSummaryRow(dateKey, calories, goalFor(dateKey), macros, exerciseMap[dateKey]);
+            });
+            this.data.today = this.buildTodayView(currentDay, maxCalories);
+
+            await this.save();
+            this.emit('calculated', { currentDay, summaries: this.data.dailySummary.map(summary => ({ ...summary })) });
+
+            return { success: true, message: 'Calculations refreshed locally' };
+        } catch (error) {
+            console.error('Error refreshing calculations:', error.message);
+            throw error;
+        }
+    }
+
+    async updateDashboardDate() {
+        await this.refreshCalculations();
+        return { success: true, message: `Dashboard date updated to ${this.data.today.date}` };
+    }
+
+    async getFoods() {
+        return this.data.foods
+            .map(food => ({ ...food }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    async addFood(food) {
+        try {
+            const saved = { id: crypto.randomUUID(), ...pickFood(food) };
+            this.data.foods.push(saved);
+            await this.save();
+
+            return { id: saved.id, food: { ...saved } };
+        } catch (error) {
+            console.error('Error adding food:', error.message);
+            throw error;
+        }
+    }
+
+    async updateFood(id, food) {
+        try {
+            const saved = this.data.foods.find(item => item.id === id);
+            if (!saved) {
+                return null;
+            }
+
+            Object.assign(saved, pickFood(food));
+            await this.save();
+
+            return { id, food: { ...saved } };
+        } catch (error) {
+            console.error('Error updating food:', error.message);
+            throw error;
+        }
+    }
+
+    async deleteFood(id) {
+        try {
+            const index = this.data.foods.findIndex(item => item.id === id);
+            if (index === -1) {
+                return null;
+            }
+
+            this.data.foods.splice(index, 1);
+            await this.save();
+
+            return { deletedRows: 1, id };
+        } catch (error) {
+            console.error('Error deleting food:', error.message);
+            throw error;
+        }
+    }
+
+    async getMeals() {
+        return this.data.meals
+            .map(meal => JSON.parse(JSON.stringify(meal)))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    async addMeal(meal) {
+        try {
+            const saved = { id: crypto.randomUUID(), ...pickMeal(meal) };
+            this.data.meals.push(saved);
+            await this.save();
+
+            return { id: saved.id, meal: JSON.parse(JSON.stringify(saved)) };
+        } catch (error) {
+            console.error('Error adding meal:', error.message);
+            throw error;
+        }
+    }
+
+    async updateMeal(id, meal) {
+        try {
+            const saved = this.data.meals.find(item => item.id === id);
+            if (!saved) {
+                return null;
+            }
+
+            Object.assign(saved, pickMeal(meal));
+            await this.save();
+
+            return { id, meal: JSON.parse(JSON.stringify(saved)) };
+        } catch (error) {
+            console.error('Error updating meal:', error.message);
+            throw error;
+        }
+    }
+
+    async deleteMeal(id) {
+        try {
+            const index = this.data.meals.findIndex(item => item.id === id);
+            if (index === -1) {
+                return null;
+            }
+
+            this.data.meals.splice(index, 1);
+            await this.save();
+
+            return { deletedRows: 1, id };
+        } catch (error) {
+            console.error('Error deleting meal:', error.message);
+            throw error;
+        }
+    }
+
+    async getGoalHistory() {
+        return this.data.goalHistory
+            .map(version => ({ ...version }))
+            .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+    }
+
+    async getWeightEntries() {
+        return this.data.weights
+            .map(entry => ({ ...entry }))
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    async saveWeightEntry(entry) {
+        try {
+            const weighIn = pickWeightEntry(entry);
+            const existing = this.data.weights.find(item => item.date === weighIn.date);
+            if (existing) {
+                Object.assign(existing, weighIn);
+            } else {
+                this.data.weights.push({ id: crypto.randomUUID(), ...weighIn });
+            }
+            await this.save();
+
+            const saved = existing || this.data.weights[this.data.weights.length - 1];
+            return { id: saved.id, entry: { ...saved }, replaced: Boolean(existing) };
+        } catch (error) {
+            console.error('Error saving weight entry:', error.message);
+            throw error;
+        }
+    }
+
+    async deleteWeightEntry(id) {
+        try {
+            const index = this.data.weights.findIndex(item => item.id === id);
+            if (index === -1) {
+                return null;
+            }
+
+            this.data.weights.splice(index, 1);
+            await this.save();
+
+            return { deletedRows: 1, id };
+        } catch (error) {
+            console.error('Error deleting weight entry:', error.message);
+            throw error;
+        }
+    }
+
+    async getExerciseEntries() {
+        return this.data.exercise
+            .map(entry => ({ ...entry }))
+            .sort((a, b) => a.date.localeCompare(b.date) || a.time.localeCompare(b.time));
+    }
+
+    async addExerciseEntry(entry) {
+        try {
+            const saved = { id: crypto.randomUUID(), ...pickExerciseEntry(entry) };
+            this.data.exercise.push(saved);
+            await this.refreshCalculations();
+
+            return { id: saved.id, entry: { ...saved } };
+        } catch (error) {
+            console.error('Error adding exercise entry:', error.message);
+            throw error;
+        }
+    }
+
+    async updateExerciseEntry(id, entry) {
+        try {
+            const saved = this.data.exercise.find(item => item.id === id);
+            if (!saved) {
+                return null;
+            }
+
+            Object.assign(saved, pickExerciseEntry(entry));
+            await this.refreshCalculations();
+
+            return { id, entry: { ...saved } };
+        } catch (error) {
+            console.error('Error updating exercise entry:', error.message);
+            throw error;
+        }
+    }
+
+    async deleteExerciseEntry(id) {
+        try {
+            const index = this.data.exercise.findIndex(item => item.id === id);
+            if (index === -1) {
+                return null;
+            }
+
+            this.data.exercise.splice(index, 1);
+            await this.refreshCalculations();
+
+            return { deletedRows: 1, id };
+        } catch (error) {
+            console.error('Error deleting exercise entry:', error.message);
+            throw error;
+        }
+    }
+
+    async getMetricDefinitions() {
+        return this.data.metrics.map(definition => ({ ...definition, increments: [...definition.increments] }));
+    }
+
+    async saveMetricDefinition(definition) {
+        try {
+            const saved = pickMetricDefinition(definition);
+            const existing = findMetric(this.data.metrics, saved.name);
+            if (existing) {
+                Object.assign(existing, saved);
+            } else {
+                this.data.metrics.push(saved);
+            }
+            await this.save();
+
+            return { definition: { ...saved }, replaced: Boolean(existing) };
+        } catch (error) {
+            console.error('Error saving metric definition:', error.message);
+            throw error;
+        }
+    }
+
+    async deleteMetricDefinition(name) {
+        try {
+            const existing = findMetric(this.data.metrics, name);
+            if (!existing) {
+                return null;
+            }
+
+            this.data.metrics.splice(this.data.metrics.indexOf(existing), 1);
+            await this.save();
+
+            return { deletedRows: 1, name: existing.name };
+        } catch (error) {
+            console.error('Error deleting metric definition:', error.message);
+            throw error;
+        }
+    }
+
+    async getMetricValues() {
+        return this.data.metricValues
+            .map(entry => ({ ...entry }))
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    async saveMetricValue(entry) {
+        try {
+            const saved = pickMetricValue(entry);
+            const existing = findMetricValue(this.data.metricValues, saved.metric, saved.date);
+            if (existing) {
+                Object.assign(existing, saved);
+            } else {
+                this.data.metricValues.push(saved);
+            }
+            await this.save();
+
+            return { entry: { ...saved }, replaced: Boolean(existing) };
+        } catch (error) {
+            console.error('Error saving metric value:', error.message);
+            throw error;
+        }
+    }
+
+    // The read and the in-memory update happen before the first await, so concurrent increments can't interleave
+    async incrementMetricValue(date, metric, delta) {
+        const current = findMetricValue(this.data.metricValues, metric, date);
+        return this.saveMetricValue({ date, metric, value: nextMetricValue(current ? current.value : 0, { add: delta }) });
+    }
+
+    computeMaxCalories() {
+        const goal = calculateGoal(this.data.personal);
+        return goal ? goal.dailyGoal : 0;
+    }
+
+    computeDailyTotals() {
+        const dailyTotalsMap = {};
+
+        this.data.log.forEach(entry => {
+            const dateKey = toDateKey(entry.date);
+            if (!dateKey) return; // Skip invalid dates
+
+            const totals = dailyTotalsMap[dateKey] || { calories: 0, ...emptyMacroTotals() };
+            totals.calories += parseFloat(entry.calories) || 0;
+            dailyTotalsMap[dateKey] = addMacros(totals, entry);
+        });
+
+        return dailyTotalsMap;
+    }
+
+    buildSummaryRow(dateKey, totalCalories, maxCalories, macros = emptyMacroTotals(), exercise = 0) {
+        const net = totalCalories - exercise;
+        return {
+            date: dateKey,
+            totalIn: totalCalories,
+            maxLimit: maxCalories,
+            status: buildStatus(net, maxCalories),
+            ...macros,
+            exercise,
+            net
+        };
+    }
+
+    // Today in the time zone from the settings
+    currentDateKey() {
+        return todayKey(this.data.personal.timezone);
+    }
+
+    // Exercise on a day without food still counts, though it gets no summary row
+    buildTodayView(todayKey, maxCalories) {
+        const todaySummary = this.data.dailySummary.find(summary => summary.date === todayKey);
+        const exercise = exerciseTotalsByDate(this.data.exercise)[todayKey];
+        return todaySummary ? { ...todaySummary } : this.buildSummaryRow(todayKey, 0, maxCalories, undefined, exercise);
+    }
+}
+
+module.exports = LocalStoreService;
@@ -0,0 +1,26 @@
+// Macronutrients tracked alongside calories, in grams
+const MACRO_KEYS = ['protein', 'carbs', 'fat'];
+
+// Pick protein/carbs/fat from a request body or row object. Missing values stay '' (not tracked).
+function pickMacros(source = {}) {
+    const macros = {};
+    MACRO_KEYS.forEach(key => {
+        const value = parseFloat(source[key]);
+        macros[key] = isNaN(value) ? '' : value;
+    });
+    return macros;
+}
+
+function emptyMacroTotals() {
+    return { protein: 0, carbs: 0, fat: 0 };
+}
+
+// Add an entry's macros into a running totals object
+function addMacros(totals, entry) {
+    MACRO_KEYS.forEach(key => {
+        totals[key] = Math.round(((totals[key] || 0) + (parseFloat(entry[key]) || 0)) * 10) / 10;
+    });
+    return totals;
+}
+
+module.exports = { MACRO_KEYS, pickMacros, emptyMacroTotals, addMacros };
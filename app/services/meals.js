@@ -0,0 +1,86 @@
+const { MACRO_KEYS, pickMacros } = require('./macros');
+
+function round(value, decimals = 0) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+}
+
+// A component is one food in a meal; calories and macros are per unit of quantity
+function pickComponent(source = {}) {
+    const component = {
+        name: (source.name || '').toString().trim(),
+        quantity: parseFloat(source.quantity) > 0 ? parseFloat(source.quantity) : 1,
+        calories: parseFloat(source.calories) || 0,
+        ...pickMacros(source)
+    };
+    if (source.foodId) component.foodId = source.foodId;
+    return component;
+}
+
+// Normalize a saved meal from a request body or stored record. servings is how many servings the recipe makes.
+function pickMeal(source = {}) {
+    return {
+        name: (source.name || '').toString().trim(),
+        servings: parseFloat(source.servings) > 0 ? parseFloat(source.servings) : 1,
+        components: (Array.isArray(source.components) ? source.components : [])
+            .map(pickComponent)
+            .filter(component => component.name)
+    };
+}
+
+function componentTotals(component, scale) {
+    const totals = { calories: round(component.calories * component.quantity * scale) };
+    MACRO_KEYS.forEach(key => {
+        totals[key] = component[key] === '' ? '' : round(component[key] * component.quantity * scale, 1);
+    });
+    return totals;
+}
+
+/**
+ * Calories and macros for eating `servings` servings of a meal.
+ * A macro stays '' when none of the components track it.
+ */
+function computeMealTotals(meal, servings = 1) {
+    const scale = servings / (meal.servings || 1);
+    const totals = { calories: 0 };
+    MACRO_KEYS.forEach(key => { totals[key] = ''; });
+
+    meal.components.forEach(component => {
+        const part = componentTotals(component, scale);
+        totals.calories += part.calories;
+        MACRO_KEYS.forEach(key => {
+            if (part[key] !== '') totals[key] = round((totals[key] || 0) + part[key], 1);
+        });
+    });
+
+    return totals;
+}
+
+function formatQuantity(quantity) {
+    return round(quantity, 2).toString();
+}
+
+/**
+ * Log entries for eating `servings` servings of a meal: one per component,
+ * or a single combined entry when `combine` is set.
+ */
+function buildMealEntries(meal, { date, time, mealType, servings = 1, combine = false }) {
+    const base = { date, time: time || '', mealType };
+
+    if (combine) {
+        const label = servings === 1 ? meal.name : `${meal.name} (${formatQuantity(servings)} servings)`;
+        return [{ ...base, description: label, ...computeMealTotals(meal, servings) }];
+    }
+
+    const scale = servings / (meal.servings || 1);
+    return meal.components.map(component => {
+        const quantity = component.quantity * scale;
+        return {
+            ...base,
+            description: quantity === 1 ? component.name : `${component.name} × ${formatQuantity(quantity)}`,
+            ...componentTotals(component, scale)
+        };
+    });
+}
+
+module.exports = { pickMeal, computeMealTotals, buildMealEntries };
@@ -0,0 +1,241 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+const { parseCsv } = require('./csv');
+require('dotenv').config();
+
+const KJ_PER_KCAL = 4.184;
+
+/**
+ * Normalize a scanned or typed barcode to the GTIN-13 form the database is
+ * keyed by. Accepts EAN-8, UPC-A, EAN-13 and GTIN-14 with a valid check digit;
+ * UPC-A codes get the leading zero EAN-13 gives them, so both forms match.
+ *
+ * @returns {string|null} null when the code is not a valid barcode
+ */
+function normalizeBarcode(code) {
+    const digits = (code || '').toString().replace(/[\s-]/g, '');
+    if (!/^(\d{8}|\d{12,14})$/.test(digits)) return null;
+
+    // GTIN check digit: weights 3 and 1 alternate from the right, starting next to the check digit
+    const body = digits.slice(0, -1);
+    const sum = [...body].reverse().reduce((total, digit, index) => total + parseInt(digit) * (index % 2 === 0 ? 3 : 1), 0);
+    if ((10 - (sum % 10)) % 10 !== parseInt(digits.slice(-1))) return null;
+
+    if (digits.length === 8) return digits;
+    return digits.length === 14 && digits.startsWith('0') ? digits.slice(1) : digits.padStart(13, '0');
+}
+
+const round1 = value => Math.round(value * 10) / 10;
+
+function parseAmount(value) {
+    const number = parseFloat(value);
+    return isNaN(number) || number < 0 ? null : number;
+}
+
+// kcal from a kcal value, or from kJ when a product only lists energy in kJ
+function parseCalories(kcal, kj) {
+    const calories = parseAmount(kcal);
+    if (calories !== null) return calories;
+    const kilojoules = parseAmount(kj);
+    return kilojoules === null ? null : kilojoules / KJ_PER_KCAL;
+}
+
+/**
+ * Map one Open Food Facts product to the compact record the database keeps.
+ * `source` is a JSONL product (nutriments object) or a CSV row object with the
+ * same field names; products without a valid code, name or calories are skipped.
+ *
+ * @returns {Object|null} { code, name, brand, serving, servingGrams, per100g, perServing }
+ */
+function fromOpenFoodFacts(source) {
+    const code = normalizeBarcode(source.code);
+    const nutriments = source.nutriments || source;
+    const name = (source.product_name || source.generic_name || '').toString().trim();
+    const nutrition = suffix => ({
+        calories: parseCalories(nutriments[`energy-kcal${suffix}`], nutriments[`energy${suffix}`]),
+        protein: parseAmount(nutriments[`proteins${suffix}`]),
+        carbs: parseAmount(nutriments[`carbohydrates${suffix}`]),
+        fat: parseAmount(nutriments[`fat${suffix}`])
+    });
+    const per100g = nutrition('_100g');
+    const perServing = nutrition('_serving');
+    if (!code || !name || (per100g.calories === null && perServing.calories === null)) {
+        return null;
+    }
+
+    return {
+        code,
+        name: name.slice(0, 200),
+        brand: (source.brands || '').toString().split(',')[0].trim().slice(0, 100),
+        serving: (source.serving_size || '').toString().trim().slice(0, 100),
+        servingGrams: parseAmount(source.serving_quantity),
+        per100g: per100g.calories === null ? null : per100g,
+        perServing: perServing.calories === null ? null : perServing
+    };
+}
+
+/**
+ * What the log form is filled with: the product per serving, falling back to
+ * the serving weight times the per-100 g values, or 100 g when there's no serving.
+ */
+function toFoodSuggestion(product) {
+    let serving = product.serving;
+    let values = product.perServing;
+    if (!values && product.servingGrams) {
+        const factor = product.servingGrams / 100;
+        values = Object.fromEntries(Object.entries(product.per100g).map(([key, value]) => [key, value === null ? null : value * factor]));
+        serving = serving || `${product.servingGrams} g`;
+    }
+    if (!values) {
+        values = product.per100g;
+        serving = '100 g';
+    }
+
+    const brand = product.brand && !product.name.toLowerCase().includes(product.brand.toLowerCase()) ? `${product.brand} ` : '';
+    return {
+        code: product.code,
+        name: `${brand}${product.name}`,
+        serving,
+        calories: Math.round(values.calories),
+        protein: values.protein === null ? '' : round1(values.protein),
+        carbs: values.carbs === null ? '' : round1(values.carbs),
+        fat: values.fat === null ? '' : round1(values.fat),
+        source: 'barcode'
+    };
+}
+
+// Lines of a text file, gunzipped when the name ends in .gz
+function readLines(filePath) {
+    let stream = fs.createReadStream(filePath);
+    if (filePath.endsWith('.gz')) {
+        stream = stream.pipe(zlib.createGunzip());
+    }
+    return readline.createInterface({ input: stream, crlfDelay: Infinity });
+}
+
+/**
+ * Stream the products of an Open Food Facts export: the JSONL dump
+ * (openfoodfacts-products.jsonl[.gz]) or the tab-separated CSV export
+ * (en.openfoodfacts.org.products.csv[.gz]). Comma-separated files with the
+ * same column names work too.
+ */
+async function* readOpenFoodFacts(filePath) {
+    const jsonl = /\.jsonl?(\.gz)?$/i.test(filePath);
+    let headers = null;
+    let delimiter = '\t';
+
+    for await (const line of readLines(filePath)) {
+        if (!line.trim()) continue;
+
+        if (jsonl) {
+            try {
+                yield JSON.parse(line);
+            } catch (error) {
+                // A truncated or damaged line only loses that product
+            }
+            continue;
+        }
+
+        if (!headers) {
+            delimiter = line.includes('\t') ? '\t' : ',';
+            headers = parseCsv(line, delimiter)[0];
+            continue;
+        }
+        // The tab-separated export doesn't quote fields, so quotes in names are literal
+        const cells = delimiter === '\t' ? line.split('\t') : (parseCsv(line, delimiter)[0] || []);
+        yield Object.fromEntries(headers.map((header, index) => [header, cells[index]]));
+    }
+}
+
+/**
+ * Packaged food nutrition by barcode, in a JSON file (NUTRITION_DB_FILE,
+ * default ./data/nutrition.json) shared by all accounts. It's filled from an
+ * Open Food Facts export with `npm run import-nutrition` and reread when that
+ * file changes, so a running server picks up a new import.
+ */
+class NutritionDatabase {
+    constructor(dbFile = process.env.NUTRITION_DB_FILE || './data/nutrition.json') {
+        this.dbFile = path.resolve(dbFile);
+        this.products = new Map();
+        this.loadedVersion = null;
+    }
+
+    // Changes when the file is rewritten, e.g. by an import in another process
+    static version(stat) {
+        return `${stat.mtimeMs}:${stat.size}`;
+    }
+
+    async load() {
+        const stat = await fs.promises.stat(this.dbFile).catch(() => null);
+        if (!stat) {
+            this.products = new Map();
+            this.loadedVersion = null;
+            return;
+        }
+        if (NutritionDatabase.version(stat) === this.loadedVersion) {
+            return;
+        }
+
+        const content = await fs.promises.readFile(this.dbFile, 'utf8');
+        const { products = [] } = JSON.parse(content);
+        this.products = new Map(products.map(product => [product.code, product]));
+        this.loadedVersion = NutritionDatabase.version(stat);
+        console.log(`Nutrition database loaded ${this.products.size} product(s) from ${this.dbFile}`);
+    }
+
+    async save() {
+        const tmpFile = `${this.dbFile}.tmp`;
+        await fs.promises.mkdir(path.dirname(this.dbFile), { recursive: true });
+        await fs.promises.writeFile(tmpFile, JSON.stringify({ products: [...this.products.values()] }), 'utf8');
+        await fs.promises.rename(tmpFile, this.dbFile);
+        this.loadedVersion = NutritionDatabase.version(await fs.promises.stat(this.dbFile));
+    }
+
+    // The log form values for a barcode, or null when it isn't a valid barcode or the product is unknown
+    async lookup(code) {
+        const normalized = normalizeBarcode(code);
+        if (!normalized) {
+            return null;
+        }
+
+        await this.load();
+        const product = this.products.get(normalized);
+        return product ? toFoodSuggestion(product) : null;
+    }
+
+    /**
+     * Add the products of an Open Food Facts export, replacing products with the same code.
+     *
+     * @param {string} filePath
+     * @param {Object} [options]
+     * @param {string} [options.country] - only products sold there, as an Open Food Facts tag (e.g. "en:germany")
+     * @param {boolean} [options.replace] - drop the existing products first
+     * @returns {Promise<{imported: number, skipped: number, total: number}>}
+     */
+    async importOpenFoodFacts(filePath, { country = null, replace = false } = {}) {
+        await this.load();
+        if (replace) {
+            this.products = new Map();
+        }
+
+        let imported = 0;
+        let skipped = 0;
+        for await (const source of readOpenFoodFacts(filePath)) {
+            const countries = Array.isArray(source.countries_tags) ? source.countries_tags : (source.countries_tags || '').split(',');
+            const product = country && !countries.includes(country) ? null : fromOpenFoodFacts(source);
+            if (product) {
+                this.products.set(product.code, product);
+                imported++;
+            } else {
+                skipped++;
+            }
+        }
+
+        await this.save();
+        return { imported, skipped, total: this.products.size };
+    }
+}
+
+module.exports = { NutritionDatabase, normalizeBarcode, fromOpenFoodFacts, toFoodSuggestion };
@@ -0,0 +1,295 @@
+/**
+ * OpenAPI 3.0 description of the versioned API, served at
+ * /api/v1/openapi.json. Keep it in step with the /api/v1 routes in server.js
+ * and the shapes in services/publicApi.js.
+ */
+const { TOKEN_SCOPES } = require('./apiTokens');
+const { MAX_PAGE_SIZE } = require('./dateRange');
+const { version } = require('../package.json');
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const nullable = (type, extra = {}) => ({ type, nullable: true, ...extra });
+const dateKey = { type: 'string', format: 'date', example: '2025-01-15' };
+const timeOfDay = { type: 'string', pattern: '^\\d{2}:\\d{2}$', example: '08:30' };
+
+const json = schema => ({ content: { 'application/json': { schema } } });
+const dataOf = schema => json({ type: 'object', required: ['data'], properties: { data: schema } });
+const pageOf = schema => json({
+    type: 'object',
+    required: ['data', 'nextCursor'],
+    properties: {
+        data: { type: 'array', items: schema },
+        nextCursor: nullable('string', { description: 'Pass as cursor for the next page; null on the last page' })
+    }
+});
+const errorResponse = description => ({ description, ...json(ref('Error')) });
+
+const rangeParameters = [
+    { $ref: '#/components/parameters/From' },
+    { $ref: '#/components/parameters/To' }
+];
+const pageParameters = [
+    ...rangeParameters,
+    { $ref: '#/components/parameters/Limit' },
+    { $ref: '#/components/parameters/Cursor' },
+    { $ref: '#/components/parameters/Order' }
+];
+const idParameter = { name: 'id', in: 'path', required: true, schema: { type: 'string' } };
+
+// An operation with the scope it needs and the errors every authenticated call can return
+function operation(scope, summary, { parameters = [], requestBody, responses }) {
+    return {
+        summary,
+        description: `Requires a token with the \`${scope}\` scope.`,
+        security: [{ bearerAuth: [] }],
+        'x-required-scope': scope,
+        parameters,
+        ...(requestBody ? { requestBody: { required: true, ...json(requestBody) } } : {}),
+        responses: {
+            ...responses,
+            400: { $ref: '#/components/responses/BadRequest' },
+            401: { $ref: '#/components/responses/Unauthorized' },
+            403: { $ref: '#/components/responses/Forbidden' },
+            429: { $ref: '#/components/responses/RateLimited' }
+        }
+    };
+}
+
+const macroProperties = {
+    protein: nullable('number', { description: 'grams' }),
+    carbs: nullable('number', { description: 'grams' }),
+    fat: nullable('number', { description: 'grams' })
+};
+
+const schemas = {
+    Error: {
+        type: 'object',
+        required: ['error'],
+        properties: {
+            error: {
+                type: 'object',
+                required: ['code', 'message'],
+                properties: {
+                    code: {
+                        type: 'string',
+                        example: 'invalid_request',
+                        description: 'invalid_request, invalid_json, unauthorized, forbidden, not_found, rate_limited, ' +
+                            'storage_* (the diary\'s storage failed) or internal_error'
+                    },
+                    message: { type: 'string' },
+                    fields: {
+                        type: 'object',
+                        additionalProperties: { type: 'string' },
+                        description: 'For invalid_request: a message per invalid field'
+                    }
+                }
+            }
+        }
+    },
+    Entry: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            date: dateKey,
+            time: nullable('string', { pattern: timeOfDay.pattern }),
+            mealType: { type: 'string', example: 'Breakfast' },
+            description: { type: 'string', example: 'Porridge' },
+            calories: { type: 'number', example: 350 },
+            ...macroProperties
+        }
+    },
+    EntryInput: {
+        type: 'object',
+        required: ['date', 'mealType', 'description', 'calories'],
+        properties: {
+            date: {
+                type: 'string',
+                description: 'YYYY-MM-DD, or a timestamp with an offset, which is logged on the day it falls on in the diary\'s time zone',
+                example: '2025-01-15'
+            },
+            time: timeOfDay,
+            mealType: { type: 'string', maxLength: 50 },
+            description: { type: 'string', maxLength: 500 },
+            calories: { type: 'number', minimum: 0, maximum: 20000 },
+            protein: { type: 'number', minimum: 0 },
+            carbs: { type: 'number', minimum: 0 },
+            fat: { type: 'number', minimum: 0 }
+        }
+    },
+    Summary: {
+        type: 'object',
+        properties: {
+            date: dateKey,
+            calories: { type: 'number', description: 'Eaten' },
+            exercise: { type: 'number', description: 'Burned' },
+            net: { type: 'number', description: 'calories - exercise' },
+            limit: { type: 'number', description: 'The daily goal that applied on the day; 0 when none is set' },
+            remaining: nullable('number', { description: 'limit - net, negative when over; null without a limit' }),
+            status: { type: 'string', enum: ['under', 'over', 'none'] },
+            protein: { type: 'number' },
+            carbs: { type: 'number' },
+            fat: { type: 'number' }
+        }
+    },
+    Today: {
+        allOf: [ref('Summary'), {
+            type: 'object',
+            properties: {
+                dailyGoal: nullable('number'),
+                timeZone: nullable('string', { example: 'Europe/Berlin' })
+            }
+        }]
+    },
+    Exercise: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            date: dateKey,
+            time: nullable('string', { pattern: timeOfDay.pattern }),
+            type: { type: 'string', example: 'Running' },
+            duration: nullable('number', { description: 'minutes' }),
+            calories: { type: 'number' },
+            met: nullable('number')
+        }
+    },
+    ExerciseInput: {
+        type: 'object',
+        required: ['date', 'type', 'duration'],
+        properties: {
+            date: { type: 'string', example: '2025-01-15' },
+            time: timeOfDay,
+            type: { type: 'string', maxLength: 100 },
+            duration: { type: 'number', minimum: 1, maximum: 1440, description: 'minutes' },
+            calories: { type: 'number', minimum: 0, description: 'Estimated from the MET value and the weight in the settings when left out' },
+            met: { type: 'number', minimum: 1, maximum: 25 }
+        }
+    },
+    Weight: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            date: dateKey,
+            weight: { type: 'number', description: 'kg' },
+            trend: nullable('number', { description: 'Smoothed weight in kg' }),
+            note: nullable('string')
+        }
+    },
+    WeightInput: {
+        type: 'object',
+        required: ['date', 'weight'],
+        properties: {
+            date: { type: 'string', example: '2025-01-15' },
+            weight: { type: 'number', minimum: 20, maximum: 500, description: 'kg' },
+            note: { type: 'string', maxLength: 200 }
+        }
+    }
+};
+
+const paths = {
+    '/entries': {
+        get: operation('read', 'Food log entries in a date range', {
+            parameters: pageParameters,
+            responses: { 200: { description: 'A page of entries', ...pageOf(ref('Entry')) } }
+        }),
+        post: operation('write', 'Log a food entry', {
+            parameters: [{
+                name: 'Idempotency-Key',
+                in: 'header',
+                schema: { type: 'string', pattern: '^[A-Za-z0-9_-]{8,100}$' },
+                description: 'A retried request with the same key doesn\'t log the entry twice'
+            }],
+            requestBody: ref('EntryInput'),
+            responses: {
+                201: { description: 'Logged', ...dataOf(ref('Entry')) },
+                200: { description: 'Already logged with this Idempotency-Key', ...dataOf(ref('Entry')) }
+            }
+        })
+    },
+    '/entries/{id}': {
+        put: operation('write', 'Replace a food log entry', {
+            parameters: [idParameter],
+            requestBody: ref('EntryInput'),
+            responses: { 200: { description: 'Updated', ...dataOf(ref('Entry')) }, 404: { $ref: '#/components/responses/NotFound' } }
+        }),
+        delete: operation('write', 'Delete a food log entry', {
+            parameters: [idParameter],
+            responses: { 204: { description: 'Deleted' }, 404: { $ref: '#/components/responses/NotFound' } }
+        })
+    },
+    '/summaries': {
+        get: operation('read', 'Daily totals in a date range', {
+            parameters: pageParameters,
+            responses: { 200: { description: 'A page of days', ...pageOf(ref('Summary')) } }
+        })
+    },
+    '/today': {
+        get: operation('read', 'Today\'s totals in the diary\'s time zone', {
+            responses: { 200: { description: 'Today', ...dataOf(ref('Today')) } }
+        })
+    },
+    '/exercise': {
+        get: operation('read', 'Exercise entries, oldest first', {
+            parameters: rangeParameters,
+            responses: { 200: { description: 'Exercise entries', ...dataOf({ type: 'array', items: ref('Exercise') }) } }
+        }),
+        post: operation('write', 'Log exercise', {
+            requestBody: ref('ExerciseInput'),
+            responses: { 201: { description: 'Logged', ...dataOf(ref('Exercise')) } }
+        })
+    },
+    '/weight': {
+        get: operation('read', 'Weigh-ins with their trend, oldest first', {
+            parameters: rangeParameters,
+            responses: { 200: { description: 'Weigh-ins', ...dataOf({ type: 'array', items: ref('Weight') }) } }
+        }),
+        post: operation('write', 'Log a weigh-in; a second one on the same date replaces the first', {
+            requestBody: ref('WeightInput'),
+            responses: { 201: { description: 'Logged', ...dataOf(ref('Weight')) }, 200: { description: 'Replaced', ...dataOf(ref('Weight')) } }
+        })
+    }
+};
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.serverUrl] - the API's base URL, e.g. https://diary.example.com/api/v1
+ */
+function buildOpenApiDocument({ serverUrl = '/api/v1' } = {}) {
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'Calorie Diary API',
+            version,
+            description: 'Typed access to the diary for scripts and apps. Create a personal access token on the Settings page ' +
+                `and send it as "Authorization: Bearer <token>". Scopes: ${TOKEN_SCOPES.join(', ')}. ` +
+                'Every token has its own rate limit; the RateLimit-* headers show what is left of the current window.'
+        },
+        servers: [{ url: serverUrl }],
+        paths,
+        components: {
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', description: 'A personal access token (cdt_...)' }
+            },
+            parameters: {
+                From: { name: 'from', in: 'query', schema: dateKey, description: 'First day, inclusive' },
+                To: { name: 'to', in: 'query', schema: dateKey, description: 'Last day, inclusive' },
+                Limit: { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, default: 50 } },
+                Cursor: { name: 'cursor', in: 'query', schema: { type: 'string' }, description: 'nextCursor of the previous page' },
+                Order: { name: 'order', in: 'query', schema: { type: 'string', enum: ['asc', 'desc'], default: 'desc' } }
+            },
+            responses: {
+                BadRequest: errorResponse('Invalid input (invalid_request, invalid_json)'),
+                Unauthorized: errorResponse('Missing, unknown, revoked or expired token'),
+                Forbidden: errorResponse('The token lacks the scope the endpoint requires'),
+                NotFound: errorResponse('No such entry'),
+                RateLimited: {
+                    description: 'The token\'s rate limit is used up',
+                    headers: { 'Retry-After': { schema: { type: 'integer' }, description: 'Seconds until the limit resets' } },
+                    ...json(ref('Error'))
+                }
+            },
+            schemas
+        }
+    };
+}
+
+module.exports = { buildOpenApiDocument };
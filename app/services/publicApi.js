@@ -0,0 +1,162 @@
+/**
+ * Response shapes of the versioned API (/api/v1).
+ *
+ * The storage backends return what the sheets hold: numbers as text
+ * ("350", "0"), blanks as "" and dates in the spreadsheet's format. The v1
+ * API turns them into typed JSON: numbers as numbers, missing values as null,
+ * dates as YYYY-MM-DD and times as HH:mm. Errors are always
+ * { error: { code, message, fields? } }.
+ */
+const { ValidationError } = require('./validation');
+const { GoogleApiError } = require('./resilience');
+const { toDateKey } = require('./dateUtils');
+
+const API_VERSION = 'v1';
+
+/**
+ * An error of the v1 API with its HTTP status and a stable code clients can
+ * branch on (unauthorized, forbidden, not_found, rate_limited, ...).
+ */
+class ApiError extends Error {
+    constructor(status, code, message, { retryAfterMs = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+// What clients see of unexpected errors; the message itself (file paths, raw Google errors) is only logged
+const INTERNAL_ERROR = { status: 500, body: { error: { code: 'internal_error', message: 'Something went wrong. Please try again later.' } } };
+
+// Any error a v1 route can hit as { status, body, retryAfterMs }
+function toApiError(error) {
+    if (error instanceof ApiError) {
+        return {
+            status: error.status,
+            body: { error: { code: error.code, message: error.message } },
+            retryAfterMs: error.retryAfterMs
+        };
+    }
+    if (error instanceof ValidationError) {
+        return { status: 400, body: { error: { code: 'invalid_request', message: error.message, fields: error.fields } } };
+    }
+    if (error instanceof GoogleApiError) {
+        if (error.kind === 'unknown') {
+            return INTERNAL_ERROR;
+        }
+        return {
+            status: error.status,
+            body: { error: { code: `storage_${error.kind.replace('-', '_')}`, message: error.message } },
+            retryAfterMs: error.retryAfterMs
+        };
+    }
+    // Malformed JSON bodies, from body-parser
+    if (error.type === 'entity.parse.failed') {
+        return { status: 400, body: { error: { code: 'invalid_json', message: 'The request body is not valid JSON' } } };
+    }
+    return INTERNAL_ERROR;
+}
+
+const toNumber = value => {
+    const number = parseFloat(value);
+    return isNaN(number) ? 0 : number;
+};
+const toOptionalNumber = value => {
+    const number = parseFloat(value);
+    return isNaN(number) ? null : number;
+};
+const toOptionalText = value => {
+    const text = (value ?? '').toString().trim();
+    return text || null;
+};
+const toDate = value => toDateKey(value) || null;
+
+// "8:05", "08:05" and "08:05:00" as "08:05"; anything else as null
+function toTime(value) {
+    const match = /^(\d{1,2}):(\d{2})/.exec((value || '').toString().trim());
+    return match ? `${match[1].padStart(2, '0')}:${match[2]}` : null;
+}
+
+/**
+ * "under", "over" or "none" (no limit set) for a day's net intake against its limit.
+ * Same rule as goalCalculator.buildStatus, without the text.
+ */
+const limitStatus = (net, limit) => (limit > 0 ? (net > limit ? 'over' : 'under') : 'none');
+
+function toApiEntry(entry) {
+    return {
+        id: entry.id,
+        date: toDate(entry.date),
+        time: toTime(entry.time),
+        mealType: entry.mealType,
+        description: entry.description,
+        calories: toNumber(entry.calories),
+        protein: toOptionalNumber(entry.protein),
+        carbs: toOptionalNumber(entry.carbs),
+        fat: toOptionalNumber(entry.fat)
+    };
+}
+
+function toApiSummary(summary) {
+    const calories = toNumber(summary.totalIn);
+    const exercise = toNumber(summary.exercise);
+    const limit = toNumber(summary.maxLimit);
+    const net = summary.net === undefined || summary.net === '' ? calories - exercise : toNumber(summary.net);
+    return {
+        date: toDate(summary.date),
+        calories,
+        exercise,
+        net,
+        limit,
+        remaining: limit > 0 ? limit - net : null,
+        status: limitStatus(net, limit),
+        protein: toNumber(summary.protein),
+        carbs: toNumber(summary.carbs),
+        fat: toNumber(summary.fat)
+    };
+}
+
+// Today's totals from getDashboardData(), with the daily goal from the settings
+function toApiToday({ today, personal }) {
+    return {
+        ...toApiSummary(today),
+        dailyGoal: toOptionalNumber(personal.dailyGoal),
+        timeZone: toOptionalText(personal.timezone)
+    };
+}
+
+function toApiExercise(entry) {
+    return {
+        id: entry.id,
+        date: toDate(entry.date),
+        time: toTime(entry.time),
+        type: entry.type,
+        duration: toOptionalNumber(entry.duration),
+        calories: toNumber(entry.calories),
+        met: toOptionalNumber(entry.met)
+    };
+}
+
+function toApiWeight(entry) {
+    return {
+        id: entry.id,
+        date: toDate(entry.date),
+        weight: toNumber(entry.weight),
+        trend: toOptionalNumber(entry.trend),
+        note: toOptionalText(entry.note)
+    };
+}
+
+module.exports = {
+    API_VERSION,
+    ApiError,
+    toApiError,
+    toTime,
+    toApiEntry,
+    toApiSummary,
+    toApiToday,
+    toApiExercise,
+    toApiWeight
+};
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_REMINDERS } = require('./reminders');
+require('dotenv').config();
+
+/**
+ * Push subscriptions and reminder rules in a JSON file (PUSH_FILE, default
+ * ./data/push.json). They belong to a device and an account rather than to
+ * the diary, so they are kept next to the accounts instead of in a user's
+ * storage. Keys are user ids ("shared" without sign-in).
+ *
+ * sent remembers the day each rule last fired, so a reminder goes out at
+ * most once a day even across restarts.
+ */
+class PushStore {
+    constructor(pushFile = process.env.PUSH_FILE || './data/push.json') {
+        this.pushFile = path.resolve(pushFile);
+        this.data = { subscriptions: [], reminders: {}, sent: {} };
+        this.writeQueue = Promise.resolve();
+    }
+
+    async load() {
+        if (fs.existsSync(this.pushFile)) {
+            const content = await fs.promises.readFile(this.pushFile, 'utf8');
+            this.data = { ...this.data, ...JSON.parse(content) };
+        }
+        console.log(`Push store loaded ${this.data.subscriptions.length} subscription(s) from ${this.pushFile}`);
+    }
+
+    // Same serialized temp-file-and-rename writes as UserStore.save()
+    save() {
+        const snapshot = JSON.stringify(this.data, null, 2);
+        const tmpFile = `${this.pushFile}.tmp`;
+
+        this.writeQueue = this.writeQueue.then(async () => {
+            await fs.promises.mkdir(path.dirname(this.pushFile), { recursive: true });
+            await fs.promises.writeFile(tmpFile, snapshot, 'utf8');
+            await fs.promises.rename(tmpFile, this.pushFile);
+        });
+
+        return this.writeQueue;
+    }
+
+    subscriptionsFor(userId) {
+        return this.data.subscriptions.filter(subscription => subscription.userId === userId);
+    }
+
+    // Users with at least one subscribed device
+    subscribedUserIds() {
+        return [...new Set(this.data.subscriptions.map(subscription => subscription.userId))];
+    }
+
+    // A browser keeps its endpoint when another account signs in on it, so the endpoint moves to the new user
+    async addSubscription(userId, { endpoint, keys }, userAgent = '') {
+        this.data.subscriptions = this.data.subscriptions.filter(subscription => subscription.endpoint !== endpoint);
+        this.data.subscriptions.push({
+            userId,
+            endpoint,
+            keys: { p256dh: keys.p256dh, auth: keys.auth },
+            userAgent: userAgent.slice(0, 200),
+            createdAt: new Date().toISOString()
+        });
+        await this.save();
+    }
+
+    // Returns true when the endpoint was subscribed (for userId, when given)
+    async removeSubscription(endpoint, userId = null) {
+        const before = this.data.subscriptions.length;
+        this.data.subscriptions = this.data.subscriptions.filter(subscription =>
+            subscription.endpoint !== endpoint || (userId !== null && subscription.userId !== userId));
+        if (this.data.subscriptions.length === before) {
+            return false;
+        }
+        await this.save();
+        return true;
+    }
+
+    // The user's rules, or the (disabled) defaults until they save some
+    remindersFor(userId) {
+        return (this.data.reminders[userId] || DEFAULT_REMINDERS).map(rule => ({ ...rule }));
+    }
+
+    async setReminders(userId, reminders) {
+        this.data.reminders[userId] = reminders;
+        await this.save();
+    }
+
+    wasSent(userId, ruleId, dateKey) {
+        return this.data.sent[userId]?.[ruleId] === dateKey;
+    }
+
+    async markSent(userId, ruleId, dateKey) {
+        this.data.sent[userId] = { ...this.data.sent[userId], [ruleId]: dateKey };
+        await this.save();
+    }
+}
+
+module.exports = PushStore;
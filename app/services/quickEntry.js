@@ -0,0 +1,356 @@
+const { MACRO_KEYS } = require('./macros');
+const { searchFoods } = require('./foodLibrary');
+const { addDays } = require('./dateUtils');
+const { ValidationError } = require('./validation');
+
+// Most entries one quick entry text can hold
+const MAX_QUICK_ENTRIES = 20;
+
+const MEAL_WORDS = {
+    breakfast: 'Breakfast',
+    brunch: 'Breakfast',
+    lunch: 'Lunch',
+    dinner: 'Dinner',
+    supper: 'Dinner',
+    snack: 'Snack',
+    snacks: 'Snack',
+    drink: 'Drink',
+    drinks: 'Drink'
+};
+const COUNT_WORDS = {
+    'a half': 0.5,
+    'a dozen': 12,
+    half: 0.5,
+    dozen: 12,
+    a: 1,
+    an: 1,
+    one: 1,
+    two: 2,
+    three: 3,
+    four: 4,
+    five: 5,
+    six: 6,
+    seven: 7,
+    eight: 8,
+    nine: 9,
+    ten: 10
+};
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const NUMBER = '\\d+(?:\\.\\d+)?';
+const COUNT = `\\d+/\\d+|${NUMBER}|${Object.keys(COUNT_WORDS).join('|')}`;
+const MEAL = Object.keys(MEAL_WORDS).join('|');
+const CALORIE_UNIT = '(?:kcals?|cals?|calories)';
+
+// Relative dates, as days before today; weekdays are the most recent one ("last" skips today)
+const DATE_PATTERNS = [
+    [/\b(?:the\s+)?day\s+before\s+yesterday\b/i, () => 2],
+    [/\b(?:yesterday|last\s+night)\b/i, () => 1],
+    [/\b(?:today|tonight|this\s+(?:morning|afternoon|evening))\b/i, () => 0],
+    [new RegExp(`\\b(${COUNT})\\s+days?\\s+ago\\b`, 'i'), match => {
+        const days = Math.round(toCount(match[1]));
+        return isNaN(days) ? null : days;
+    }],
+    [new RegExp(`\\b(?:(last|on)\\s+)?(${WEEKDAYS.join('|')})\\b`, 'i'), (match, weekday) => {
+        const days = (weekday - WEEKDAYS.indexOf(match[2].toLowerCase()) + 7) % 7;
+        return days === 0 && /last/i.test(match[1] || '') ? 7 : days;
+    }]
+];
+const TIME_PATTERNS = [
+    /\b(?:at\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b/i,
+    /\b(?:at\s+)?(\d{1,2}):(\d{2})\b/
+];
+// "breakfast: ...", "... for lunch" and a meal word at the end, before the calories if any
+const MEAL_PATTERNS = [
+    new RegExp(`^\\s*(${MEAL})\\s*[:-]\\s*`, 'i'),
+    new RegExp(`\\b(?:for|at|with)\\s+(?:a\\s+)?(${MEAL})\\b`, 'i'),
+    new RegExp(`(?<=\\S)\\s+(${MEAL})(?=(?:\\s+${NUMBER}\\s*${CALORIE_UNIT}?)?\\s*$)`, 'i')
+];
+const CALORIES_PATTERN = new RegExp(`(${NUMBER})\\s*${CALORIE_UNIT}\\b`, 'i');
+const MACRO_PATTERN = new RegExp(`(${NUMBER})\\s*g(?:rams?)?\\s+(?:of\\s+)?(protein|carbs?|fat)\\b`, 'i');
+// A number at the end of an item is its calories: "coffee 5"
+const TRAILING_CALORIES_PATTERN = new RegExp(`(?<=\\S)\\s+(${NUMBER})\\s*$`);
+const LEADING_QUANTITY_PATTERN = new RegExp(`^(${COUNT})(?:\\s*[x×])?\\s+(?=\\S)`, 'i');
+const TRAILING_QUANTITY_PATTERN = new RegExp(`(?<=\\S)\\s+[x×]\\s*(${NUMBER})$`, 'i');
+// Items typed on one line: "coffee 5 and banana 105"
+const AND_PATTERN = /\s+(?:and|&|\+|plus)\s+/i;
+
+function round(value, decimals = 0) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+}
+
+// "2", "1.5", "1/2", "two" or "a half" as a number; NaN for what isn't a finite count, like "1/0"
+function toCount(text) {
+    const word = text.toLowerCase().replace(/\s+/g, ' ');
+    if (COUNT_WORDS[word] !== undefined) {
+        return COUNT_WORDS[word];
+    }
+    const [numerator, denominator] = word.split('/');
+    const count = denominator ? parseFloat(numerator) / parseFloat(denominator) : parseFloat(word);
+    return Number.isFinite(count) ? count : NaN;
+}
+
+// Same hours as guessMealType() on the log page
+function mealTypeForTime(time) {
+    const hour = parseInt(time);
+    if (hour >= 5 && hour < 11) return 'Breakfast';
+    if (hour >= 11 && hour < 16) return 'Lunch';
+    if (hour >= 16 && hour < 22) return 'Dinner';
+    return 'Snack';
+}
+
+// "8am", "8:30 pm" and "19:05" as HH:mm; null when it isn't a time of day
+function readTime(match) {
+    let hour = parseInt(match[1]);
+    const minute = parseInt(match[2] || '0');
+    const meridiem = (match[3] || '').toLowerCase();
+
+    if (meridiem) {
+        if (hour < 1 || hour > 12) return null;
+        hour = (hour % 12) + (meridiem === 'pm' ? 12 : 0);
+    }
+    if (hour > 23 || minute > 59) return null;
+    return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+/**
+ * Find pattern in text. Returns the value read from the first match and the text
+ * without it; value is null, and the text unchanged, when nothing usable matched.
+ */
+function extract(text, pattern, read) {
+    const match = pattern.exec(text);
+    const value = match ? read(match) : null;
+    if (value === null) {
+        return { value: null, text };
+    }
+    return { value, text: `${text.slice(0, match.index)} ${text.slice(match.index + match[0].length)}` };
+}
+
+// Collapse spaces and drop the punctuation and joining words left around a removed part
+function tidy(text) {
+    return text
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s,.:;-]+|[\s,.:;-]+$/g, '')
+        .replace(/\s+(?:and|with|for|at|on|of)$/i, '')
+        .trim();
+}
+
+// Split a leading "2", "two" or "2x", or a trailing "x2", from a food name
+function splitQuantity(text) {
+    const leading = LEADING_QUANTITY_PATTERN.exec(text);
+    if (leading) {
+        const quantity = toCount(leading[1]);
+        if (quantity > 0) {
+            return { quantity, name: tidy(text.slice(leading[0].length)) };
+        }
+    }
+
+    const trailing = TRAILING_QUANTITY_PATTERN.exec(text);
+    if (trailing && parseFloat(trailing[1]) > 0) {
+        return { quantity: parseFloat(trailing[1]), name: tidy(text.slice(0, trailing.index)) };
+    }
+
+    return { quantity: 1, name: text };
+}
+
+/**
+ * Read one item, e.g. "2 eggs 150 for breakfast yesterday". Date, time, meal type,
+ * calories and macros are taken out of the text; what's left is the description,
+ * and the description without its quantity is the name foods are looked up by.
+ */
+function parseItem(text, { today }) {
+    const weekday = new Date(`${today}T00:00:00Z`).getUTCDay();
+    let rest = text;
+    const item = { date: null, time: null, mealType: null, calories: null, macros: {} };
+
+    for (const [pattern, daysAgo] of DATE_PATTERNS) {
+        const found = extract(rest, pattern, match => daysAgo(match, weekday));
+        if (found.value !== null) {
+            item.date = addDays(today, -found.value);
+            rest = found.text;
+            break;
+        }
+    }
+
+    for (const pattern of TIME_PATTERNS) {
+        const found = extract(rest, pattern, readTime);
+        if (found.value !== null) {
+            item.time = found.value;
+            rest = found.text;
+            break;
+        }
+    }
+
+    for (const pattern of MEAL_PATTERNS) {
+        const found = extract(rest, pattern, match => MEAL_WORDS[match[1].toLowerCase()]);
+        if (found.value !== null) {
+            item.mealType = found.value;
+            rest = found.text;
+            break;
+        }
+    }
+
+    let found = extract(rest, CALORIES_PATTERN, match => parseFloat(match[1]));
+    item.calories = found.value;
+    rest = found.text;
+
+    while ((found = extract(rest, MACRO_PATTERN, match => match)).value) {
+        const key = found.value[2].toLowerCase().replace(/^carb$/, 'carbs');
+        item.macros[key] = parseFloat(found.value[1]);
+        rest = found.text;
+    }
+
+    rest = tidy(rest);
+    if (item.calories === null) {
+        found = extract(rest, TRAILING_CALORIES_PATTERN, match => parseFloat(match[1]));
+        item.calories = found.value;
+        rest = tidy(found.text);
+    }
+
+    item.description = rest;
+    Object.assign(item, splitQuantity(rest));
+    return item;
+}
+
+// Lower-case name with its plural endings dropped, so "Eggs" finds "egg" and "tomatoes" finds "Tomato"
+function nameKeys(name) {
+    const key = (name || '').toString().trim().toLowerCase().replace(/\s+/g, ' ');
+    return [...new Set([key, key.replace(/ies$/, 'y'), key.replace(/es$/, ''), key.replace(/s$/, '')])];
+}
+
+// Calories and macros of a food or past entry divided by its quantity
+function perUnit(source, quantity) {
+    const match = { calories: (parseFloat(source.calories) || 0) / quantity };
+    MACRO_KEYS.forEach(key => {
+        const value = parseFloat(source[key]);
+        match[key] = isNaN(value) ? '' : value / quantity;
+    });
+    return match;
+}
+
+/**
+ * Calories and macros per unit of every food by name: library foods per serving,
+ * past entries per unit of the quantity at the start of their description
+ * ("2 eggs" at 150 cal is 75 cal per egg). The library wins, then the most
+ * recent entry.
+ */
+function buildFoodIndex(foods, entries) {
+    const index = new Map();
+    const add = (name, match) => nameKeys(name).forEach(key => {
+        if (key && !index.has(key)) index.set(key, match);
+    });
+
+    foods.forEach(food => add(food.name, { name: food.name, source: 'library', ...perUnit(food, 1) }));
+    entries.forEach(entry => {
+        const { quantity, name } = splitQuantity(tidy((entry.description || '').toString()));
+        add(name, { name: entry.description, source: 'history', ...perUnit(entry, quantity) });
+    });
+    return index;
+}
+
+function findFood(index, name) {
+    const key = nameKeys(name).find(item => index.has(item));
+    return key ? index.get(key) : null;
+}
+
+// The best partial name match, for names the index doesn't know; past entries count per unit here too
+function searchFood(foods, entries, name) {
+    const [match] = searchFoods(foods, entries, name, 1);
+    if (!match || match.source !== 'history') {
+        return match || null;
+    }
+    const { quantity } = splitQuantity(tidy(match.name));
+    return { name: match.name, source: 'history', ...perUnit(match, quantity) };
+}
+
+// A line holds one item, or several joined by "and" when that splits off typed calories or known foods
+function splitLine(line, options, index) {
+    const whole = parseItem(line, options);
+    const parts = line.split(AND_PATTERN).map(part => parseItem(part, options));
+    if (parts.length < 2) {
+        return [whole];
+    }
+
+    const typed = part => part.name && part.calories !== null;
+    if (parts.every(typed)) {
+        return parts;
+    }
+    if (typed(whole) || findFood(index, whole.name)) {
+        return [whole];
+    }
+    return parts.some(part => typed(part) || (part.name && findFood(index, part.name))) ? parts : [whole];
+}
+
+/**
+ * Parse free text such as "2 eggs and toast 350 breakfast" or "coffee 5, banana
+ * yesterday" into log entries. Items are separated by commas, semicolons and new
+ * lines, or by "and" when that splits them into foods that can be logged.
+ *
+ * Calories typed with an item are its total; without them the food is looked
+ * up in the library and past entries and multiplied by the quantity. A date,
+ * time or meal type typed for one item applies to the items that have none;
+ * otherwise entries are logged today at the current time, with the meal type
+ * for the time of day. Nothing is logged here.
+ *
+ * @param {string} text
+ * @param {Object} options - { today: yyyy-MM-dd and time: HH:mm in the user's zone, foods, entries (most recent first) }
+ * @returns {Array<Object>} entries with quantity, source ('typed', 'library', 'history' or null when the
+ *   calories are unknown) and matched (the food the calories came from); calories are null when unknown
+ */
+function parseQuickEntry(text, { today, time, foods = [], entries = [] }) {
+    const index = buildFoodIndex(foods, entries);
+    const options = { today };
+
+    const items = (text || '').split(/[\n;,]+/)
+        .map(line => line.trim())
+        .filter(Boolean)
+        .flatMap(line => splitLine(line, options, index));
+
+    const shared = key => (items.find(item => item[key]) || {})[key] || null;
+    const context = { date: shared('date'), time: shared('time'), mealType: shared('mealType') };
+
+    const parsed = items.filter(item => item.name).map(item => {
+        const date = item.date || context.date || today;
+        const typedTime = item.time || context.time;
+        const entry = {
+            date,
+            time: typedTime || (date === today ? time : ''),
+            mealType: item.mealType || context.mealType || mealTypeForTime(typedTime || time),
+            description: item.description,
+            quantity: item.quantity,
+            calories: null,
+            protein: '',
+            carbs: '',
+            fat: '',
+            source: null,
+            matched: null
+        };
+
+        if (item.calories !== null) {
+            Object.assign(entry, { calories: round(item.calories), source: 'typed' });
+        } else {
+            const match = findFood(index, item.name) || searchFood(foods, entries, item.name);
+            if (match) {
+                entry.calories = round(match.calories * item.quantity);
+                MACRO_KEYS.forEach(key => {
+                    const value = parseFloat(match[key]);
+                    entry[key] = isNaN(value) ? '' : round(value * item.quantity, 1);
+                });
+                Object.assign(entry, { source: match.source, matched: match.name });
+            }
+        }
+
+        MACRO_KEYS.forEach(key => {
+            if (item.macros[key] !== undefined) entry[key] = round(item.macros[key], 1);
+        });
+        return entry;
+    });
+
+    if (parsed.length > MAX_QUICK_ENTRIES) {
+        throw new ValidationError({ text: `can hold at most ${MAX_QUICK_ENTRIES} foods` });
+    }
+    return parsed;
+}
+
+module.exports = { MAX_QUICK_ENTRIES, mealTypeForTime, parseQuickEntry };
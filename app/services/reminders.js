@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+const { fetchAllPages } = require('./dateRange');
+const { resolveTimeZone, toDateKey, todayKey, currentTime } = require('./dateUtils');
+const { MEAL_TYPES } = require('./diaryTransfer');
+const { ValidationError, validate, string, number, boolean, array } = require('./validation');
+require('dotenv').config();
+
+/**
+ * Reminder rules, checked against the dashboard's today totals:
+ *   meal      - { mealType, time }: nothing of that meal type logged by time
+ *   nearLimit - { calories }: the day's intake is within calories of the limit (or over it)
+ *   recap     - { time }: the day's totals, once time has passed
+ * Times are HH:mm in the user's time zone. Each rule fires at most once a day.
+ */
+const REMINDER_TYPES = ['meal', 'nearLimit', 'recap'];
+const MAX_REMINDERS = 20;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Offered until a user saves their own rules; all start switched off
+const DEFAULT_REMINDERS = [
+    { id: 'lunch', type: 'meal', enabled: false, mealType: 'Lunch', time: '14:00' },
+    { id: 'near-limit', type: 'nearLimit', enabled: false, calories: 200 },
+    { id: 'recap', type: 'recap', enabled: false, time: '21:00' }
+];
+
+const REMINDER_BASE = {
+    type: string({ required: true, oneOf: REMINDER_TYPES }),
+    id: string({ max: 40, pattern: /^[\w-]+$/ }),
+    enabled: boolean({ defaultValue: false })
+};
+
+// Exactly HH:mm, since rule times are compared with the current time as text
+const reminderTime = () => string({ required: true, pattern: TIME_PATTERN, patternMessage: 'must be a time in HH:mm format' });
+
+const REMINDER_FIELDS = {
+    meal: { mealType: string({ required: true, oneOf: MEAL_TYPES }), time: reminderTime() },
+    nearLimit: { calories: number({ required: true, integer: true, min: 1, max: 5000 }) },
+    recap: { time: reminderTime() }
+};
+
+/**
+ * Validate and normalize the rules sent from the settings page. Rules
+ * without an id (new ones) get one.
+ * Throws a ValidationError naming fields like "reminders[0].time".
+ */
+function validateReminders(reminders) {
+    const list = validate({ reminders: array(REMINDER_BASE, { required: true, max: MAX_REMINDERS }) }, { reminders }).reminders;
+
+    const errors = {};
+    const ids = new Set();
+    const rules = list.map((base, index) => {
+        let fields = {};
+        try {
+            fields = validate(REMINDER_FIELDS[base.type], reminders[index]);
+        } catch (error) {
+            if (!(error instanceof ValidationError)) throw error;
+            Object.entries(error.fields).forEach(([field, message]) => {
+                errors[`reminders[${index}].${field}`] = message;
+            });
+        }
+
+        const id = base.id && !ids.has(base.id) ? base.id : crypto.randomUUID();
+        ids.add(id);
+        return { id, type: base.type, enabled: base.enabled, ...fields };
+    });
+
+    if (Object.keys(errors).length) {
+        throw new ValidationError(errors);
+    }
+    return rules;
+}
+
+/**
+ * The notification a rule calls for right now, or null.
+ *
+ * @param {Object} rule
+ * @param {Object} context
+ * @param {string} context.time - current HH:mm in the user's time zone
+ * @param {Object} context.today - { totalIn, maxLimit, exercise } for the user's current day
+ * @param {Array} [context.entries] - today's log entries (needed by meal rules)
+ */
+function evaluateReminder(rule, { time, today, entries = [] }) {
+    const totalIn = Math.round(parseFloat(today.totalIn) || 0);
+    const maxLimit = Math.round(parseFloat(today.maxLimit) || 0);
+    // Calories burned exercising raise what's left of the limit
+    const exercise = Math.round(parseFloat(today.exercise) || 0);
+    const burned = exercise ? `, ${exercise} kcal burned` : '';
+
+    if (rule.type === 'meal') {
+        const mealType = rule.mealType.toLowerCase();
+        if (time < rule.time || entries.some(entry => (entry.mealType || '').toLowerCase() === mealType)) {
+            return null;
+        }
+        return {
+            title: `No ${mealType} logged yet`,
+            body: `It's past ${rule.time}. Add your ${mealType} so today's total stays accurate.`,
+            data: { url: '/log' }
+        };
+    }
+
+    if (rule.type === 'nearLimit') {
+        const remaining = maxLimit - totalIn + exercise;
+        if (!maxLimit || !totalIn || remaining > rule.calories) {
+            return null;
+        }
+        return {
+            title: remaining >= 0 ? `You're ${remaining} kcal from your limit` : `You're ${-remaining} kcal over your limit`,
+            body: `${totalIn} of ${maxLimit} kcal eaten today${burned}.`,
+            data: { url: '/' }
+        };
+    }
+
+    if (rule.type === 'recap') {
+        if (time < rule.time) {
+            return null;
+        }
+        let body = 'Nothing logged today.';
+        if (totalIn) {
+            const remaining = maxLimit - totalIn + exercise;
+            body = `${totalIn} of ${maxLimit} kcal${burned}. ` +
+                (remaining >= 0 ? `${remaining} kcal under your limit.` : `${-remaining} kcal over your limit.`);
+        }
+        return { title: 'Daily recap', body, data: { url: '/journal' } };
+    }
+
+    return null;
+}
+
+/**
+ * Checks every subscribed user's reminders on an interval (REMINDER_INTERVAL_SECONDS,
+ * default 60) and sends the due ones to all of the user's devices.
+ *
+ * storageFor(userId) resolves to the user's storage, or null when the account is gone.
+ * send(subscription, payload) delivers one notification (see webPush.sendNotification).
+ */
+class ReminderScheduler {
+    constructor({ pushStore, storageFor, send, intervalMs = (parseFloat(process.env.REMINDER_INTERVAL_SECONDS) || 60) * 1000 }) {
+        this.pushStore = pushStore;
+        this.storageFor = storageFor;
+        this.send = send;
+        this.intervalMs = intervalMs;
+        this.timer = null;
+        this.running = false;
+    }
+
+    start() {
+        if (!this.timer) {
+            this.timer = setInterval(() => this.tick(), this.intervalMs);
+            // Don't keep the process alive just for reminders
+            this.timer.unref();
+        }
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // One pass over all users; skipped while the previous pass is still running
+    async tick(now = new Date()) {
+        if (this.running) {
+            return;
+        }
+        this.running = true;
+        try {
+            for (const userId of this.pushStore.subscribedUserIds()) {
+                try {
+                    await this.checkUser(userId, now);
+                } catch (error) {
+                    console.error('Error checking reminders:', error.message);
+                }
+            }
+        } finally {
+            this.running = false;
+        }
+    }
+
+    async checkUser(userId, now) {
+        const rules = this.pushStore.remindersFor(userId).filter(rule => rule.enabled);
+        if (!rules.length) {
+            return;
+        }
+        const storage = await this.storageFor(userId);
+        if (!storage) {
+            return;
+        }
+
+        const { today, personal } = await storage.getDashboardData();
+        const timeZone = resolveTimeZone(personal.timezone);
+        const dateKey = todayKey(timeZone, now);
+        const time = currentTime(timeZone, now);
+        const due = rules.filter(rule => !this.pushStore.wasSent(userId, rule.id, dateKey));
+        if (!due.length) {
+            return;
+        }
+
+        // The dashboard row can still show yesterday until the first entry of the day rolls it over.
+        // Sheets returns its date formatted, e.g. "10/20/2026".
+        const todayTotals = toDateKey(today.date) === dateKey ? today : { totalIn: 0, maxLimit: personal.dailyGoal };
+        const entries = due.some(rule => rule.type === 'meal')
+            ? await fetchAllPages(page => storage.queryLogEntries(page), { from: dateKey, to: dateKey }, 'entries')
+            : [];
+
+        for (const rule of due) {
+            const notification = evaluateReminder(rule, { time, today: todayTotals, entries });
+            if (notification) {
+                await this.notifyUser(userId, { ...notification, tag: `reminder-${rule.id}` });
+                await this.pushStore.markSent(userId, rule.id, dateKey);
+            }
+        }
+    }
+
+    /**
+     * Send a notification to all of a user's devices. Subscriptions the push
+     * service reports as gone are removed.
+     */
+    async notifyUser(userId, notification) {
+        const result = { sent: 0, failed: 0, removed: 0 };
+        for (const subscription of this.pushStore.subscriptionsFor(userId)) {
+            try {
+                await this.send(subscription, notification);
+                result.sent++;
+            } catch (error) {
+                if (error.gone) {
+                    await this.pushStore.removeSubscription(subscription.endpoint);
+                    result.removed++;
+                } else {
+                    console.error('Error sending push notification:', error.message);
+                    result.failed++;
+                }
+            }
+        }
+        return result;
+    }
+}
+
+module.exports = { REMINDER_TYPES, DEFAULT_REMINDERS, validateReminders, evaluateReminder, ReminderScheduler };
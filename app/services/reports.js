@@ -0,0 +1,197 @@
+const { fetchAllPages } = require('./dateRange');
+const { validate, string, date } = require('./validation');
+const { toDateKey, addDays } = require('./dateUtils');
+const { MACRO_KEYS } = require('./macros');
+
+// Length in days of each report period. Periods are rolling windows ending on the report date,
+// so a week is always compared with the 7 days before it.
+const REPORT_PERIODS = { week: 7, month: 30 };
+
+const round = (value, decimals = 0) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+const average = (values, decimals = 0) => (values.length ? round(values.reduce((sum, value) => sum + value, 0) / values.length, decimals) : null);
+const percent = (part, whole) => (whole ? round((part / whole) * 100, 1) : null);
+
+// A report row for one date; days nothing was logged on have logged: false
+function buildDay(date, summary) {
+    const totalIn = summary ? parseFloat(summary.totalIn) || 0 : 0;
+    const maxLimit = summary ? parseFloat(summary.maxLimit) || 0 : 0;
+    const exercise = summary ? parseFloat(summary.exercise) || 0 : 0;
+    // Intake minus calories burned is what counts against the goal
+    const net = totalIn - exercise;
+    const day = {
+        date,
+        logged: totalIn > 0,
+        totalIn,
+        maxLimit,
+        exercise,
+        net,
+        // null when there is no goal to compare with
+        underGoal: totalIn > 0 && maxLimit > 0 ? net <= maxLimit : null
+    };
+    MACRO_KEYS.forEach(key => {
+        day[key] = summary ? parseFloat(summary[key]) || 0 : 0;
+    });
+    return day;
+}
+
+// One row per date from from to to
+function buildDays(from, to, summaryByDate) {
+    const days = [];
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+        days.push(buildDay(date, summaryByDate[date]));
+    }
+    return days;
+}
+
+// Longest run of consecutive days under goal
+function longestStreak(days) {
+    let longest = 0;
+    let current = 0;
+    days.forEach(day => {
+        current = day.underGoal ? current + 1 : 0;
+        longest = Math.max(longest, current);
+    });
+    return longest;
+}
+
+/**
+ * Days under goal in a row up to end. An unlogged end day doesn't break the
+ * streak, since that day may still be in progress.
+ */
+function currentStreak(summaryByDate, end) {
+    let date = buildDay(end, summaryByDate[end]).logged ? end : addDays(end, -1);
+    let streak = 0;
+    while (buildDay(date, summaryByDate[date]).underGoal) {
+        streak++;
+        date = addDays(date, -1);
+    }
+    return streak;
+}
+
+// Calories per meal type, largest first
+function mealTypeShares(entries) {
+    const totals = {};
+    entries.forEach(entry => {
+        const mealType = (entry.mealType || '').trim() || 'Other';
+        totals[mealType] = totals[mealType] || { mealType, calories: 0, entries: 0 };
+        totals[mealType].calories += parseFloat(entry.calories) || 0;
+        totals[mealType].entries++;
+    });
+
+    const all = Object.values(totals).reduce((sum, item) => sum + item.calories, 0);
+    return Object.values(totals)
+        .map(item => ({ ...item, calories: round(item.calories), share: percent(item.calories, all) }))
+        .sort((a, b) => b.calories - a.calories);
+}
+
+function summarizeWindow(days, entries) {
+    const logged = days.filter(day => day.logged);
+    const withGoal = logged.filter(day => day.underGoal !== null);
+    const underGoal = withGoal.filter(day => day.underGoal);
+
+    // Best: the highest intake that stayed within the goal. Worst: the furthest over it, or else the lowest margin.
+    const byMargin = [...withGoal].sort((a, b) => (a.maxLimit - a.net) - (b.maxLimit - b.net));
+    const pick = day => (day ? { date: day.date, totalIn: day.totalIn, net: day.net, maxLimit: day.maxLimit } : null);
+
+    const stats = {
+        days: days.length,
+        loggedDays: logged.length,
+        totalCalories: round(logged.reduce((sum, day) => sum + day.totalIn, 0)),
+        averageIntake: average(logged.map(day => day.totalIn)),
+        averageGoal: average(withGoal.map(day => day.maxLimit)),
+        daysUnderGoal: underGoal.length,
+        daysOverGoal: withGoal.length - underGoal.length,
+        adherenceRate: percent(underGoal.length, withGoal.length),
+        longestStreak: longestStreak(days),
+        bestDay: pick(byMargin.find(day => day.underGoal)),
+        worstDay: pick(byMargin[0]),
+        mealTypes: mealTypeShares(entries)
+    };
+    MACRO_KEYS.forEach(key => {
+        stats[`average${key[0].toUpperCase()}${key.slice(1)}`] = average(logged.map(day => day[key]), 1);
+    });
+    return stats;
+}
+
+const DELTA_FIELDS = ['averageIntake', 'adherenceRate', 'loggedDays', 'daysUnderGoal', 'averageProtein', 'averageCarbs', 'averageFat'];
+
+// Current minus previous, null when either side has no data
+function computeDeltas(current, previous) {
+    return Object.fromEntries(DELTA_FIELDS.map(field => [
+        field,
+        current[field] === null || previous[field] === null ? null : round(current[field] - previous[field], 1)
+    ]));
+}
+
+const REPORT_QUERY = {
+    period: string({ oneOf: Object.keys(REPORT_PERIODS) }),
+    end: date()
+};
+
+/**
+ * Read period (default week) and end (default defaultEnd) from a request query.
+ * Throws a ValidationError when a value is malformed.
+ */
+function parseReportQuery(query = {}, defaultEnd) {
+    const valid = validate(REPORT_QUERY, query);
+    return { period: valid.period || 'week', end: valid.end || defaultEnd };
+}
+
+/**
+ * Build a report from already loaded data.
+ *
+ * @param {Object} options
+ * @param {'week'|'month'} options.period
+ * @param {string} options.end - last day of the report, YYYY-MM-DD
+ * @param {Array} options.summaries - Daily Summary rows up to end (older ones feed the current streak)
+ * @param {Array} options.entries - log entries of the current and previous period
+ */
+function computeReport({ period, end, summaries, entries }) {
+    const length = REPORT_PERIODS[period];
+    const from = addDays(end, -(length - 1));
+    const previousTo = addDays(from, -1);
+    const previousFrom = addDays(previousTo, -(length - 1));
+
+    const summaryByDate = {};
+    summaries.forEach(summary => {
+        const dateKey = toDateKey(summary.date);
+        if (dateKey) summaryByDate[dateKey] = summary;
+    });
+    const entriesBetween = (start, stop) => entries.filter(entry => {
+        const dateKey = toDateKey(entry.date);
+        return dateKey >= start && dateKey <= stop;
+    });
+
+    const days = buildDays(from, end, summaryByDate);
+    const current = summarizeWindow(days, entriesBetween(from, end));
+    const previous = summarizeWindow(buildDays(previousFrom, previousTo, summaryByDate), entriesBetween(previousFrom, previousTo));
+
+    return {
+        period,
+        from,
+        to: end,
+        previousPeriod: { from: previousFrom, to: previousTo },
+        current: { ...current, currentStreak: currentStreak(summaryByDate, end) },
+        previous,
+        deltas: computeDeltas(current, previous),
+        days
+    };
+}
+
+/**
+ * Load what a report needs from storage and compute it.
+ * The whole summary history up to end is read so the current streak isn't cut off.
+ */
+async function buildReport(storage, { period, end }) {
+    const length = REPORT_PERIODS[period];
+    const previousFrom = addDays(end, -(2 * length - 1));
+
+    const [summaries, entries] = await Promise.all([
+        fetchAllPages(page => storage.querySummaries(page), { to: end, order: 'asc' }, 'summaries'),
+        fetchAllPages(page => storage.queryLogEntries(page), { from: previousFrom, to: end, order: 'asc' }, 'entries')
+    ]);
+
+    return computeReport({ period, end, summaries, entries });
+}
+
+module.exports = { REPORT_PERIODS, parseReportQuery, computeReport, buildReport };
@@ -0,0 +1,234 @@
+/**
+ * Schemas for the API's request bodies, query strings and route params
+ * (see services/validation.js). server.js checks them with validateRequest
+ * before a route runs, so routes only ever see cleaned input.
+ *
+ * Date ranges use dateRange.RANGE_QUERY, reports reports.REPORT_QUERY and
+ * reminder rules reminders.validateReminders.
+ */
+const { FORMULAS } = require('./goalCalculator');
+const { RANGE_QUERY } = require('./dateRange');
+const { IMPORT_PRESETS, EXPORT_COLUMNS } = require('./diaryTransfer');
+const { METRIC_NAME, MAX_INCREMENTS } = require('./dailyMetrics');
+const { WEBHOOK_EVENTS } = require('./webhooks');
+const { TOKEN_SCOPES } = require('./apiTokens');
+const { string, number, boolean, date, time, timeZone, array, record } = require('./validation');
+
+const MAX_CALORIES = 20000;
+const MAX_MACRO_GRAMS = 2000;
+
+const macros = () => ({
+    protein: number({ min: 0, max: MAX_MACRO_GRAMS }),
+    carbs: number({ min: 0, max: MAX_MACRO_GRAMS }),
+    fat: number({ min: 0, max: MAX_MACRO_GRAMS })
+});
+
+// Dropdown values as the settings page sends them, e.g. "1.55 (Moderate)" or "-500 (Weight Loss)"
+const DROPDOWN_NUMBER = /^-?\d+(\.\d+)?( \([^()=]*\))?$/;
+const dropdownNumber = (options = {}) => string({
+    max: 50,
+    pattern: DROPDOWN_NUMBER,
+    patternMessage: 'must be a number, optionally followed by a label in parentheses',
+    ...options
+});
+
+// Sign-in and registration forms. Passwords are checked as typed, spaces included.
+const password = () => string({ max: 200, trim: false });
+const LOGIN_BODY = {
+    username: string({ max: 100 }),
+    password: password(),
+    next: string({ max: 2000 })
+};
+const REGISTER_BODY = {
+    ...LOGIN_BODY,
+    confirmPassword: password(),
+    spreadsheet: string({ max: 500 })
+};
+
+const ID_PARAMS = { id: string({ required: true, max: 100 }) };
+const DATE_PARAMS = { date: date({ required: true }) };
+
+const LOG_ENTRY_BODY = {
+    date: date({ required: true, allowTimestamp: true }),
+    time: time(),
+    mealType: string({ required: true, max: 50 }),
+    description: string({ required: true, max: 500 }),
+    calories: number({ required: true, min: 0, max: MAX_CALORIES }),
+    ...macros()
+};
+
+// Free text for the quick entry box, e.g. "2 eggs and toast 350 breakfast"
+const QUICK_ENTRY_BODY = { text: string({ required: true, max: 1000 }) };
+
+const FOOD_BODY = {
+    name: string({ required: true, max: 200 }),
+    serving: string({ max: 100 }),
+    calories: number({ required: true, min: 0, max: MAX_CALORIES }),
+    ...macros()
+};
+
+const FOOD_SEARCH_QUERY = {
+    q: string({ max: 100 }),
+    limit: number({ integer: true, min: 1, max: 50 })
+};
+
+const FREQUENT_FOODS_QUERY = { limit: number({ integer: true, min: 1, max: 50 }) };
+
+// The check digit is verified by nutritionDatabase.normalizeBarcode
+const BARCODE_PARAMS = {
+    code: string({ required: true, pattern: /^\d{8,14}$/, patternMessage: 'must be 8 to 14 digits' })
+};
+
+// Components without a name are left out of the saved meal (see meals.pickMeal)
+const MEAL_BODY = {
+    name: string({ required: true, max: 200 }),
+    servings: number({ min: 0.01, max: 1000 }),
+    components: array({
+        name: string({ max: 200 }),
+        quantity: number({ min: 0, max: 1000 }),
+        calories: number({ min: 0, max: MAX_CALORIES }),
+        serving: string({ max: 100 }),
+        foodId: string({ max: 100 }),
+        ...macros()
+    }, { required: true, min: 1, max: 100 })
+};
+
+const MEAL_LOG_BODY = {
+    date: date({ required: true, allowTimestamp: true }),
+    time: time(),
+    mealType: string({ required: true, max: 50 }),
+    servings: number({ min: 0.01, max: 1000, defaultValue: 1 }),
+    combine: boolean({ defaultValue: false })
+};
+
+const CALENDAR_QUERY = {
+    year: number({ integer: true, min: 1900, max: 2200 }),
+    month: number({ integer: true, min: 0, max: 11 })
+};
+
+const EXPORT_QUERY = {
+    ...RANGE_QUERY,
+    format: string({ oneOf: ['json', 'csv'], defaultValue: 'json' }),
+    dataset: string({ oneOf: Object.keys(EXPORT_COLUMNS), defaultValue: 'log' })
+};
+
+const IMPORT_BODY = {
+    csv: string({ required: true, max: 5 * 1024 * 1024 }),
+    preset: string({ oneOf: Object.keys(IMPORT_PRESETS) }),
+    mapping: record(string({ max: 100 })),
+    defaultMealType: string({ max: 50 }),
+    commit: boolean({ defaultValue: false }),
+    skipInvalid: boolean({ defaultValue: false })
+};
+
+const WEIGHT_BODY = {
+    date: date({ required: true, allowTimestamp: true }),
+    weight: number({ required: true, min: 20, max: 500 }),
+    note: string({ max: 200 })
+};
+
+// Calories may be left out when the type has a known MET value or met is given
+const EXERCISE_BODY = {
+    date: date({ required: true, allowTimestamp: true }),
+    time: time(),
+    type: string({ required: true, max: 100 }),
+    duration: number({ required: true, min: 1, max: 1440 }),
+    calories: number({ min: 0, max: MAX_CALORIES }),
+    met: number({ min: 1, max: 25 })
+};
+
+// Daily metrics such as water or steps
+const MAX_METRIC_VALUE = 1000000;
+const metricName = () => string({
+    required: true,
+    max: 50,
+    pattern: METRIC_NAME,
+    patternMessage: 'must start with a letter or digit and hold only letters, digits, spaces, - and _'
+});
+
+const METRIC_PARAMS = { name: metricName() };
+const METRICS_QUERY = { date: date() };
+
+const METRIC_BODY = {
+    name: metricName(),
+    unit: string({ max: 20 }),
+    target: number({ min: 0, max: MAX_METRIC_VALUE }),
+    increments: array(number({ min: -MAX_METRIC_VALUE, max: MAX_METRIC_VALUE }), { max: MAX_INCREMENTS })
+};
+
+// add changes the day's value by an amount (negative to undo), value replaces it; one of them is required
+const METRIC_VALUE_BODY = {
+    date: date({ required: true, allowTimestamp: true }),
+    add: number({ min: -MAX_METRIC_VALUE, max: MAX_METRIC_VALUE }),
+    value: number({ min: 0, max: MAX_METRIC_VALUE })
+};
+
+// Personal metrics; the goal preview takes the same fields but any may be missing
+const personalMetrics = ({ required }) => ({
+    gender: string({ required, oneOf: ['Male', 'Female'] }),
+    weight: number({ required, min: 20, max: 500 }),
+    height: number({ required, min: 50, max: 300 }),
+    age: number({ required, integer: true, min: 1, max: 120 }),
+    activityLevel: dropdownNumber({ required }),
+    goalOffset: dropdownNumber({ required }),
+    formula: string({ oneOf: Object.keys(FORMULAS) }),
+    bodyFat: number({ min: 3, max: 70 }),
+    proteinTarget: number({ min: 0, max: MAX_MACRO_GRAMS }),
+    carbsTarget: number({ min: 0, max: MAX_MACRO_GRAMS }),
+    fatTarget: number({ min: 0, max: MAX_MACRO_GRAMS }),
+    timezone: timeZone()
+});
+
+const SETTINGS_BODY = personalMetrics({ required: true });
+const GOAL_PREVIEW_BODY = personalMetrics({ required: false });
+
+const PUSH_UNSUBSCRIBE_BODY = { endpoint: string({ required: true, max: 1000 }) };
+
+// Outbound webhooks; the secret is generated when none is sent
+const webhookFields = ({ required }) => ({
+    url: string({ required, max: 1000, pattern: /^https?:\/\/[^\s/?#]+\S*$/i, patternMessage: 'must be an http:// or https:// URL' }),
+    events: array(string({ oneOf: WEBHOOK_EVENTS }), { required, min: 1, max: WEBHOOK_EVENTS.length }),
+    secret: string({ max: 200, pattern: /^\S{16,}$/, patternMessage: 'must be at least 16 characters without spaces' }),
+    description: string({ max: 200 }),
+    enabled: boolean()
+});
+const WEBHOOK_BODY = webhookFields({ required: true });
+// PUT only changes the fields it sends
+const WEBHOOK_UPDATE_BODY = webhookFields({ required: false });
+
+// Personal access tokens for /api/v1; without expiresInDays a token is valid until revoked
+const API_TOKEN_BODY = {
+    name: string({ required: true, max: 100 }),
+    scopes: array(string({ oneOf: TOKEN_SCOPES }), { required: true, min: 1, max: TOKEN_SCOPES.length }),
+    expiresInDays: number({ integer: true, min: 1, max: 3650 })
+};
+
+module.exports = {
+    LOGIN_BODY,
+    REGISTER_BODY,
+    ID_PARAMS,
+    DATE_PARAMS,
+    LOG_ENTRY_BODY,
+    QUICK_ENTRY_BODY,
+    FOOD_BODY,
+    FOOD_SEARCH_QUERY,
+    FREQUENT_FOODS_QUERY,
+    BARCODE_PARAMS,
+    MEAL_BODY,
+    MEAL_LOG_BODY,
+    CALENDAR_QUERY,
+    EXPORT_QUERY,
+    IMPORT_BODY,
+    WEIGHT_BODY,
+    EXERCISE_BODY,
+    METRIC_PARAMS,
+    METRICS_QUERY,
+    METRIC_BODY,
+    METRIC_VALUE_BODY,
+    SETTINGS_BODY,
+    GOAL_PREVIEW_BODY,
+    PUSH_UNSUBSCRIBE_BODY,
+    WEBHOOK_BODY,
+    WEBHOOK_UPDATE_BODY,
+    API_TOKEN_BODY
+};
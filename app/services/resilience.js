@@ -0,0 +1,265 @@
+/**
+ * Retry, timeout and circuit breaking for calls to Google APIs (Sheets and
+ * the Apps Script web app).
+ *
+ * Failures are classified into a GoogleApiError whose kind decides whether
+ * the call is retried and which status code and message the routes return.
+ */
+require('dotenv').config();
+
+const ERROR_KINDS = {
+    auth: {
+        status: 502,
+        retryable: false,
+        message: 'Could not authenticate with Google. Check the service account credentials and that the spreadsheet is shared with it.'
+    },
+    quota: {
+        status: 429,
+        retryable: true,
+        message: 'Google API quota exceeded. Please wait a minute and try again.'
+    },
+    'not-found': {
+        status: 502,
+        retryable: false,
+        message: 'The spreadsheet or sheet was not found. Check SPREADSHEET_ID and the sheet names in the configuration.'
+    },
+    network: {
+        status: 503,
+        retryable: true,
+        message: 'Could not reach Google. Check the network connection and try again.'
+    },
+    timeout: {
+        status: 504,
+        retryable: true,
+        message: 'Google took too long to respond. Please try again.'
+    },
+    unavailable: {
+        status: 503,
+        retryable: true,
+        message: 'Google is temporarily unavailable. Please try again shortly.'
+    },
+    unknown: {
+        status: 500,
+        retryable: false,
+        message: null // Keep the original message
+    }
+};
+
+// Failures that say something about the health of the remote service and count towards opening the circuit
+const BREAKER_KINDS = ['quota', 'network', 'timeout', 'unavailable'];
+
+// Connection errors raised before the request was sent, safe to retry even for non-idempotent calls
+const CONNECT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+const NETWORK_ERROR_CODES = [...CONNECT_ERROR_CODES, 'ECONNRESET', 'EPIPE', 'ENETUNREACH', 'EHOSTUNREACH'];
+const TIMEOUT_ERROR_CODES = ['ETIMEDOUT', 'ESOCKETTIMEDOUT', 'ECONNABORTED'];
+
+class GoogleApiError extends Error {
+    constructor(kind, { service = 'Google API', cause = null, retryAfterMs = null } = {}) {
+        const definition = ERROR_KINDS[kind] || ERROR_KINDS.unknown;
+        super(definition.message || (cause && cause.message) || `${service} request failed`);
+        this.name = 'GoogleApiError';
+        this.kind = ERROR_KINDS[kind] ? kind : 'unknown';
+        this.status = definition.status;
+        this.retryable = definition.retryable;
+        this.service = service;
+        this.cause = cause;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+function httpStatusOf(error) {
+    const status = error.response?.status ?? error.status ?? error.code;
+    return Number.isInteger(status) ? status : parseInt(status) || null;
+}
+
+function parseRetryAfter(error) {
+    const header = error.response?.headers?.['retry-after'] ?? error.response?.headers?.get?.('retry-after');
+    const seconds = parseFloat(header);
+    return isNaN(seconds) ? null : seconds * 1000;
+}
+
+/**
+ * Classify an error thrown by googleapis, fetch or our own code.
+ *
+ * @returns {GoogleApiError}
+ */
+function classifyError(error, service = 'Google API') {
+    if (error instanceof GoogleApiError) {
+        return error;
+    }
+
+    const status = httpStatusOf(error);
+    const code = typeof error.code === 'string' ? error.code : error.cause?.code;
+    const reason = (error.errors?.[0]?.reason || error.response?.data?.error?.status || '').toString();
+    let kind = 'unknown';
+
+    if (error.name === 'AbortError' || error.name === 'TimeoutError' || TIMEOUT_ERROR_CODES.includes(code)) {
+        kind = 'timeout';
+    } else if (NETWORK_ERROR_CODES.includes(code) || (error instanceof TypeError && error.message === 'fetch failed')) {
+        kind = 'network';
+    } else if (status === 429 || /rateLimitExceeded|RESOURCE_EXHAUSTED/i.test(reason)) {
+        kind = 'quota';
+    } else if (status === 401 || status === 403 || /invalid_grant|unauthorized_client/i.test(error.message || '')) {
+        kind = 'auth';
+    } else if (status === 404) {
+        kind = 'not-found';
+    } else if (status >= 500 && status < 600) {
+        kind = 'unavailable';
+    }
+
+    return new GoogleApiError(kind, { service, cause: error, retryAfterMs: parseRetryAfter(error) });
+}
+
+/**
+ * Classic closed / open / half-open breaker. After failureThreshold
+ * consecutive service failures calls are rejected without reaching Google
+ * for resetTimeoutMs; then a single probe call decides whether to close again.
+ */
+class CircuitBreaker {
+    constructor({ failureThreshold = 5, resetTimeoutMs = 30000 } = {}) {
+        this.failureThreshold = failureThreshold;
+        this.resetTimeoutMs = resetTimeoutMs;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = 0;
+        this.probing = false;
+    }
+
+    // Whether a call may go ahead now; moves an expired open circuit to half-open
+    allowRequest() {
+        if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+            this.state = 'half-open';
+            this.probing = false;
+        }
+        if (this.state === 'half-open') {
+            if (this.probing) return false;
+            this.probing = true;
+            return true;
+        }
+        return this.state === 'closed';
+    }
+
+    retryAfterMs() {
+        return Math.max(0, this.openedAt + this.resetTimeoutMs - Date.now());
+    }
+
+    recordSuccess() {
+        this.state = 'closed';
+        this.failures = 0;
+        this.probing = false;
+    }
+
+    recordFailure() {
+        this.failures++;
+        this.probing = false;
+        if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+            this.state = 'open';
+            this.openedAt = Date.now();
+        }
+    }
+
+    getState() {
+        return { state: this.state, failures: this.failures };
+    }
+}
+
+function readRetryOptions(env = process.env) {
+    const number = (value, fallback) => (isNaN(parseInt(value)) ? fallback : parseInt(value));
+    return {
+        retries: number(env.GOOGLE_API_RETRIES, 3),
+        timeoutMs: number(env.GOOGLE_API_TIMEOUT_MS, 10000),
+        baseDelayMs: 500,
+        maxDelayMs: 8000,
+        failureThreshold: number(env.GOOGLE_API_CIRCUIT_THRESHOLD, 5),
+        resetTimeoutMs: number(env.GOOGLE_API_CIRCUIT_RESET_MS, 30000)
+    };
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Create a function that runs Google API calls with timeout, retries and a circuit breaker.
+ *
+ * The returned call(label, fn, { idempotent }) passes the timeout in ms to fn.
+ * Non-idempotent calls (appends, row deletes) are only retried when the
+ * request can't have been applied: quota rejections and failed connections.
+ */
+function createGoogleApiCaller(service, options = readRetryOptions()) {
+    const breaker = options.breaker || new CircuitBreaker(options);
+    const wait = options.sleep || sleep;
+
+    async function call(label, fn, { idempotent = true } = {}) {
+        for (let attempt = 0; ; attempt++) {
+            if (!breaker.allowRequest()) {
+                throw new GoogleApiError('unavailable', { service, retryAfterMs: breaker.retryAfterMs() });
+            }
+
+            try {
+                const result = await fn(options.timeoutMs);
+                breaker.recordSuccess();
+                return result;
+            } catch (rawError) {
+                const error = classifyError(rawError, service);
+                if (BREAKER_KINDS.includes(error.kind)) {
+                    breaker.recordFailure();
+                } else {
+                    breaker.recordSuccess(); // The service answered, the request itself was the problem
+                }
+
+                const safeToRepeat = idempotent || error.kind === 'quota' ||
+                    CONNECT_ERROR_CODES.includes(rawError.code || rawError.cause?.code);
+                if (!error.retryable || !safeToRepeat || attempt >= options.retries) {
+                    console.error(`${service} ${label} failed (${error.kind}):`, rawError.message);
+                    throw error;
+                }
+
+                // Exponential backoff with full jitter, never sooner than Retry-After
+                const backoff = Math.random() * Math.min(options.maxDelayMs, options.baseDelayMs * 2 ** attempt);
+                const delay = Math.max(backoff, error.retryAfterMs || 0);
+                console.log(`${service} ${label} failed (${error.kind}), retry ${attempt + 1}/${options.retries} in ${Math.round(delay)}ms`);
+                await wait(delay);
+            }
+        }
+    }
+
+    call.breaker = breaker;
+    return call;
+}
+
+// Sheets API methods the app uses, and the ones that must not be blindly repeated
+const SHEETS_METHODS = {
+    spreadsheets: ['get', 'batchUpdate'],
+    values: ['get', 'batchGet', 'append', 'update', 'batchUpdate', 'clear']
+};
+const NON_IDEMPOTENT = ['spreadsheets.batchUpdate', 'values.append'];
+
+/**
+ * Wrap a googleapis sheets client so every spreadsheets.* and
+ * spreadsheets.values.* call goes through call(). Exposes the same shape.
+ */
+function wrapSheetsClient(sheets, call) {
+    const wrapGroup = (group, target) => Object.fromEntries(SHEETS_METHODS[group].map(method => {
+        const label = `${group}.${method}`;
+        return [method, params => call(
+            label,
+            timeout => target[method](params, { timeout }),
+            { idempotent: !NON_IDEMPOTENT.includes(label) }
+        )];
+    }));
+
+    return {
+        spreadsheets: {
+            ...wrapGroup('spreadsheets', sheets.spreadsheets),
+            values: wrapGroup('values', sheets.spreadsheets.values)
+        }
+    };
+}
+
+module.exports = {
+    GoogleApiError,
+    CircuitBreaker,
+    classifyError,
+    readRetryOptions,
+    createGoogleApiCaller,
+    wrapSheetsClient
+};
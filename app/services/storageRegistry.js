@@ -0,0 +1,61 @@
+const { createStorageService } = require('./index');
+
+/**
+ * One initialized storage service per user, created on first use.
+ *
+ * Each user's storage options ({ spreadsheetId } or { dataFile }) come from
+ * their account. A failed initialization is not kept, so the next request
+ * tries again. onCreate(service, user) runs for each new service, e.g. to
+ * listen to its events.
+ */
+class StorageRegistry {
+    constructor(backend = process.env.STORAGE_BACKEND || 'sheets', { onCreate = null } = {}) {
+        this.backend = backend;
+        this.services = new Map();
+        this.onCreate = onCreate;
+    }
+
+    forUser(user) {
+        if (!this.services.has(user.id)) {
+            const service = createStorageService(this.backend, user.storage);
+            if (this.onCreate) {
+                this.onCreate(service, user);
+            }
+            const ready = service.initialize().then(() => service, error => {
+                this.services.delete(user.id);
+                throw error;
+            });
+            this.services.set(user.id, ready);
+        }
+        return this.services.get(user.id);
+    }
+
+    // Initialize a storage partition that isn't attached to a saved user yet
+    async open(storage) {
+        const service = createStorageService(this.backend, storage);
+        await service.initialize();
+        return service;
+    }
+
+    // Combined cache stats of every user's storage, or null when the backend isn't cached
+    async getCacheStats() {
+        const services = await Promise.allSettled([...this.services.values()]);
+        const stats = services
+            .filter(result => result.status === 'fulfilled' && result.value.getCacheStats)
+            .map(result => result.value.getCacheStats());
+        if (!stats.length) {
+            return null;
+        }
+
+        const totals = { users: stats.length, hits: 0, misses: 0, coalesced: 0, invalidations: 0, size: 0 };
+        stats.forEach(item => {
+            ['hits', 'misses', 'coalesced', 'invalidations', 'size'].forEach(key => totals[key] += item[key]);
+        });
+        const lookups = totals.hits + totals.misses + totals.coalesced;
+        totals.hitRate = lookups ? Math.round(((totals.hits + totals.coalesced) / lookups) * 1000) / 1000 : 0;
+        totals.ttlSeconds = stats[0].ttlSeconds;
+        return totals;
+    }
+}
+
+module.exports = StorageRegistry;
@@ -0,0 +1,194 @@
+const EventEmitter = require('events');
+
+/**
+ * Storage interface used by the routes in server.js.
+ *
+ * Every backend (Google Sheets, local file, ...) extends this class and
+ * implements the methods below. Methods that are not overridden throw, so a
+ * missing implementation fails loudly instead of returning empty data.
+ *
+ * Services are EventEmitters. After the daily summary is recalculated they
+ * emit "calculated" with { currentDay, summaries } (summaries as in
+ * querySummaries, dates as YYYY-MM-DD); the webhooks' day events build on it.
+ */
+class StorageService extends EventEmitter {
+    // options are backend specific, e.g. { sheets } for GoogleSheetsService
+    async initialize(options = {}) {
+        throw new Error(`${this.constructor.name}.initialize() is not implemented`);
+    }
+
+    // macros: optional { protein, carbs, fat } in grams
+    // options.requestId: Idempotency-Key of the request. When an entry with the same key exists it is
+    // returned with duplicate: true instead of adding another one.
+    async addLogEntry(date, time, mealType, description, calories, macros = {}, options = {}) {
+        throw new Error(`${this.constructor.name}.addLogEntry() is not implemented`);
+    }
+
+    // Append several entries ({ date, time, mealType, description, calories, protein, carbs, fat }) in one write
+    async addLogEntries(entries) {
+        throw new Error(`${this.constructor.name}.addLogEntries() is not implemented`);
+    }
+
+    async getLogEntries(limit = 50) {
+        throw new Error(`${this.constructor.name}.getLogEntries() is not implemented`);
+    }
+
+    // range: { from, to, limit, cursor, order } from dateRange.parseRangeQuery; from/to are inclusive YYYY-MM-DD
+    // Returns { entries, nextCursor }, nextCursor is null on the last page
+    async queryLogEntries(range) {
+        throw new Error(`${this.constructor.name}.queryLogEntries() is not implemented`);
+    }
+
+    // Returns null when no entry has the given id
+    async updateLogEntry(id, date, time, mealType, description, calories, macros = {}) {
+        throw new Error(`${this.constructor.name}.updateLogEntry() is not implemented`);
+    }
+
+    // Returns null when no entry has the given id
+    async deleteLogEntry(id) {
+        throw new Error(`${this.constructor.name}.deleteLogEntry() is not implemented`);
+    }
+
+    // Summaries: { date, totalIn, maxLimit, status, protein, carbs, fat, exercise, net }, where
+    // net = totalIn - exercise is what status compares with maxLimit
+    async getDailySummary(limit = 30) {
+        throw new Error(`${this.constructor.name}.getDailySummary() is not implemented`);
+    }
+
+    // Same range and paging as queryLogEntries. Returns { summaries, nextCursor }
+    async querySummaries(range) {
+        throw new Error(`${this.constructor.name}.querySummaries() is not implemented`);
+    }
+
+    async getDashboardData() {
+        throw new Error(`${this.constructor.name}.getDashboardData() is not implemented`);
+    }
+
+    // Also records a goal version when the daily goal changes, see services/goalHistory.js
+    async updatePersonalMetrics(metrics) {
+        throw new Error(`${this.constructor.name}.updatePersonalMetrics() is not implemented`);
+    }
+
+    // Goal versions: { effectiveFrom, dailyGoal, weight, activityLevel, goalOffset, formula, recordedAt }, oldest first
+    async getGoalHistory() {
+        throw new Error(`${this.constructor.name}.getGoalHistory() is not implemented`);
+    }
+
+    // Emits "calculated" when the server computed the summary (not when Apps Script was asked to)
+    async refreshCalculations() {
+        throw new Error(`${this.constructor.name}.refreshCalculations() is not implemented`);
+    }
+
+    async updateDashboardDate() {
+        throw new Error(`${this.constructor.name}.updateDashboardDate() is not implemented`);
+    }
+
+    // Food library: saved foods with { id, name, serving, calories, protein, carbs, fat }
+    async getFoods() {
+        throw new Error(`${this.constructor.name}.getFoods() is not implemented`);
+    }
+
+    async addFood(food) {
+        throw new Error(`${this.constructor.name}.addFood() is not implemented`);
+    }
+
+    // Returns null when no food has the given id
+    async updateFood(id, food) {
+        throw new Error(`${this.constructor.name}.updateFood() is not implemented`);
+    }
+
+    // Returns null when no food has the given id
+    async deleteFood(id) {
+        throw new Error(`${this.constructor.name}.deleteFood() is not implemented`);
+    }
+
+    // Saved meals: { id, name, servings, components: [{ name, quantity, calories, protein, carbs, fat }] }
+    async getMeals() {
+        throw new Error(`${this.constructor.name}.getMeals() is not implemented`);
+    }
+
+    async addMeal(meal) {
+        throw new Error(`${this.constructor.name}.addMeal() is not implemented`);
+    }
+
+    // Returns null when no meal has the given id
+    async updateMeal(id, meal) {
+        throw new Error(`${this.constructor.name}.updateMeal() is not implemented`);
+    }
+
+    // Returns null when no meal has the given id
+    async deleteMeal(id) {
+        throw new Error(`${this.constructor.name}.deleteMeal() is not implemented`);
+    }
+
+    // Weigh-ins: { id, date, weight, note }, at most one per date, oldest first
+    async getWeightEntries() {
+        throw new Error(`${this.constructor.name}.getWeightEntries() is not implemented`);
+    }
+
+    // Adds a weigh-in, or replaces the one already logged for that date
+    async saveWeightEntry(entry) {
+        throw new Error(`${this.constructor.name}.saveWeightEntry() is not implemented`);
+    }
+
+    // Returns null when no weigh-in has the given id
+    async deleteWeightEntry(id) {
+        throw new Error(`${this.constructor.name}.deleteWeightEntry() is not implemented`);
+    }
+
+    // Exercise: { id, date, time, type, duration, calories, met }, oldest first. Calories burned
+    // count against the day's intake in the daily summary, so writes refresh the calculations.
+    async getExerciseEntries() {
+        throw new Error(`${this.constructor.name}.getExerciseEntries() is not implemented`);
+    }
+
+    async addExerciseEntry(entry) {
+        throw new Error(`${this.constructor.name}.addExerciseEntry() is not implemented`);
+    }
+
+    // Returns null when no exercise entry has the given id
+    async updateExerciseEntry(id, entry) {
+        throw new Error(`${this.constructor.name}.updateExerciseEntry() is not implemented`);
+    }
+
+    // Returns null when no exercise entry has the given id
+    async deleteExerciseEntry(id) {
+        throw new Error(`${this.constructor.name}.deleteExerciseEntry() is not implemented`);
+    }
+
+    // Daily metrics: { name, unit, target, increments } definitions, matched by name case-insensitively
+    async getMetricDefinitions() {
+        throw new Error(`${this.constructor.name}.getMetricDefinitions() is not implemented`);
+    }
+
+    // Replaces the definition with the same name
+    async saveMetricDefinition(definition) {
+        throw new Error(`${this.constructor.name}.saveMetricDefinition() is not implemented`);
+    }
+
+    // Returns null when no metric has the given name. The metric's values are kept.
+    async deleteMetricDefinition(name) {
+        throw new Error(`${this.constructor.name}.deleteMetricDefinition() is not implemented`);
+    }
+
+    // Metric values: { date, metric, value }, one per date and metric, oldest first
+    async getMetricValues() {
+        throw new Error(`${this.constructor.name}.getMetricValues() is not implemented`);
+    }
+
+    // Replaces the value of the same metric on the same date
+    async saveMetricValue(entry) {
+        throw new Error(`${this.constructor.name}.saveMetricValue() is not implemented`);
+    }
+
+    /**
+     * Add delta to the metric's value on the date (0 when it has none), never
+     * going below zero. Returns what saveMetricValue() returns. Increments of
+     * the same diary are applied one after the other, so none is lost.
+     */
+    async incrementMetricValue(date, metric, delta) {
+        throw new Error(`${this.constructor.name}.incrementMetricValue() is not implemented`);
+    }
+}
+
+module.exports = StorageService;
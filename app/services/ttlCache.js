@@ -0,0 +1,78 @@
+/**
+ * In-process cache of promises with per-entry TTLs.
+ *
+ * Concurrent requests for a key that is still loading share the same
+ * promise, so identical reads arriving together hit the backend once.
+ * Failed loads are never cached.
+ */
+class TtlCache {
+    constructor() {
+        this.entries = new Map();
+        this.stats = { hits: 0, misses: 0, coalesced: 0, invalidations: 0 };
+    }
+
+    /**
+     * @param {string} key
+     * @param {number} ttlMs - how long a loaded value stays fresh; 0 only coalesces concurrent loads
+     * @param {Function} load - returns the value or a promise of it
+     */
+    get(key, ttlMs, load) {
+        const entry = this.entries.get(key);
+        if (entry) {
+            if (entry.pending) {
+                this.stats.coalesced++;
+                return entry.promise;
+            }
+            if (entry.expiresAt > Date.now()) {
+                this.stats.hits++;
+                return entry.promise;
+            }
+            this.entries.delete(key);
+        }
+
+        this.stats.misses++;
+        const newEntry = { pending: true, expiresAt: 0 };
+        newEntry.promise = Promise.resolve()
+            .then(load)
+            .then(value => {
+                newEntry.pending = false;
+                newEntry.expiresAt = Date.now() + ttlMs;
+                if (ttlMs <= 0) this.remove(key, newEntry);
+                return value;
+            }, error => {
+                this.remove(key, newEntry);
+                throw error;
+            });
+
+        this.entries.set(key, newEntry);
+        return newEntry.promise;
+    }
+
+    // Remove key only if it still holds the given entry (it may have been invalidated and reloaded since)
+    remove(key, entry) {
+        if (this.entries.get(key) === entry) {
+            this.entries.delete(key);
+        }
+    }
+
+    // Drop every entry whose key starts with prefix
+    invalidate(prefix = '') {
+        for (const key of this.entries.keys()) {
+            if (key.startsWith(prefix)) {
+                this.entries.delete(key);
+            }
+        }
+        this.stats.invalidations++;
+    }
+
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses + this.stats.coalesced;
+        return {
+            ...this.stats,
+            size: this.entries.size,
+            hitRate: lookups ? Math.round(((this.stats.hits + this.stats.coalesced) / lookups) * 1000) / 1000 : 0
+        };
+    }
+}
+
+module.exports = TtlCache;
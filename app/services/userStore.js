@@ -0,0 +1,108 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const { hashPassword, verifyPassword } = require('./auth');
+require('dotenv').config();
+
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,40}$/;
+const MIN_PASSWORD_LENGTH = 8;
+// Checked for unknown usernames, so a failed sign-in takes as long whether or not the account exists
+const dummyPasswordHash = hashPassword(crypto.randomBytes(16).toString('base64url'));
+
+/**
+ * User accounts in a JSON file (USERS_FILE, default ./data/users.json).
+ *
+ * Each user has a storage partition: { spreadsheetId } for the Sheets
+ * backend or { dataFile } for the local backend. The storage options are
+ * passed straight to createStorageService.
+ */
+class UserStore {
+    constructor(usersFile = process.env.USERS_FILE || './data/users.json') {
+        this.usersFile = path.resolve(usersFile);
+        this.users = [];
+        this.writeQueue = Promise.resolve();
+    }
+
+    async load() {
+        if (fs.existsSync(this.usersFile)) {
+            const content = await fs.promises.readFile(this.usersFile, 'utf8');
+            this.users = JSON.parse(content).users || [];
+        }
+        console.log(`User store loaded ${this.users.length} account(s) from ${this.usersFile}`);
+    }
+
+    // Same serialized temp-file-and-rename writes as LocalStoreService.save()
+    save() {
+        const snapshot = JSON.stringify({ users: this.users }, null, 2);
+        const tmpFile = `${this.usersFile}.tmp`;
+
+        this.writeQueue = this.writeQueue.then(async () => {
+            await fs.promises.mkdir(path.dirname(this.usersFile), { recursive: true });
+            await fs.promises.writeFile(tmpFile, snapshot, 'utf8');
+            await fs.promises.rename(tmpFile, this.usersFile);
+        });
+
+        return this.writeQueue;
+    }
+
+    count() {
+        return this.users.length;
+    }
+
+    findById(id) {
+        return this.users.find(user => user.id === id) || null;
+    }
+
+    findByUsername(username) {
+        const normalized = (username || '').toString().trim().toLowerCase();
+        return this.users.find(user => user.username === normalized) || null;
+    }
+
+    // Returns the user when the password matches, otherwise null
+    async authenticate(username, password) {
+        const user = this.findByUsername(username);
+        const matches = await verifyPassword(typeof password === 'string' ? password : '', user ? user.passwordHash : await dummyPasswordHash);
+        return user && matches ? user : null;
+    }
+
+    /**
+     * Validate a new account. Returns an error message, or null when it can be created.
+     */
+    validateNewUser(username, password) {
+        const normalized = (username || '').toString().trim().toLowerCase();
+        if (!USERNAME_PATTERN.test(normalized)) {
+            return 'Username must be 3-40 characters: letters, digits, dots, dashes or underscores';
+        }
+        if ((password || '').length < MIN_PASSWORD_LENGTH) {
+            return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+        }
+        if (this.findByUsername(normalized)) {
+            return 'That username is already taken';
+        }
+        return null;
+    }
+
+    // Build (but don't save) a user record
+    async buildUser(username, password, storage) {
+        return {
+            id: crypto.randomUUID(),
+            username: username.toString().trim().toLowerCase(),
+            passwordHash: await hashPassword(password),
+            storage,
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    async addUser(user) {
+        this.users.push(user);
+        await this.save();
+        return user;
+    }
+}
+
+// Public view of a user, without the password hash
+function toPublicUser(user) {
+    return user ? { id: user.id, username: user.username, createdAt: user.createdAt } : null;
+}
+
+module.exports = { UserStore, toPublicUser };
@@ -0,0 +1,217 @@
+/**
+ * Declarative validation for request bodies and query strings.
+ *
+ * A schema maps field names to rules built with the helpers below:
+ *
+ *   validate({ date: date({ required: true }), calories: number({ required: true, min: 0 }) }, req.body)
+ *
+ * validate() returns the cleaned input (text trimmed, numbers parsed, blank
+ * optional fields and fields not in the schema dropped) or throws a
+ * ValidationError with a message per invalid field. Nested fields are named
+ * like "components[0].calories".
+ */
+const { isValidTimeZone } = require('./dateUtils');
+
+class ValidationError extends Error {
+    /**
+     * @param {Object<string, string>} fields - field name -> message, e.g. { calories: 'must be a number' }
+     */
+    constructor(fields) {
+        super(Object.entries(fields).map(([field, message]) => `${field} ${message}`).join('; '));
+        this.name = 'ValidationError';
+        this.fields = fields;
+    }
+}
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+const NUMBER = /^[+-]?(\d+(\.\d*)?|\.\d+)$/;
+const TIME = /^([01]?\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+const isBlank = value => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+// A real calendar day (rejects 2024-02-30)
+function isCalendarDate(value) {
+    const parsed = new Date(`${value}T00:00:00Z`);
+    return DATE_KEY.test(value) && !isNaN(parsed) && parsed.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * A rule: check(value, path, errors) returns the cleaned value, or records
+ * errors[path] and returns undefined. Blank values never reach check; they
+ * fail required rules and otherwise get defaultValue (or are left out).
+ */
+const rule = (check, { required = false, defaultValue } = {}) => ({ check, required, defaultValue });
+
+function fail(errors, path, message) {
+    errors[path] = message;
+    return undefined;
+}
+
+/**
+ * Text, trimmed unless trim is false (passwords). oneOf matches case-insensitively
+ * and returns the listed spelling.
+ */
+function string({ max = 200, pattern = null, patternMessage = 'is not valid', oneOf = null, trim = true, ...options } = {}) {
+    return rule((value, path, errors) => {
+        if (typeof value !== 'string' && typeof value !== 'number') {
+            return fail(errors, path, 'must be text');
+        }
+        const text = trim ? String(value).trim() : String(value);
+        if (oneOf) {
+            const match = oneOf.find(option => option.toLowerCase() === text.toLowerCase());
+            return match || fail(errors, path, `must be one of: ${oneOf.join(', ')}`);
+        }
+        if (text.length > max) {
+            return fail(errors, path, `must be at most ${max} characters`);
+        }
+        if (pattern && !pattern.test(text)) {
+            return fail(errors, path, patternMessage);
+        }
+        return text;
+    }, options);
+}
+
+// A number, or a string holding only a number ("12.5", not "12abc")
+function number({ min = null, max = null, integer = false, ...options } = {}) {
+    return rule((value, path, errors) => {
+        const parsed = typeof value === 'number' ? value : (typeof value === 'string' && NUMBER.test(value.trim()) ? Number(value) : NaN);
+        if (!Number.isFinite(parsed)) {
+            return fail(errors, path, 'must be a number');
+        }
+        if (integer && !Number.isInteger(parsed)) {
+            return fail(errors, path, 'must be a whole number');
+        }
+        if ((min !== null && parsed < min) || (max !== null && parsed > max)) {
+            const range = min !== null && max !== null ? `between ${min} and ${max}` : (min !== null ? `at least ${min}` : `at most ${max}`);
+            return fail(errors, path, `must be ${range}`);
+        }
+        return parsed;
+    }, options);
+}
+
+// true/false, also as the strings forms and query strings send
+function boolean(options = {}) {
+    return rule((value, path, errors) => {
+        if (value === true || value === 'true') return true;
+        if (value === false || value === 'false') return false;
+        return fail(errors, path, 'must be true or false');
+    }, options);
+}
+
+/**
+ * A YYYY-MM-DD day. With allowTimestamp, ISO timestamps with an offset
+ * ("2025-01-15T17:30:00Z") pass too; the routes turn them into the user's day.
+ */
+function date({ allowTimestamp = false, ...options } = {}) {
+    return rule((value, path, errors) => {
+        const text = typeof value === 'string' ? value.trim() : '';
+        if (isCalendarDate(text)) {
+            return text;
+        }
+        if (allowTimestamp && /^\d{4}-\d{2}-\d{2}T/.test(text) && isCalendarDate(text.slice(0, 10)) && !isNaN(Date.parse(text))) {
+            return text;
+        }
+        return fail(errors, path, 'must be a date in YYYY-MM-DD format');
+    }, options);
+}
+
+// A time of day, HH:mm (or H:mm, with optional seconds)
+function time(options = {}) {
+    return string({ max: 8, pattern: TIME, patternMessage: 'must be a time in HH:mm format', ...options });
+}
+
+// An IANA time zone name such as Europe/Berlin
+function timeZone(options = {}) {
+    return rule((value, path, errors) => (isValidTimeZone(value)
+        ? value
+        : fail(errors, path, 'must be an IANA time zone such as Europe/Berlin')), options);
+}
+
+// A list whose items all match itemRule (a rule, or a schema object for lists of objects)
+function array(itemRule, { min = 0, max = 1000, ...options } = {}) {
+    const item = itemRule.check ? itemRule : object(itemRule);
+    return rule((value, path, errors) => {
+        if (!Array.isArray(value)) {
+            return fail(errors, path, 'must be a list');
+        }
+        if (value.length < min || value.length > max) {
+            return fail(errors, path, min === max ? `must have ${min} items` : `must have between ${min} and ${max} items`);
+        }
+        return value.map((entry, index) => {
+            const itemPath = `${path}[${index}]`;
+            return isBlank(entry) ? fail(errors, itemPath, 'is required') : item.check(entry, itemPath, errors);
+        });
+    }, options);
+}
+
+// A nested object checked against its own schema
+function object(schema, options = {}) {
+    return rule((value, path, errors) => collect(schema, value, path, errors), options);
+}
+
+// An object with any keys whose values all match valueRule (e.g. a CSV column mapping)
+function record(valueRule, options = {}) {
+    return rule((value, path, errors) => {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            return fail(errors, path, 'must be an object');
+        }
+        // fromEntries defines own properties, so a "__proto__" key can't replace the prototype
+        return Object.fromEntries(Object.entries(value)
+            .filter(([, entry]) => !isBlank(entry))
+            .map(([key, entry]) => [key, valueRule.check(entry, `${path}.${key}`, errors)]));
+    }, options);
+}
+
+function collect(schema, input, prefix, errors) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return fail(errors, prefix || 'body', 'must be an object');
+    }
+
+    const result = {};
+    Object.entries(schema).forEach(([name, fieldRule]) => {
+        const path = prefix ? `${prefix}.${name}` : name;
+        const value = input[name];
+        if (isBlank(value)) {
+            if (fieldRule.required) {
+                errors[path] = 'is required';
+            } else if (fieldRule.defaultValue !== undefined) {
+                result[name] = fieldRule.defaultValue;
+            }
+            return;
+        }
+
+        const cleaned = fieldRule.check(value, path, errors);
+        if (cleaned !== undefined) {
+            result[name] = cleaned;
+        }
+    });
+    return result;
+}
+
+/**
+ * Check input against a schema.
+ * @returns {Object} the cleaned input
+ * @throws {ValidationError} listing every invalid field
+ */
+function validate(schema, input = {}) {
+    const errors = {};
+    const result = collect(schema, input ?? {}, '', errors);
+    if (Object.keys(errors).length) {
+        throw new ValidationError(errors);
+    }
+    return result;
+}
+
+module.exports = {
+    ValidationError,
+    validate,
+    string,
+    number,
+    boolean,
+    date,
+    time,
+    timeZone,
+    array,
+    object,
+    record
+};
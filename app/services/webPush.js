@@ -0,0 +1,176 @@
+/**
+ * Web Push on node:crypto: VAPID authentication (RFC 8292) and aes128gcm
+ * payload encryption (RFC 8291).
+ *
+ * VAPID keys are a P-256 key pair as unpadded base64url, the public key in
+ * uncompressed form (65 bytes) and the private key as the raw 32-byte scalar,
+ * which is also the format browsers expect for applicationServerKey.
+ */
+const crypto = require('crypto');
+require('dotenv').config();
+
+const RECORD_SIZE = 4096;
+const JWT_TTL_SECONDS = 12 * 60 * 60;
+// How long a push service may hold a message for an offline device
+const DEFAULT_TTL_SECONDS = 4 * 60 * 60;
+
+// Thrown when a push service rejects a message. gone means the subscription no longer exists.
+class PushError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'PushError';
+        this.status = status;
+        this.gone = status === 404 || status === 410;
+    }
+}
+
+const fromBase64Url = value => Buffer.from(value, 'base64url');
+
+function generateVapidKeys() {
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.generateKeys();
+    // The scalar can come back shorter than 32 bytes when it starts with zeros
+    const privateKey = ecdh.getPrivateKey();
+    return {
+        publicKey: ecdh.getPublicKey().toString('base64url'),
+        privateKey: Buffer.concat([Buffer.alloc(32 - privateKey.length), privateKey]).toString('base64url')
+    };
+}
+
+// VAPID_PUBLIC_KEY/VAPID_PRIVATE_KEY/VAPID_SUBJECT, or null when push isn't configured
+function readVapidConfig(env = process.env) {
+    if (!env.VAPID_PUBLIC_KEY || !env.VAPID_PRIVATE_KEY) {
+        return null;
+    }
+    return {
+        publicKey: env.VAPID_PUBLIC_KEY.trim(),
+        privateKey: env.VAPID_PRIVATE_KEY.trim(),
+        subject: (env.VAPID_SUBJECT || 'mailto:admin@localhost').trim()
+    };
+}
+
+function vapidSigningKey({ publicKey, privateKey }) {
+    const point = fromBase64Url(publicKey);
+    return crypto.createPrivateKey({
+        format: 'jwk',
+        key: {
+            kty: 'EC',
+            crv: 'P-256',
+            x: point.subarray(1, 33).toString('base64url'),
+            y: point.subarray(33, 65).toString('base64url'),
+            d: privateKey
+        }
+    });
+}
+
+// Authorization header value for a push service endpoint
+function vapidAuthorization(endpoint, vapid, now = Date.now()) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const unsigned = `${encode({ typ: 'JWT', alg: 'ES256' })}.${encode({
+        aud: new URL(endpoint).origin,
+        exp: Math.floor(now / 1000) + JWT_TTL_SECONDS,
+        sub: vapid.subject
+    })}`;
+    const signature = crypto.sign('sha256', Buffer.from(unsigned), {
+        key: vapidSigningKey(vapid),
+        dsaEncoding: 'ieee-p1363'
+    });
+    return `vapid t=${unsigned}.${signature.toString('base64url')}, k=${vapid.publicKey}`;
+}
+
+const hkdf = (salt, ikm, info, length) => Buffer.from(crypto.hkdfSync('sha256', ikm, salt, info, length));
+
+// Encrypt a payload for one subscription as a single aes128gcm record, with a fresh salt and sender key
+function encryptPayload(payload, keys) {
+    const receiverPublic = fromBase64Url(keys.p256dh);
+    const authSecret = fromBase64Url(keys.auth);
+    const salt = crypto.randomBytes(16);
+
+    const sender = crypto.createECDH('prime256v1');
+    sender.generateKeys();
+    const senderPublic = sender.getPublicKey();
+
+    const sharedSecret = sender.computeSecret(receiverPublic);
+    const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), receiverPublic, senderPublic]);
+    const ikm = hkdf(authSecret, sharedSecret, keyInfo, 32);
+    const contentKey = hkdf(salt, ikm, Buffer.from('Content-Encoding: aes128gcm\0'), 16);
+    const nonce = hkdf(salt, ikm, Buffer.from('Content-Encoding: nonce\0'), 12);
+
+    // 0x02 marks the last (only) record
+    const plaintext = Buffer.concat([Buffer.from(payload), Buffer.from([2])]);
+    if (plaintext.length + 16 > RECORD_SIZE) {
+        throw new Error('Push payload is too large');
+    }
+    const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+
+    const header = Buffer.alloc(21);
+    salt.copy(header, 0);
+    header.writeUInt32BE(RECORD_SIZE, 16);
+    header.writeUInt8(senderPublic.length, 20);
+    return Buffer.concat([header, senderPublic, ciphertext]);
+}
+
+/**
+ * Send a notification to one subscription ({ endpoint, keys: { p256dh, auth } }).
+ * payload is an object, delivered to the service worker as JSON.
+ * Throws a PushError when the push service refuses it.
+ */
+async function sendNotification(subscription, payload, vapid, { ttl = DEFAULT_TTL_SECONDS } = {}) {
+    const body = encryptPayload(JSON.stringify(payload), subscription.keys);
+    const response = await fetch(subscription.endpoint, {
+        method: 'POST',
+        headers: {
+            Authorization: vapidAuthorization(subscription.endpoint, vapid),
+            'Content-Encoding': 'aes128gcm',
+            'Content-Type': 'application/octet-stream',
+            TTL: String(ttl)
+        },
+        body
+    });
+
+    if (!response.ok) {
+        const detail = (await response.text().catch(() => '')).slice(0, 200);
+        throw new PushError(`Push service responded ${response.status}${detail ? `: ${detail}` : ''}`, response.status);
+    }
+    return { status: response.status };
+}
+
+/**
+ * Check the shape of a PushSubscription sent by a browser. Returns null when
+ * usable, otherwise a ValidationError-style { field: message } object.
+ */
+function validateSubscription(subscription) {
+    if (!subscription || typeof subscription !== 'object') {
+        return { subscription: 'is required' };
+    }
+    let url;
+    try {
+        url = new URL(subscription.endpoint);
+    } catch (error) {
+        return { 'subscription.endpoint': 'must be a URL' };
+    }
+    if (url.protocol !== 'https:') {
+        return { 'subscription.endpoint': 'must use https' };
+    }
+
+    const keys = subscription.keys || {};
+    const base64Url = /^[A-Za-z0-9_-]+={0,2}$/;
+    if (!base64Url.test(keys.p256dh || '') || fromBase64Url(keys.p256dh).length !== 65) {
+        return { 'subscription.keys.p256dh': 'must be a P-256 public key' };
+    }
+    if (!base64Url.test(keys.auth || '') || fromBase64Url(keys.auth).length !== 16) {
+        return { 'subscription.keys.auth': 'must be 16 bytes' };
+    }
+    return null;
+}
+
+module.exports = {
+    PushError,
+    generateVapidKeys,
+    readVapidConfig,
+    vapidAuthorization,
+    encryptPayload,
+    sendNotification,
+    validateSubscription
+};
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+// Deliveries kept per webhook for the delivery log, newest first
+const DELIVERY_LOG_LIMIT = 50;
+
+/**
+ * Outbound webhooks, their delivery log and the day-event state in a JSON
+ * file (WEBHOOK_FILE, default ./data/webhooks.json). Like PushStore they
+ * belong to an account, not to its diary. Keys are user ids ("shared"
+ * without sign-in).
+ *
+ * days remembers, per user, the last day a calculation saw and the last day
+ * day.over_limit fired, so day events go out once even across restarts.
+ */
+class WebhookStore {
+    constructor(webhookFile = process.env.WEBHOOK_FILE || './data/webhooks.json') {
+        this.webhookFile = path.resolve(webhookFile);
+        this.data = { webhooks: [], deliveries: [], days: {} };
+        this.writeQueue = Promise.resolve();
+    }
+
+    async load() {
+        if (fs.existsSync(this.webhookFile)) {
+            const content = await fs.promises.readFile(this.webhookFile, 'utf8');
+            this.data = { ...this.data, ...JSON.parse(content) };
+        }
+        console.log(`Webhook store loaded ${this.data.webhooks.length} webhook(s) from ${this.webhookFile}`);
+    }
+
+    // Same serialized temp-file-and-rename writes as PushStore.save()
+    save() {
+        const snapshot = JSON.stringify(this.data, null, 2);
+        const tmpFile = `${this.webhookFile}.tmp`;
+
+        this.writeQueue = this.writeQueue.then(async () => {
+            await fs.promises.mkdir(path.dirname(this.webhookFile), { recursive: true });
+            await fs.promises.writeFile(tmpFile, snapshot, 'utf8');
+            await fs.promises.rename(tmpFile, this.webhookFile);
+        });
+
+        return this.writeQueue;
+    }
+
+    webhooksFor(userId) {
+        return this.data.webhooks.filter(webhook => webhook.userId === userId);
+    }
+
+    findWebhook(userId, id) {
+        return this.data.webhooks.find(webhook => webhook.userId === userId && webhook.id === id) || null;
+    }
+
+    // Enabled webhooks of the user that subscribe to event
+    subscribersOf(userId, event) {
+        return this.webhooksFor(userId).filter(webhook => webhook.enabled && webhook.events.includes(event));
+    }
+
+    async addWebhook(webhook) {
+        this.data.webhooks.push(webhook);
+        await this.save();
+        return webhook;
+    }
+
+    // Returns null when the user has no webhook with the id
+    async updateWebhook(userId, id, changes) {
+        const webhook = this.findWebhook(userId, id);
+        if (!webhook) {
+            return null;
+        }
+        Object.assign(webhook, changes);
+        await this.save();
+        return webhook;
+    }
+
+    // Removes the webhook and its delivery log; returns false when the user has no webhook with the id
+    async removeWebhook(userId, id) {
+        const webhook = this.findWebhook(userId, id);
+        if (!webhook) {
+            return false;
+        }
+        this.data.webhooks = this.data.webhooks.filter(item => item !== webhook);
+        this.data.deliveries = this.data.deliveries.filter(delivery => delivery.webhookId !== id);
+        await this.save();
+        return true;
+    }
+
+    deliveriesFor(webhookId) {
+        return this.data.deliveries.filter(delivery => delivery.webhookId === webhookId);
+    }
+
+    // Deliveries still waiting for a (re)try, e.g. when the server restarted mid-backoff
+    pendingDeliveries() {
+        return this.data.deliveries.filter(delivery => delivery.status === 'pending');
+    }
+
+    // Newest first; older deliveries of the webhook beyond DELIVERY_LOG_LIMIT are dropped
+    async addDelivery(delivery) {
+        this.data.deliveries.unshift(delivery);
+        const kept = this.deliveriesFor(delivery.webhookId).slice(DELIVERY_LOG_LIMIT);
+        if (kept.length) {
+            this.data.deliveries = this.data.deliveries.filter(item => !kept.includes(item));
+        }
+        await this.save();
+        return delivery;
+    }
+
+    async updateDelivery(delivery, changes) {
+        Object.assign(delivery, changes);
+        await this.save();
+        return delivery;
+    }
+
+    dayStateFor(userId) {
+        return { ...this.data.days[userId] };
+    }
+
+    async setDayState(userId, changes) {
+        this.data.days[userId] = { ...this.data.days[userId], ...changes };
+        await this.save();
+    }
+}
+
+module.exports = WebhookStore;
@@ -0,0 +1,378 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { Agent } = require('undici');
+const { ValidationError } = require('./validation');
+require('dotenv').config();
+
+/**
+ * Events a webhook can subscribe to:
+ *   entry.created    - a food entry was logged through POST /api/log
+ *   settings.updated - the personal metrics were saved
+ *   day.over_limit   - today's net intake went over the daily limit (once a day)
+ *   day.closed       - the first calculation of a new day closes the previous one
+ * The day events come from the daily summary calculation, so they need the
+ * server calculation engine (CALCULATION_ENGINE=server).
+ */
+const WEBHOOK_EVENTS = ['entry.created', 'settings.updated', 'day.over_limit', 'day.closed'];
+const MAX_WEBHOOKS = 10;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+function readWebhookOptions(env = process.env) {
+    const parse = (value, fallback) => (value === undefined || value === '' || isNaN(parseFloat(value)) ? fallback : Math.max(0, parseFloat(value)));
+    return {
+        retries: Math.round(parse(env.WEBHOOK_RETRIES, 5)),
+        retryDelayMs: parse(env.WEBHOOK_RETRY_DELAY_MS, 2000),
+        timeoutMs: parse(env.WEBHOOK_TIMEOUT_MS, 10000),
+        allowHttp: env.NODE_ENV === 'development',
+        allowedHosts: (env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean)
+    };
+}
+
+// Loopback, private, link-local (cloud metadata), shared, multicast and reserved ranges; BlockList
+// checks IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) against the IPv4 ranges
+const INTERNAL_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => INTERNAL_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => INTERNAL_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+const isInternalAddress = address => INTERNAL_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+const refusedAddress = () => new ValidationError({ url: 'must not point to a private, loopback or link-local address' });
+
+// Every address of a host, through a dns.lookup-style function
+const lookupAll = (lookup, host) => new Promise((resolve, reject) => {
+    lookup(host, { all: true, verbatim: true }, (error, addresses) => (error ? reject(error) : resolve(addresses)));
+});
+
+/**
+ * Webhooks are POSTed from the server, so a URL must not reach into its own
+ * network. Rejects (with a ValidationError) URLs that aren't https outside
+ * development and hosts that resolve to an internal address, unless the host
+ * is listed in WEBHOOK_ALLOWED_HOSTS. Checked when a webhook is saved and
+ * before every delivery; the delivery's connection checks the address it
+ * connects to again (see createWebhookAgent).
+ */
+async function checkWebhookUrl(url, { allowHttp = false, allowedHosts = [], lookup = dns.lookup } = {}) {
+    const { protocol, hostname } = new URL(url);
+    if (protocol !== 'https:' && !(allowHttp && protocol === 'http:')) {
+        throw new ValidationError({ url: 'must be an https:// URL' });
+    }
+
+    const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (allowedHosts.includes(host)) {
+        return;
+    }
+
+    let addresses;
+    try {
+        addresses = await lookupAll(lookup, host);
+    } catch (error) {
+        if (error.code === 'ENOTFOUND') {
+            throw new ValidationError({ url: `host ${host} was not found` });
+        }
+        throw error;
+    }
+    if (addresses.some(({ address }) => isInternalAddress(address))) {
+        throw refusedAddress();
+    }
+}
+
+/**
+ * The connection pool deliveries are sent through. It resolves the host
+ * itself when connecting and refuses internal addresses there, so a host
+ * whose DNS answer changes after checkWebhookUrl (DNS rebinding) still can't
+ * reach the server's network.
+ */
+function createWebhookAgent({ allowedHosts = [], lookup = dns.lookup } = {}) {
+    const guardedLookup = (hostname, options, callback) => {
+        lookup(hostname, { ...options, all: true }, (error, addresses) => {
+            if (error) {
+                return callback(error);
+            }
+            if (!allowedHosts.includes(hostname.toLowerCase()) && addresses.some(({ address }) => isInternalAddress(address))) {
+                return callback(refusedAddress());
+            }
+            return options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family);
+        });
+    };
+    return new Agent({ connect: { lookup: guardedLookup } });
+}
+
+const generateSecret = () => crypto.randomBytes(24).toString('hex');
+
+/**
+ * X-Webhook-Signature: "sha256=" and the hex HMAC-SHA256 of "<timestamp>.<body>"
+ * with the webhook's secret. Receivers recompute it from the raw body and the
+ * X-Webhook-Timestamp header, and can reject old timestamps to stop replays.
+ */
+function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// A new webhook of the user from a validated WEBHOOK_BODY; without a secret one is generated
+function createWebhook(userId, { url, events, secret, description, enabled }) {
+    const now = new Date().toISOString();
+    return {
+        id: crypto.randomUUID(),
+        userId,
+        url,
+        events: [...new Set(events)],
+        secret: secret || generateSecret(),
+        description: description || '',
+        enabled: enabled ?? true,
+        createdAt: now,
+        updatedAt: now
+    };
+}
+
+// What the API shows of a webhook: everything but the secret
+function toPublicWebhook({ secret, ...webhook }) {
+    return webhook;
+}
+
+// 2xx is delivered; timeouts, rate limits and server errors are worth another try
+const isRetryableStatus = status => status === 408 || status === 429 || status >= 500;
+
+/**
+ * POST a delivery's payload to the webhook URL through options.agent (a
+ * one-off createWebhookAgent without it). Resolves with the response status;
+ * network errors and timeouts reject, and so does a refused address (with a
+ * ValidationError).
+ */
+async function postWebhook(webhook, delivery, options) {
+    await checkWebhookUrl(webhook.url, options);
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const agent = options.agent || createWebhookAgent(options);
+    try {
+        const response = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'calorie-diary-webhooks',
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Delivery': delivery.id,
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+            },
+            body,
+            redirect: 'manual',
+            dispatcher: agent,
+            signal: AbortSignal.timeout(options.timeoutMs)
+        });
+        await response.body?.cancel();
+        return response.status;
+    } catch (error) {
+        // fetch wraps what the agent's lookup refused
+        throw error.cause instanceof ValidationError ? error.cause : error;
+    } finally {
+        if (!options.agent) {
+            agent.close();
+        }
+    }
+}
+
+const toNumber = value => parseFloat(value) || 0;
+
+// The day events' data: a day's totals from the daily summary, zeros when nothing was logged
+function dayPayload(date, summary) {
+    return {
+        date,
+        logged: Boolean(summary),
+        totalIn: summary ? toNumber(summary.totalIn) : 0,
+        maxLimit: summary ? toNumber(summary.maxLimit) : 0,
+        exercise: summary ? toNumber(summary.exercise) : 0,
+        net: summary ? toNumber(summary.net ?? summary.totalIn) : 0,
+        status: summary ? summary.status : ''
+    };
+}
+
+/**
+ * Sends events to the webhooks subscribed to them, retrying failed
+ * deliveries with exponential backoff (WEBHOOK_RETRY_DELAY_MS doubling per
+ * attempt, WEBHOOK_RETRIES retries) and recording every delivery in the
+ * store's delivery log. Deliveries run in the background, so emitting never
+ * slows down or fails the request behind the event.
+ */
+class WebhookDispatcher {
+    constructor({ store, send = postWebhook, ...options }) {
+        this.store = store;
+        this.send = send;
+        this.options = { ...readWebhookOptions(), ...options };
+        this.options.agent = this.options.agent || createWebhookAgent(this.options);
+        this.timers = new Set();
+        this.attempts = new Set();
+        // userId -> the user's last queued calculation (see handleCalculation)
+        this.calculations = new Map();
+    }
+
+    // Queue an event for each webhook of the user subscribed to it; resolves with the queued deliveries
+    async emit(userId, event, data) {
+        try {
+            const webhooks = this.store.subscribersOf(userId, event);
+            return await Promise.all(webhooks.map(webhook => this.deliver(webhook, event, data)));
+        } catch (error) {
+            console.error(`Error queueing ${event} webhooks:`, error.message);
+            return [];
+        }
+    }
+
+    async deliver(webhook, event, data) {
+        const createdAt = new Date().toISOString();
+        const id = crypto.randomUUID();
+        const delivery = await this.store.addDelivery({
+            id,
+            webhookId: webhook.id,
+            userId: webhook.userId,
+            event,
+            payload: { id, event, createdAt, data },
+            status: 'pending',
+            attempts: 0,
+            responseStatus: null,
+            error: null,
+            createdAt,
+            nextAttemptAt: createdAt
+        });
+        this.schedule(delivery, 0);
+        return delivery;
+    }
+
+    schedule(delivery, delayMs) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            const attempt = this.attempt(delivery)
+                .catch(error => console.error('Error delivering webhook:', error.message))
+                .finally(() => this.attempts.delete(attempt));
+            this.attempts.add(attempt);
+        }, delayMs);
+        // Don't keep the process alive just for retries; pending deliveries resume on the next start
+        timer.unref();
+        this.timers.add(timer);
+    }
+
+    async attempt(delivery) {
+        const webhook = this.store.data.webhooks.find(item => item.id === delivery.webhookId);
+        if (!webhook) {
+            return; // Removed together with its delivery log
+        }
+        if (!webhook.enabled) {
+            await this.store.updateDelivery(delivery, { status: 'failed', error: 'Webhook disabled', nextAttemptAt: null });
+            return;
+        }
+
+        const attempts = delivery.attempts + 1;
+        let responseStatus = null;
+        let error = null;
+        let retryable;
+        try {
+            responseStatus = await this.send(webhook, delivery, this.options);
+            retryable = isRetryableStatus(responseStatus);
+            if (responseStatus < 200 || responseStatus >= 300) {
+                error = `Responded with HTTP ${responseStatus}`;
+            }
+        } catch (sendError) {
+            error = sendError.name === 'TimeoutError' ? `No response within ${this.options.timeoutMs} ms` : sendError.message;
+            // A refused URL stays refused
+            retryable = !(sendError instanceof ValidationError);
+        }
+
+        const lastAttemptAt = new Date().toISOString();
+        if (!error) {
+            await this.store.updateDelivery(delivery, { status: 'delivered', attempts, responseStatus, error, lastAttemptAt, nextAttemptAt: null });
+            return;
+        }
+        if (!retryable || attempts > this.options.retries) {
+            await this.store.updateDelivery(delivery, { status: 'failed', attempts, responseStatus, error, lastAttemptAt, nextAttemptAt: null });
+            return;
+        }
+
+        const delayMs = Math.min(this.options.retryDelayMs * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+        await this.store.updateDelivery(delivery, {
+            attempts, responseStatus, error, lastAttemptAt, nextAttemptAt: new Date(Date.now() + delayMs).toISOString()
+        });
+        this.schedule(delivery, delayMs);
+    }
+
+    // Pick up deliveries that were waiting for a retry when the server stopped
+    resume(now = Date.now()) {
+        this.store.pendingDeliveries().forEach(delivery => {
+            this.schedule(delivery, Math.max(0, new Date(delivery.nextAttemptAt).getTime() - now) || 0);
+        });
+    }
+
+    // Resolves once no delivery is waiting or in progress (for tests and shutdown)
+    async idle() {
+        while (this.timers.size || this.attempts.size) {
+            await (this.attempts.size ? Promise.allSettled([...this.attempts]) : new Promise(resolve => setTimeout(resolve, 5)));
+        }
+    }
+
+    stop() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+    }
+
+    /**
+     * Turn a daily summary calculation into day events. result is what the
+     * storage's "calculated" event carries: { currentDay, summaries }. A
+     * user's calculations are handled one after the other, so the day state
+     * is read after the previous one saved it and an event can't fire twice.
+     */
+    handleCalculation(userId, result) {
+        const handled = (this.calculations.get(userId) || Promise.resolve()).then(() => this.applyCalculation(userId, result));
+        const queued = handled.catch(() => {});
+        this.calculations.set(userId, queued);
+        queued.then(() => {
+            if (this.calculations.get(userId) === queued) {
+                this.calculations.delete(userId);
+            }
+        });
+        return handled;
+    }
+
+    async applyCalculation(userId, { currentDay, summaries }) {
+        // Days are only tracked for users with webhooks
+        if (!this.store.webhooksFor(userId).length) {
+            return;
+        }
+
+        const state = this.store.dayStateFor(userId);
+        const summaryOf = dateKey => summaries.find(summary => summary.date === dateKey) || null;
+        const changes = {};
+
+        if (state.lastDay && state.lastDay < currentDay) {
+            await this.emit(userId, 'day.closed', dayPayload(state.lastDay, summaryOf(state.lastDay)));
+        }
+        if (state.lastDay !== currentDay) {
+            changes.lastDay = currentDay;
+        }
+
+        const today = dayPayload(currentDay, summaryOf(currentDay));
+        if (today.maxLimit > 0 && today.net > today.maxLimit && state.overLimitDay !== currentDay) {
+            await this.emit(userId, 'day.over_limit', today);
+            changes.overLimitDay = currentDay;
+        }
+
+        if (Object.keys(changes).length) {
+            await this.store.setDayState(userId, changes);
+        }
+    }
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    MAX_WEBHOOKS,
+    readWebhookOptions,
+    checkWebhookUrl,
+    createWebhookAgent,
+    generateSecret,
+    createWebhook,
+    signPayload,
+    toPublicWebhook,
+    postWebhook,
+    WebhookDispatcher
+};
@@ -0,0 +1,79 @@
+const { isDateKey } = require('./dateRange');
+require('dotenv').config();
+
+// Share of the distance to each new weigh-in the trend moves per day, as in The Hacker's Diet
+const DEFAULT_SMOOTHING = 0.1;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value, decimals) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+// Normalize a weigh-in from a request body or stored record. weight is in kg.
+function pickWeightEntry(source = {}) {
+    const weight = parseFloat(source.weight);
+    return {
+        date: (source.date || '').toString().trim(),
+        weight: isNaN(weight) ? '' : round(weight, 2),
+        note: (source.note || '').toString().trim()
+    };
+}
+
+/**
+ * Add an exponential moving average (trend) to weigh-ins.
+ *
+ * Missed days count: after a gap of n days the trend moves as far as n daily
+ * steps would have, so sparse weigh-ins aren't over-smoothed.
+ *
+ * @param {Array<{date: string, weight: number}>} entries
+ * @returns {Array} the entries oldest first, each with trend in kg
+ */
+function withTrend(entries, smoothing = DEFAULT_SMOOTHING) {
+    let trend = null;
+    let previousDate = null;
+
+    return entries
+        .filter(entry => isDateKey(entry.date) && entry.weight !== '')
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .map(entry => {
+            const weight = parseFloat(entry.weight);
+            const date = new Date(`${entry.date}T00:00:00Z`);
+
+            if (trend === null) {
+                trend = weight;
+            } else {
+                const days = Math.max(1, Math.round((date - previousDate) / DAY_MS));
+                trend += (1 - (1 - smoothing) ** days) * (weight - trend);
+            }
+            previousDate = date;
+
+            return { ...entry, trend: round(trend, 2) };
+        });
+}
+
+// WEIGHT_UPDATES_GOAL=false stops weigh-ins from changing the weight in the settings
+const weightUpdatesGoal = () => process.env.WEIGHT_UPDATES_GOAL !== 'false';
+
+/**
+ * Copy the latest weigh-in into the personal metrics, so the daily goal
+ * follows the current weight. Returns the new weight, or null when unchanged.
+ */
+async function syncGoalWeight(storage) {
+    if (!weightUpdatesGoal()) {
+        return null;
+    }
+
+    const entries = await storage.getWeightEntries();
+    const latest = withTrend(entries).pop();
+    if (!latest) {
+        return null;
+    }
+
+    const { personal } = await storage.getDashboardData();
+    if (parseFloat(personal.weight) === latest.weight) {
+        return null;
+    }
+
+    await storage.updatePersonalMetrics({ ...personal, weight: latest.weight });
+    return latest.weight;
+}
+
+module.exports = { DEFAULT_SMOOTHING, pickWeightEntry, withTrend, syncGoalWeight };
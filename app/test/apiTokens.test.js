@@ -0,0 +1,60 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ApiTokenStore, RateLimiter, readBearerToken, toPublicToken, hashToken } = require('../services/apiTokens');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'calorie-diary-tokens-'));
+
+after(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('readBearerToken takes the token from an Authorization header', () => {
+    assert.equal(readBearerToken('Bearer cdt_abc'), 'cdt_abc');
+    assert.equal(readBearerToken('bearer   cdt_abc '), 'cdt_abc');
+    assert.equal(readBearerToken('Basic dXNlcjpwYXNz'), null);
+    assert.equal(readBearerToken(undefined), null);
+});
+
+test('tokens are stored hashed and authenticate until revoked or expired', async () => {
+    const tokensFile = path.join(dataDir, 'tokens.json');
+    const store = new ApiTokenStore(tokensFile);
+    await store.load();
+
+    const { token, record } = await store.createToken('u1', { name: 'Shortcut', scopes: ['write', 'read'] });
+    assert.match(token, /^cdt_[A-Za-z0-9_-]{43}$/);
+    assert.deepEqual(record.scopes, ['read', 'write']);
+    assert.equal(record.hash, hashToken(token));
+    assert.equal(toPublicToken(record).hash, undefined);
+    assert.ok(!fs.readFileSync(tokensFile, 'utf8').includes(token));
+
+    const reloaded = new ApiTokenStore(tokensFile);
+    await reloaded.load();
+    const found = await reloaded.authenticate(token);
+    assert.equal(found.id, record.id);
+    assert.ok(found.lastUsedAt);
+    assert.equal(await reloaded.authenticate(`${token}x`), null);
+    assert.equal(await reloaded.authenticate('not-a-token'), null);
+
+    const { token: expiring } = await reloaded.createToken('u1', { name: 'Old', scopes: ['read'], expiresAt: '2025-01-01T00:00:00.000Z' });
+    assert.equal(await reloaded.authenticate(expiring, Date.parse('2024-12-31T00:00:00Z')) !== null, true);
+    assert.equal(await reloaded.authenticate(expiring, Date.parse('2025-01-01T00:00:00Z')), null);
+
+    assert.equal(await reloaded.revokeToken('u2', record.id), false);
+    assert.equal(await reloaded.revokeToken('u1', record.id), true);
+    assert.equal(await reloaded.authenticate(token), null);
+    assert.deepEqual(reloaded.tokensFor('u1').map(item => item.name), ['Old']);
+});
+
+test('the rate limiter allows limit requests per window and key', () => {
+    const limiter = new RateLimiter({ limit: 2, windowMs: 1000 });
+    const start = 1_000_000;
+
+    assert.deepEqual(limiter.take('a', start), { allowed: true, limit: 2, remaining: 1, resetMs: 1000 });
+    assert.equal(limiter.take('a', start + 100).remaining, 0);
+    assert.deepEqual(limiter.take('a', start + 400), { allowed: false, limit: 2, remaining: 0, resetMs: 600 });
+    assert.equal(limiter.take('b', start + 400).allowed, true);
+    assert.equal(limiter.take('a', start + 1000).allowed, true);
+});
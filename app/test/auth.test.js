@@ -0,0 +1,149 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { serve } = require('./helpers/http');
+
+// Sign-in with the local JSON backend: every account gets its own data file
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'calorie-diary-auth-'));
+Object.assign(process.env, {
+    AUTH_MODE: 'local',
+    STORAGE_BACKEND: 'local',
+    SESSION_SECRET: 'test-secret',
+    USERS_FILE: path.join(dataDir, 'users.json'),
+    LOCAL_DATA_FILE: path.join(dataDir, 'diary.json'),
+    PUSH_FILE: path.join(dataDir, 'push.json'),
+    CACHE_TTL_SECONDS: '0',
+    ALLOW_REGISTRATION: 'false'
+});
+const { app, initialize } = require('../server');
+const { UserStore } = require('../services/userStore');
+const { LoginThrottle } = require('../services/auth');
+
+const ENTRY = { date: '2025-01-15', mealType: 'Lunch', description: 'Salad', calories: 300 };
+
+let client;
+
+before(async () => {
+    await initialize();
+    client = await serve(app);
+});
+
+after(async () => {
+    await client.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const register = (username, password = 'correct horse') =>
+    client.request('POST', '/register', { username, password, confirmPassword: password }, { form: true });
+const login = (username, password = 'correct horse') =>
+    client.request('POST', '/login', { username, password }, { form: true });
+
+test('signed-out requests get a 401 from the API and a redirect from pages', async () => {
+    const api = await client.request('GET', '/api/dashboard');
+    assert.equal(api.status, 401);
+    assert.equal(api.body.kind, 'unauthenticated');
+
+    const page = await client.request('GET', '/journal?view=month');
+    assert.equal(page.status, 302);
+    assert.equal(page.headers.get('location'), '/login?next=%2Fjournal%3Fview%3Dmonth');
+
+    assert.equal((await client.request('GET', '/health')).status, 200);
+    assert.equal((await client.request('GET', '/login')).status, 200);
+});
+
+test('the first account registers, signs out and signs back in', async () => {
+    const invalid = await register('al', 'short');
+    assert.equal(invalid.status, 400);
+
+    const registered = await register('alice');
+    assert.equal(registered.status, 302);
+    assert.equal((await client.request('POST', '/api/log', ENTRY)).status, 200);
+    assert.equal(fs.existsSync(process.env.LOCAL_DATA_FILE), true);
+
+    const loggedOut = await client.request('POST', '/logout');
+    assert.equal(loggedOut.headers.get('location'), '/login');
+    assert.equal((await client.request('GET', '/api/log')).status, 401);
+
+    const wrong = await login('alice', 'wrong password');
+    assert.equal(wrong.status, 401);
+    assert.match(wrong.body, /Incorrect username or password/);
+
+    const loggedIn = await login('Alice', 'correct horse');
+    assert.equal(loggedIn.status, 302);
+    const { body } = await client.request('GET', '/api/log');
+    assert.deepEqual(body.data.map(entry => entry.description), ['Salad']);
+});
+
+test('registration closes after the first account unless ALLOW_REGISTRATION is set', async () => {
+    client.clearCookies();
+    const closed = await register('bob');
+    assert.equal(closed.status, 403);
+
+    process.env.ALLOW_REGISTRATION = 'true';
+    try {
+        assert.equal((await register('alice')).status, 400); // Taken
+        assert.equal((await register('bob')).status, 302);
+    } finally {
+        process.env.ALLOW_REGISTRATION = 'false';
+    }
+
+    // The second account has its own, empty diary
+    const { body } = await client.request('GET', '/api/log');
+    assert.deepEqual(body.data, []);
+});
+
+test('repeated failed sign-ins lock the username', async () => {
+    client.clearCookies();
+    for (let i = 0; i < 5; i++) {
+        assert.equal((await login('alice', 'wrong password')).status, 401);
+    }
+
+    const locked = await login('alice', 'correct horse');
+    assert.equal(locked.status, 429);
+    assert.match(locked.body, /Too many failed sign-ins/);
+    assert.equal((await login('bob')).status, 302);
+});
+
+test('sign-in and registration bodies that aren\'t text are rejected, not a server error', async () => {
+    client.clearCookies();
+    const objectPassword = await client.request('POST', '/login', { username: 'alice', password: {} });
+    assert.equal(objectPassword.status, 400);
+    assert.match(objectPassword.body, /password must be text/);
+
+    assert.equal((await client.request('POST', '/login', { username: ['alice'], password: 'correct horse' })).status, 400);
+    assert.equal((await client.request('POST', '/register', { username: 'carol', password: { a: 1 }, confirmPassword: 'x' })).status, 400);
+
+    // Unknown accounts fail like a wrong password
+    const unknown = await login('nobody', 'correct horse');
+    assert.equal(unknown.status, 401);
+    assert.match(unknown.body, /Incorrect username or password/);
+});
+
+test('unknown usernames cost a password check too', async t => {
+    const store = new UserStore(path.join(dataDir, 'no-users.json'));
+    await store.authenticate('warm-up', 'x'); // Waits for the dummy hash, made in the background at load
+    const scrypt = t.mock.method(crypto, 'scrypt');
+    const scryptSync = t.mock.method(crypto, 'scryptSync');
+
+    assert.equal(await store.authenticate('nobody', 'correct horse'), null);
+    assert.equal(await store.authenticate('nobody', { toString: null }), null);
+    assert.equal(scrypt.mock.callCount(), 2);
+    assert.equal(scryptSync.mock.callCount(), 0); // Hashing never blocks the event loop
+});
+
+test('the login throttle drops expired windows of other usernames', async () => {
+    const throttle = new LoginThrottle({ maxFailures: 2, lockMs: 20 });
+    ['guess-1', 'guess-2', 'guess-3'].forEach(username => throttle.recordFailure(username));
+    throttle.recordFailure('alice');
+    throttle.recordFailure('alice');
+    assert.ok(throttle.lockedFor('alice') > 0);
+    assert.equal(throttle.failures.size, 4);
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+    throttle.recordFailure('bob');
+    assert.deepEqual([...throttle.failures.keys()], ['bob']);
+    assert.equal(throttle.lockedFor('alice'), 0);
+});
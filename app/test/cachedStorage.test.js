@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const StorageService = require('../services/storageService');
+const { CachedStorageService, readTtls } = require('../services/cachedStorage');
+
+// Backend that counts the reads reaching it
+class CountingStorage extends StorageService {
+    constructor() {
+        super();
+        this.calls = {};
+        this.entries = [{ id: 'a', description: 'Toast' }];
+    }
+
+    count(method) {
+        this.calls[method] = (this.calls[method] || 0) + 1;
+    }
+
+    async getLogEntries(limit) {
+        this.count('getLogEntries');
+        await new Promise(resolve => setImmediate(resolve));
+        return this.entries.slice(0, limit);
+    }
+
+    async getFoods() {
+        this.count('getFoods');
+        return [{ name: 'Toast' }];
+    }
+
+    async addLogEntry(date, time, mealType, description) {
+        if (description === 'fail') throw new Error('Sheets quota exceeded');
+        this.entries.unshift({ id: 'b', description });
+        return { id: 'b' };
+    }
+}
+
+const TTLS = readTtls({ CACHE_TTL_SECONDS: '60' });
+
+test('readTtls takes the group setting, then the default, never below 0', () => {
+    const ttls = readTtls({ CACHE_TTL_SECONDS: '10', CACHE_TTL_FOODS_SECONDS: '300', CACHE_TTL_LOG_SECONDS: '-5', CACHE_TTL_METRICS_SECONDS: '' });
+
+    assert.equal(ttls.foods, 300000);
+    assert.equal(ttls.log, 0);
+    assert.equal(ttls.metrics, 10000);
+    assert.equal(readTtls({}).summary, 30000);
+});
+
+test('concurrent and repeated reads reach the backend once', async () => {
+    const inner = new CountingStorage();
+    const storage = new CachedStorageService(inner, TTLS);
+
+    const [first, second] = await Promise.all([storage.getLogEntries(10), storage.getLogEntries(10)]);
+    await storage.getLogEntries(10);
+    await storage.getLogEntries(1);
+
+    assert.deepEqual(first, second);
+    assert.equal(inner.calls.getLogEntries, 2); // once per distinct arguments
+    assert.equal(storage.getCacheStats().coalesced, 1);
+    assert.equal(storage.getCacheStats().ttlSeconds.log, 60);
+});
+
+test('callers get copies they can change without touching the cache', async () => {
+    const storage = new CachedStorageService(new CountingStorage(), TTLS);
+
+    (await storage.getLogEntries(10))[0].description = 'Changed';
+    assert.equal((await storage.getLogEntries(10))[0].description, 'Toast');
+});
+
+test('writes drop the groups they affect, even when they fail', async () => {
+    const inner = new CountingStorage();
+    const storage = new CachedStorageService(inner, TTLS);
+    await storage.getLogEntries(10);
+    await storage.getFoods();
+
+    await storage.addLogEntry('2025-01-15', '08:00', 'Breakfast', 'Eggs', 200);
+    assert.deepEqual((await storage.getLogEntries(10)).map(entry => entry.description), ['Eggs', 'Toast']);
+    await storage.getFoods();
+    assert.deepEqual(inner.calls, { getLogEntries: 2, getFoods: 1 });
+
+    await assert.rejects(storage.addLogEntry('2025-01-15', '08:00', 'Breakfast', 'fail', 200), /quota/);
+    await storage.getLogEntries(10);
+    assert.equal(inner.calls.getLogEntries, 3);
+});
+
+test('calculated events from the backend are passed on', () => {
+    const inner = new CountingStorage();
+    const storage = new CachedStorageService(inner, TTLS);
+    const received = [];
+    storage.on('calculated', result => received.push(result));
+
+    inner.emit('calculated', { currentDay: '2025-01-15', summaries: [] });
+    assert.deepEqual(received, [{ currentDay: '2025-01-15', summaries: [] }]);
+});
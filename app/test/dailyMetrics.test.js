@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { pickMetricDefinition, nextMetricValue, withDayValues, metricsByDate } = require('../services/dailyMetrics');
+
+const WATER = { name: 'Water', unit: 'ml', target: 2000, increments: [250, 500] };
+const STEPS = { name: 'Steps', unit: '', target: '', increments: [] };
+
+test('definitions keep up to five non-zero quick-add amounts, from a list or stored text', () => {
+    assert.deepEqual(pickMetricDefinition({ name: ' Water ', unit: 'ml', target: '2000', increments: '250, 500, x, 0' }), WATER);
+    assert.equal(pickMetricDefinition({ name: 'Steps', increments: [1, 2, 3, 4, 5, 6] }).increments.length, 5);
+});
+
+test('adding never takes a day below zero; value replaces it', () => {
+    assert.equal(nextMetricValue('500', { add: 250 }), 750);
+    assert.equal(nextMetricValue(100, { add: -250 }), 0);
+    assert.equal(nextMetricValue(100, { value: 7.5 }), 7.5);
+});
+
+test('values join their definitions by name, ignoring case', () => {
+    const values = [
+        { date: '2025-01-15', metric: 'water', value: 1500 },
+        { date: '2025-01-15', metric: 'Steps', value: 9000 },
+        { date: '2025-01-16', metric: 'Water', value: 2250 },
+        { date: '2025-01-16', metric: 'Sleep', value: 7 } // No longer defined
+    ];
+
+    assert.deepEqual(withDayValues([WATER, STEPS], values, '2025-01-15').map(({ name, value, percent }) => [name, value, percent]),
+        [['Water', 1500, 75], ['Steps', 9000, null]]);
+    assert.equal(withDayValues([WATER], values, '2025-01-17')[0].value, 0);
+
+    const byDate = metricsByDate([WATER, STEPS], values);
+    assert.deepEqual(Object.keys(byDate['2025-01-16']), ['water']);
+    assert.deepEqual(byDate['2025-01-16'].water, { name: 'Water', value: 2250, unit: 'ml', target: 2000, percent: 113 });
+});
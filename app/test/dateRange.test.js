@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ValidationError } = require('../services/validation');
+const { DEFAULT_PAGE_SIZE, isDateKey, parseRangeQuery, isInRange, paginateByDate, fetchAllPages } = require('../services/dateRange');
+
+const items = ['2025-01-03', '2025-01-01', '2025-01-02', '2025-01-02', null]
+    .map((dateKey, index) => ({ dateKey, id: index }));
+
+test('isDateKey accepts real calendar dates only', () => {
+    assert.equal(isDateKey('2024-02-29'), true);
+    assert.equal(isDateKey('2025-02-29'), false);
+    assert.equal(isDateKey('2024-13-01'), false);
+    assert.equal(isDateKey('1/15/2025'), false);
+    assert.equal(isDateKey(undefined), false);
+});
+
+test('parseRangeQuery fills in defaults and rejects bad ranges', () => {
+    assert.deepEqual(parseRangeQuery({}), { from: null, to: null, limit: DEFAULT_PAGE_SIZE, cursor: null, order: 'desc' });
+    assert.deepEqual(parseRangeQuery({ from: '2025-01-01', limit: '10', order: 'asc' }, 20),
+        { from: '2025-01-01', to: null, limit: 10, cursor: null, order: 'asc' });
+
+    const fieldsOf = query => {
+        try {
+            parseRangeQuery(query);
+        } catch (error) {
+            assert.ok(error instanceof ValidationError);
+            return Object.keys(error.fields);
+        }
+        assert.fail('expected a ValidationError');
+    };
+    assert.deepEqual(fieldsOf({ from: '2025-02-01', to: '2025-01-01' }), ['from']);
+    assert.deepEqual(fieldsOf({ cursor: 'not-a-cursor' }), ['cursor']);
+    assert.deepEqual(fieldsOf({ limit: '0', order: 'sideways' }), ['limit', 'order']);
+});
+
+test('isInRange includes both ends and skips undated items', () => {
+    assert.equal(isInRange('2025-01-01', { from: '2025-01-01', to: '2025-01-01' }), true);
+    assert.equal(isInRange('2025-01-02', { to: '2025-01-01' }), false);
+    assert.equal(isInRange('2024-12-31', { from: '2025-01-01' }), false);
+    assert.equal(isInRange(null, {}), false);
+});
+
+test('paginateByDate sorts by date, keeps storage order on ties and pages with a cursor', () => {
+    const asc = paginateByDate(items, { limit: 10, order: 'asc' });
+    assert.deepEqual(asc.items.map(item => item.id), [1, 2, 3, 0]);
+    assert.equal(asc.nextCursor, null);
+
+    const first = paginateByDate(items, { limit: 2 });
+    assert.deepEqual(first.items.map(item => item.id), [0, 3]);
+    const second = paginateByDate(items, { limit: 2, cursor: first.nextCursor });
+    assert.deepEqual(second.items.map(item => item.id), [2, 1]);
+    assert.equal(second.nextCursor, null);
+
+    const day = paginateByDate(items, { from: '2025-01-02', to: '2025-01-02' });
+    assert.deepEqual(day.items.map(item => item.id), [3, 2]);
+});
+
+test('fetchAllPages follows cursors to the end of the range', async () => {
+    const ranges = [];
+    const all = await fetchAllPages(async range => {
+        ranges.push(range);
+        const { items: page, nextCursor } = paginateByDate(items, { ...range, limit: 1 });
+        return { entries: page, nextCursor };
+    }, { from: '2025-01-02' }, 'entries');
+
+    assert.deepEqual(all.map(item => item.id), [0, 3, 2]);
+    assert.equal(ranges.length, 3);
+    assert.equal(ranges[0].cursor, null);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_TIMEZONE, isValidTimeZone, resolveTimeZone, toDateKey, todayKey, daysInMonth } = require('../services/dateUtils');
+
+test('todayKey puts a late-night meal in UTC+7 on the next day', () => {
+    const now = new Date('2026-10-19T17:30:00Z'); // 00:30 on the 20th in Bangkok
+
+    assert.equal(todayKey('Asia/Bangkok', now), '2026-10-20');
+    assert.equal(todayKey('UTC', now), '2026-10-19');
+});
+
+test('todayKey changes day exactly at local midnight', () => {
+    assert.equal(todayKey('Asia/Bangkok', new Date('2026-10-19T16:59:59Z')), '2026-10-19');
+    assert.equal(todayKey('Asia/Bangkok', new Date('2026-10-19T17:00:00Z')), '2026-10-20');
+});
+
+test('todayKey keeps the previous day west of UTC', () => {
+    const now = new Date('2026-10-20T03:00:00Z'); // 20:00 on the 19th in Los Angeles
+
+    assert.equal(todayKey('America/Los_Angeles', now), '2026-10-19');
+});
+
+test('todayKey follows daylight saving changes', () => {
+    // New York springs forward on 2026-03-08: midnight is 05:00Z before the change
+    assert.equal(todayKey('America/New_York', new Date('2026-03-08T04:59:00Z')), '2026-03-07');
+    assert.equal(todayKey('America/New_York', new Date('2026-03-08T05:00:00Z')), '2026-03-08');
+    // and midnight is 04:00Z after it
+    assert.equal(todayKey('America/New_York', new Date('2026-03-09T03:59:00Z')), '2026-03-08');
+    assert.equal(todayKey('America/New_York', new Date('2026-03-09T04:00:00Z')), '2026-03-09');
+});
+
+test('todayKey handles the extreme offsets on either side of the date line', () => {
+    const now = new Date('2026-12-31T11:00:00Z');
+
+    assert.equal(todayKey('Pacific/Kiritimati', now), '2027-01-01'); // UTC+14
+    assert.equal(todayKey('Pacific/Pago_Pago', now), '2026-12-31'); // UTC-11
+});
+
+test('todayKey falls back to DEFAULT_TIMEZONE for a missing or unknown zone', () => {
+    const now = new Date('2026-10-19T12:00:00Z');
+
+    assert.equal(todayKey(undefined, now), todayKey(DEFAULT_TIMEZONE, now));
+    assert.equal(todayKey('Mars/Olympus_Mons', now), todayKey(DEFAULT_TIMEZONE, now));
+});
+
+test('toDateKey converts timestamps to the day in the given zone', () => {
+    assert.equal(toDateKey('2026-10-19T17:30:00Z', 'Asia/Bangkok'), '2026-10-20');
+    assert.equal(toDateKey('2026-10-19T23:30:00+07:00', 'UTC'), '2026-10-19');
+    assert.equal(toDateKey(new Date('2026-10-20T03:00:00Z'), 'America/Los_Angeles'), '2026-10-19');
+});
+
+test('toDateKey never shifts calendar days', () => {
+    assert.equal(toDateKey('2026-10-19', 'Pacific/Kiritimati'), '2026-10-19');
+    assert.equal(toDateKey('2026-10-19', 'Pacific/Pago_Pago'), '2026-10-19');
+    assert.equal(toDateKey('1/15/2025', 'Asia/Bangkok'), '2025-01-15');
+    assert.equal(toDateKey('2026-10-19T17:30:00'), '2026-10-19');
+});
+
+test('toDateKey returns null for empty or invalid values', () => {
+    assert.equal(toDateKey(''), null);
+    assert.equal(toDateKey(null, 'UTC'), null);
+    assert.equal(toDateKey('not a date', 'UTC'), null);
+});
+
+test('isValidTimeZone accepts IANA names only', () => {
+    assert.equal(isValidTimeZone('Asia/Bangkok'), true);
+    assert.equal(isValidTimeZone('UTC'), true);
+    assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+    assert.equal(isValidTimeZone(''), false);
+    assert.equal(isValidTimeZone(7), false);
+    assert.equal(resolveTimeZone('Europe/Berlin'), 'Europe/Berlin');
+    assert.equal(resolveTimeZone('nope'), DEFAULT_TIMEZONE);
+});
+
+test('daysInMonth handles leap years and month ends', () => {
+    assert.equal(daysInMonth(2024, 1), 29);
+    assert.equal(daysInMonth(2026, 1), 28);
+    assert.equal(daysInMonth(2026, 11), 31);
+    assert.equal(daysInMonth(2026, 3), 30);
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveExerciseEntry, exerciseTotalsByDate, filterExercise, metForType } = require('../services/exerciseLog');
+const { ValidationError } = require('../services/validation');
+
+test('calories are kept as entered or estimated from the MET value and weight', () => {
+    assert.equal(resolveExerciseEntry({ date: '2025-01-15', type: 'Climbing', duration: 45, calories: '350.4' }, '').calories, 350);
+
+    // 30 minutes of cycling (MET 7.5) at 80 kg
+    const cycling = resolveExerciseEntry({ date: '2025-01-15', type: 'cycling', duration: 30 }, '80');
+    assert.deepEqual(cycling, { date: '2025-01-15', time: '', type: 'cycling', duration: 30, calories: 300, met: 7.5 });
+    assert.equal(resolveExerciseEntry({ type: 'Climbing', duration: 60, met: 8 }, 70).calories, 560);
+    assert.equal(metForType(' YOGA '), 2.5);
+
+    assert.throws(() => resolveExerciseEntry({ type: 'Climbing', duration: 60 }, 80), ValidationError);
+    assert.throws(() => resolveExerciseEntry({ type: 'Walking', duration: 60 }, ''), /weight is set/);
+});
+
+test('entries add up per date and filter by range', () => {
+    const entries = [
+        { date: '2025-01-16', time: '', calories: 200 },
+        { date: '2025-01-15', time: '18:00', calories: '300' },
+        { date: '2025-01-15', time: '07:00', calories: 150 }
+    ];
+    assert.deepEqual(exerciseTotalsByDate(entries), { '2025-01-15': 450, '2025-01-16': 200 });
+    assert.deepEqual(filterExercise(entries, { from: '2025-01-15', to: '2025-01-15' }).map(entry => entry.time), ['07:00', '18:00']);
+});
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sheetCell, csvCell, fromCsvCell } = require('../services/formulaGuard');
+
+test('text that would run as a formula is written as text', () => {
+    assert.equal(sheetCell('=IMPORTXML("http://example.com")'), `'=IMPORTXML("http://example.com")`);
+    assert.equal(sheetCell('@SUM(A1)'), "'@SUM(A1)");
+    assert.equal(sheetCell("'quoted"), "''quoted");
+    assert.equal(sheetCell('-500 (Weight Loss)'), "'-500 (Weight Loss)");
+
+    // Numbers stay numbers
+    assert.equal(sheetCell(-500), -500);
+    assert.equal(sheetCell('-500'), '-500');
+    assert.equal(sheetCell('Oats'), 'Oats');
+});
+
+test('CSV cells round-trip through export and import', () => {
+    const value = '+1 banana';
+
+    assert.equal(csvCell(value), "'+1 banana");
+    assert.equal(fromCsvCell(csvCell(value)), value);
+    assert.equal(fromCsvCell("'tis the season"), "'tis the season");
+});
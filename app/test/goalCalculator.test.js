@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDropdownNumber, calculateGoal, buildStatus } = require('../services/goalCalculator');
+
+const PERSONAL = {
+    gender: 'Male',
+    weight: 80,
+    height: 180,
+    age: 30,
+    activityLevel: '1.55 (Moderate)',
+    goalOffset: '-500 (Weight Loss)'
+};
+
+test('parseDropdownNumber reads the number in front of the label', () => {
+    assert.equal(parseDropdownNumber('1.55 (Moderate)'), 1.55);
+    assert.equal(parseDropdownNumber('-500 (Weight Loss)'), -500);
+    assert.equal(parseDropdownNumber(' 1.2 '), 1.2);
+    assert.equal(parseDropdownNumber(250), 250);
+    assert.ok(Number.isNaN(parseDropdownNumber(undefined)));
+});
+
+test('each formula gives its BMR, TDEE and daily goal', () => {
+    assert.deepEqual(calculateGoal(PERSONAL), { formula: 'mifflin-st-jeor', bmr: 1780, tdee: 2759, dailyGoal: 2259 });
+    assert.deepEqual(calculateGoal({ ...PERSONAL, gender: 'f' }), { formula: 'mifflin-st-jeor', bmr: 1614, tdee: 2502, dailyGoal: 2002 });
+    assert.deepEqual(calculateGoal({ ...PERSONAL, formula: 'Harris-Benedict' }),
+        { formula: 'harris-benedict', bmr: 1854, tdee: 2873, dailyGoal: 2373 });
+    assert.deepEqual(calculateGoal({ ...PERSONAL, formula: 'katch-mcardle', bodyFat: '20', gender: '', age: '' }),
+        { formula: 'katch-mcardle', bmr: 1752, tdee: 2716, dailyGoal: 2216 });
+});
+
+test('unknown formulas fall back to Mifflin-St Jeor and a missing offset maintains weight', () => {
+    assert.equal(calculateGoal({ ...PERSONAL, formula: 'guesswork' }).formula, 'mifflin-st-jeor');
+    assert.equal(calculateGoal({ ...PERSONAL, goalOffset: '' }).dailyGoal, 2759);
+    assert.equal(calculateGoal({ ...PERSONAL, activityLevel: '1.2' }).dailyGoal, 1636);
+});
+
+test('calculateGoal returns null when a required metric is missing', () => {
+    assert.equal(calculateGoal(), null);
+    assert.equal(calculateGoal({ ...PERSONAL, weight: '' }), null);
+    assert.equal(calculateGoal({ ...PERSONAL, activityLevel: 'Moderate' }), null);
+    assert.equal(calculateGoal({ ...PERSONAL, height: 0 }), null);
+    assert.equal(calculateGoal({ ...PERSONAL, age: undefined }), null);
+    // Katch-McArdle only needs weight and a plausible body fat
+    assert.equal(calculateGoal({ ...PERSONAL, formula: 'katch-mcardle' }), null);
+    assert.equal(calculateGoal({ ...PERSONAL, formula: 'katch-mcardle', bodyFat: 100 }), null);
+});
+
+test('buildStatus matches the Daily Summary text', () => {
+    assert.equal(buildStatus(1800, 2000), 'Under Goal (+200)');
+    assert.equal(buildStatus(2000, 2000), 'Under Goal (+0)');
+    assert.equal(buildStatus(2150, 2000), 'Over Goal (-150)');
+    assert.equal(buildStatus(1800, 0), 'No Goal Set');
+});
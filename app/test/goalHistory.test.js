@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildGoalVersion, goalForDate, goalResolver, recordGoalChange } = require('../services/goalHistory');
+
+const PERSONAL = {
+    gender: 'Male',
+    weight: 80,
+    height: 180,
+    age: 30,
+    activityLevel: '1.55 (Moderate)',
+    goalOffset: '-500 (Weight Loss)',
+    formula: 'mifflin-st-jeor'
+};
+const MAINTAIN = { ...PERSONAL, goalOffset: '0 (Maintenance)' };
+const dates = { todayKey: '2025-03-10', firstDiaryDate: '2025-01-15' };
+
+const version = (effectiveFrom, dailyGoal) => ({ effectiveFrom, dailyGoal });
+const goalsOf = history => history.map(item => [item.effectiveFrom, item.dailyGoal]);
+
+test('buildGoalVersion records the metrics behind the goal', () => {
+    const built = buildGoalVersion('2025-03-10', PERSONAL);
+    assert.deepEqual({ ...built, recordedAt: undefined }, {
+        effectiveFrom: '2025-03-10',
+        dailyGoal: 2259,
+        weight: 80,
+        activityLevel: '1.55 (Moderate)',
+        goalOffset: '-500 (Weight Loss)',
+        formula: 'mifflin-st-jeor',
+        recordedAt: undefined
+    });
+    assert.ok(!isNaN(Date.parse(built.recordedAt)));
+    assert.equal(buildGoalVersion('2025-03-10', { weight: 80 }).dailyGoal, 0);
+});
+
+test('goalForDate uses the version in effect and the first one for earlier days', () => {
+    const history = [version('2025-03-01', '1900'), version('2025-01-01', 2200)];
+
+    assert.equal(goalForDate(history, '2024-12-31'), 2200);
+    assert.equal(goalForDate(history, '2025-02-28'), 2200);
+    assert.equal(goalForDate(history, '2025-03-01'), 1900);
+    assert.equal(goalForDate(history, '2025-06-01'), 1900);
+    assert.equal(goalForDate([], '2025-06-01', 2000), 2000);
+});
+
+test('goalResolver uses the current goal from today on', () => {
+    const resolve = goalResolver([version('2025-01-01', 2200)], 1800, '2025-03-10');
+
+    assert.equal(resolve('2025-03-09'), 2200);
+    assert.equal(resolve('2025-03-10'), 1800);
+    assert.equal(resolve('2025-03-11'), 1800);
+});
+
+test('the first change keeps the old goal from the first diary date', () => {
+    const history = recordGoalChange([], PERSONAL, MAINTAIN, dates);
+    assert.deepEqual(goalsOf(history), [['2025-01-15', 2259], ['2025-03-10', 2759]]);
+
+    // Nothing to keep when the diary starts today or the old metrics gave no goal
+    assert.deepEqual(goalsOf(recordGoalChange([], PERSONAL, MAINTAIN, { ...dates, firstDiaryDate: '2025-03-10' })),
+        [['2025-03-10', 2759]]);
+    assert.deepEqual(goalsOf(recordGoalChange([], { weight: 80 }, MAINTAIN, dates)), [['2025-03-10', 2759]]);
+});
+
+test('several changes on one day keep only the last', () => {
+    const first = recordGoalChange([], PERSONAL, MAINTAIN, dates);
+    const second = recordGoalChange(first, MAINTAIN, { ...PERSONAL, activityLevel: '1.2 (Sedentary)' }, dates);
+
+    assert.deepEqual(goalsOf(second), [['2025-01-15', 2259], ['2025-03-10', 1636]]);
+});
+
+test('a change that leaves the goal as it was adds no version', () => {
+    const history = recordGoalChange([], PERSONAL, MAINTAIN, { ...dates, todayKey: '2025-02-01' });
+
+    // Same metrics again, and metrics on a later day that give the same goal
+    assert.equal(recordGoalChange(history, MAINTAIN, MAINTAIN, { ...dates, todayKey: '2025-02-01' }), null);
+    assert.equal(recordGoalChange(history, MAINTAIN, { ...MAINTAIN, gender: 'male' }, dates), null);
+    // Going back to the earlier goal on the day it changed drops today's version
+    assert.deepEqual(goalsOf(recordGoalChange(history, MAINTAIN, PERSONAL, { ...dates, todayKey: '2025-02-01' })),
+        [['2025-01-15', 2259]]);
+});
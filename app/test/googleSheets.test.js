@@ -0,0 +1,296 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createDiarySheets, SHEET_NAMES } = require('./helpers/fakeSheets');
+
+process.env.GOOGLE_API_RETRIES = '0';
+process.env.CALCULATION_ENGINE = 'server';
+const GoogleSheetsService = require('../services/googleSheets');
+
+const PERSONAL = {
+    gender: 'Male', weight: 80, height: 180, age: 30, activityLevel: '1.55 (Moderate)',
+    goalOffset: '-500 (Weight Loss)', formula: 'mifflin-st-jeor', timezone: 'UTC'
+};
+
+async function createService(sheets = {}) {
+    const fake = createDiarySheets({ personal: PERSONAL, ...sheets });
+    const service = new GoogleSheetsService({ spreadsheetId: 'test-sheet', webAppUrl: '' });
+    await service.initialize({ sheets: fake });
+    return { service, fake };
+}
+
+test('log rows parse formatted dates and missing cells', async () => {
+    const { service } = await createService({
+        log: [
+            ['1/15/2025', '08:00', 'Breakfast', 'Oats', 350, 'id-1', 12, 60, 6],
+            ['2025-01-16', '', 'Snack', 'Apple', 95]
+        ]
+    });
+
+    const entries = await service.getLogEntries();
+
+    assert.deepEqual(entries.map(entry => entry.id), ['row-3', 'id-1']);
+    assert.deepEqual(entries[1], {
+        id: 'id-1', date: '1/15/2025', time: '08:00', mealType: 'Breakfast', description: 'Oats',
+        calories: '350', protein: '12', carbs: '60', fat: '6'
+    });
+    assert.equal(entries[0].protein, '');
+});
+
+test('queryLogEntries reads the date column, then only the rows of the page', async () => {
+    const { service, fake } = await createService({
+        log: [
+            ['1/14/2025', '', 'Lunch', 'Soup', 200, 'a'],
+            ['1/15/2025', '', 'Lunch', 'Salad', 300, 'b'],
+            ['2025-01-16', '', 'Dinner', 'Pasta', 700, 'c'],
+            ['1/15/2025', '', 'Dinner', 'Fish', 500, 'd'],
+            ['bad date', '', 'Dinner', 'Ignored', 1, 'e']
+        ]
+    });
+    fake.calls.length = 0;
+
+    const first = await service.queryLogEntries({ from: '2025-01-15', to: '2025-01-16', limit: 2, order: 'asc' });
+
+    assert.deepEqual(first.entries.map(entry => entry.id), ['b', 'd']);
+    assert.deepEqual(fake.calls.map(call => call.params.range), ['Log!A:A', 'Log!A3:J5']);
+
+    const second = await service.queryLogEntries({ from: '2025-01-15', to: '2025-01-16', limit: 2, order: 'asc', cursor: first.nextCursor });
+    assert.deepEqual(second.entries.map(entry => entry.id), ['c']);
+    assert.equal(second.nextCursor, null);
+
+    const empty = await service.queryLogEntries({ from: '2030-01-01', limit: 10 });
+    assert.deepEqual(empty, { entries: [], nextCursor: null });
+});
+
+test('summary rows and the dashboard parse into numbers as text', async () => {
+    const { service, fake } = await createService({
+        summaries: [['1/15/2025', 1800, 2200, 'Under', 90, 200, 60], ['1/16/2025', 2500]]
+    });
+    fake.rows(SHEET_NAMES.dashboard)[1].splice(0, 4, '2025-01-16', 2500, 2200, 'Over');
+
+    const summaries = await service.getDailySummary();
+    assert.deepEqual(summaries[0], {
+        date: '1/16/2025', totalIn: '2500', maxLimit: 0, status: '', protein: 0, carbs: 0, fat: 0, exercise: 0, net: '2500'
+    });
+    assert.equal(summaries[1].maxLimit, '2200');
+
+    const { today, personal } = await service.getDashboardData();
+    assert.deepEqual(today, {
+        date: '2025-01-16', totalIn: '2500', maxLimit: '2200', status: 'Over', protein: 0, carbs: 0, fat: 0, exercise: 0, net: 2500
+    });
+    assert.equal(personal.gender, 'Male');
+    assert.equal(personal.activityLevel, '1.55 (Moderate)');
+    assert.equal(personal.timezone, 'UTC');
+    assert.equal(personal.bodyFat, '');
+});
+
+test('adding and deleting entries keeps the daily summary in step', async () => {
+    const { service, fake } = await createService({
+        log: [['2025-01-15', '', 'Lunch', 'Salad', 300, 'a', 10, 20, 5]]
+    });
+
+    const calculated = [];
+    service.on('calculated', result => calculated.push(result));
+    await service.addLogEntry('2025-01-15', '19:00', 'Dinner', '=HYPERLINK("x")', 500, { protein: 30 });
+    assert.deepEqual(calculated[0].summaries.map(day => [day.date, day.totalIn, day.net]), [['2025-01-15', 800, 800]]);
+    const added = fake.rows(SHEET_NAMES.log)[2];
+    assert.equal(added[3], '=HYPERLINK("x")'); // Stored as text, not as a formula
+    assert.deepEqual(fake.formulas, []);
+
+    let summary = fake.rows(SHEET_NAMES.summary)[1];
+    assert.deepEqual(summary.slice(0, 2), ['2025-01-15', 800]);
+    assert.equal(summary[4], 40);
+
+    const deleted = await service.deleteLogEntry('a');
+    assert.equal(deleted.id, 'a');
+    assert.equal(fake.rows(SHEET_NAMES.log).length, 2);
+    assert.equal(await service.deleteLogEntry('a'), null);
+
+    summary = fake.rows(SHEET_NAMES.summary)[1];
+    assert.deepEqual(summary.slice(0, 2), ['2025-01-15', 500]);
+});
+
+test('concurrent deletes each remove their own row', async () => {
+    const { service } = await createService({
+        log: [
+            ['2025-01-15', '', 'Lunch', 'Soup', 200, 'a'],
+            ['2025-01-15', '', 'Lunch', 'Salad', 300, 'b'],
+            ['2025-01-15', '', 'Dinner', 'Pasta', 700, 'c']
+        ]
+    });
+    await service.addFood({ name: 'Rice', calories: 130 });
+    const foods = await Promise.all(['Oats', 'Egg'].map(name => service.addFood({ name, calories: 100 })));
+
+    await Promise.all([service.deleteLogEntry('a'), service.deleteLogEntry('b')]);
+    await Promise.all(foods.map(food => service.deleteFood(food.id)));
+
+    assert.deepEqual((await service.getLogEntries()).map(entry => entry.id), ['c']);
+    assert.deepEqual((await service.getFoods()).map(food => food.name), ['Rice']);
+});
+
+test('rows without an ID get one before a change, so stale row IDs find nothing', async () => {
+    const { service, fake } = await createService({
+        log: [
+            ['2025-01-15', '', 'Lunch', 'Soup', 200],
+            ['2025-01-15', '', 'Lunch', 'Salad', 300],
+            ['2025-01-15', '', 'Dinner', 'Pasta', 700]
+        ]
+    });
+    assert.deepEqual((await service.getLogEntries()).map(entry => entry.id), ['row-4', 'row-3', 'row-2']);
+
+    // row-3 was the salad; once the soup is gone it would be the pasta's row
+    const [soup, salad] = await Promise.all([service.deleteLogEntry('row-2'), service.deleteLogEntry('row-3')]);
+    assert.equal(soup.id, 'row-2');
+    assert.equal(salad, null);
+
+    const entries = await service.getLogEntries();
+    assert.deepEqual(entries.map(entry => entry.description), ['Pasta', 'Salad']);
+    assert.ok(entries.every(entry => /^[0-9a-f-]{36}$/.test(entry.id)));
+    assert.equal(fake.rows(SHEET_NAMES.log)[1][5], entries[1].id);
+});
+
+test('a day loses its summary row when its last entry is deleted or moved', async () => {
+    const { service } = await createService();
+
+    const { id } = await service.addLogEntry('2025-01-10', '', 'Lunch', 'Soup', 350);
+    await service.addLogEntry('2025-01-12', '', 'Lunch', 'Salad', 300);
+    await service.deleteLogEntry(id);
+    assert.deepEqual((await service.getDailySummary()).map(day => [day.date, day.totalIn]), [['2025-01-12', '300']]);
+
+    const [salad] = await service.getLogEntries();
+    await service.updateLogEntry(salad.id, '2025-01-13', '', 'Lunch', 'Salad', 300);
+    assert.deepEqual((await service.getDailySummary()).map(day => [day.date, day.totalIn]), [['2025-01-13', '300']]);
+
+    const calculated = [];
+    service.on('calculated', result => calculated.push(result));
+    await service.deleteLogEntry(salad.id);
+    assert.deepEqual(await service.getDailySummary(), []);
+    assert.deepEqual(calculated[0].summaries, []);
+});
+
+test('concurrent log writes recalculate the summary one after the other', async t => {
+    const { service, fake } = await createService();
+    const calculated = [];
+    service.on('calculated', result => calculated.push(result.summaries.map(day => day.date)));
+
+    // The first recalculation reads the sheets, then the second entry lands before it writes its totals
+    const batchGet = fake.spreadsheets.values.batchGet;
+    let second;
+    t.mock.method(fake.spreadsheets.values, 'batchGet', async params => {
+        const response = await batchGet(params);
+        if (!second) {
+            second = service.addLogEntry('2025-01-16', '', 'Dinner', 'Pasta', 700);
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        return response;
+    });
+
+    await service.addLogEntry('2025-01-15', '', 'Lunch', 'Salad', 300);
+    await second;
+    assert.deepEqual((await service.getDailySummary()).map(day => [day.date, day.totalIn]), [['2025-01-16', '700'], ['2025-01-15', '300']]);
+    assert.deepEqual(calculated.at(-1), ['2025-01-15', '2025-01-16']);
+});
+
+test('exercise counts against the intake in the daily summary', async () => {
+    const { service, fake } = await createService({
+        log: [['2025-01-15', '', 'Lunch', 'Pasta', 2400, 'a']]
+    });
+
+    assert.deepEqual(await service.getExerciseEntries(), []);
+    assert.throws(() => fake.rows('Exercise'), /Unable to parse range/); // Reading doesn't create the sheet
+
+    const { id } = await service.addExerciseEntry({ date: '2025-01-15', type: 'Running', duration: 30, calories: 400, met: 9.8 });
+    assert.deepEqual(fake.rows('Exercise')[1], [id, '2025-01-15', '', 'Running', 30, 400, 9.8]);
+
+    let summary = fake.rows(SHEET_NAMES.summary)[1];
+    assert.deepEqual(summary.slice(3), ['Under Goal (+259)', 0, 0, 0, 400, 2000]); // 2400 kcal eaten is over the 2259 goal
+    assert.deepEqual(fake.rows(SHEET_NAMES.summary)[0].slice(7), ['Exercise', 'Net']);
+
+    await service.updateExerciseEntry(id, { date: '2025-01-15', type: 'Running', duration: 10, calories: 100 });
+    summary = fake.rows(SHEET_NAMES.summary)[1];
+    assert.deepEqual(summary.slice(7), [100, 2300]);
+
+    const [entry] = await service.getExerciseEntries();
+    assert.deepEqual(entry, { id, date: '2025-01-15', time: '', type: 'Running', duration: 10, calories: 100, met: '' });
+
+    assert.ok(await service.deleteExerciseEntry(id));
+    assert.equal(await service.deleteExerciseEntry(id), null);
+    assert.deepEqual(fake.rows(SHEET_NAMES.summary)[1].slice(7), [0, 2400]);
+});
+
+test('concurrent settings saves keep every goal version', async t => {
+    const { service, fake } = await createService({ summaries: [['2025-01-15', 1800, 2259, 'Under']] });
+    const weights = history => history.map(version => [version.effectiveFrom === '2025-01-15', String(version.weight)]);
+
+    // The second save reads the metrics the first one wrote before the first one records its goal version
+    const batchUpdate = fake.spreadsheets.values.batchUpdate;
+    let second;
+    t.mock.method(fake.spreadsheets.values, 'batchUpdate', async params => {
+        const response = await batchUpdate(params);
+        if (!second) {
+            second = service.updatePersonalMetrics({ ...PERSONAL, weight: 70 });
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        return response;
+    });
+
+    await service.updatePersonalMetrics({ ...PERSONAL, weight: 75 });
+    await second;
+    assert.deepEqual(weights(await service.getGoalHistory()), [[true, '80'], [false, '70']]);
+});
+
+test('a failed goal history write keeps the old history', async () => {
+    const { service, fake } = await createService({ summaries: [['2025-01-15', 1800, 2259, 'Under']] });
+    await service.updatePersonalMetrics({ ...PERSONAL, weight: 75 });
+    const history = await service.getGoalHistory();
+    assert.equal(history.length, 2);
+
+    fake.failNext('values.update', 500);
+    await assert.rejects(service.updatePersonalMetrics({ ...PERSONAL, weight: 70 }));
+    assert.deepEqual(await service.getGoalHistory(), history);
+});
+
+test('record sheets are created with their headers on first use', async () => {
+    const { service, fake } = await createService();
+
+    assert.deepEqual(await service.getFoods(), []);
+    assert.deepEqual(fake.rows('Foods'), [['ID', 'Name', 'Serving', 'Calories', 'Protein', 'Carbs', 'Fat']]);
+
+    const food = await service.addFood({ name: 'Rice', serving: '100 g', calories: 130, carbs: 28 });
+    const foods = await service.getFoods();
+    assert.equal(foods.length, 1);
+    assert.equal(foods[0].id, food.id);
+    assert.equal(foods[0].name, 'Rice');
+    assert.equal(fake.calls.filter(call => call.params.resource?.requests?.[0]?.addSheet).length, 1);
+});
+
+test('concurrent weigh-ins of a day keep one row', async () => {
+    const { service } = await createService();
+
+    const results = await Promise.all([80.4, 80.1, 79.9].map(weight => service.saveWeightEntry({ date: '2025-01-15', weight })));
+
+    assert.deepEqual(results.map(result => result.replaced), [false, true, true]);
+    assert.deepEqual((await service.getWeightEntries()).map(entry => [entry.date, entry.weight]), [['2025-01-15', 79.9]]);
+});
+
+test('concurrent saves of a metric definition keep one row', async () => {
+    const { service } = await createService();
+
+    await Promise.all([2000, 2500].map(target => service.saveMetricDefinition({ name: 'Water', unit: 'ml', target, increments: [250] })));
+
+    assert.deepEqual((await service.getMetricDefinitions()).map(definition => [definition.name, definition.target]), [['Water', 2500]]);
+});
+
+test('concurrent metric increments are applied one after the other', async () => {
+    const { service } = await createService();
+
+    await Promise.all([
+        service.incrementMetricValue('2025-01-15', 'Water', 250),
+        service.incrementMetricValue('2025-01-15', 'Water', 250),
+        service.saveMetricValue({ date: '2025-01-16', metric: 'Water', value: 500 }),
+        service.incrementMetricValue('2025-01-15', 'Water', 500)
+    ]);
+    assert.deepEqual((await service.getMetricValues()).map(entry => [entry.date, entry.metric, entry.value]), [
+        ['2025-01-15', 'Water', 1000],
+        ['2025-01-16', 'Water', 500]
+    ]);
+});
@@ -0,0 +1,294 @@
+/**
+ * In-memory stand-in for the googleapis Sheets client, so GoogleSheetsService
+ * and the routes run in tests without a network. It covers the calls the app
+ * makes: spreadsheets.get/batchUpdate (addSheet, deleteDimension) and
+ * spreadsheets.values.get/batchGet/update/append/clear/batchUpdate.
+ *
+ * Cells behave like the real API's defaults:
+ * - USER_ENTERED input turns number-like text into numbers and drops a
+ *   leading apostrophe; text starting with "=" becomes a formula (recorded in
+ *   fake.formulas, never evaluated). RAW input is stored as sent.
+ * - Reads return formatted values (strings) unless valueRenderOption is
+ *   UNFORMATTED_VALUE, leave out trailing empty cells and rows, and omit
+ *   values entirely for an empty range.
+ * - Unknown sheets and unparsable ranges fail with a 400 like Google's.
+ */
+
+// The sheet names GoogleSheetsService reads from the environment
+const SHEET_NAMES = { log: 'Log', dashboard: 'Dashboard', summary: 'Daily Summary' };
+process.env.LOG_SHEET_NAME = SHEET_NAMES.log;
+process.env.DASHBOARD_SHEET_NAME = SHEET_NAMES.dashboard;
+process.env.DAILY_SUMMARY_SHEET_NAME = SHEET_NAMES.summary;
+
+const LOG_HEADERS = ['Date', 'Time', 'Meal Type', 'Description', 'Calories', 'ID', 'Protein', 'Carbs', 'Fat', 'Request ID'];
+const SUMMARY_HEADERS = ['Date', 'Total In', 'Max Limit', 'Status', 'Protein', 'Carbs', 'Fat'];
+const DASHBOARD_HEADERS = ['Date', 'Total In', 'Max Limit', 'Status'];
+// Dashboard H2:H14, in order (see PERSONAL_RANGE in services/googleSheets.js)
+const PERSONAL_FIELDS = ['gender', 'weight', 'height', 'age', 'activityLevel', 'goalOffset', 'dailyGoal', 'formula',
+    'bodyFat', 'proteinTarget', 'carbsTarget', 'fatTarget', 'timezone'];
+
+const NUMBER = /^[+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?$/;
+
+function apiError(status, message, headers = {}) {
+    const error = new Error(message);
+    error.code = status;
+    error.response = { status, headers, data: { error: { code: status, message } } };
+    return error;
+}
+
+const columnIndex = letters => [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+const columnLetters = index => (index < 26 ? '' : columnLetters(Math.floor(index / 26) - 1)) + String.fromCharCode(65 + (index % 26));
+
+// "Sheet!A2:G10", "Sheet!A:A", "Sheet!H8", "'Daily Summary'!A:G" or a bare sheet name
+function parseRange(range) {
+    const bang = range.lastIndexOf('!');
+    const title = (bang === -1 ? range : range.slice(0, bang)).replace(/^'(.*)'$/, '$1').replace(/''/g, "'");
+    const a1 = bang === -1 ? '' : range.slice(bang + 1);
+    if (!a1) {
+        return { title, startRow: 0, startColumn: 0, endRow: Infinity, endColumn: Infinity };
+    }
+
+    const match = a1.match(/^([A-Z]*)(\d*)(?::([A-Z]*)(\d*))?$/);
+    if (!match || (!match[1] && !match[2])) {
+        throw apiError(400, `Unable to parse range: ${range}`);
+    }
+    const [, startLetters, startNumber, endLetters, endNumber] = match;
+    const single = !a1.includes(':');
+    const startColumn = startLetters ? columnIndex(startLetters) : 0;
+    const startRow = startNumber ? parseInt(startNumber) - 1 : 0;
+    return {
+        title,
+        startRow,
+        startColumn,
+        endRow: single ? startRow : (endNumber ? parseInt(endNumber) - 1 : Infinity),
+        endColumn: single ? startColumn : (endLetters ? columnIndex(endLetters) : Infinity)
+    };
+}
+
+const isEmpty = cell => cell === undefined || cell === null || cell === '';
+
+class FakeSheets {
+    /**
+     * @param {Object<string, Array<Array>>} sheets - sheet title -> rows of cells
+     */
+    constructor(sheets = {}) {
+        this.sheets = new Map();
+        this.nextSheetId = 1;
+        this.formulas = [];
+        this.calls = [];
+        this.failures = [];
+        Object.entries(sheets).forEach(([title, rows]) => this.addSheet(title, rows));
+
+        const method = (name, handler) => params => this.call(name, params, handler);
+        this.spreadsheets = {
+            get: method('spreadsheets.get', () => this.getSpreadsheet()),
+            batchUpdate: method('spreadsheets.batchUpdate', params => this.batchUpdate(params)),
+            values: {
+                get: method('values.get', params => this.getValues(params)),
+                batchGet: method('values.batchGet', params => ({
+                    spreadsheetId: params.spreadsheetId,
+                    valueRanges: params.ranges.map(range => this.getValues({ ...params, range }))
+                })),
+                update: method('values.update', params => this.updateValues(params)),
+                append: method('values.append', params => this.appendValues(params)),
+                clear: method('values.clear', params => this.clearValues(params)),
+                batchUpdate: method('values.batchUpdate', ({ resource }) => {
+                    const responses = resource.data.map(({ range, values }) =>
+                        this.updateValues({ range, valueInputOption: resource.valueInputOption, resource: { values } }));
+                    return {
+                        totalUpdatedRows: responses.reduce((sum, response) => sum + response.updatedRows, 0),
+                        totalUpdatedCells: responses.reduce((sum, response) => sum + response.updatedCells, 0),
+                        responses
+                    };
+                })
+            }
+        };
+    }
+
+    // Make the next `times` calls of a method (e.g. "values.append") fail with an HTTP status
+    failNext(name, status, { times = 1, message = `Fake ${status}`, headers = {} } = {}) {
+        for (let i = 0; i < times; i++) {
+            this.failures.push({ name, error: apiError(status, message, headers) });
+        }
+    }
+
+    async call(name, params, handler) {
+        this.calls.push({ name, params });
+        const failure = this.failures.findIndex(item => item.name === name);
+        if (failure !== -1) {
+            throw this.failures.splice(failure, 1)[0].error;
+        }
+        // Structured clones, so neither side can change the other's data through shared arrays
+        return { data: structuredClone(handler(structuredClone(params))) };
+    }
+
+    addSheet(title, rows = []) {
+        if (this.sheets.has(title)) {
+            throw apiError(400, `A sheet with the name "${title}" already exists.`);
+        }
+        const sheetId = this.nextSheetId++;
+        this.sheets.set(title, { sheetId, rows: rows.map(row => [...row]) });
+        return sheetId;
+    }
+
+    sheet(title) {
+        const sheet = this.sheets.get(title);
+        if (!sheet) {
+            throw apiError(400, `Unable to parse range: ${title}`);
+        }
+        return sheet;
+    }
+
+    // A sheet's stored cells, e.g. to check what a test wrote
+    rows(title) {
+        return this.sheet(title).rows;
+    }
+
+    getSpreadsheet() {
+        return {
+            sheets: [...this.sheets.entries()].map(([title, { sheetId }], index) => ({ properties: { sheetId, title, index } }))
+        };
+    }
+
+    batchUpdate({ resource }) {
+        const replies = resource.requests.map(request => {
+            if (request.addSheet) {
+                const sheetId = this.addSheet(request.addSheet.properties.title);
+                return { addSheet: { properties: { ...request.addSheet.properties, sheetId } } };
+            }
+            if (request.deleteDimension) {
+                const { sheetId, dimension, startIndex, endIndex } = request.deleteDimension.range;
+                const sheet = [...this.sheets.values()].find(item => item.sheetId === sheetId);
+                if (!sheet || dimension !== 'ROWS') {
+                    throw apiError(400, 'Invalid deleteDimension request');
+                }
+                sheet.rows.splice(startIndex, endIndex - startIndex);
+                return {};
+            }
+            throw apiError(400, `Unsupported request: ${Object.keys(request).join(', ')}`);
+        });
+        return { replies };
+    }
+
+    // A cell as sent with valueInputOption
+    inputCell(value, valueInputOption, address) {
+        if (valueInputOption !== 'USER_ENTERED' || typeof value !== 'string') {
+            return value;
+        }
+        if (value.startsWith("'")) {
+            return value.slice(1);
+        }
+        if (value.startsWith('=')) {
+            this.formulas.push(address);
+            return value;
+        }
+        return NUMBER.test(value.trim()) ? Number(value) : value;
+    }
+
+    outputCell(cell, valueRenderOption) {
+        if (valueRenderOption === 'UNFORMATTED_VALUE' || isEmpty(cell)) {
+            return isEmpty(cell) ? '' : cell;
+        }
+        if (typeof cell === 'boolean') {
+            return cell ? 'TRUE' : 'FALSE';
+        }
+        return String(cell);
+    }
+
+    getValues({ range, valueRenderOption }) {
+        const { title, startRow, startColumn, endRow, endColumn } = parseRange(range);
+        const rows = this.sheet(title).rows;
+
+        const values = rows.slice(startRow, endRow === Infinity ? rows.length : endRow + 1).map(row => {
+            const cells = Array.from((row || []).slice(startColumn, endColumn === Infinity ? undefined : endColumn + 1),
+                cell => this.outputCell(cell, valueRenderOption));
+            while (cells.length && cells[cells.length - 1] === '') cells.pop();
+            return cells;
+        });
+        while (values.length && values[values.length - 1].length === 0) values.pop();
+
+        return values.length ? { range, majorDimension: 'ROWS', values } : { range, majorDimension: 'ROWS' };
+    }
+
+    writeRows(title, startRow, startColumn, values, valueInputOption) {
+        const rows = this.sheet(title).rows;
+        values.forEach((rowValues, rowOffset) => {
+            const rowIndex = startRow + rowOffset;
+            while (rows.length <= rowIndex) rows.push([]);
+            rowValues.forEach((value, columnOffset) => {
+                const column = startColumn + columnOffset;
+                // null leaves the cell as it is
+                if (value !== null) {
+                    rows[rowIndex][column] = this.inputCell(value, valueInputOption, `${title}!${columnLetters(column)}${rowIndex + 1}`);
+                }
+            });
+        });
+
+        const width = Math.max(0, ...values.map(row => row.length));
+        return {
+            updatedRange: `${title}!${columnLetters(startColumn)}${startRow + 1}:${columnLetters(startColumn + Math.max(width, 1) - 1)}${startRow + values.length}`,
+            updatedRows: values.length,
+            updatedColumns: width,
+            updatedCells: values.reduce((sum, row) => sum + row.length, 0)
+        };
+    }
+
+    updateValues({ range, valueInputOption, resource }) {
+        if (!valueInputOption) {
+            throw apiError(400, "'valueInputOption' is required but not specified");
+        }
+        const { title, startRow, startColumn } = parseRange(range);
+        return this.writeRows(title, startRow, startColumn, resource.values, valueInputOption);
+    }
+
+    // Appends below the last row that has any data
+    appendValues({ range, valueInputOption, resource }) {
+        if (!valueInputOption) {
+            throw apiError(400, "'valueInputOption' is required but not specified");
+        }
+        const { title, startColumn } = parseRange(range);
+        const rows = this.sheet(title).rows;
+        let lastRow = rows.length - 1;
+        while (lastRow >= 0 && (rows[lastRow] || []).every(isEmpty)) lastRow--;
+
+        return { updates: this.writeRows(title, lastRow + 1, startColumn, resource.values, valueInputOption) };
+    }
+
+    clearValues({ range }) {
+        const { title, startRow, startColumn, endRow, endColumn } = parseRange(range);
+        const rows = this.sheet(title).rows;
+        for (let rowIndex = startRow; rowIndex <= Math.min(endRow, rows.length - 1); rowIndex++) {
+            const row = rows[rowIndex] || [];
+            for (let column = startColumn; column <= Math.min(endColumn, row.length - 1); column++) {
+                row[column] = '';
+            }
+        }
+        return { clearedRange: range };
+    }
+}
+
+/**
+ * A diary spreadsheet as the Apps Script template sets it up: Log, Dashboard
+ * and Daily Summary with their headers, personal metrics in Dashboard H2:H14.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.personal] - metrics by name (see PERSONAL_FIELDS)
+ * @param {Array<Array>} [options.log] - Log rows below the header
+ * @param {Array<Array>} [options.summaries] - Daily Summary rows below the header
+ */
+function createDiarySheets({ personal = {}, log = [], summaries = [] } = {}) {
+    const dashboard = [DASHBOARD_HEADERS];
+    PERSONAL_FIELDS.forEach((field, index) => {
+        const row = [];
+        row[7] = personal[field] ?? '';
+        dashboard[index + 1] = row;
+    });
+
+    return new FakeSheets({
+        [SHEET_NAMES.log]: [LOG_HEADERS, ...log],
+        [SHEET_NAMES.dashboard]: dashboard,
+        [SHEET_NAMES.summary]: [SUMMARY_HEADERS, ...summaries]
+    });
+}
+
+module.exports = { FakeSheets, SHEET_NAMES, createDiarySheets, parseRange };
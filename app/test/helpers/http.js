@@ -0,0 +1,57 @@
+const { once } = require('events');
+
+/**
+ * Serve an Express app on a free loopback port for the duration of a test
+ * file, and make requests to it. Redirects are returned rather than followed,
+ * and cookies the app sets are sent back, like a browser would.
+ *
+ *   const client = await serve(app);
+ *   after(() => client.close());
+ *   const { status, body } = await client.request('POST', '/api/log', { ... });
+ */
+async function serve(app) {
+    const server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const cookies = new Map();
+
+    async function request(method, path, body, { headers = {}, form = false } = {}) {
+        const requestHeaders = { ...headers };
+        if (cookies.size) {
+            requestHeaders.cookie = [...cookies].map(([name, value]) => `${name}=${value}`).join('; ');
+        }
+        let payload;
+        if (body !== undefined) {
+            requestHeaders['content-type'] = form ? 'application/x-www-form-urlencoded' : 'application/json';
+            payload = form ? new URLSearchParams(body).toString() : JSON.stringify(body);
+        }
+
+        const response = await fetch(`${baseUrl}${path}`, { method, headers: requestHeaders, body: payload, redirect: 'manual' });
+        response.headers.getSetCookie().forEach(cookie => {
+            const [pair, ...attributes] = cookie.split(';');
+            const [name, value] = pair.split('=');
+            const expired = attributes.some(attribute => /^\s*expires=Thu, 01 Jan 1970/i.test(attribute));
+            if (expired || !value) {
+                cookies.delete(name.trim());
+            } else {
+                cookies.set(name.trim(), value);
+            }
+        });
+
+        const type = response.headers.get('content-type') || '';
+        return {
+            status: response.status,
+            headers: response.headers,
+            body: type.includes('json') ? await response.json() : await response.text()
+        };
+    }
+
+    return {
+        baseUrl,
+        request,
+        clearCookies: () => cookies.clear(),
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+module.exports = { serve };
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocalStoreService = require('../services/localStore');
+
+const METRICS = {
+    gender: 'Male',
+    weight: 80,
+    height: 180,
+    age: 30,
+    activityLevel: '1.55 (Moderate)',
+    goalOffset: -500
+};
+
+async function createStore(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'calorie-diary-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const store = new LocalStoreService({ dataFile: path.join(dir, 'diary.json') });
+    await store.initialize();
+    return store;
+}
+
+function freezeTime(t, isoString) {
+    t.mock.timers.enable({ apis: ['Date'], now: new Date(isoString) });
+}
+
+test('today follows the time zone from the settings', async t => {
+    const store = await createStore(t);
+    freezeTime(t, '2026-10-19T17:30:00Z'); // 00:30 on the 20th in Bangkok
+
+    await store.updatePersonalMetrics({ ...METRICS, timezone: 'UTC' });
+    assert.equal((await store.getDashboardData()).today.date, '2026-10-19');
+
+    await store.updatePersonalMetrics({ ...METRICS, timezone: 'Asia/Bangkok' });
+    assert.equal((await store.getDashboardData()).today.date, '2026-10-20');
+});
+
+test('a late-night meal counts towards the user\'s day, not the server\'s', async t => {
+    const store = await createStore(t);
+    freezeTime(t, '2026-10-19T17:30:00Z');
+    await store.updatePersonalMetrics({ ...METRICS, timezone: 'Asia/Bangkok' });
+
+    await store.addLogEntry('2026-10-20', '00:30', 'Snack', 'Noodles', 450);
+    const dashboard = await store.getDashboardData();
+
+    assert.equal(dashboard.today.date, '2026-10-20');
+    assert.equal(dashboard.today.totalIn, 450);
+});
+
+test('the dashboard rolls over to a new day at local midnight', async t => {
+    const store = await createStore(t);
+    freezeTime(t, '2026-10-19T16:59:00Z'); // 23:59 in Bangkok
+    await store.updatePersonalMetrics({ ...METRICS, timezone: 'Asia/Bangkok' });
+    await store.addLogEntry('2026-10-19', '23:59', 'Snack', 'Biscuits', 200);
+    assert.equal((await store.getDashboardData()).today.totalIn, 200);
+
+    t.mock.timers.setTime(new Date('2026-10-19T17:00:00Z').getTime()); // midnight in Bangkok
+    const dashboard = await store.getDashboardData();
+
+    assert.equal(dashboard.today.date, '2026-10-20');
+    assert.equal(dashboard.today.totalIn, 0);
+});
+
+test('a goal change dates its version by the user\'s day', async t => {
+    const store = await createStore(t);
+    freezeTime(t, '2026-10-19T12:00:00Z');
+    await store.updatePersonalMetrics({ ...METRICS, timezone: 'Pacific/Kiritimati' });
+
+    const [version] = await store.getGoalHistory();
+    assert.equal(version.effectiveFrom, '2026-10-20'); // UTC+14
+});
+
+test('exercise lowers the net intake the status compares with the goal', async t => {
+    const store = await createStore(t);
+    freezeTime(t, '2026-10-19T12:00:00Z');
+    await store.updatePersonalMetrics({ ...METRICS, timezone: 'UTC' });
+
+    // Exercise on a day without food still shows on the dashboard
+    const { id } = await store.addExerciseEntry({ date: '2026-10-19', type: 'Running', duration: 30, calories: 400 });
+    assert.equal((await store.getDashboardData()).today.net, -400);
+
+    await store.addLogEntry('2026-10-19', '19:00', 'Dinner', 'Pizza', 2500);
+    const [summary] = await store.getDailySummary();
+    assert.deepEqual([summary.totalIn, summary.exercise, summary.net], [2500, 400, 2100]);
+    assert.match(summary.status, /^Under/);
+
+    await store.deleteExerciseEntry(id);
+    assert.match((await store.getDailySummary())[0].status, /^Over/);
+});
+
+test('recalculating emits the day and its summaries', async t => {
+    const store = await createStore(t);
+    freezeTime(t, '2026-10-19T12:00:00Z');
+    await store.updatePersonalMetrics({ ...METRICS, timezone: 'UTC' });
+
+    const calculated = [];
+    store.on('calculated', result => calculated.push(result));
+    await store.addLogEntry('2026-10-19', '08:00', 'Breakfast', 'Porridge', 350);
+
+    const { currentDay, summaries } = calculated.at(-1);
+    assert.equal(currentDay, '2026-10-19');
+    assert.deepEqual(summaries.map(summary => [summary.date, summary.totalIn, summary.net]), [['2026-10-19', 350, 350]]);
+});
+
+test('concurrent metric increments all count', async t => {
+    const store = await createStore(t);
+
+    await Promise.all([
+        store.incrementMetricValue('2025-01-15', 'Water', 250),
+        store.incrementMetricValue('2025-01-15', 'Water', 250),
+        store.incrementMetricValue('2025-01-15', 'Water', -100)
+    ]);
+    assert.deepEqual(await store.getMetricValues(), [{ date: '2025-01-15', metric: 'Water', value: 400 }]);
+
+    // An undo never takes a day below zero
+    assert.equal((await store.incrementMetricValue('2025-01-15', 'Water', -1000)).entry.value, 0);
+});
@@ -0,0 +1,83 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { NutritionDatabase, normalizeBarcode, fromOpenFoodFacts, toFoodSuggestion } = require('../services/nutritionDatabase');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'calorie-diary-nutrition-'));
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const SPREAD = {
+    code: '3017620422003',
+    product_name: 'Nutella',
+    brands: 'Ferrero,Nutella',
+    serving_size: '15 g',
+    serving_quantity: 15,
+    countries_tags: ['en:france', 'en:germany'],
+    nutriments: { 'energy-kcal_100g': 539, proteins_100g: 6.3, carbohydrates_100g: 57.5, fat_100g: 30.9 }
+};
+
+test('normalizeBarcode checks the digit and matches UPC-A to EAN-13', () => {
+    assert.equal(normalizeBarcode('3017620422003'), '3017620422003');
+    assert.equal(normalizeBarcode('3017620422004'), null);
+    assert.equal(normalizeBarcode('036000291452'), '0036000291452'); // UPC-A
+    assert.equal(normalizeBarcode('00036000291452'), '0036000291452'); // GTIN-14
+    assert.equal(normalizeBarcode('9638-5074'), '96385074'); // EAN-8
+    assert.equal(normalizeBarcode('12345'), null);
+    assert.equal(normalizeBarcode(undefined), null);
+});
+
+test('products fill the log form per serving, per serving weight or per 100 g', () => {
+    const bySize = fromOpenFoodFacts(SPREAD);
+    assert.deepEqual(toFoodSuggestion(bySize), {
+        code: '3017620422003', name: 'Ferrero Nutella', serving: '15 g',
+        calories: 81, protein: 0.9, carbs: 8.6, fat: 4.6, source: 'barcode'
+    });
+
+    const perServing = fromOpenFoodFacts({
+        ...SPREAD, brands: 'Nutella', nutriments: { ...SPREAD.nutriments, 'energy-kcal_serving': 80 }
+    });
+    assert.equal(toFoodSuggestion(perServing).name, 'Nutella');
+    assert.equal(toFoodSuggestion(perServing).calories, 80);
+
+    // Energy only in kJ, no serving
+    const plain = fromOpenFoodFacts({ code: '96385074', product_name: 'Oats', nutriments: { energy_100g: 1570 } });
+    assert.deepEqual(toFoodSuggestion(plain), {
+        code: '96385074', name: 'Oats', serving: '100 g', calories: 375, protein: '', carbs: '', fat: '', source: 'barcode'
+    });
+
+    assert.equal(fromOpenFoodFacts({ ...SPREAD, nutriments: {} }), null);
+    assert.equal(fromOpenFoodFacts({ ...SPREAD, code: '123' }), null);
+});
+
+test('imports the JSONL dump and the tab-separated export, filtered by country', async () => {
+    const jsonlFile = path.join(dataDir, 'products.jsonl.gz');
+    const lines = [
+        JSON.stringify(SPREAD),
+        '{"code": "broken',
+        JSON.stringify({ ...SPREAD, code: '0036000291452', product_name: 'Crackers', countries_tags: ['en:united-states'] })
+    ];
+    fs.writeFileSync(jsonlFile, zlib.gzipSync(lines.join('\n')));
+
+    const database = new NutritionDatabase(path.join(dataDir, 'nutrition.json'));
+    assert.deepEqual(await database.importOpenFoodFacts(jsonlFile, { country: 'en:germany' }), { imported: 1, skipped: 1, total: 1 });
+
+    const csvFile = path.join(dataDir, 'products.csv');
+    fs.writeFileSync(csvFile, [
+        'code\tproduct_name\tbrands\tcountries_tags\tserving_size\tserving_quantity\tenergy-kcal_100g\tproteins_100g',
+        '0036000291452\tTea "Earl Grey"\tTwinings\ten:germany\t\t\t1\t0'
+    ].join('\n'));
+    assert.deepEqual(await database.importOpenFoodFacts(csvFile), { imported: 1, skipped: 0, total: 2 });
+
+    // A second instance, like the server's, reads what the import saved
+    const server = new NutritionDatabase(path.join(dataDir, 'nutrition.json'));
+    assert.equal((await server.lookup('036000291452')).name, 'Twinings Tea "Earl Grey"');
+    assert.equal((await server.lookup('3017620422003')).calories, 81);
+    assert.equal(await server.lookup('4006381333931'), null);
+    assert.equal(await server.lookup('not a code'), null);
+
+    await database.importOpenFoodFacts(jsonlFile, { replace: true });
+    assert.equal(await server.lookup('036000291452').then(food => food.name), 'Ferrero Crackers');
+});
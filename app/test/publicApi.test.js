@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ApiError, toApiError, toTime, toApiEntry, toApiSummary, toApiToday } = require('../services/publicApi');
+const { ValidationError } = require('../services/validation');
+const { GoogleApiError } = require('../services/resilience');
+const { buildOpenApiDocument } = require('../services/openapi');
+
+test('entries from the sheet become typed JSON', () => {
+    const entry = toApiEntry({
+        id: 'a', date: '1/15/2025', time: '8:05:00', mealType: 'Breakfast', description: 'Porridge',
+        calories: '350', protein: '12.5', carbs: '', fat: '0'
+    });
+
+    assert.deepEqual(entry, {
+        id: 'a', date: '2025-01-15', time: '08:05', mealType: 'Breakfast', description: 'Porridge',
+        calories: 350, protein: 12.5, carbs: null, fat: 0
+    });
+    assert.equal(toTime(''), null);
+    assert.equal(toTime('lunch'), null);
+});
+
+test('summaries carry the net intake, what is left and a status', () => {
+    assert.deepEqual(toApiSummary({
+        date: '2025-01-15', totalIn: '2400', maxLimit: '2259', status: 'Under Goal (+259)',
+        protein: '', carbs: 200, fat: '50', exercise: '400', net: '2000'
+    }), {
+        date: '2025-01-15', calories: 2400, exercise: 400, net: 2000, limit: 2259, remaining: 259,
+        status: 'under', protein: 0, carbs: 200, fat: 50
+    });
+    // Rows from before exercise was tracked, and days without a goal
+    const older = toApiSummary({ date: '2025-01-16', totalIn: 900, maxLimit: 0, status: 'No Goal Set' });
+    assert.deepEqual([older.net, older.remaining, older.status], [900, null, 'none']);
+
+    const today = toApiToday({
+        today: { date: '2025-01-17', totalIn: 2500, maxLimit: 2259, exercise: 0, net: 2500 },
+        personal: { dailyGoal: 2259, timezone: '' }
+    });
+    assert.deepEqual([today.status, today.remaining, today.dailyGoal, today.timeZone], ['over', -241, 2259, null]);
+});
+
+test('every error becomes { error: { code, message } } with its status', () => {
+    assert.deepEqual(toApiError(new ApiError(403, 'forbidden', 'Needs write')), {
+        status: 403, body: { error: { code: 'forbidden', message: 'Needs write' } }, retryAfterMs: null
+    });
+    assert.deepEqual(toApiError(new ValidationError({ calories: 'must be a number' })).body.error, {
+        code: 'invalid_request', message: 'calories must be a number', fields: { calories: 'must be a number' }
+    });
+
+    const quota = toApiError(new GoogleApiError('quota', { retryAfterMs: 30000 }));
+    assert.deepEqual([quota.status, quota.body.error.code, quota.retryAfterMs], [429, 'storage_quota', 30000]);
+    assert.equal(toApiError(new GoogleApiError('not-found')).body.error.code, 'storage_not_found');
+    assert.equal(toApiError(Object.assign(new SyntaxError('Unexpected token'), { type: 'entity.parse.failed' })).body.error.code, 'invalid_json');
+    const internal = toApiError(new Error("ENOENT: no such file or directory, open '/srv/data/diary.json'"));
+    assert.equal(internal.status, 500);
+    assert.deepEqual(internal.body.error, { code: 'internal_error', message: 'Something went wrong. Please try again later.' });
+    const unclassified = toApiError(new GoogleApiError('unknown', { cause: new Error('Range Log!A:J in sheet 1abc is protected') }));
+    assert.deepEqual([unclassified.status, unclassified.body.error.code], [500, 'internal_error']);
+    assert.doesNotMatch(unclassified.body.error.message, /protected/);
+});
+
+test('the OpenAPI document describes every endpoint with its scope', () => {
+    const document = buildOpenApiDocument();
+
+    assert.equal(document.openapi, '3.0.3');
+    assert.deepEqual(Object.keys(document.paths), ['/entries', '/entries/{id}', '/summaries', '/today', '/exercise', '/weight']);
+    Object.values(document.paths).forEach(methods => Object.values(methods).forEach(operation => {
+        assert.ok(['read', 'write'].includes(operation['x-required-scope']));
+        assert.ok(operation.responses[401]);
+    }));
+
+    // Every $ref points at a component that exists
+    const refs = JSON.stringify(document).match(/"#\/components\/[^"]+"/g);
+    refs.forEach(ref => {
+        const [, , group, name] = JSON.parse(ref).split('/');
+        assert.ok(document.components[group][name], ref);
+    });
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseQuickEntry, mealTypeForTime } = require('../services/quickEntry');
+const { ValidationError } = require('../services/validation');
+
+// Wednesday 15 January 2025, 13:20
+const options = {
+    today: '2025-01-15',
+    time: '13:20',
+    foods: [
+        { id: 'f1', name: 'Egg', calories: 78, protein: 6.3, carbs: 0.6, fat: 5.3 },
+        { id: 'f2', name: 'Toast', calories: 80, protein: '', carbs: 15, fat: '' }
+    ],
+    entries: [
+        { description: '2 bananas', calories: '210', protein: '', carbs: '54', fat: '' },
+        { description: 'Mac and cheese', calories: '500', protein: '', carbs: '', fat: '' }
+    ]
+};
+
+const summarize = entries => entries.map(({ date, time, mealType, description, calories, source }) => [
+    date, time, mealType, description, calories, source
+]);
+
+test('typed calories, quantities and meal words are picked out', () => {
+    assert.deepEqual(summarize(parseQuickEntry('2 eggs and toast 350 breakfast', options)), [
+        ['2025-01-15', '13:20', 'Breakfast', '2 eggs and toast', 350, 'typed']
+    ]);
+    // "and" separates foods that each have calories; the meal word applies to both
+    assert.deepEqual(summarize(parseQuickEntry('coffee 5 and banana 105 for breakfast', options)), [
+        ['2025-01-15', '13:20', 'Breakfast', 'coffee', 5, 'typed'],
+        ['2025-01-15', '13:20', 'Breakfast', 'banana', 105, 'typed']
+    ]);
+
+    const [porridge] = parseQuickEntry('Breakfast: porridge 350 kcal 12g protein', options);
+    assert.deepEqual([porridge.description, porridge.calories, porridge.protein, porridge.carbs], ['porridge', 350, 12, '']);
+
+    // Without a meal word the meal type follows the time, as on the log page
+    assert.equal(parseQuickEntry('coffee 5', options)[0].mealType, 'Lunch');
+    assert.deepEqual(['07:00', '11:00', '21:59', '23:30'].map(mealTypeForTime), ['Breakfast', 'Lunch', 'Dinner', 'Snack']);
+});
+
+test('foods without calories are looked up and scaled by the quantity', () => {
+    const [eggs, toast] = parseQuickEntry('two eggs, toast', options);
+    assert.deepEqual([eggs.quantity, eggs.calories, eggs.protein, eggs.fat, eggs.source, eggs.matched], [2, 156, 12.6, 10.6, 'library', 'Egg']);
+    assert.deepEqual([toast.calories, toast.protein, toast.carbs], [80, '', 15]);
+
+    // Past entries count per unit of their own quantity
+    const [banana] = parseQuickEntry('1/2 banana', options);
+    assert.deepEqual([banana.calories, banana.carbs, banana.source, banana.matched], [53, 13.5, 'history', '2 bananas']);
+
+    // "and" inside a known food doesn't split it
+    assert.deepEqual(summarize(parseQuickEntry('mac and cheese', options)), [
+        ['2025-01-15', '13:20', 'Lunch', 'mac and cheese', 500, 'history']
+    ]);
+    assert.equal(parseQuickEntry('eggs and toast', options).length, 2);
+
+    const [mystery] = parseQuickEntry('dragon fruit', options);
+    assert.deepEqual([mystery.calories, mystery.source, mystery.matched], [null, null, null]);
+});
+
+test('partial name matches count past entries per unit too', () => {
+    const entries = [{ description: '2 slices pizza', calories: '600', protein: '24', carbs: '', fat: '' }];
+
+    const [pizza] = parseQuickEntry('3 pizza', { ...options, entries });
+    assert.deepEqual([pizza.calories, pizza.protein, pizza.source, pizza.matched], [900, 36, 'history', '2 slices pizza']);
+});
+
+test('zero and endless quantities are not quantities', () => {
+    const [eggs] = parseQuickEntry('1/0 eggs', options);
+    assert.deepEqual([eggs.quantity, eggs.calories, eggs.source, eggs.matched], [1, null, null, null]);
+
+    const [soup] = parseQuickEntry('soup 200 1/0 days ago', options);
+    assert.equal(soup.date, '2025-01-15');
+    assert.deepEqual(['0/2', '1/2'].map(count => parseQuickEntry(`${count} egg`, options)[0].calories), [null, 39]);
+});
+
+test('relative dates and times apply to every food without its own', () => {
+    assert.deepEqual(summarize(parseQuickEntry('yesterday at 8am: eggs 150; toast 90', options)), [
+        ['2025-01-14', '08:00', 'Breakfast', 'eggs', 150, 'typed'],
+        ['2025-01-14', '08:00', 'Breakfast', 'toast', 90, 'typed']
+    ]);
+
+    // Days in the past get no time unless one is typed
+    const dates = ['3 days ago', 'last wednesday', 'wednesday', 'monday', 'day before yesterday']
+        .map(text => parseQuickEntry(`soup 200 ${text}`, options)[0]);
+    assert.deepEqual(dates.map(entry => entry.date), ['2025-01-12', '2025-01-08', '2025-01-15', '2025-01-13', '2025-01-13']);
+    assert.equal(dates[0].time, '');
+    assert.equal(parseQuickEntry('pizza 800 dinner 19:30', options)[0].time, '19:30');
+});
+
+test('empty items are skipped and long lists are rejected', () => {
+    assert.deepEqual(parseQuickEntry(' , yesterday ,', options), []);
+    assert.throws(() => parseQuickEntry(Array(21).fill('tea 2').join(', '), options), ValidationError);
+});
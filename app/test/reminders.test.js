@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_REMINDERS, validateReminders, evaluateReminder, ReminderScheduler } = require('../services/reminders');
+
+const lunch = { id: 'lunch', type: 'meal', enabled: true, mealType: 'Lunch', time: '14:00' };
+const nearLimit = { id: 'near-limit', type: 'nearLimit', enabled: true, calories: 200 };
+const recap = { id: 'recap', type: 'recap', enabled: true, time: '21:00' };
+
+test('a meal reminder fires once its time has passed without that meal logged', () => {
+    const today = { totalIn: 400, maxLimit: 2000 };
+    const breakfast = [{ mealType: 'Breakfast', calories: 400 }];
+
+    assert.equal(evaluateReminder(lunch, { time: '13:59', today, entries: breakfast }), null);
+    assert.equal(evaluateReminder(lunch, { time: '14:00', today, entries: breakfast }).title, 'No lunch logged yet');
+    assert.equal(evaluateReminder(lunch, { time: '15:00', today, entries: [...breakfast, { mealType: 'lunch' }] }), null);
+});
+
+test('a near-limit reminder fires within the margin and when over the limit', () => {
+    assert.equal(evaluateReminder(nearLimit, { time: '12:00', today: { totalIn: 1700, maxLimit: 2000 } }), null);
+    assert.equal(evaluateReminder(nearLimit, { time: '12:00', today: { totalIn: '1850', maxLimit: '2000' } }).title,
+        'You\'re 150 kcal from your limit');
+    assert.equal(evaluateReminder(nearLimit, { time: '12:00', today: { totalIn: 2100, maxLimit: 2000 } }).title,
+        'You\'re 100 kcal over your limit');
+    assert.equal(evaluateReminder(nearLimit, { time: '12:00', today: { totalIn: 0, maxLimit: 100 } }), null);
+    // Exercise adds back what it burned
+    assert.equal(evaluateReminder(nearLimit, { time: '12:00', today: { totalIn: 2100, maxLimit: 2000, exercise: 500 } }), null);
+});
+
+test('the recap sums up the day after its time', () => {
+    assert.equal(evaluateReminder(recap, { time: '20:59', today: { totalIn: 1800, maxLimit: 2000 } }), null);
+    assert.equal(evaluateReminder(recap, { time: '21:00', today: { totalIn: 1800, maxLimit: 2000 } }).body,
+        '1800 of 2000 kcal. 200 kcal under your limit.');
+    assert.equal(evaluateReminder(recap, { time: '21:00', today: { totalIn: 2100, maxLimit: 2000, exercise: '250' } }).body,
+        '2100 of 2000 kcal, 250 kcal burned. 150 kcal under your limit.');
+    assert.equal(evaluateReminder(recap, { time: '22:00', today: { totalIn: 0, maxLimit: 2000 } }).body, 'Nothing logged today.');
+});
+
+test('validateReminders normalizes rules and rejects malformed ones', () => {
+    const [meal, limit] = validateReminders([
+        { id: 'lunch', type: 'meal', enabled: 'true', mealType: 'lunch', time: '14:00' },
+        { type: 'nearLimit', enabled: false, calories: '250' }
+    ]);
+
+    assert.deepEqual(meal, { id: 'lunch', type: 'meal', enabled: true, mealType: 'Lunch', time: '14:00' });
+    assert.equal(limit.calories, 250);
+    assert.ok(limit.id);
+    assert.throws(() => validateReminders({}), /reminders must be a list/);
+    assert.throws(() => validateReminders([{ type: 'weekly' }]), /type must be one of/);
+    assert.throws(() => validateReminders([{ type: 'recap', time: '9pm' }]), /HH:mm/);
+    assert.throws(() => validateReminders([{ type: 'meal', mealType: 'Brunch', time: '11:00' }]), /mealType/);
+    assert.throws(() => validateReminders([{ type: 'nearLimit', calories: 0 }]), /calories/);
+    assert.equal(validateReminders(DEFAULT_REMINDERS).length, DEFAULT_REMINDERS.length);
+});
+
+// In-memory stand-in for PushStore with one subscribed user
+function createPushStore(reminders) {
+    const store = {
+        subscriptions: [{ userId: 'u1', endpoint: 'https://push.example.com/1' }, { userId: 'u1', endpoint: 'https://push.example.com/2' }],
+        sent: {},
+        subscribedUserIds: () => ['u1'],
+        subscriptionsFor: userId => store.subscriptions.filter(subscription => subscription.userId === userId),
+        remindersFor: () => reminders,
+        wasSent: (userId, ruleId, dateKey) => store.sent[ruleId] === dateKey,
+        markSent: async (userId, ruleId, dateKey) => { store.sent[ruleId] = dateKey; },
+        removeSubscription: async endpoint => {
+            store.subscriptions = store.subscriptions.filter(subscription => subscription.endpoint !== endpoint);
+        }
+    };
+    return store;
+}
+
+function createStorage(today, entries = []) {
+    return {
+        getDashboardData: async () => ({ today, personal: { timezone: 'Asia/Bangkok', dailyGoal: 2000 } }),
+        queryLogEntries: async () => ({ entries, nextCursor: null })
+    };
+}
+
+test('the scheduler sends due reminders in the user\'s time zone, once a day', async () => {
+    const pushStore = createPushStore([lunch, { ...recap, enabled: false }]);
+    const sent = [];
+    const scheduler = new ReminderScheduler({
+        pushStore,
+        storageFor: async () => createStorage({ date: '2026-10-20', totalIn: 300, maxLimit: 2000 }),
+        send: async (subscription, payload) => sent.push([subscription.endpoint, payload.tag])
+    });
+
+    await scheduler.tick(new Date('2026-10-20T06:30:00Z')); // 13:30 in Bangkok
+    assert.equal(sent.length, 0);
+
+    await scheduler.tick(new Date('2026-10-20T07:30:00Z')); // 14:30
+    assert.deepEqual(sent, [['https://push.example.com/1', 'reminder-lunch'], ['https://push.example.com/2', 'reminder-lunch']]);
+    assert.equal(pushStore.sent.lunch, '2026-10-20');
+
+    await scheduler.tick(new Date('2026-10-20T08:30:00Z'));
+    assert.equal(sent.length, 2);
+});
+
+test('the scheduler reads today\'s totals from a dashboard date formatted by Sheets', async () => {
+    const pushStore = createPushStore([{ ...lunch, enabled: false }, nearLimit, { ...recap, enabled: false }]);
+    const sent = [];
+    const scheduler = new ReminderScheduler({
+        pushStore,
+        storageFor: async () => createStorage({ date: '10/20/2026', totalIn: '1900', maxLimit: '2000' }),
+        send: async (subscription, payload) => sent.push(payload.title)
+    });
+
+    await scheduler.tick(new Date('2026-10-20T07:30:00Z'));
+    assert.deepEqual(sent, ['You\'re 100 kcal from your limit', 'You\'re 100 kcal from your limit']);
+});
+
+test('the scheduler drops subscriptions the push service reports as gone', async () => {
+    const pushStore = createPushStore([]);
+    const scheduler = new ReminderScheduler({
+        pushStore,
+        storageFor: async () => null,
+        send: async subscription => {
+            if (subscription.endpoint.endsWith('/2')) {
+                throw Object.assign(new Error('Push service responded 410'), { gone: true });
+            }
+        }
+    });
+
+    const result = await scheduler.notifyUser('u1', { title: 'Test' });
+
+    assert.deepEqual(result, { sent: 1, failed: 0, removed: 1 });
+    assert.equal(pushStore.subscriptions.length, 1);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseReportQuery, computeReport } = require('../services/reports');
+
+const day = (date, totalIn, maxLimit = 2000) => ({ date, totalIn, maxLimit, protein: 0, carbs: 0, fat: 0 });
+
+test('a week report compares the last 7 days with the 7 before', () => {
+    const report = computeReport({
+        period: 'week',
+        end: '2026-10-19',
+        summaries: [
+            day('2026-10-06', 2500),
+            day('2026-10-12', 2400),
+            day('2026-10-13', 1800),
+            day('2026-10-15', 2200),
+            day('2026-10-18', 1900),
+            day('2026-10-19', 1700)
+        ],
+        entries: []
+    });
+
+    assert.equal(report.from, '2026-10-13');
+    assert.deepEqual(report.previousPeriod, { from: '2026-10-06', to: '2026-10-12' });
+    assert.equal(report.days.length, 7);
+    assert.equal(report.current.loggedDays, 4);
+    assert.equal(report.current.averageIntake, 1900);
+    assert.equal(report.current.adherenceRate, 75);
+    assert.equal(report.current.longestStreak, 2);
+    assert.equal(report.current.currentStreak, 2);
+    assert.equal(report.current.bestDay.date, '2026-10-18');
+    assert.equal(report.current.worstDay.date, '2026-10-15');
+    assert.equal(report.deltas.averageIntake, -550);
+    assert.equal(report.deltas.adherenceRate, 75);
+});
+
+test('an empty end day does not break the current streak', () => {
+    const report = computeReport({
+        period: 'week',
+        end: '2026-10-19',
+        summaries: [day('2026-10-10', 1500), day('2026-10-17', 1500), day('2026-10-18', 1600)],
+        entries: []
+    });
+
+    assert.equal(report.current.currentStreak, 2);
+    assert.equal(report.deltas.averageIntake, 50);
+});
+
+test('meal type shares add up calories from the log', () => {
+    const report = computeReport({
+        period: 'week',
+        end: '2026-10-19',
+        summaries: [day('2026-10-19', 1000)],
+        entries: [
+            { date: '2026-10-19', mealType: 'Lunch', calories: '600' },
+            { date: '2026-10-19', mealType: 'Breakfast', calories: '300' },
+            { date: '2026-10-19', mealType: '', calories: '100' },
+            { date: '2026-10-01', mealType: 'Dinner', calories: '900' }
+        ]
+    });
+
+    assert.deepEqual(report.current.mealTypes.map(({ mealType, share }) => [mealType, share]), [
+        ['Lunch', 60],
+        ['Breakfast', 30],
+        ['Other', 10]
+    ]);
+});
+
+test('parseReportQuery rejects unknown periods and malformed dates', () => {
+    assert.deepEqual(parseReportQuery({}, '2026-10-19'), { period: 'week', end: '2026-10-19' });
+    assert.throws(() => parseReportQuery({ period: 'year' }, '2026-10-19'), /period must be one of/);
+    assert.throws(() => parseReportQuery({ end: '19/10/2026' }, '2026-10-19'), /YYYY-MM-DD/);
+});
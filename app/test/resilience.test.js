@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GoogleApiError, CircuitBreaker, classifyError, readRetryOptions, createGoogleApiCaller } = require('../services/resilience');
+
+// googleapis (gaxios) style error with an HTTP status
+function httpError(status, { reason, headers = {} } = {}) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = { status, headers };
+    if (reason) error.errors = [{ reason }];
+    return error;
+}
+
+function codeError(code) {
+    return Object.assign(new Error(code), { code });
+}
+
+test('classifyError sorts failures into kinds', () => {
+    const kindOf = error => classifyError(error).kind;
+
+    assert.equal(kindOf(httpError(429)), 'quota');
+    assert.equal(kindOf(httpError(403, { reason: 'rateLimitExceeded' })), 'quota');
+    assert.equal(kindOf(httpError(403)), 'auth');
+    assert.equal(kindOf(new Error('invalid_grant: account not found')), 'auth');
+    assert.equal(kindOf(httpError(404)), 'not-found');
+    assert.equal(kindOf(httpError(503)), 'unavailable');
+    assert.equal(kindOf(codeError('ECONNRESET')), 'network');
+    assert.equal(kindOf(new TypeError('fetch failed', { cause: codeError('ENOTFOUND') })), 'network');
+    assert.equal(kindOf(codeError('ETIMEDOUT')), 'timeout');
+    assert.equal(kindOf(Object.assign(new Error('aborted'), { name: 'AbortError' })), 'timeout');
+    assert.equal(kindOf(httpError(400)), 'unknown');
+});
+
+test('classified errors carry status, retryability and Retry-After', () => {
+    const quota = classifyError(httpError(429, { headers: { 'retry-after': '12' } }), 'Sheets API');
+    assert.ok(quota instanceof GoogleApiError);
+    assert.deepEqual([quota.status, quota.retryable, quota.retryAfterMs, quota.service], [429, true, 12000, 'Sheets API']);
+    assert.match(quota.message, /quota exceeded/);
+
+    // Unclassified errors keep their own message and are not retried
+    const unknown = classifyError(httpError(400));
+    assert.deepEqual([unknown.status, unknown.retryable, unknown.message], [500, false, 'Request failed with status code 400']);
+    assert.equal(classifyError(quota), quota);
+});
+
+test('the circuit opens after the threshold and lets one probe through after the reset time', t => {
+    let now = 0;
+    t.mock.method(Date, 'now', () => now);
+    const breaker = new CircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 1000 });
+
+    breaker.recordFailure();
+    assert.equal(breaker.allowRequest(), true);
+    breaker.recordFailure();
+    assert.deepEqual(breaker.getState(), { state: 'open', failures: 2 });
+    assert.equal(breaker.allowRequest(), false);
+    now = 400;
+    assert.equal(breaker.retryAfterMs(), 600);
+
+    now = 1000;
+    assert.equal(breaker.allowRequest(), true);
+    assert.equal(breaker.getState().state, 'half-open');
+    assert.equal(breaker.allowRequest(), false); // only one probe at a time
+
+    // A failed probe opens the circuit again at once, a successful one closes it
+    breaker.recordFailure();
+    assert.equal(breaker.getState().state, 'open');
+    now = 2000;
+    assert.equal(breaker.allowRequest(), true);
+    breaker.recordSuccess();
+    assert.deepEqual(breaker.getState(), { state: 'closed', failures: 0 });
+});
+
+test('readRetryOptions reads the environment with defaults', () => {
+    assert.deepEqual(readRetryOptions({ GOOGLE_API_RETRIES: '0', GOOGLE_API_TIMEOUT_MS: 'soon' }), {
+        retries: 0, timeoutMs: 10000, baseDelayMs: 500, maxDelayMs: 8000, failureThreshold: 5, resetTimeoutMs: 30000
+    });
+});
+
+// A caller that doesn't wait between retries and records the delays instead
+function createCaller(t, options = {}) {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+    const delays = [];
+    const call = createGoogleApiCaller('Sheets API', {
+        ...readRetryOptions({}),
+        sleep: async ms => { delays.push(ms); },
+        ...options
+    });
+    return { call, delays };
+}
+
+test('retryable failures are retried with backoff until they succeed', async t => {
+    const { call, delays } = createCaller(t);
+    const failures = [httpError(503), httpError(429, { headers: { 'retry-after': '2' } })];
+    let timeout;
+
+    const result = await call('values.get', async ms => {
+        timeout = ms;
+        if (failures.length) throw failures.shift();
+        return 'rows';
+    });
+
+    assert.equal(result, 'rows');
+    assert.equal(timeout, 10000);
+    assert.equal(delays.length, 2);
+    assert.ok(delays[0] <= 500);
+    assert.equal(delays[1], 2000); // never sooner than Retry-After
+    assert.equal(call.breaker.getState().failures, 0);
+});
+
+test('failures that retrying can\'t fix are thrown at once', async t => {
+    const { call, delays } = createCaller(t);
+    let attempts = 0;
+
+    await assert.rejects(call('values.get', async () => { attempts++; throw httpError(404); }), { kind: 'not-found' });
+    assert.equal(attempts, 1);
+
+    // An append that may have been applied is not repeated, a refused connection is
+    await assert.rejects(call('values.append', async () => { attempts++; throw httpError(503); }, { idempotent: false }),
+        { kind: 'unavailable' });
+    assert.equal(attempts, 2);
+    const refused = [codeError('ECONNREFUSED')];
+    await call('values.append', async () => { if (refused.length) throw refused.shift(); }, { idempotent: false });
+    assert.equal(delays.length, 1);
+});
+
+test('an open circuit rejects calls without reaching Google', async t => {
+    const { call } = createCaller(t, { retries: 0, failureThreshold: 2 });
+    let attempts = 0;
+    const failing = async () => { attempts++; throw codeError('ECONNRESET'); };
+
+    await assert.rejects(call('values.get', failing), { kind: 'network' });
+    await assert.rejects(call('values.get', failing), { kind: 'network' });
+    const rejected = await call('values.get', failing).catch(error => error);
+
+    assert.equal(attempts, 2);
+    assert.equal(rejected.kind, 'unavailable');
+    assert.ok(rejected.retryAfterMs > 0);
+});
+
+test('requests the service rejected don\'t count towards opening the circuit', async t => {
+    const { call } = createCaller(t, { retries: 0, failureThreshold: 1 });
+
+    await assert.rejects(call('values.update', async () => { throw httpError(400); }), { kind: 'unknown' });
+    assert.equal(call.breaker.getState().state, 'closed');
+});
@@ -0,0 +1,700 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDiarySheets, SHEET_NAMES } = require('./helpers/fakeSheets');
+const { serve } = require('./helpers/http');
+const { generateVapidKeys } = require('../services/webPush');
+const { todayKey, addDays } = require('../services/dateUtils');
+const { signPayload } = require('../services/webhooks');
+
+// The shared diary without sign-in, on Sheets through the in-memory fake
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'calorie-diary-server-'));
+const vapidKeys = generateVapidKeys();
+Object.assign(process.env, {
+    AUTH_MODE: 'none',
+    STORAGE_BACKEND: 'sheets',
+    SPREADSHEET_ID: 'test-spreadsheet',
+    GOOGLE_SCRIPT_WEB_APP_URL: '',
+    CALCULATION_ENGINE: 'server',
+    // Every read reaches the fake, and a failed call isn't retried with delays
+    CACHE_TTL_SECONDS: '0',
+    GOOGLE_API_RETRIES: '0',
+    PUSH_FILE: path.join(dataDir, 'push.json'),
+    NUTRITION_DB_FILE: path.join(dataDir, 'nutrition.json'),
+    WEBHOOK_FILE: path.join(dataDir, 'webhooks.json'),
+    API_TOKENS_FILE: path.join(dataDir, 'api-tokens.json'),
+    WEBHOOK_RETRY_DELAY_MS: '0',
+    WEBHOOK_ALLOWED_HOSTS: 'hooks.example.com',
+    VAPID_PUBLIC_KEY: vapidKeys.publicKey,
+    VAPID_PRIVATE_KEY: vapidKeys.privateKey
+});
+const { app, initialize } = require('../server');
+
+const PERSONAL = {
+    gender: 'Male',
+    weight: 80,
+    height: 180,
+    age: 30,
+    activityLevel: '1.55 (Moderate)',
+    goalOffset: '-500 (Weight Loss)',
+    formula: 'mifflin-st-jeor',
+    timezone: 'UTC'
+};
+const today = todayKey('UTC');
+const yesterday = addDays(today, -1);
+
+let fake;
+let client;
+
+before(async () => {
+    fake = createDiarySheets({
+        personal: PERSONAL,
+        log: [
+            // Sheets shows dates in the spreadsheet's locale format
+            ['1/15/2025', '08:00', 'Breakfast', 'Porridge', 350, 'seed-1', 12, 60, 6],
+            [yesterday, '19:00', 'Dinner', 'Pasta', 900, 'seed-2']
+        ]
+    });
+    await initialize({ sheets: fake });
+    client = await serve(app);
+});
+
+after(async () => {
+    await client.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const request = (...args) => client.request(...args);
+
+test('pages render', async () => {
+    for (const page of ['/', '/log', '/foods', '/summary', '/reports', '/settings', '/journal']) {
+        const { status, body } = await request('GET', page);
+        assert.equal(status, 200, page);
+        assert.match(body, /<html/i, page);
+    }
+
+    const missing = await request('GET', '/no-such-page');
+    assert.equal(missing.status, 404);
+    assert.match(missing.body, /Page not found/);
+});
+
+test('PWA files, health and the sign-in routes without accounts', async () => {
+    const manifest = await request('GET', '/manifest.json');
+    assert.equal(manifest.status, 200);
+    assert.ok(manifest.body.name);
+
+    const worker = await request('GET', '/sw.js');
+    assert.equal(worker.status, 200);
+    assert.match(worker.body, /addEventListener\('push'/);
+
+    const health = await request('GET', '/health');
+    assert.equal(health.body.status, 'healthy');
+    assert.equal(health.body.authMode, 'none');
+    assert.equal(health.body.spreadsheetId, 'configured');
+
+    // Without accounts there is nothing to sign in to
+    assert.equal((await request('GET', '/login?next=/log')).headers.get('location'), '/log');
+    assert.equal((await request('POST', '/login', { username: 'x' })).status, 302);
+    assert.equal((await request('GET', '/register')).headers.get('location'), '/');
+    assert.equal((await request('POST', '/register', { username: 'x' })).status, 302);
+    assert.equal((await request('POST', '/logout')).headers.get('location'), '/login');
+});
+
+test('log entries can be added, read, updated and deleted', async () => {
+    const created = await request('POST', '/api/log', {
+        date: today, time: '12:30', mealType: 'Lunch', description: 'Soup', calories: '450', protein: '20'
+    });
+    assert.equal(created.status, 200);
+    const { id } = created.body.data;
+    assert.ok(id);
+
+    const recent = await request('GET', '/api/log?limit=2');
+    assert.deepEqual(recent.body.data.map(entry => entry.description), ['Soup', 'Pasta']);
+    assert.equal(recent.body.data[0].calories, '450');
+    assert.equal(recent.body.data[0].protein, '20');
+
+    const updated = await request('PUT', `/api/log/${id}`, {
+        date: today, time: '13:00', mealType: 'Lunch', description: 'Tomato soup', calories: 500
+    });
+    assert.equal(updated.status, 200);
+    const row = fake.rows(SHEET_NAMES.log).find(cells => cells[5] === id);
+    assert.deepEqual(row.slice(0, 5), [today, '13:00', 'Lunch', 'Tomato soup', 500]);
+
+    assert.equal((await request('PUT', '/api/log/missing', {
+        date: today, mealType: 'Lunch', description: 'x', calories: 1
+    })).status, 404);
+
+    assert.equal((await request('DELETE', `/api/log/${id}`)).status, 200);
+    assert.equal(fake.rows(SHEET_NAMES.log).some(cells => cells[5] === id), false);
+    assert.equal((await request('DELETE', `/api/log/${id}`)).status, 404);
+});
+
+test('an Idempotency-Key logs an entry only once', async () => {
+    const body = { date: today, mealType: 'Snack', description: 'Apple', calories: 80 };
+    const headers = { 'Idempotency-Key': 'offline-apple-1' };
+
+    const first = await request('POST', '/api/log', body, { headers });
+    const second = await request('POST', '/api/log', body, { headers });
+    assert.equal(second.body.data.duplicate, true);
+    assert.equal(second.body.data.id, first.body.data.id);
+    assert.equal(fake.rows(SHEET_NAMES.log).filter(cells => cells[3] === 'Apple').length, 1);
+
+    const invalid = await request('POST', '/api/log', body, { headers: { 'Idempotency-Key': 'no' } });
+    assert.equal(invalid.status, 400);
+});
+
+test('invalid input gets a 400 listing each field', async () => {
+    const { status, body } = await request('POST', '/api/log', { date: '2025-02-30', mealType: 'Lunch', calories: 'lots' });
+    assert.equal(status, 400);
+    assert.equal(body.kind, 'validation');
+    assert.deepEqual(body.fields, {
+        date: 'must be a date in YYYY-MM-DD format',
+        description: 'is required',
+        calories: 'must be a number'
+    });
+});
+
+test('user text is never written to Sheets as a formula', async () => {
+    const { body } = await request('POST', '/api/log', {
+        date: today, mealType: 'Snack', description: '=IMPORTXML("http://example.com", "//a")', calories: 10
+    });
+
+    assert.deepEqual(fake.formulas, []);
+    const entries = (await request('GET', '/api/log?limit=5')).body.data;
+    assert.equal(entries.find(entry => entry.id === body.data.id).description, '=IMPORTXML("http://example.com", "//a")');
+});
+
+test('date ranges filter and page the log', async () => {
+    const all = await request('GET', '/api/log?from=2025-01-01&to=2025-01-31');
+    assert.deepEqual(all.body.data.map(entry => entry.id), ['seed-1']);
+    assert.equal(all.body.nextCursor, null);
+
+    const first = await request('GET', `/api/log?from=2025-01-01&to=${today}&order=asc&limit=2`);
+    assert.deepEqual(first.body.data.map(entry => entry.id), ['seed-1', 'seed-2']);
+    const second = await request('GET', `/api/log?from=2025-01-01&to=${today}&order=asc&limit=2&cursor=${first.body.nextCursor}`);
+    assert.ok(second.body.data.length > 0);
+    assert.ok(second.body.data.every(entry => entry.date === today));
+
+    assert.equal((await request('GET', '/api/log?from=2025-02-01&to=2025-01-01')).status, 400);
+});
+
+test('the daily summary follows the log', async () => {
+    const latest = await request('GET', '/api/summary?limit=1');
+    assert.equal(latest.body.data[0].date, today);
+
+    const range = await request('GET', `/api/summary?from=2025-01-15&to=${yesterday}`);
+    assert.deepEqual(range.body.data.map(summary => [summary.date, summary.totalIn]), [[yesterday, '900'], ['2025-01-15', '350']]);
+    assert.equal(range.body.data[1].maxLimit, '2259');
+
+    const dashboard = await request('GET', '/api/dashboard');
+    assert.equal(dashboard.body.data.today.date, today);
+    assert.equal(dashboard.body.data.personal.timezone, 'UTC');
+
+    assert.equal((await request('POST', '/api/refresh')).body.data.maxCalories, 2259);
+    assert.match((await request('POST', '/api/update-dashboard-date')).body.data.message, new RegExp(today));
+});
+
+test('the journal shows a month, a year and a single day', async () => {
+    const month = await request('GET', '/api/journal/calendar?year=2025&month=0');
+    assert.deepEqual(Object.keys(month.body.data), ['15']);
+    assert.equal(month.body.data[15].totalCalories, '350');
+    assert.equal(month.body.data[15].isOver, false);
+
+    const year = await request('GET', '/api/journal/calendar?year=2025');
+    assert.deepEqual(Object.keys(year.body.data), ['2025-01-15']);
+
+    const empty = await request('GET', '/api/journal/calendar?year=2024&month=1');
+    assert.deepEqual(empty.body.data, {});
+
+    const day = await request('GET', '/api/journal/date/2025-01-15');
+    assert.deepEqual(day.body.data.entries.map(entry => entry.description), ['Porridge']);
+    assert.equal(day.body.data.summary.totalIn, '350');
+
+    assert.equal((await request('GET', '/api/journal/date/15-01-2025')).status, 400);
+});
+
+test('foods can be saved, searched and suggested', async () => {
+    const created = await request('POST', '/api/foods', { name: 'Oats', serving: '40 g', calories: 150, protein: 5 });
+    const { id } = created.body.data;
+
+    const updated = await request('PUT', `/api/foods/${id}`, { name: 'Rolled oats', serving: '40 g', calories: 152 });
+    assert.equal(updated.body.data.food.name, 'Rolled oats');
+    assert.equal((await request('PUT', '/api/foods/missing', { name: 'x', calories: 1 })).status, 404);
+
+    const foods = await request('GET', '/api/foods');
+    assert.deepEqual(foods.body.data.map(food => food.name), ['Rolled oats']);
+
+    const search = await request('GET', '/api/foods/search?q=oat');
+    assert.equal(search.body.data[0].name, 'Rolled oats');
+    const history = await request('GET', '/api/foods/search?q=pasta');
+    assert.equal(history.body.data[0].name, 'Pasta');
+
+    const frequent = await request('GET', '/api/foods/frequent?limit=3');
+    assert.ok(frequent.body.data.length <= 3);
+
+    assert.equal((await request('DELETE', `/api/foods/${id}`)).status, 200);
+    assert.equal((await request('DELETE', `/api/foods/${id}`)).status, 404);
+});
+
+test('quick entry text is parsed into entries without logging them', async () => {
+    await request('POST', '/api/foods', { name: 'Boiled egg', calories: 78, protein: 6 });
+    const logged = (await request('GET', '/api/log?limit=50')).body.data.length;
+
+    const parsed = await request('POST', '/api/log/parse', { text: 'boiled eggs x2 for breakfast; coffee 5' });
+    assert.equal(parsed.status, 200);
+    assert.deepEqual(parsed.body.data.map(({ date, mealType, description, calories, protein, source }) => ({
+        date, mealType, description, calories, protein, source
+    })), [
+        { date: today, mealType: 'Breakfast', description: 'boiled eggs x2', calories: 156, protein: 12, source: 'library' },
+        { date: today, mealType: 'Breakfast', description: 'coffee', calories: 5, protein: '', source: 'typed' }
+    ]);
+    assert.equal((await request('GET', '/api/log?limit=50')).body.data.length, logged);
+
+    assert.equal((await request('POST', '/api/log/parse', {})).status, 400);
+});
+
+test('barcodes are looked up in the nutrition database', async () => {
+    fs.writeFileSync(process.env.NUTRITION_DB_FILE, JSON.stringify({
+        products: [{
+            code: '3017620422003', name: 'Nutella', brand: 'Ferrero', serving: '15 g', servingGrams: 15,
+            per100g: { calories: 539, protein: 6.3, carbs: 57.5, fat: 30.9 }, perServing: null
+        }]
+    }));
+
+    const found = await request('GET', '/api/foods/barcode/3017620422003');
+    assert.equal(found.status, 200);
+    assert.deepEqual(found.body.data, {
+        code: '3017620422003', name: 'Ferrero Nutella', serving: '15 g',
+        calories: 81, protein: 0.9, carbs: 8.6, fat: 4.6, source: 'barcode'
+    });
+
+    assert.equal((await request('GET', '/api/foods/barcode/4006381333931')).status, 404);
+    const invalid = await request('GET', '/api/foods/barcode/3017620422004');
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(Object.keys(invalid.body.fields), ['code']);
+    assert.equal((await request('GET', '/api/foods/barcode/abc')).status, 400);
+});
+
+test('meals can be saved and logged', async () => {
+    const meal = {
+        name: 'Breakfast bowl',
+        servings: 2,
+        components: [{ name: 'Oats', quantity: 2, calories: 150 }, { name: 'Milk', calories: 100, protein: 8 }]
+    };
+    const created = await request('POST', '/api/meals', meal);
+    const { id } = created.body.data;
+
+    const meals = await request('GET', '/api/meals');
+    assert.equal(meals.body.data[0].perServing.calories, 200);
+
+    await request('PUT', `/api/meals/${id}`, { ...meal, servings: 1 });
+    assert.equal((await request('PUT', '/api/meals/missing', meal)).status, 404);
+
+    const logged = await request('POST', `/api/meals/${id}/log`, { date: today, mealType: 'Breakfast', servings: 0.5 });
+    assert.equal(logged.body.data.ids.length, 2);
+    const combined = await request('POST', `/api/meals/${id}/log`, { date: today, mealType: 'Breakfast', combine: true });
+    assert.equal(combined.body.data.ids.length, 1);
+    const row = fake.rows(SHEET_NAMES.log).find(cells => cells[5] === combined.body.data.ids[0]);
+    assert.equal(row[4], 400);
+
+    assert.equal((await request('POST', '/api/meals/missing/log', { date: today, mealType: 'Lunch' })).status, 404);
+    assert.equal((await request('DELETE', `/api/meals/${id}`)).status, 200);
+    assert.equal((await request('DELETE', `/api/meals/${id}`)).status, 404);
+});
+
+test('weigh-ins keep one entry per day and sync the goal weight', async () => {
+    await request('POST', '/api/weight', { date: yesterday, weight: 81 });
+    const saved = await request('POST', '/api/weight', { date: today, weight: '79.5', note: 'morning' });
+    assert.equal(saved.body.data.goalWeight, 79.5);
+    const replaced = await request('POST', '/api/weight', { date: today, weight: 79.8 });
+    assert.equal(replaced.body.data.replaced, true);
+
+    const weights = await request('GET', `/api/weight?from=${today}`);
+    assert.deepEqual(weights.body.data.map(entry => entry.weight), [79.8]);
+    assert.ok(weights.body.data[0].trend > 79.8);
+
+    assert.equal((await request('DELETE', `/api/weight/${replaced.body.data.id}`)).body.data.goalWeight, 81);
+    assert.equal((await request('DELETE', `/api/weight/${replaced.body.data.id}`)).status, 404);
+});
+
+test('exercise is logged with entered or estimated calories and offsets the day', async () => {
+    const { personal } = (await request('GET', '/api/dashboard')).body.data;
+    const ran = await request('POST', '/api/exercise', { date: yesterday, time: '07:00', type: 'running', duration: 30 });
+    assert.equal(ran.status, 200);
+    assert.equal(ran.body.data.entry.met, 9.8);
+    assert.equal(ran.body.data.entry.calories, Math.round(9.8 * personal.weight * 0.5));
+
+    const climbed = await request('POST', '/api/exercise', { date: yesterday, type: 'Climbing', duration: 60 });
+    assert.equal(climbed.status, 400);
+    assert.ok(climbed.body.fields.calories);
+    const entered = await request('POST', '/api/exercise', { date: yesterday, type: 'Climbing', duration: 60, calories: 200 });
+    assert.equal(entered.body.data.entry.calories, 200);
+
+    const burned = 200 + ran.body.data.entry.calories;
+    const day = (await request('GET', `/api/journal/date/${yesterday}`)).body.data;
+    assert.deepEqual(day.exercise.map(entry => entry.type), ['Climbing', 'running']);
+    assert.equal(day.summary.exercise, String(burned));
+    assert.equal(day.summary.net, String(900 - burned));
+
+    const updated = await request('PUT', `/api/exercise/${entered.body.data.id}`, { date: yesterday, type: 'Climbing', duration: 30, calories: 100 });
+    assert.equal(updated.body.data.entry.duration, 30);
+    assert.equal((await request('GET', `/api/exercise?from=${yesterday}&to=${yesterday}`)).body.data.length, 2);
+
+    for (const { body } of [ran, entered]) {
+        assert.equal((await request('DELETE', `/api/exercise/${body.data.id}`)).status, 200);
+    }
+    assert.equal((await request('DELETE', `/api/exercise/${ran.body.data.id}`)).status, 404);
+    assert.equal((await request('PUT', `/api/exercise/${ran.body.data.id}`, { date: yesterday, type: 'Yoga', duration: 10 })).status, 404);
+    assert.deepEqual((await request('GET', '/api/exercise')).body.data, []);
+});
+
+test('daily metrics are defined, incremented and shown on the calendar', async () => {
+    const defined = await request('POST', '/api/metrics', { name: 'Water', unit: 'ml', target: 2000, increments: [250, 500] });
+    assert.equal(defined.body.data.replaced, false);
+    assert.equal((await request('POST', '/api/metrics', { name: 'water/../x' })).status, 400);
+
+    await request('POST', '/api/metrics/water', { date: '2025-01-15', add: 250 });
+    const added = await request('POST', '/api/metrics/Water', { date: '2025-01-15', add: 500 });
+    assert.deepEqual(added.body.data.entry, { date: '2025-01-15', metric: 'Water', value: 750 });
+    await request('POST', '/api/metrics/Water', { date: '2025-01-20', value: 2000 });
+
+    // Quick-add taps in quick succession all count
+    await Promise.all([
+        request('POST', '/api/metrics/Water', { date: '2025-01-21', add: 250 }),
+        request('POST', '/api/metrics/Water', { date: '2025-01-21', add: 250 }),
+        request('POST', '/api/metrics/Water', { date: '2025-01-21', add: 500 })
+    ]);
+
+    const both = await request('POST', '/api/metrics/Water', { date: today, add: 1, value: 1 });
+    assert.equal(both.status, 400);
+    assert.equal((await request('POST', '/api/metrics/Sleep', { date: today, add: 1 })).status, 404);
+
+    const history = await request('GET', '/api/metrics/water?from=2025-01-01&to=2025-01-31');
+    assert.equal(history.body.metric.name, 'Water');
+    assert.deepEqual(history.body.data.map(entry => [entry.date, entry.value]), [['2025-01-15', 750], ['2025-01-20', 2000], ['2025-01-21', 1000]]);
+
+    const todays = await request('GET', '/api/metrics?date=2025-01-15');
+    assert.deepEqual(todays.body.data.map(({ name, value, percent }) => [name, value, percent]), [['Water', 750, 38]]);
+
+    // The 20th has no food logged, only water
+    const month = (await request('GET', '/api/journal/calendar?year=2025&month=0')).body.data;
+    assert.equal(month[15].totalCalories, '350');
+    assert.equal(month[15].metrics.water.value, 750);
+    assert.deepEqual(month[20], { metrics: { water: { name: 'Water', value: 2000, unit: 'ml', target: 2000, percent: 100 } } });
+
+    assert.equal((await request('DELETE', '/api/metrics/WATER')).body.data.name, 'Water');
+    assert.equal((await request('DELETE', '/api/metrics/Water')).status, 404);
+    assert.deepEqual((await request('GET', '/api/metrics')).body.data, []);
+});
+
+test('settings update the goal and record its history', async () => {
+    const preview = await request('POST', '/api/goal/preview', { ...PERSONAL, goalOffset: '0 (Maintenance)' });
+    assert.equal(preview.body.data.dailyGoal, 2759);
+
+    const saved = await request('POST', '/api/settings', { ...PERSONAL, goalOffset: '0 (Maintenance)' });
+    assert.equal(saved.status, 200);
+    assert.equal(fake.rows(SHEET_NAMES.dashboard)[7][7], 2759); // H8, the daily goal
+
+    const history = await request('GET', '/api/goal/history');
+    assert.deepEqual(history.body.data.map(version => version.dailyGoal).slice(-2), ['2259', '2759']);
+
+    const invalid = await request('POST', '/api/settings', { ...PERSONAL, timezone: 'Mars/Olympus_Mons' });
+    assert.equal(invalid.status, 400);
+    assert.ok(invalid.body.fields.timezone);
+});
+
+test('reports cover the week or month ending today', async () => {
+    const week = await request('GET', '/api/reports');
+    assert.equal(week.body.data.period, 'week');
+    assert.equal(week.body.data.to, today);
+
+    const month = await request('GET', `/api/reports?period=month&end=${yesterday}`);
+    assert.equal(month.body.data.to, yesterday);
+
+    assert.equal((await request('GET', '/api/reports?period=year')).status, 400);
+});
+
+test('export and import round-trip the log', async () => {
+    const { body: data } = await request('GET', '/api/export?from=2025-01-01&to=2025-01-31');
+    assert.deepEqual(data.entries.map(entry => [entry.date, entry.description]), [['2025-01-15', 'Porridge']]);
+    assert.equal(data.personal.gender, 'Male');
+
+    const csv = await request('GET', '/api/export?format=csv&dataset=log&from=2025-01-01&to=2025-01-31');
+    assert.match(csv.headers.get('content-disposition'), /calorie-diary-log-2025-01-01-2025-01-31\.csv/);
+    const summary = await request('GET', '/api/export?format=csv&dataset=summary&from=2025-01-01&to=2025-01-31');
+    assert.deepEqual(summary.body.trim().split('\r\n'), [
+        'Date,Total In,Max Limit,Status,Protein,Carbs,Fat,Exercise,Net',
+        '2025-01-15,350,2259,Under Goal (+1909),12,60,6,0,350'
+    ]);
+
+    // Re-importing the export finds nothing new
+    const again = await request('POST', '/api/import', { csv: csv.body, commit: true });
+    assert.equal(again.body.data.duplicates, 1);
+    assert.equal(again.body.data.imported, 0);
+
+    const newRows = 'Date,Meal Type,Description,Calories\n2025-01-16,Lunch,Salad,300\n2025-01-16,Lunch,,nope\n';
+    const preview = await request('POST', '/api/import', { csv: newRows, preset: 'calorie-diary' });
+    assert.equal(preview.body.preview, true);
+    assert.equal(preview.body.data.valid, 1);
+    assert.equal(preview.body.data.errors.length, 1);
+
+    assert.equal((await request('POST', '/api/import', { csv: newRows, commit: true })).status, 400);
+    const imported = await request('POST', '/api/import', { csv: newRows, commit: true, skipInvalid: true });
+    assert.equal(imported.body.data.imported, 1);
+    assert.equal((await request('GET', '/api/journal/date/2025-01-16')).body.data.entries[0].description, 'Salad');
+
+    assert.equal((await request('POST', '/api/import', { csv: 'just a header' })).status, 400);
+
+    // Rows are held to the limits of POST /api/log
+    const oversized = `Date,Meal Type,Description,Calories\n2025-01-17,Lunch,Feast,25000\n2025-01-17,Lunch,${'x'.repeat(501)},100\n`;
+    const checked = await request('POST', '/api/import', { csv: oversized, commit: true, skipInvalid: true });
+    assert.equal(checked.body.data.imported, 0);
+    assert.deepEqual(checked.body.data.errors.map(error => error.row), [2, 3]);
+    assert.match(checked.body.data.errors[0].error, /calories must be between 0 and 20000/);
+    assert.match(checked.body.data.errors[1].error, /description must be at most 500 characters/);
+});
+
+test('reminders and push subscriptions', async t => {
+    const reminders = await request('GET', '/api/reminders');
+    assert.deepEqual(reminders.body.data.map(rule => rule.type), ['meal', 'nearLimit', 'recap']);
+
+    const saved = await request('PUT', '/api/reminders', { reminders: [{ type: 'recap', enabled: true, time: '21:00' }] });
+    assert.equal(saved.body.data[0].enabled, true);
+    assert.equal((await request('PUT', '/api/reminders', { reminders: [{ type: 'recap', time: '9pm' }] })).status, 400);
+
+    const config = await request('GET', '/api/push/config');
+    assert.equal(config.body.data.publicKey, vapidKeys.publicKey);
+
+    assert.equal((await request('POST', '/api/push/test')).status, 400);
+
+    // A browser's subscription keys; the push service is mocked below
+    const receiver = require('crypto').createECDH('prime256v1');
+    receiver.generateKeys();
+    const subscription = {
+        endpoint: 'https://push.example.com/device-1',
+        keys: { p256dh: receiver.getPublicKey().toString('base64url'), auth: Buffer.alloc(16, 1).toString('base64url') }
+    };
+    const subscribed = await request('POST', '/api/push/subscribe', { subscription });
+    assert.equal(subscribed.status, 201);
+    assert.equal(subscribed.body.data.devices, 1);
+    assert.equal((await request('POST', '/api/push/subscribe', { subscription: { ...subscription, endpoint: 'http://push.example.com' } })).status, 400);
+
+    const pushed = [];
+    const realFetch = globalThis.fetch;
+    t.mock.method(globalThis, 'fetch', async (url, options) => {
+        if (String(url).startsWith('https://push.example.com/')) {
+            pushed.push({ url, headers: options.headers });
+            return new Response(null, { status: 201 });
+        }
+        return realFetch(url, options);
+    });
+    const sent = await request('POST', '/api/push/test');
+    assert.deepEqual(sent.body.data, { sent: 1, failed: 0, removed: 0 });
+    assert.equal(pushed[0].headers['Content-Encoding'], 'aes128gcm');
+
+    const removed = await request('DELETE', '/api/push/subscribe', { endpoint: subscription.endpoint });
+    assert.equal(removed.body.data.removed, true);
+    assert.equal(removed.body.data.devices, 0);
+});
+
+test('webhooks receive signed events and log their deliveries', async t => {
+    const received = [];
+    const realFetch = globalThis.fetch;
+    t.mock.method(globalThis, 'fetch', async (url, options) => {
+        if (String(url).startsWith('https://hooks.example.com/')) {
+            received.push({ headers: options.headers, body: options.body });
+            return new Response(null, { status: received.length === 1 ? 502 : 204 });
+        }
+        return realFetch(url, options);
+    });
+
+    const invalid = await request('POST', '/api/webhooks', { url: 'ftp://hooks.example.com', events: ['entry.deleted'] });
+    assert.equal(invalid.status, 400);
+    assert.match(invalid.body.error, /url must be an http/);
+    assert.match(invalid.body.error, /events\[0\] must be one of/);
+    for (const url of ['http://hooks.example.com/diary', 'https://127.0.0.1:3000/api/log', 'https://169.254.169.254/latest']) {
+        const refused = await request('POST', '/api/webhooks', { url, events: ['entry.created'] });
+        assert.equal(refused.status, 400);
+        assert.equal(refused.body.kind, 'validation');
+    }
+
+    const created = await request('POST', '/api/webhooks', { url: 'https://hooks.example.com/diary', events: ['entry.created', 'settings.updated'] });
+    assert.equal(created.status, 201);
+    const { id, secret } = created.body.data;
+    assert.ok(secret);
+    assert.equal((await request('GET', '/api/webhooks')).body.data[0].secret, undefined);
+
+    await request('POST', '/api/log', { date: today, time: '12:00', mealType: 'Lunch', description: 'Webhook soup', calories: 250 });
+    let deliveries;
+    for (let wait = 0; wait < 100; wait++) {
+        deliveries = (await request('GET', `/api/webhooks/${id}/deliveries`)).body.data;
+        if (deliveries.length && deliveries[0].status !== 'pending') break;
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    // The first attempt got a 502 and was retried
+    assert.equal(deliveries.length, 1);
+    assert.equal(deliveries[0].status, 'delivered');
+    assert.equal(deliveries[0].attempts, 2);
+    const { headers, body } = received[1];
+    assert.equal(headers['X-Webhook-Event'], 'entry.created');
+    assert.equal(headers['X-Webhook-Signature'], signPayload(secret, headers['X-Webhook-Timestamp'], body));
+    assert.equal(JSON.parse(body).data.description, 'Webhook soup');
+
+    assert.equal((await request('PUT', `/api/webhooks/${id}`, { url: 'https://localhost/diary' })).status, 400);
+    const disabled = await request('PUT', `/api/webhooks/${id}`, { enabled: false });
+    assert.equal(disabled.body.data.enabled, false);
+    assert.deepEqual(disabled.body.data.events, ['entry.created', 'settings.updated']);
+    await request('POST', '/api/settings', PERSONAL);
+    assert.equal((await request('GET', `/api/webhooks/${id}/deliveries`)).body.data.length, 1);
+
+    assert.equal((await request('DELETE', `/api/webhooks/${id}`)).status, 200);
+    assert.equal((await request('DELETE', `/api/webhooks/${id}`)).status, 404);
+    assert.equal((await request('GET', `/api/webhooks/${id}/deliveries`)).status, 404);
+});
+
+test('the v1 API takes personal access tokens and returns typed JSON', async () => {
+    const openapi = await request('GET', '/api/v1/openapi.json');
+    assert.equal(openapi.status, 200);
+    assert.ok(openapi.body.paths['/entries']);
+
+    const anonymous = await request('GET', '/api/v1/today');
+    assert.equal(anonymous.status, 401);
+    assert.equal(anonymous.body.error.code, 'unauthorized');
+
+    const reader = (await request('POST', '/api/tokens', { name: 'Dashboard widget', scopes: ['read'] })).body.data;
+    const created = await request('POST', '/api/tokens', { name: 'Shortcut', scopes: ['read', 'write'], expiresInDays: 30 });
+    assert.equal(created.status, 201);
+    const writer = created.body.data;
+    assert.match(writer.token, /^cdt_/);
+    assert.equal((await request('POST', '/api/tokens', { name: 'Nothing', scopes: [] })).status, 400);
+    const listed = (await request('GET', '/api/tokens')).body.data;
+    assert.deepEqual(listed.map(token => [token.name, token.token, token.hash]), [['Dashboard widget', undefined, undefined], ['Shortcut', undefined, undefined]]);
+
+    const as = token => ({ headers: { authorization: `Bearer ${token.token}` } });
+    const todayView = await request('GET', '/api/v1/today', undefined, as(reader));
+    assert.equal(todayView.status, 200);
+    assert.equal(todayView.body.data.date, today);
+    assert.equal(typeof todayView.body.data.calories, 'number');
+    assert.equal(todayView.body.data.dailyGoal, 2259);
+    assert.ok(Number(todayView.headers.get('ratelimit-remaining')) > 0);
+
+    const entry = { date: today, time: '7:30', mealType: 'Breakfast', description: 'API toast', calories: '420', protein: 10 };
+    const forbidden = await request('POST', '/api/v1/entries', entry, as(reader));
+    assert.equal(forbidden.status, 403);
+    assert.equal(forbidden.body.error.code, 'forbidden');
+
+    const added = await request('POST', '/api/v1/entries', entry, as(writer));
+    assert.equal(added.status, 201);
+    assert.deepEqual({ ...added.body.data, id: undefined }, {
+        id: undefined, date: today, time: '07:30', mealType: 'Breakfast', description: 'API toast', calories: 420, protein: 10, carbs: null, fat: null
+    });
+    const { id } = added.body.data;
+
+    const invalid = await request('POST', '/api/v1/entries', { ...entry, calories: 'lots' }, as(writer));
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(invalid.body.error.fields, { calories: 'must be a number' });
+    const malformed = await fetch(`${client.baseUrl}/api/v1/entries`, {
+        method: 'POST', headers: { 'content-type': 'application/json', authorization: `Bearer ${writer.token}` }, body: '{"date":'
+    });
+    assert.equal(malformed.status, 400);
+    assert.equal((await malformed.json()).error.code, 'invalid_json');
+
+    const page = await request('GET', `/api/v1/entries?from=${today}&to=${today}`, undefined, as(reader));
+    assert.ok(page.body.data.some(item => item.id === id && item.calories === 420));
+    assert.equal(page.body.nextCursor, null);
+    const [day] = (await request('GET', `/api/v1/summaries?from=${today}&to=${today}`, undefined, as(reader))).body.data;
+    assert.equal(typeof day.calories, 'number');
+    assert.ok(['under', 'over'].includes(day.status));
+
+    const updated = await request('PUT', `/api/v1/entries/${id}`, { ...entry, calories: 380 }, as(writer));
+    assert.equal(updated.body.data.calories, 380);
+    assert.equal((await request('DELETE', `/api/v1/entries/${id}`, undefined, as(writer))).status, 204);
+    const gone = await request('DELETE', `/api/v1/entries/${id}`, undefined, as(writer));
+    assert.deepEqual([gone.status, gone.body.error.code], [404, 'not_found']);
+    assert.equal((await request('GET', '/api/v1/no-such-thing', undefined, as(reader))).body.error.code, 'not_found');
+
+    assert.equal((await request('DELETE', `/api/tokens/${reader.id}`)).status, 200);
+    assert.equal((await request('GET', '/api/v1/today', undefined, as(reader))).status, 401);
+});
+
+test('the v1 API logs exercise and weigh-ins', async () => {
+    const token = (await request('POST', '/api/tokens', { name: 'Watch', scopes: ['read', 'write'] })).body.data;
+    const reader = (await request('POST', '/api/tokens', { name: 'Widget', scopes: ['read'] })).body.data;
+    const as = ({ token: value }) => ({ headers: { authorization: `Bearer ${value}` } });
+
+    const { personal } = (await request('GET', '/api/dashboard')).body.data;
+    const walk = { date: yesterday, time: '6:45', type: 'walking', duration: 40 };
+    assert.equal((await request('POST', '/api/v1/exercise', walk, as(reader))).status, 403);
+    const walked = await request('POST', '/api/v1/exercise', walk, as(token));
+    assert.equal(walked.status, 201);
+    assert.deepEqual({ ...walked.body.data, id: undefined }, {
+        id: undefined, date: yesterday, time: '06:45', type: 'walking', duration: 40,
+        calories: Math.round(3.5 * personal.weight * 40 / 60), met: 3.5
+    });
+    const invalid = await request('POST', '/api/v1/exercise', { date: yesterday, type: 'Climbing', duration: 0 }, as(token));
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(Object.keys(invalid.body.error.fields), ['duration']);
+
+    const exercise = await request('GET', `/api/v1/exercise?from=${yesterday}&to=${yesterday}`, undefined, as(reader));
+    assert.deepEqual(exercise.body.data, [walked.body.data]);
+    assert.deepEqual((await request('GET', `/api/v1/exercise?from=${today}`, undefined, as(reader))).body.data, []);
+
+    const weighed = await request('POST', '/api/v1/weight', { date: today, weight: '78.4', note: 'after run' }, as(token));
+    assert.equal(weighed.status, 201);
+    assert.deepEqual({ ...weighed.body.data, id: undefined, trend: undefined },
+        { id: undefined, date: today, weight: 78.4, trend: undefined, note: 'after run' });
+    const again = await request('POST', '/api/v1/weight', { date: today, weight: 78.2 }, as(token));
+    assert.equal(again.status, 200);
+    assert.equal((await request('POST', '/api/v1/weight', { date: today, weight: 5 }, as(token))).status, 400);
+
+    const [weight] = (await request('GET', `/api/v1/weight?from=${today}`, undefined, as(reader))).body.data;
+    assert.deepEqual([weight.weight, weight.note, typeof weight.trend], [78.2, null, 'number']);
+
+    await request('DELETE', `/api/exercise/${walked.body.data.id}`);
+    await request('DELETE', `/api/weight/${again.body.data.id}`);
+    for (const { id } of [token, reader]) {
+        await request('DELETE', `/api/tokens/${id}`);
+    }
+});
+
+test('a webhook can be sent a test ping', async t => {
+    const received = [];
+    const realFetch = globalThis.fetch;
+    t.mock.method(globalThis, 'fetch', async (url, options) => {
+        if (String(url).startsWith('https://hooks.example.com/')) {
+            received.push(JSON.parse(options.body));
+            return new Response(null, { status: 204 });
+        }
+        return realFetch(url, options);
+    });
+
+    // Subscribed to something else entirely, the ping goes out anyway
+    const { id } = (await request('POST', '/api/webhooks', { url: 'https://hooks.example.com/ping', events: ['day.closed'] })).body.data;
+    const ping = await request('POST', `/api/webhooks/${id}/test`);
+    assert.equal(ping.status, 202);
+    assert.deepEqual([ping.body.data.event, ping.body.data.status], ['ping', 'pending']);
+
+    let delivery;
+    for (let wait = 0; wait < 100; wait++) {
+        [delivery] = (await request('GET', `/api/webhooks/${id}/deliveries`)).body.data;
+        if (delivery.status !== 'pending') break;
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.equal(delivery.status, 'delivered');
+    assert.deepEqual([received[0].event, received[0].data], ['ping', { webhookId: id }]);
+
+    assert.equal((await request('POST', '/api/webhooks/no-such-webhook/test')).status, 404);
+    await request('DELETE', `/api/webhooks/${id}`);
+});
+
+test('Google API failures keep their status and kind', async () => {
+    fake.failNext('values.append', 429, { headers: { 'retry-after': '7' } });
+
+    const { status, headers, body } = await request('POST', '/api/log', { date: today, mealType: 'Snack', description: 'Pear', calories: 60 });
+    assert.equal(status, 429);
+    assert.equal(body.kind, 'quota');
+    assert.equal(headers.get('retry-after'), '7');
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TtlCache = require('../services/ttlCache');
+
+// A load that resolves when the test says so
+function deferred() {
+    let resolve;
+    const promise = new Promise(done => { resolve = done; });
+    return { promise, resolve };
+}
+
+test('concurrent gets of a loading key share one load', async () => {
+    const cache = new TtlCache();
+    const pending = deferred();
+    let loads = 0;
+    const load = () => { loads++; return pending.promise; };
+
+    const first = cache.get('log:1', 1000, load);
+    const second = cache.get('log:1', 1000, load);
+    pending.resolve(['entry']);
+
+    assert.equal(await first, await second);
+    assert.equal(loads, 1);
+    assert.deepEqual(cache.getStats(), { hits: 0, misses: 1, coalesced: 1, invalidations: 0, size: 1, hitRate: 0.5 });
+});
+
+test('loaded values stay fresh for their TTL', async t => {
+    const cache = new TtlCache();
+    let now = 1000;
+    t.mock.method(Date, 'now', () => now);
+    let loads = 0;
+    const load = () => ++loads;
+
+    assert.equal(await cache.get('summary', 500, load), 1);
+    now += 499;
+    assert.equal(await cache.get('summary', 500, load), 1);
+    now += 1;
+    assert.equal(await cache.get('summary', 500, load), 2);
+    assert.equal(cache.getStats().hits, 1);
+});
+
+test('a TTL of 0 only coalesces and failed loads are not cached', async () => {
+    const cache = new TtlCache();
+    let loads = 0;
+
+    await cache.get('foods', 0, () => ++loads);
+    assert.equal(await cache.get('foods', 0, () => ++loads), 2);
+    assert.equal(cache.getStats().size, 0);
+
+    await assert.rejects(cache.get('meals', 1000, () => { throw new Error('quota'); }), /quota/);
+    assert.equal(await cache.get('meals', 1000, () => 'meals'), 'meals');
+});
+
+test('invalidate drops keys by prefix', async () => {
+    const cache = new TtlCache();
+    for (const key of ['log:a', 'log:b', 'foods:a']) {
+        await cache.get(key, 1000, () => key);
+    }
+
+    cache.invalidate('log:');
+    assert.equal(await cache.get('log:a', 1000, () => 'reloaded'), 'reloaded');
+    assert.equal(await cache.get('foods:a', 1000, () => 'reloaded'), 'foods:a');
+    cache.invalidate();
+    assert.deepEqual([cache.getStats().size, cache.getStats().invalidations], [0, 2]);
+});
+
+test('a load that was invalidated while pending leaves the newer load alone', async () => {
+    const cache = new TtlCache();
+    const stale = deferred();
+    const fresh = deferred();
+
+    const before = cache.get('log:a', 0, () => stale.promise);
+    cache.invalidate('log:');
+    const after = cache.get('log:a', 0, () => fresh.promise);
+    stale.resolve('stale');
+    await before;
+
+    // The stale load finishing must not remove the entry the newer get is still loading
+    const joined = cache.get('log:a', 0, () => 'third load');
+    fresh.resolve('fresh');
+    assert.equal(await after, 'fresh');
+    assert.equal(await joined, 'fresh');
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ValidationError, validate, string, number, boolean, date, array, record } = require('../services/validation');
+const { LOG_ENTRY_BODY, SETTINGS_BODY, LOGIN_BODY } = require('../services/requestSchemas');
+
+test('validate cleans input and drops blank and unknown fields', () => {
+    const body = validate(LOG_ENTRY_BODY, {
+        date: '2026-10-19',
+        mealType: ' Lunch ',
+        description: 'Soup',
+        calories: '450',
+        protein: '',
+        isAdmin: true
+    });
+
+    assert.deepEqual(body, { date: '2026-10-19', mealType: 'Lunch', description: 'Soup', calories: 450 });
+});
+
+test('validate reports every invalid field, with paths into lists', () => {
+    const schema = {
+        date: date({ required: true }),
+        combine: boolean(),
+        components: array({ name: string({ required: true }), calories: number({ min: 0 }) })
+    };
+
+    assert.throws(() => validate(schema, {
+        date: '2026-02-30',
+        combine: 'yes',
+        components: [{ name: 'Oats', calories: '150' }, { calories: '12abc' }]
+    }), error => {
+        assert.ok(error instanceof ValidationError);
+        assert.deepEqual(error.fields, {
+            date: 'must be a date in YYYY-MM-DD format',
+            combine: 'must be true or false',
+            'components[1].name': 'is required',
+            'components[1].calories': 'must be a number'
+        });
+        return true;
+    });
+});
+
+test('settings only take the values the settings page can send', () => {
+    const settings = validate(SETTINGS_BODY, {
+        gender: 'male', weight: '80', height: '180', age: '35',
+        activityLevel: '1.55 (Moderate)', goalOffset: '-500 (Weight Loss)', timezone: 'Europe/Berlin'
+    });
+    assert.equal(settings.gender, 'Male');
+    assert.equal(settings.weight, 80);
+
+    assert.throws(() => validate(SETTINGS_BODY, { ...settings, activityLevel: '=IMPORTXML("http://example.com")' }), /activityLevel/);
+    assert.throws(() => validate(SETTINGS_BODY, { ...settings, timezone: 'Mars/Base' }), /timezone/);
+});
+
+test('record keeps "__proto__" keys as plain data', () => {
+    const { mapping } = validate({ mapping: record(string()) }, JSON.parse('{"mapping":{"__proto__":"Date","date":"Day"}}'));
+
+    assert.equal(Object.getPrototypeOf(mapping), Object.prototype);
+    assert.equal(mapping.date, 'Day');
+});
+
+test('passwords are kept as typed and must be text', () => {
+    assert.deepEqual(validate(LOGIN_BODY, { username: ' Alice ', password: ' secret ' }), { username: 'Alice', password: ' secret ' });
+    assert.throws(() => validate(LOGIN_BODY, { username: 'alice', password: { a: '1' } }), /password must be text/);
+});
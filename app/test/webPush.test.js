@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { generateVapidKeys, vapidAuthorization, encryptPayload, validateSubscription } = require('../services/webPush');
+
+// A browser's side of a subscription: its key pair and auth secret
+function createReceiver() {
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.generateKeys();
+    const auth = crypto.randomBytes(16);
+    return { ecdh, keys: { p256dh: ecdh.getPublicKey().toString('base64url'), auth: auth.toString('base64url') } };
+}
+
+// RFC 8291 decryption, as the browser does it
+function decrypt(body, { ecdh, keys }) {
+    const hkdf = (salt, ikm, info, length) => Buffer.from(crypto.hkdfSync('sha256', ikm, salt, info, length));
+    const salt = body.subarray(0, 16);
+    const keyLength = body.readUInt8(20);
+    const senderPublic = body.subarray(21, 21 + keyLength);
+    const ciphertext = body.subarray(21 + keyLength);
+
+    const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), ecdh.getPublicKey(), senderPublic]);
+    const ikm = hkdf(Buffer.from(keys.auth, 'base64url'), ecdh.computeSecret(senderPublic), keyInfo, 32);
+    const decipher = crypto.createDecipheriv('aes-128-gcm',
+        hkdf(salt, ikm, Buffer.from('Content-Encoding: aes128gcm\0'), 16),
+        hkdf(salt, ikm, Buffer.from('Content-Encoding: nonce\0'), 12));
+    decipher.setAuthTag(ciphertext.subarray(-16));
+    const plaintext = Buffer.concat([decipher.update(ciphertext.subarray(0, -16)), decipher.final()]);
+    return plaintext.subarray(0, plaintext.lastIndexOf(2)).toString('utf8');
+}
+
+test('an encrypted payload decrypts with the subscription keys', () => {
+    const receiver = createReceiver();
+    const payload = JSON.stringify({ title: 'No lunch logged yet', body: 'It\'s past 14:00.' });
+
+    const body = encryptPayload(payload, receiver.keys);
+
+    assert.equal(body.readUInt32BE(16), 4096);
+    assert.equal(decrypt(body, receiver), payload);
+});
+
+test('the VAPID token is signed with the private key and names the push service', () => {
+    const vapid = { ...generateVapidKeys(), subject: 'mailto:me@example.com' };
+    const now = Date.UTC(2026, 9, 19);
+
+    const header = vapidAuthorization('https://fcm.googleapis.com/fcm/send/abc', vapid, now);
+    const [, token, publicKey] = header.match(/^vapid t=([^,]+), k=(.+)$/);
+    const [encodedHeader, encodedClaims, signature] = token.split('.');
+    const claims = JSON.parse(Buffer.from(encodedClaims, 'base64url').toString('utf8'));
+
+    assert.equal(publicKey, vapid.publicKey);
+    assert.equal(claims.aud, 'https://fcm.googleapis.com');
+    assert.equal(claims.sub, 'mailto:me@example.com');
+    assert.equal(claims.exp, now / 1000 + 12 * 60 * 60);
+
+    const point = Buffer.from(vapid.publicKey, 'base64url');
+    const verifyKey = crypto.createPublicKey({
+        format: 'jwk',
+        key: { kty: 'EC', crv: 'P-256', x: point.subarray(1, 33).toString('base64url'), y: point.subarray(33).toString('base64url') }
+    });
+    assert.ok(crypto.verify('sha256', Buffer.from(`${encodedHeader}.${encodedClaims}`), {
+        key: verifyKey,
+        dsaEncoding: 'ieee-p1363'
+    }, Buffer.from(signature, 'base64url')));
+});
+
+test('validateSubscription accepts browser subscriptions only', () => {
+    const { keys } = createReceiver();
+
+    assert.equal(validateSubscription({ endpoint: 'https://push.example.com/abc', keys }), null);
+    assert.deepEqual(validateSubscription(null), { subscription: 'is required' });
+    assert.deepEqual(validateSubscription({ endpoint: 'http://push.example.com/abc', keys }), { 'subscription.endpoint': 'must use https' });
+    assert.deepEqual(Object.keys(validateSubscription({ endpoint: 'https://push.example.com/abc', keys: { ...keys, auth: 'short' } })), ['subscription.keys.auth']);
+    assert.deepEqual(Object.keys(validateSubscription({ endpoint: 'https://push.example.com/abc', keys: { auth: keys.auth } })), ['subscription.keys.p256dh']);
+});
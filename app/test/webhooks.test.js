@@ -0,0 +1,264 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const WebhookStore = require('../services/webhookStore');
+const { ValidationError } = require('../services/validation');
+const { WebhookDispatcher, checkWebhookUrl, createWebhook, postWebhook, signPayload, toPublicWebhook } = require('../services/webhooks');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'calorie-diary-webhooks-'));
+const webhookFile = path.join(dataDir, 'webhooks.json');
+
+let store;
+
+beforeEach(async () => {
+    fs.rmSync(webhookFile, { force: true });
+    store = new WebhookStore(webhookFile);
+    await store.load();
+});
+
+after(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// A dispatcher without backoff delays whose send() answers with the given statuses in turn
+function createDispatcher(statuses, options = {}) {
+    const sent = [];
+    const dispatcher = new WebhookDispatcher({
+        store,
+        retries: 2,
+        retryDelayMs: 0,
+        send: async (webhook, delivery) => {
+            sent.push({ url: webhook.url, event: delivery.event, payload: delivery.payload });
+            const status = statuses.length > 1 ? statuses.shift() : statuses[0];
+            if (status instanceof Error) throw status;
+            return status;
+        },
+        ...options
+    });
+    return { dispatcher, sent };
+}
+
+const addWebhook = (events, fields = {}) => store.addWebhook(createWebhook('u1', { url: 'https://hooks.example.com/diary', events, ...fields }));
+
+test('signPayload is an HMAC-SHA256 of the timestamp and body', () => {
+    const expected = crypto.createHmac('sha256', 'secret').update('1700000000.{"a":1}').digest('hex');
+    assert.equal(signPayload('secret', 1700000000, '{"a":1}'), `sha256=${expected}`);
+});
+
+test('new webhooks get a secret the public view leaves out', () => {
+    const webhook = createWebhook('u1', { url: 'https://hooks.example.com', events: ['entry.created', 'entry.created'] });
+
+    assert.match(webhook.secret, /^[0-9a-f]{48}$/);
+    assert.deepEqual(webhook.events, ['entry.created']);
+    assert.equal(webhook.enabled, true);
+    assert.equal(toPublicWebhook(webhook).secret, undefined);
+    assert.equal(createWebhook('u1', { url: 'https://hooks.example.com', events: ['day.closed'], secret: 'my-own-secret-1234' }).secret,
+        'my-own-secret-1234');
+});
+
+const toLookupResult = address => ({ address, family: address.includes(':') ? 6 : 4 });
+
+test('webhook URLs must be https and must not reach internal addresses', async () => {
+    const resolvesTo = (...addresses) => (host, options, callback) => callback(null, addresses.map(toLookupResult));
+    const refused = (url, options) => assert.rejects(checkWebhookUrl(url, options), ValidationError);
+
+    await checkWebhookUrl('https://hooks.example.com/diary', { lookup: resolvesTo('93.184.215.14', '2606:2800:21f:cb07::1') });
+    await refused('http://hooks.example.com/diary', { lookup: resolvesTo('93.184.215.14') });
+    await checkWebhookUrl('http://hooks.example.com/diary', { allowHttp: true, lookup: resolvesTo('93.184.215.14') });
+
+    for (const url of ['https://127.0.0.1/', 'https://10.1.2.3/', 'https://172.20.0.1/', 'https://192.168.1.1/',
+        'https://169.254.169.254/latest/meta-data', 'https://0.0.0.0/', 'https://[::1]/', 'https://[fd00::1]/',
+        'https://[fe80::1]/', 'https://[::ffff:127.0.0.1]/']) {
+        await refused(url);
+    }
+    // Checked after resolving the name: one internal address is enough
+    await refused('https://intranet.example.com/', { lookup: resolvesTo('93.184.215.14', '192.168.0.10') });
+    await assert.rejects(checkWebhookUrl('https://gone.example.com/', {
+        lookup: (host, options, callback) => callback(Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' }))
+    }), /host gone\.example\.com was not found/);
+
+    // WEBHOOK_ALLOWED_HOSTS lets chosen internal receivers through
+    await checkWebhookUrl('https://n8n.lan/hook', { allowedHosts: ['n8n.lan'], lookup: resolvesTo('192.168.1.20') });
+    await checkWebhookUrl('https://[::1]:8443/hook', { allowedHosts: ['::1'] });
+});
+
+test('deliveries to a refused URL fail without reaching it or retrying', async t => {
+    const fetch = t.mock.method(globalThis, 'fetch', async () => new Response(null, { status: 204 }));
+    await store.addWebhook(createWebhook('u1', { url: 'https://169.254.169.254/latest', events: ['entry.created'] }));
+    const dispatcher = new WebhookDispatcher({ store, retries: 2, retryDelayMs: 0 });
+
+    const [delivery] = await dispatcher.emit('u1', 'entry.created', { id: 'e1' });
+    await dispatcher.idle();
+
+    assert.equal(fetch.mock.callCount(), 0);
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.attempts, 1);
+    assert.match(delivery.error, /private, loopback or link-local/);
+    await assert.rejects(postWebhook({ url: 'http://hooks.example.com' }, delivery, { timeoutMs: 100 }), /must be an https/);
+});
+
+test('the address is checked again when the delivery connects', async t => {
+    const received = [];
+    const receiver = http.createServer((req, res) => {
+        received.push(req.url);
+        res.writeHead(204).end();
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    t.after(() => receiver.close());
+    const url = `http://rebind.example.com:${receiver.address().port}/hook`;
+
+    // A public address for the check, then the receiver on loopback for the connection
+    const answers = [['93.184.215.14'], ['127.0.0.1']];
+    const lookup = (host, options, callback) => callback(null, (answers.length > 1 ? answers.shift() : answers[0]).map(toLookupResult));
+    const delivery = { id: 'd1', event: 'ping', payload: {} };
+
+    await assert.rejects(postWebhook({ url, secret: 'secret' }, delivery, { allowHttp: true, timeoutMs: 1000, lookup }), ValidationError);
+    assert.deepEqual(received, []);
+
+    // Allowed hosts connect wherever they resolve
+    const allowed = { allowHttp: true, timeoutMs: 1000, lookup, allowedHosts: ['rebind.example.com'] };
+    assert.equal(await postWebhook({ url, secret: 'secret' }, delivery, allowed), 204);
+    assert.deepEqual(received, ['/hook']);
+});
+
+test('a webhook disabled after a delivery was queued gets no more attempts', async () => {
+    const webhook = await addWebhook(['entry.created']);
+    const { dispatcher, sent } = createDispatcher([503, 200], { retryDelayMs: 20 });
+
+    const [delivery] = await dispatcher.emit('u1', 'entry.created', {});
+    while (!delivery.attempts) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    await store.updateWebhook('u1', webhook.id, { enabled: false });
+    await dispatcher.idle();
+
+    assert.equal(sent.length, 1);
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.error, 'Webhook disabled');
+});
+
+test('events go to the enabled webhooks of the user that subscribe to them', async () => {
+    await addWebhook(['entry.created']);
+    await addWebhook(['settings.updated']);
+    await addWebhook(['entry.created'], { enabled: false });
+    await store.addWebhook(createWebhook('u2', { url: 'https://other.example.com', events: ['entry.created'] }));
+    const { dispatcher, sent } = createDispatcher([200]);
+
+    const deliveries = await dispatcher.emit('u1', 'entry.created', { id: 'e1', calories: 350 });
+    await dispatcher.idle();
+
+    assert.equal(deliveries.length, 1);
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].payload.event, 'entry.created');
+    assert.deepEqual(sent[0].payload.data, { id: 'e1', calories: 350 });
+    assert.equal(deliveries[0].status, 'delivered');
+    assert.equal(deliveries[0].attempts, 1);
+    assert.equal(deliveries[0].responseStatus, 200);
+});
+
+test('failed deliveries are retried and give up after the retries', async () => {
+    const webhook = await addWebhook(['entry.created']);
+    const { dispatcher, sent } = createDispatcher([new Error('connect ECONNREFUSED'), 503, 200]);
+
+    const [retried] = await dispatcher.emit('u1', 'entry.created', {});
+    await dispatcher.idle();
+    assert.equal(sent.length, 3);
+    assert.equal(retried.status, 'delivered');
+    assert.equal(retried.attempts, 3);
+
+    const failing = createDispatcher([500]);
+    const [failed] = await failing.dispatcher.emit('u1', 'entry.created', {});
+    await failing.dispatcher.idle();
+    assert.equal(failing.sent.length, 3);
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.error, 'Responded with HTTP 500');
+
+    // A client error won't change on a retry
+    const rejected = createDispatcher([410]);
+    const [gone] = await rejected.dispatcher.emit('u1', 'entry.created', {});
+    await rejected.dispatcher.idle();
+    assert.equal(rejected.sent.length, 1);
+    assert.equal(gone.status, 'failed');
+
+    assert.deepEqual(store.deliveriesFor(webhook.id).map(delivery => delivery.status), ['failed', 'failed', 'delivered']);
+    const reloaded = new WebhookStore(webhookFile);
+    await reloaded.load();
+    assert.equal(reloaded.deliveriesFor(webhook.id).length, 3);
+});
+
+test('pending deliveries resume after a restart', async () => {
+    const webhook = await addWebhook(['entry.created']);
+    await store.addDelivery({
+        id: 'd1', webhookId: webhook.id, userId: 'u1', event: 'entry.created', payload: { id: 'd1' },
+        status: 'pending', attempts: 1, nextAttemptAt: new Date(Date.now() - 1000).toISOString()
+    });
+    const { dispatcher, sent } = createDispatcher([204]);
+
+    dispatcher.resume();
+    await dispatcher.idle();
+
+    assert.equal(sent.length, 1);
+    assert.equal(store.deliveriesFor(webhook.id)[0].status, 'delivered');
+    assert.equal(store.deliveriesFor(webhook.id)[0].attempts, 2);
+});
+
+test('calculations send day.over_limit once a day and day.closed when the day changes', async () => {
+    await addWebhook(['day.over_limit', 'day.closed']);
+    const { dispatcher, sent } = createDispatcher([200]);
+    const summaries = [
+        { date: '2025-01-15', totalIn: 2500, maxLimit: 2000, exercise: 0, net: 2500, status: 'Over Goal (+500)' },
+        { date: '2025-01-16', totalIn: 2300, maxLimit: 2000, exercise: 400, net: 1900, status: 'Under Goal (+100)' }
+    ];
+
+    // The first calculation only remembers the day
+    await dispatcher.handleCalculation('u1', { currentDay: '2025-01-15', summaries });
+    await dispatcher.handleCalculation('u1', { currentDay: '2025-01-15', summaries });
+    await dispatcher.idle();
+    assert.deepEqual(sent.map(item => item.event), ['day.over_limit']);
+    assert.deepEqual(sent[0].payload.data, {
+        date: '2025-01-15', logged: true, totalIn: 2500, maxLimit: 2000, exercise: 0, net: 2500, status: 'Over Goal (+500)'
+    });
+
+    // Exercise keeps the 16th under its limit
+    await dispatcher.handleCalculation('u1', { currentDay: '2025-01-16', summaries });
+    await dispatcher.handleCalculation('u1', { currentDay: '2025-01-17', summaries });
+    await dispatcher.idle();
+    assert.deepEqual(sent.map(item => item.event), ['day.over_limit', 'day.closed', 'day.closed']);
+    assert.equal(sent[1].payload.data.date, '2025-01-15');
+    assert.equal(sent[2].payload.data.net, 1900);
+    assert.deepEqual(store.dayStateFor('u1'), { lastDay: '2025-01-17', overLimitDay: '2025-01-15' });
+
+    // Users without webhooks aren't tracked
+    await dispatcher.handleCalculation('u2', { currentDay: '2025-01-17', summaries });
+    assert.deepEqual(store.dayStateFor('u2'), {});
+});
+
+test('concurrent calculations send each day event once', async () => {
+    await addWebhook(['day.over_limit', 'day.closed']);
+    const { dispatcher, sent } = createDispatcher([200]);
+    const summaries = [{ date: '2025-01-15', totalIn: 2500, maxLimit: 2000, exercise: 0, net: 2500, status: 'Over Goal (+500)' }];
+    await store.setDayState('u1', { lastDay: '2025-01-14' });
+
+    await Promise.all([1, 2, 3].map(() => dispatcher.handleCalculation('u1', { currentDay: '2025-01-15', summaries })));
+    await dispatcher.idle();
+
+    assert.deepEqual(sent.map(item => item.event).sort(), ['day.closed', 'day.over_limit']);
+    assert.deepEqual(store.dayStateFor('u1'), { lastDay: '2025-01-15', overLimitDay: '2025-01-15' });
+    assert.equal(dispatcher.calculations.size, 0);
+});
+
+test('removing a webhook drops its delivery log', async () => {
+    const webhook = await addWebhook(['entry.created']);
+    const { dispatcher } = createDispatcher([200]);
+    await dispatcher.emit('u1', 'entry.created', {});
+    await dispatcher.idle();
+
+    assert.equal(await store.removeWebhook('u2', webhook.id), false);
+    assert.equal(await store.removeWebhook('u1', webhook.id), true);
+    assert.deepEqual(store.webhooksFor('u1'), []);
+    assert.deepEqual(store.deliveriesFor(webhook.id), []);
+});
@@ -12,7 +12,9 @@
 const SHEETS = {
   LOG: 'Log',
   DASHBOARD: 'Dashboard',
-  DAILY_SUMMARY: 'Daily Summary'
+  DAILY_SUMMARY: 'Daily Summary',
+  GOALS: 'Goals', // Written by the web app when the daily goal changes; optional
+  EXERCISE: 'Exercise' // Written by the web app when exercise is logged; optional
 };
 
 /**
@@ -41,7 +43,12 @@ const LOG_COLUMNS = {
   TIME: 2,      // Column B  
   MEAL_TYPE: 3, // Column C
   DESCRIPTION: 4, // Column D
-  CALORIES: 5   // Column E
+  CALORIES: 5,  // Column E
+  ID: 6,        // Column F (written by the web app, used to edit/delete entries)
+  PROTEIN: 7,   // Column G (grams, optional)
+  CARBS: 8,     // Column H (grams, optional)
+  FAT: 9,       // Column I (grams, optional)
+  REQUEST_ID: 10 // Column J (written by the web app, deduplicates offline replays)
 };
 
 const DASHBOARD_METRICS = {
@@ -51,7 +58,8 @@ const DASHBOARD_METRICS = {
   AGE_CELL: 'H5',
   ACTIVITY_MULTIPLIER_CELL: 'H6',
   GOAL_OFFSET_CELL: 'H7',
-  MAX_CALORY_CELL: 'H8'
+  MAX_CALORY_CELL: 'H8',
+  TIMEZONE_CELL: 'H14' // IANA zone picked in the web app settings, e.g. Asia/Bangkok
 };
 
 const DAILY_TRACKER = {
@@ -76,11 +84,14 @@ function refreshCaloryDiary() {
     const dailyTotalsMap = computeDailyTotalsFromLog(spreadsheet);
     Logger.log(`Computed totals for ${Object.keys(dailyTotalsMap).length} dates`);
     
+    // Calories burned per date, subtracted from the intake
+    const exerciseMap = computeDailyExercise(spreadsheet);
+
     // Update Daily Summary sheet
-    upsertDailySummary(spreadsheet, dailyTotalsMap, maxCalories);
+    upsertDailySummary(spreadsheet, dailyTotalsMap, maxCalories, exerciseMap);
     
     // Update Dashboard today view
-    updateDashboardTodayView(spreadsheet);
+    updateDashboardTodayView(spreadsheet, exerciseMap);
     
     Logger.log('Calory diary refreshed successfully!');
     
@@ -207,9 +218,79 @@ function computeDailyTotalsFromLog(spreadsheet) {
 }
 
 /**
- * Upsert Daily Summary sheet with daily totals
+ * Sum calories burned per date from the Exercise sheet
+ * (ID, Date, Time, Type, Duration, Calories Burned, MET). Empty without the sheet.
+ */
+function computeDailyExercise(spreadsheet) {
+  const exerciseSheet = spreadsheet.getSheetByName(SHEETS.EXERCISE);
+  const exerciseMap = {};
+  if (!exerciseSheet) return exerciseMap;
+
+  const exerciseData = exerciseSheet.getDataRange().getValues();
+  for (let i = 1; i < exerciseData.length; i++) {
+    const dateValue = exerciseData[i][1];
+    const entryDate = new Date(dateValue);
+    if (!dateValue || isNaN(entryDate.getTime())) continue;
+
+    const dateKey = Utilities.formatDate(entryDate, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+    exerciseMap[dateKey] = (exerciseMap[dateKey] || 0) + (parseFloat(exerciseData[i][5]) || 0);
+  }
+  return exerciseMap;
+}
+
+/**
+ * Time zone that decides which day "today" is: the one picked in the web app
+ * settings, or the script's zone. Dates read from cells are calendar days and
+ * are still formatted in the script's zone.
+ */
+function getUserTimeZone(spreadsheet) {
+  const dashboardSheet = spreadsheet.getSheetByName(SHEETS.DASHBOARD);
+  const timeZone = dashboardSheet ? String(dashboardSheet.getRange(DASHBOARD_METRICS.TIMEZONE_CELL).getValue()).trim() : '';
+  return timeZone || Session.getScriptTimeZone();
+}
+
+/**
+ * Build a lookup of the daily goal in effect on each date from the Goals sheet
+ * (Effective From, Daily Goal, ...). Today and later use the current goal, as
+ * do all dates when there is no Goals sheet.
  */
-function upsertDailySummary(spreadsheet, dailyTotalsMap, maxCalories) {
+function buildGoalLookup(spreadsheet, maxCalories) {
+  const goalsSheet = spreadsheet.getSheetByName(SHEETS.GOALS);
+  const timeZone = Session.getScriptTimeZone();
+  const todayKey = Utilities.formatDate(new Date(), getUserTimeZone(spreadsheet), 'yyyy-MM-dd');
+  const versions = [];
+
+  if (goalsSheet) {
+    const goalsData = goalsSheet.getDataRange().getValues();
+    for (let i = 1; i < goalsData.length; i++) {
+      const effectiveFrom = goalsData[i][0];
+      if (!effectiveFrom) continue;
+      versions.push({
+        dateKey: Utilities.formatDate(new Date(effectiveFrom), timeZone, 'yyyy-MM-dd'),
+        dailyGoal: parseFloat(goalsData[i][1]) || 0
+      });
+    }
+    versions.sort((a, b) => a.dateKey.localeCompare(b.dateKey));
+  }
+
+  return function(dateKey) {
+    if (dateKey >= todayKey || versions.length === 0) return maxCalories;
+
+    // Latest version starting on or before the date; earlier dates use the first version
+    let goal = versions[0].dailyGoal;
+    for (const version of versions) {
+      if (version.dateKey > dateKey) break;
+      goal = version.dailyGoal;
+    }
+    return goal;
+  };
+}
+
+/**
+ * Upsert Daily Summary sheet with daily totals. The status compares the net
+ * intake (total in minus calories burned) with the day's goal.
+ */
+function upsertDailySummary(spreadsheet, dailyTotalsMap, maxCalories, exerciseMap = {}) {
   const summarySheet = spreadsheet.getSheetByName(SHEETS.DAILY_SUMMARY);
   
   if (!summarySheet) {
@@ -217,6 +298,8 @@ function upsertDailySummary(spreadsheet, dailyTotalsMap, maxCalories) {
   }
   
   try {
+    const goalForDate = buildGoalLookup(spreadsheet, maxCalories);
+
     // Get existing data from summary sheet
     const existingData = summarySheet.getDataRange().getValues();
     const existingDatesMap = {}; // Maps dateKey -> row number
@@ -233,15 +316,19 @@ function upsertDailySummary(spreadsheet, dailyTotalsMap, maxCalories) {
     // Process each date in dailyTotalsMap
     for (const [dateKey, totalCalories] of Object.entries(dailyTotalsMap)) {
       const dateObj = new Date(dateKey);
-      const remaining = maxCalories - totalCalories;
+      const dayGoal = goalForDate(dateKey);
+      const exercise = exerciseMap[dateKey] || 0;
+      const net = totalCalories - exercise;
+      const remaining = dayGoal - net;
       const status = remaining >= 0 ? `Under Goal (+${remaining})` : `Over Goal (${remaining})`;
       
-      const rowData = [dateObj, totalCalories, maxCalories, status];
+      const rowData = [dateObj, totalCalories, dayGoal, status];
       
       if (existingDatesMap[dateKey]) {
         // Update existing row
         const rowNum = existingDatesMap[dateKey];
         summarySheet.getRange(rowNum, 1, 1, 4).setValues([rowData]);
+        summarySheet.getRange(rowNum, 8, 1, 2).setValues([[exercise, net]]); // Exercise, Net
         
         // Apply conditional formatting to status cell
         const statusCell = summarySheet.getRange(rowNum, 4);
@@ -255,6 +342,7 @@ function upsertDailySummary(spreadsheet, dailyTotalsMap, maxCalories) {
         const lastRow = summarySheet.getLastRow();
         const newRow = lastRow + 1;
         summarySheet.getRange(newRow, 1, 1, 4).setValues([rowData]);
+        summarySheet.getRange(newRow, 8, 1, 2).setValues([[exercise, net]]); // Exercise, Net
         
         // Apply conditional formatting to status cell
         const statusCell = summarySheet.getRange(newRow, 4);
@@ -275,9 +363,9 @@ function upsertDailySummary(spreadsheet, dailyTotalsMap, maxCalories) {
 }
 
 /**
- * Update Dashboard today view from Daily Summary
+ * Update Dashboard today view from Daily Summary, with today's calories burned in M2
  */
-function updateDashboardTodayView(spreadsheet) {
+function updateDashboardTodayView(spreadsheet, exerciseMap = {}) {
   const dashboardSheet = spreadsheet.getSheetByName(SHEETS.DASHBOARD);
   const summarySheet = spreadsheet.getSheetByName(SHEETS.DAILY_SUMMARY);
   
@@ -289,8 +377,10 @@ function updateDashboardTodayView(spreadsheet) {
   try {
     // Get today's date
     const today = new Date();
-    const todayKey = Utilities.formatDate(today, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+    const todayKey = Utilities.formatDate(today, getUserTimeZone(spreadsheet), 'yyyy-MM-dd');
     
+    dashboardSheet.getRange('M2').setValue(exerciseMap[todayKey] || 0);
+
     // Look for today's data in Daily Summary
     const summaryData = summarySheet.getDataRange().getValues();
     let todayRow = null;
@@ -327,7 +417,8 @@ function updateDashboardTodayView(spreadsheet) {
       dashboardSheet.getRange(DAILY_TRACKER.DATE_INPUT_CELL).setValue(today);
       dashboardSheet.getRange(DAILY_TRACKER.TOTAL_CONSUMED_CELL).setValue(0);
       dashboardSheet.getRange(DAILY_TRACKER.MAX_LIMIT_CELL).setValue(maxCalories);
-      dashboardSheet.getRange(DAILY_TRACKER.STATUS_CELL).setValue(`Under Goal (+${maxCalories})`);
+      const remaining = maxCalories + (exerciseMap[todayKey] || 0);
+      dashboardSheet.getRange(DAILY_TRACKER.STATUS_CELL).setValue(`Under Goal (+${remaining})`);
       
       // Apply green formatting for under goal
       const statusCell = dashboardSheet.getRange(DAILY_TRACKER.STATUS_CELL);
@@ -395,12 +486,14 @@ function setupDailySummarySheet() {
   }
   
   // ---- Headers ----
-  const headers = [['Date', 'Total In', 'Max Limit', 'Status']];
-  sh.getRange('A1:D1').setValues(headers);
+  // Protein/Carbs/Fat totals are written by the web app's server-side calculation;
+  // Exercise is the calories burned and Net the total in minus Exercise
+  const headers = [['Date', 'Total In', 'Max Limit', 'Status', 'Protein', 'Carbs', 'Fat', 'Exercise', 'Net']];
+  sh.getRange('A1:I1').setValues(headers);
   
   // ---- Formatting ----
-  sh.getRange('A1:D1').setFontWeight('bold').setBackground('#e8f0fe');
-  sh.getRange('A1:D1').setBorder(true, true, true, true, true, true);
+  sh.getRange('A1:I1').setFontWeight('bold').setBackground('#e8f0fe');
+  sh.getRange('A1:I1').setBorder(true, true, true, true, true, true);
   
   // ---- Column Widths ----
   sh.setColumnWidth(1, 100); // Date
@@ -429,15 +522,26 @@ function setupDashboard() {
     ['Age', ''],
     ['Activity Level', ''],
     ['Goal Offset', ''],
-    ['Daily Goal (Max)', '']
+    ['Daily Goal (Max)', ''],
+    ['BMR Formula', 'mifflin-st-jeor'], // Used by the web app's server-side goal engine
+    ['Body Fat %', ''],                 // Only needed for katch-mcardle
+    ['Protein Target (g)', ''],
+    ['Carbs Target (g)', ''],
+    ['Fat Target (g)', ''],
+    ['Time Zone', '']                   // IANA name; empty uses the script's time zone
   ];
 
-  sh.getRange('G1:H8').clearContent();
-  sh.getRange('G1:H8').setValues(labels);
+  sh.getRange('G1:H14').clearContent();
+  sh.getRange('G1:H14').setValues(labels);
+
+  // ---- Today's macro totals (J-L, written by the web app) and calories burned (M) ----
+  sh.getRange('J1:M1').setValues([['Protein', 'Carbs', 'Fat', 'Exercise']]);
+  sh.getRange('J1:M1').setFontWeight('bold').setBackground('#e8f0fe');
 
   // ---- Styling ----
   sh.getRange('G1').setFontWeight('bold').setFontSize(12).setBackground('#e8f0fe');
-  sh.getRange('G2:G8').setFontWeight('bold');
+  sh.getRange('G2:G14').setFontWeight('bold');
+  sh.getRange('H9:H14').setBackground('#e3f2fd'); // web app inputs
   sh.getRange('H2:H7').setBackground('#e3f2fd'); // input cells
   sh.getRange('A2').setBackground('#e3f2fd'); // date input
   sh.getRange('H8').setBackground('#f5f5f5').setFontWeight('bold'); // calculated
@@ -465,6 +569,13 @@ function setupDashboard() {
     .build();
   sh.getRange('H7').setDataValidation(goalRule);
 
+  // BMR formula dropdown (H9)
+  const formulaRule = SpreadsheetApp.newDataValidation()
+    .requireValueInList(['mifflin-st-jeor', 'harris-benedict', 'katch-mcardle'], true)
+    .setAllowInvalid(false)
+    .build();
+  sh.getRange('H9').setDataValidation(formulaRule);
+
   // ---- Formulas ----
   // Max calory formula in H8 (handles dropdown text extraction)
   sh.getRange('H8').setFormula(
@@ -476,7 +587,7 @@ function setupDashboard() {
 
   // ---- Borders ----
   sh.getRange('A1:D2').setBorder(true, true, true, true, true, true);
-  sh.getRange('G1:H8').setBorder(true, true, true, true, true, true);
+  sh.getRange('G1:H14').setBorder(true, true, true, true, true, true);
 
   SpreadsheetApp.getUi().alert('Dashboard setup complete ✅\nDropdowns added for Gender, Activity Level, and Goal Offset.');
 }
@@ -490,12 +601,12 @@ function setupLogSheet() {
   if (!sh) throw new Error('Log sheet not found');
 
   // ---- Headers ----
-  const headers = [['Date', 'Time', 'Meal Type', 'Description', 'Calories']];
-  sh.getRange('A1:E1').setValues(headers);
+  const headers = [['Date', 'Time', 'Meal Type', 'Description', 'Calories', 'ID', 'Protein', 'Carbs', 'Fat', 'Request ID']];
+  sh.getRange('A1:J1').setValues(headers);
   
   // ---- Formatting ----
-  sh.getRange('A1:E1').setFontWeight('bold').setBackground('#e8f0fe');
-  sh.getRange('A1:E1').setBorder(true, true, true, true, true, true);
+  sh.getRange('A1:J1').setFontWeight('bold').setBackground('#e8f0fe');
+  sh.getRange('A1:J1').setBorder(true, true, true, true, true, true);
   
   // ---- Column Widths ----
   sh.setColumnWidth(1, 100); // Date
@@ -503,6 +614,11 @@ function setupLogSheet() {
   sh.setColumnWidth(3, 100); // Meal Type
   sh.setColumnWidth(4, 200); // Description
   sh.setColumnWidth(5, 80);  // Calories
+  sh.setColumnWidth(6, 120); // ID
+  sh.setColumnWidth(7, 70);  // Protein
+  sh.setColumnWidth(8, 70);  // Carbs
+  sh.setColumnWidth(9, 70);  // Fat
+  sh.setColumnWidth(10, 120); // Request ID
   
   // ---- Meal Type Dropdown ----
   const mealTypeRule = SpreadsheetApp.newDataValidation()
@@ -549,7 +665,7 @@ function setTodaysDate() {
   updateDashboardTodayView(spreadsheet);
   
   const today = new Date();
-  SpreadsheetApp.getUi().alert(`Dashboard updated with today's data: ${Utilities.formatDate(today, Session.getScriptTimeZone(), 'yyyy-MM-dd')}`);
+  SpreadsheetApp.getUi().alert(`Dashboard updated with today's data: ${Utilities.formatDate(today, getUserTimeZone(spreadsheet), 'yyyy-MM-dd')}`);
 }
 
 /**